@@ -0,0 +1,214 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { readJson, writeJson } from './cacheBackends.js';
+import { log } from './logger.js';
+
+/**
+ * Spend budgets for LLM and image calls.
+ *
+ * Tokens and USD are counted per UTC day and month in three scopes: the whole deployment, each signed-in
+ * user and each client IP. Limits come from BUDGET_<SCOPE>_<PERIOD>_<UNIT>, e.g. BUDGET_USER_DAILY_TOKENS or
+ * BUDGET_GLOBAL_MONTHLY_USD; unset or 0 means unlimited. A call is refused before it starts once any counter
+ * that applies to it has reached its limit. The call that crosses a limit still completes, since its cost
+ * is only known afterwards. Counters are kept in `<CACHE_DIR>/analytics/budget_usage.json`.
+ */
+
+export const BUDGET_SCOPES = ['global', 'user', 'ip'];
+export const BUDGET_PERIODS = ['daily', 'monthly'];
+export const BUDGET_UNITS = ['tokens', 'usd'];
+
+/**
+ * Read budget limits from the environment
+ * @param {Record<string, string>} [env]
+ * @returns {Record<string, Record<string, { tokens: number|null, usd: number|null }>>} scope → period → limits
+ */
+export function budgetLimitsFromEnv(env = process.env) {
+  const limits = {};
+  for (const scope of BUDGET_SCOPES) {
+    limits[scope] = {};
+    for (const period of BUDGET_PERIODS) {
+      limits[scope][period] = {};
+      for (const unit of BUDGET_UNITS) {
+        const value = Number(env[`BUDGET_${scope}_${period}_${unit}`.toUpperCase()]);
+        limits[scope][period][unit] = Number.isFinite(value) && value > 0 ? value : null;
+      }
+    }
+  }
+  return limits;
+}
+
+/**
+ * @param {Error} err
+ * @returns {boolean}
+ */
+export function isBudgetError(err) {
+  return err?.name === 'BudgetExceededError';
+}
+
+const periodKeys = (date) => {
+  const iso = date.toISOString();
+  return { daily: iso.slice(0, 10), monthly: iso.slice(0, 7) };
+};
+
+const periodResets = (date) => ({
+  daily: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1)).toISOString(),
+  monthly: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)).toISOString()
+});
+
+// Counter keys that apply to a caller: the deployment, plus the user and IP when known
+function scopeKeys(subject) {
+  const keys = [{ scope: 'global', key: 'global' }];
+  if (subject?.userId) keys.push({ scope: 'user', key: `user:${subject.userId}` });
+  if (subject?.ip) keys.push({ scope: 'ip', key: `ip:${subject.ip}` });
+  return keys;
+}
+
+const SCOPE_LABELS = { global: 'this server', user: 'your account', ip: 'your network address' };
+
+/**
+ * Create the budget tracker
+ * @param {string} cacheDir
+ * @param {object} [options]
+ * @param {object} [options.limits] - From budgetLimitsFromEnv
+ * @param {() => Date} [options.now]
+ * @param {number} [options.flushDelayMs=1000] - Counters are written at most this often
+ */
+export function createBudgetTracker(cacheDir, { limits = budgetLimitsFromEnv(), now = () => new Date(), flushDelayMs = 1000 } = {}) {
+  const file = path.join(cacheDir, 'analytics', 'budget_usage.json');
+  let state = null;
+  let loading = null;
+  let flushTimer = null;
+  let writing = Promise.resolve();
+
+  const load = () => {
+    if (!loading) {
+      loading = readJson(file, null).then((data) => {
+        state = { periods: {}, usage: { daily: {}, monthly: {} }, ...(data && typeof data === 'object' ? data : {}) };
+      });
+    }
+    return loading;
+  };
+
+  // Start new counters when the day or month has changed
+  const current = () => {
+    const keys = periodKeys(now());
+    for (const period of BUDGET_PERIODS) {
+      if (state.periods[period] !== keys[period]) {
+        state.periods[period] = keys[period];
+        state.usage[period] = {};
+      }
+    }
+    return state.usage;
+  };
+
+  const persist = () => {
+    const snapshot = JSON.parse(JSON.stringify(state));
+    writing = writing
+      .then(() => fs.mkdir(path.dirname(file), { recursive: true }))
+      .then(() => writeJson(file, snapshot))
+      .catch(e => log.warn('[BUDGET] Failed to save usage:', e?.message));
+  };
+
+  const scheduleFlush = () => {
+    if (flushTimer) return;
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      persist();
+    }, flushDelayMs);
+    flushTimer.unref?.();
+  };
+
+  const usedOf = (usage, period, key) => usage[period][key] || { tokens: 0, usd: 0 };
+
+  return {
+    /**
+     * First limit the caller has reached, or null
+     * @param {{ userId?: string, ip?: string }} subject
+     * @returns {Promise<{ scope: string, period: string, unit: string, limit: number, used: number, resets_at: string }|null>}
+     */
+    async check(subject) {
+      await load();
+      const usage = current();
+      const resets = periodResets(now());
+      for (const { scope, key } of scopeKeys(subject)) {
+        for (const period of BUDGET_PERIODS) {
+          const used = usedOf(usage, period, key);
+          for (const unit of BUDGET_UNITS) {
+            const limit = limits[scope]?.[period]?.[unit];
+            if (limit !== null && limit !== undefined && used[unit] >= limit) {
+              return { scope, period, unit, limit, used: used[unit], resets_at: resets[period] };
+            }
+          }
+        }
+      }
+      return null;
+    },
+
+    /**
+     * Throw a BudgetExceededError (httpStatus 429, `budget` details) when the caller has reached a limit
+     * @param {{ userId?: string, ip?: string }} subject
+     */
+    async assertWithin(subject) {
+      const exceeded = await this.check(subject);
+      if (!exceeded) return;
+      const what = exceeded.unit === 'usd' ? 'spending' : 'token';
+      const err = new Error(`The ${exceeded.period} ${what} budget for ${SCOPE_LABELS[exceeded.scope]} is used up; it resets at ${exceeded.resets_at}`);
+      err.name = 'BudgetExceededError';
+      err.httpStatus = 429;
+      err.budget = exceeded;
+      throw err;
+    },
+
+    /**
+     * Add usage to every scope that applies to the caller
+     * @param {{ userId?: string, ip?: string }} subject
+     * @param {{ promptTokens?: number, completionTokens?: number, usd?: number }} usage
+     */
+    async record(subject, { promptTokens = 0, completionTokens = 0, usd = 0 } = {}) {
+      const tokens = (Number(promptTokens) || 0) + (Number(completionTokens) || 0);
+      const cost = Number(usd) || 0;
+      if (tokens <= 0 && cost <= 0) return;
+      await load();
+      const usage = current();
+      for (const { key } of scopeKeys(subject)) {
+        for (const period of BUDGET_PERIODS) {
+          const used = usedOf(usage, period, key);
+          usage[period][key] = { tokens: used.tokens + tokens, usd: used.usd + cost };
+        }
+      }
+      scheduleFlush();
+    },
+
+    /**
+     * Limits, usage and what is left for the caller; `remaining` is null for unlimited budgets
+     * @param {{ userId?: string, ip?: string }} subject
+     */
+    async report(subject) {
+      await load();
+      const usage = current();
+      const scopes = {};
+      for (const { scope, key } of scopeKeys(subject)) {
+        scopes[scope] = {};
+        for (const period of BUDGET_PERIODS) {
+          const used = usedOf(usage, period, key);
+          scopes[scope][period] = {};
+          for (const unit of BUDGET_UNITS) {
+            const limit = limits[scope]?.[period]?.[unit] ?? null;
+            scopes[scope][period][unit] = { limit, used: used[unit], remaining: limit === null ? null : Math.max(0, limit - used[unit]) };
+          }
+        }
+      }
+      return { resets_at: periodResets(now()), scopes };
+    },
+
+    // Write pending counters now (used in tests)
+    async flush() {
+      if (flushTimer) {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        persist();
+      }
+      await writing;
+    }
+  };
+}
@@ -0,0 +1,338 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Storage backends for the persistent cache.
+ *
+ * The cache is a set of keyed tables (index entries, pools, groups, stats and full records). A backend
+ * implements a few primitives over those tables:
+ *   read(table, key), readAll(table), keys(table), count(table), apply(writes), close()
+ * `createCacheStorage` adds serialized transactions on top: writes made inside a transaction are buffered
+ * and applied in one go when it finishes, so concurrent requests no longer overwrite each other's updates.
+ *
+ * - json: the original `<CACHE_DIR>` layout (`exercises/index.json`, `explanations/items/*.json`, ...)
+ * - sqlite: a single `cache.sqlite` file with one row per table entry (requires better-sqlite3)
+ */
+
+export const CACHE_BACKENDS = ['json', 'sqlite'];
+
+// Index tables live in a section of an index.json file; record tables are one file per key in a directory
+export const CACHE_TABLES = {
+  explanations: { index: 'explanations', section: 'items' },
+  explanation_stats: { index: 'explanations', section: 'stats' },
+  explanation_records: { dir: 'explanations/items' },
+  base_texts: { index: 'base_texts', section: 'items' },
+  base_text_stats: { index: 'base_texts', section: 'stats' },
+  base_text_records: { dir: 'base_texts/items' },
+  exercises: { index: 'exercises', section: 'items' },
+  exercise_pools: { index: 'exercises', section: 'pools' },
+  exercise_buckets: { index: 'exercises', section: 'buckets' },
+  exercise_groups: { index: 'exercises', section: 'groups' },
+  exercise_stats: { index: 'exercises', section: 'stats' },
+  exercise_records: { dir: 'exercises/items' },
+  exercise_appeals: { index: 'exercises', section: 'appeals' },
+  images: { index: 'images', section: 'items' }
+};
+
+const JSON_INDEX_SEEDS = {
+  explanations: { items: {}, stats: {} },
+  exercises: { items: {}, pools: {}, buckets: {}, groups: {}, stats: {}, appeals: {} },
+  images: { items: {} },
+  base_texts: { items: {}, stats: {} }
+};
+
+const RECORD_KEY_RE = /^[A-Za-z0-9_-]{1,128}$/;
+
+export async function readJson(filePath, fallback = null) {
+  try {
+    const data = await fs.readFile(filePath, 'utf8');
+    return JSON.parse(data);
+  } catch {
+    return fallback;
+  }
+}
+
+export async function writeJson(filePath, data) {
+  const tempPath = `${filePath}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf8');
+  await fs.rename(tempPath, filePath);
+}
+
+function tableSpec(table) {
+  const spec = CACHE_TABLES[table];
+  if (!spec) throw new Error(`Unknown cache table: ${table}`);
+  return spec;
+}
+
+/**
+ * Backend over the original JSON directory layout
+ * @param {string} cacheDir
+ */
+export function createJsonCacheBackend(cacheDir) {
+  const indexPath = (name) => path.join(cacheDir, name, 'index.json');
+  const recordPath = (spec, key) => {
+    if (!RECORD_KEY_RE.test(String(key))) return null;
+    return path.join(cacheDir, spec.dir, `${key}.json`);
+  };
+  const readIndex = async (name) => {
+    const idx = await readJson(indexPath(name), null);
+    return idx && typeof idx === 'object' ? idx : structuredClone(JSON_INDEX_SEEDS[name]);
+  };
+
+  return {
+    kind: 'json',
+    location: cacheDir,
+
+    async init() {
+      for (const spec of Object.values(CACHE_TABLES)) {
+        if (spec.dir) await fs.mkdir(path.join(cacheDir, spec.dir), { recursive: true });
+      }
+      for (const [name, seed] of Object.entries(JSON_INDEX_SEEDS)) {
+        await fs.mkdir(path.join(cacheDir, name), { recursive: true });
+        try {
+          await fs.access(indexPath(name));
+        } catch {
+          await writeJson(indexPath(name), seed);
+        }
+      }
+    },
+
+    async read(table, key) {
+      const spec = tableSpec(table);
+      if (spec.dir) {
+        const file = recordPath(spec, key);
+        return file ? readJson(file, null) : null;
+      }
+      const idx = await readIndex(spec.index);
+      return idx[spec.section]?.[key] ?? null;
+    },
+
+    async readAll(table) {
+      const spec = tableSpec(table);
+      if (!spec.dir) {
+        const idx = await readIndex(spec.index);
+        return { ...(idx[spec.section] || {}) };
+      }
+      const out = {};
+      for (const key of await this.keys(table)) {
+        const rec = await this.read(table, key);
+        if (rec) out[key] = rec;
+      }
+      return out;
+    },
+
+    async keys(table) {
+      const spec = tableSpec(table);
+      if (!spec.dir) {
+        const idx = await readIndex(spec.index);
+        return Object.keys(idx[spec.section] || {});
+      }
+      try {
+        const files = await fs.readdir(path.join(cacheDir, spec.dir));
+        return files.filter(f => f.endsWith('.json')).map(f => f.slice(0, -5)).filter(k => RECORD_KEY_RE.test(k));
+      } catch {
+        return [];
+      }
+    },
+
+    async count(table) {
+      return (await this.keys(table)).length;
+    },
+
+    // Record files are written first so index entries never point at a record that is not there yet
+    async apply(writes) {
+      const byIndex = new Map();
+      for (const w of writes) {
+        const spec = tableSpec(w.table);
+        if (spec.dir) {
+          const file = recordPath(spec, w.key);
+          if (!file) continue;
+          if (w.value === null) {
+            try { await fs.unlink(file); } catch {}
+          } else {
+            await writeJson(file, w.value);
+          }
+        } else {
+          if (!byIndex.has(spec.index)) byIndex.set(spec.index, []);
+          byIndex.get(spec.index).push({ section: spec.section, key: w.key, value: w.value });
+        }
+      }
+      for (const [name, changes] of byIndex) {
+        const idx = await readIndex(name);
+        // LRU order is derived from lastAccessAt; drop the legacy list instead of keeping it in sync
+        delete idx.lru;
+        for (const c of changes) {
+          idx[c.section] = idx[c.section] || {};
+          if (c.value === null) delete idx[c.section][c.key];
+          else idx[c.section][c.key] = c.value;
+        }
+        await writeJson(indexPath(name), idx);
+      }
+    },
+
+    async close() {}
+  };
+}
+
+/**
+ * Backend storing every table entry as a row of a single SQLite file
+ * @param {string} file - Database path (created if missing)
+ */
+export async function createSqliteCacheBackend(file) {
+  let Database;
+  try {
+    ({ default: Database } = await import('better-sqlite3'));
+  } catch (e) {
+    throw new Error(`The sqlite cache backend requires the better-sqlite3 package: ${e?.message}`);
+  }
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(`CREATE TABLE IF NOT EXISTS cache_entries (
+    tbl TEXT NOT NULL,
+    key TEXT NOT NULL,
+    value TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    PRIMARY KEY (tbl, key)
+  ) WITHOUT ROWID`);
+
+  const selectOne = db.prepare('SELECT value FROM cache_entries WHERE tbl = ? AND key = ?');
+  const selectAll = db.prepare('SELECT key, value FROM cache_entries WHERE tbl = ?');
+  const selectKeys = db.prepare('SELECT key FROM cache_entries WHERE tbl = ?').pluck();
+  const selectCount = db.prepare('SELECT COUNT(*) FROM cache_entries WHERE tbl = ?').pluck();
+  const upsert = db.prepare(`INSERT INTO cache_entries (tbl, key, value, updated_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT (tbl, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`);
+  const remove = db.prepare('DELETE FROM cache_entries WHERE tbl = ? AND key = ?');
+  const applyAll = db.transaction((writes) => {
+    const now = new Date().toISOString();
+    for (const w of writes) {
+      if (w.value === null) remove.run(w.table, String(w.key));
+      else upsert.run(w.table, String(w.key), JSON.stringify(w.value), now);
+    }
+  });
+
+  return {
+    kind: 'sqlite',
+    location: file,
+    async init() {},
+    async read(table, key) {
+      tableSpec(table);
+      const row = selectOne.get(table, String(key));
+      return row ? JSON.parse(row.value) : null;
+    },
+    async readAll(table) {
+      tableSpec(table);
+      const out = {};
+      for (const row of selectAll.iterate(table)) out[row.key] = JSON.parse(row.value);
+      return out;
+    },
+    async keys(table) {
+      tableSpec(table);
+      return selectKeys.all(table);
+    },
+    async count(table) {
+      tableSpec(table);
+      return selectCount.get(table);
+    },
+    async apply(writes) {
+      for (const w of writes) tableSpec(w.table);
+      applyAll(writes);
+    },
+    async close() {
+      db.close();
+    }
+  };
+}
+
+/**
+ * Open a backend by name
+ * @param {'json'|'sqlite'} kind
+ * @param {string} cacheDir
+ * @param {object} [options]
+ * @param {string} [options.sqliteFile] - Defaults to `<cacheDir>/cache.sqlite`
+ */
+export async function openCacheBackend(kind, cacheDir, { sqliteFile } = {}) {
+  const name = String(kind || 'json').toLowerCase();
+  if (!CACHE_BACKENDS.includes(name)) throw new Error(`Unknown cache backend "${kind}" (expected ${CACHE_BACKENDS.join(' or ')})`);
+  const backend = name === 'sqlite'
+    ? await createSqliteCacheBackend(sqliteFile || path.join(cacheDir, 'cache.sqlite'))
+    : createJsonCacheBackend(cacheDir);
+  await backend.init();
+  return backend;
+}
+
+/**
+ * Wrap a backend with reads and serialized, buffered transactions
+ * @param {object} backend
+ * @returns {{ kind: string, location: string, get: Function, getMany: Function, all: Function, count: Function, transaction: Function, close: Function }}
+ */
+export function createCacheStorage(backend) {
+  let chain = Promise.resolve();
+  const serialize = (fn) => {
+    const run = chain.then(fn, fn);
+    chain = run.catch(() => {});
+    return run;
+  };
+  const getMany = async (read, table, keys) => {
+    const out = {};
+    for (const key of keys) {
+      const value = await read(table, key);
+      if (value !== null && value !== undefined) out[key] = value;
+    }
+    return out;
+  };
+
+  return {
+    kind: backend.kind,
+    location: backend.location,
+    get: (table, key) => backend.read(table, key),
+    getMany: (table, keys) => getMany((t, k) => backend.read(t, k), table, keys),
+    all: (table) => backend.readAll(table),
+    count: (table) => backend.count(table),
+
+    /**
+     * Run fn(tx) with exclusive write access. tx.get/getMany/all/count see the transaction's own
+     * pending writes; tx.put/tx.delete are applied atomically (sqlite) or in one pass (json) afterwards.
+     */
+    transaction(fn) {
+      return serialize(async () => {
+        const pending = new Map();
+        const id = (table, key) => `${table}\u0000${key}`;
+        const read = async (table, key) => {
+          const p = pending.get(id(table, key));
+          return p ? p.value : backend.read(table, key);
+        };
+        const tx = {
+          get: read,
+          getMany: (table, keys) => getMany(read, table, keys),
+          async all(table) {
+            const out = await backend.readAll(table);
+            for (const p of pending.values()) {
+              if (p.table !== table) continue;
+              if (p.value === null) delete out[p.key];
+              else out[p.key] = p.value;
+            }
+            return out;
+          },
+          async count(table) {
+            let n = await backend.count(table);
+            for (const p of pending.values()) {
+              if (p.table !== table) continue;
+              const exists = (await backend.read(table, p.key)) !== null;
+              if (exists && p.value === null) n--;
+              else if (!exists && p.value !== null) n++;
+            }
+            return n;
+          },
+          put(table, key, value) { pending.set(id(table, key), { table, key: String(key), value }); },
+          delete(table, key) { pending.set(id(table, key), { table, key: String(key), value: null }); }
+        };
+        const result = await fn(tx);
+        if (pending.size > 0) await backend.apply(Array.from(pending.values()));
+        return result;
+      });
+    },
+
+    close: () => backend.close()
+  };
+}
@@ -0,0 +1,275 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import { promisify } from 'node:util';
+import { listCacheEntries, makeBucketKey, makeExerciseFileName, recordIdOf, sha256Hex } from './cacheStore.js';
+
+/**
+ * Cache bundles: curated exercises, explanations and base texts plus the images they reference,
+ * packed into one gzipped JSON file so content can move between deployments.
+ *
+ * Bundle layout (version 1):
+ *   { format, version, createdAt, schemaVersions,
+ *     exercises: [{ sha, type, entry, record, group, poolKey }],
+ *     explanations: [{ key, entry, record }],
+ *     baseTexts: [{ key, entry, record }],
+ *     images: [{ filename, contentType, data (base64) }] }
+ *
+ * Local image paths are not exported; records reference images by file name and get paths under the
+ * importing deployment's images directory.
+ */
+
+export const BUNDLE_FORMAT = 'language-ai-cache-bundle';
+export const BUNDLE_VERSION = 1;
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+const IMAGE_FILENAME_RE = /^[A-Za-z0-9_-]{1,80}\.[A-Za-z0-9]{1,8}$/;
+
+const imageFilenameOf = (localPath) => {
+  const name = path.basename(String(localPath || ''));
+  return IMAGE_FILENAME_RE.test(name) ? name : null;
+};
+
+// Replace absolute image paths with file names (export) or with paths under imagesDir (import)
+function mapBaseTextImages(content, mapImage) {
+  const imgs = content?.images;
+  if (!imgs || typeof imgs !== 'object') return content;
+  const next = { ...imgs, chapters: { ...(imgs.chapters || {}) } };
+  if (imgs.cover) next.cover = mapImage(imgs.cover);
+  for (const [k, it] of Object.entries(next.chapters)) {
+    if (it) next.chapters[k] = mapImage(it);
+  }
+  return { ...content, images: next };
+}
+
+const BUNDLE_KINDS = ['exercises', 'explanations', 'base_texts'];
+
+/**
+ * Build a bundle from the cache
+ * @param {object} layout - From ensureCacheLayout
+ * @param {object} selection
+ * @param {string[]} [selection.kinds] - Subset of exercises, explanations, base_texts (default all)
+ * @param {object} [selection.filters] - Same filters as listCacheEntries (language, level, type, model, topic, pinned)
+ * @param {number} [selection.minLikes] - Only entries with at least this many more likes than dislikes
+ * @param {object} [selection.keys] - Explicit keys per kind, e.g. { exercises: [sha, ...] }; overrides filters for that kind
+ * @param {object} schemaVersions
+ * @returns {Promise<object>}
+ */
+export async function exportCacheBundle(layout, { kinds = BUNDLE_KINDS, filters = {}, minLikes = null, keys = {} } = {}, schemaVersions = {}) {
+  const { store } = layout;
+  const bundle = { format: BUNDLE_FORMAT, version: BUNDLE_VERSION, createdAt: new Date().toISOString(), schemaVersions, exercises: [], explanations: [], baseTexts: [], images: [] };
+  const imageFiles = new Set();
+  const exportImage = (img) => {
+    const filename = imageFilenameOf(img?.localPath) || (IMAGE_FILENAME_RE.test(String(img?.filename || '')) ? img.filename : null);
+    if (filename) imageFiles.add(filename);
+    const { localPath, localUrl, ...rest } = img || {};
+    return { ...rest, ...(filename ? { filename } : {}) };
+  };
+
+  const selectKeys = async (kind) => {
+    if (Array.isArray(keys?.[kind])) return keys[kind].map(String);
+    const { items } = await listCacheEntries(layout, kind, filters, { offset: 0, limit: Number.MAX_SAFE_INTEGER });
+    return items
+      .filter(r => minLikes === null || r.likes - r.dislikes >= Number(minLikes))
+      .map(r => r.key);
+  };
+
+  if (kinds.includes('exercises')) {
+    const groups = new Map();
+    for (const sha of await selectKeys('exercises')) {
+      const entry = await store.get('exercises', sha);
+      const record = entry ? await store.get('exercise_records', sha) : null;
+      if (!record) continue;
+      const { localImagePath, localImageUrl, ...rest } = record;
+      const image = imageFilenameOf(localImagePath);
+      if (image) imageFiles.add(image);
+      if (entry.groupId && !groups.has(entry.groupId)) groups.set(entry.groupId, await store.get('exercise_groups', entry.groupId));
+      const group = entry.groupId ? groups.get(entry.groupId) : null;
+      bundle.exercises.push({
+        sha,
+        type: entry.type || record.type,
+        entry: { ...entry, pinned: undefined },
+        record: { ...rest, ...(image ? { image } : {}) },
+        group: group ? { id: entry.groupId, likes: group.likes || 0, dislikes: group.dislikes || 0, createdAt: group.createdAt, meta: group.meta, order: (group.itemShas || []).indexOf(sha) } : null,
+        poolKey: group?.poolKey || null
+      });
+    }
+  }
+
+  for (const [kind, entriesTable, recordsTable, out] of [
+    ['explanations', 'explanations', 'explanation_records', bundle.explanations],
+    ['base_texts', 'base_texts', 'base_text_records', bundle.baseTexts]
+  ]) {
+    if (!kinds.includes(kind)) continue;
+    for (const key of await selectKeys(kind)) {
+      const entry = await store.get(entriesTable, key);
+      const record = entry ? await store.get(recordsTable, recordIdOf(entry)) : null;
+      if (!record) continue;
+      const exported = kind === 'base_texts' ? { ...record, content: mapBaseTextImages(record.content, exportImage) } : record;
+      out.push({ key, entry: { ...entry, pinned: undefined }, record: exported });
+    }
+  }
+
+  const imageEntries = await store.all('images');
+  const contentTypes = new Map(Object.values(imageEntries).map(e => [e?.filename, e?.contentType || null]));
+  for (const filename of imageFiles) {
+    try {
+      const data = await fs.readFile(path.join(layout.imagesDir, filename));
+      bundle.images.push({ filename, contentType: contentTypes.get(filename) || null, data: data.toString('base64') });
+    } catch {}
+  }
+  return bundle;
+}
+
+// Throws when the value is not a bundle this version can read
+export function assertCacheBundle(bundle) {
+  if (!bundle || bundle.format !== BUNDLE_FORMAT) throw new Error('Not a cache bundle');
+  if (!(Number(bundle.version) >= 1 && Number(bundle.version) <= BUNDLE_VERSION)) throw new Error(`Unsupported bundle version ${bundle.version}`);
+}
+
+/**
+ * Add bundle content that is missing from the cache.
+ * Entries whose schema version differs from the current `schemaVersions` are skipped, as are exercises whose
+ * exerciseSha is already cached and explanations/base texts whose key (or base text id) already exists.
+ * @param {object} layout
+ * @param {object} bundle
+ * @param {object} schemaVersions
+ * @returns {Promise<{ exercises: object, explanations: object, baseTexts: object, images: object }>} Counts per section
+ */
+export async function importCacheBundle(layout, bundle, schemaVersions = {}) {
+  assertCacheBundle(bundle);
+  const summary = {
+    exercises: { imported: 0, duplicate: 0, outdated: 0 },
+    explanations: { imported: 0, duplicate: 0, outdated: 0 },
+    baseTexts: { imported: 0, duplicate: 0, outdated: 0 },
+    images: { written: 0, existing: 0 }
+  };
+  const wantedVersion = (name) => Number(schemaVersions[name] || 1);
+  const imagesPublicBase = '/cache/images';
+  // Paths from the bundle are never kept: eviction unlinks `localPath`, so only names we validated end up there
+  const importImage = (img) => {
+    const { localPath, localUrl, ...rest } = img || {};
+    const filename = IMAGE_FILENAME_RE.test(String(rest.filename || '')) ? rest.filename : null;
+    if (!filename) return { ...rest, filename: undefined };
+    return { ...rest, localPath: path.join(layout.imagesDir, filename), localUrl: `${imagesPublicBase}/${filename}` };
+  };
+  const usedImages = new Set();
+
+  await layout.store.transaction(async (tx) => {
+    const now = new Date().toISOString();
+
+    // Exercises keep their group order so grouped selection still serves sets together
+    const exercises = (Array.isArray(bundle.exercises) ? bundle.exercises : [])
+      .slice()
+      .sort((a, b) => (a.group?.order ?? 0) - (b.group?.order ?? 0));
+    for (const ex of exercises) {
+      const sha = String(ex?.sha || '');
+      const meta = ex?.record?.meta || ex?.entry?.meta || {};
+      const type = String(ex?.type || ex?.record?.type || '');
+      if (!/^[a-f0-9]{64}$/.test(sha) || !type || !ex.record?.content) continue;
+      if (Number(meta.schemaVersion || 0) !== wantedVersion(type)) { summary.exercises.outdated++; continue; }
+      if (await tx.get('exercises', sha)) { summary.exercises.duplicate++; continue; }
+      const { image, localImagePath, localImageUrl, ...rest } = ex.record;
+      const imageName = IMAGE_FILENAME_RE.test(String(image || '')) ? image : null;
+      if (imageName) usedImages.add(imageName);
+      const groupId = /^[a-f0-9]{8,32}$/.test(String(ex.group?.id || '')) ? ex.group.id : sha256Hex(`import:${sha}`).slice(0, 16);
+      tx.put('exercise_records', sha, {
+        ...rest,
+        exerciseSha: sha,
+        type,
+        meta,
+        groupId,
+        ...(imageName ? { localImagePath: path.join(layout.imagesDir, imageName), localImageUrl: `${imagesPublicBase}/${imageName}` } : {})
+      });
+      tx.put('exercises', sha, {
+        file: makeExerciseFileName(sha),
+        type,
+        createdAt: ex.entry?.createdAt || now,
+        lastAccessAt: now,
+        hits: 0,
+        likes: Number(ex.entry?.likes || 0),
+        dislikes: Number(ex.entry?.dislikes || 0),
+        meta,
+        groupId
+      });
+      const poolKey = typeof ex.poolKey === 'string' && ex.poolKey ? ex.poolKey : null;
+      if (poolKey) {
+        const pool = (await tx.get('exercise_pools', poolKey)) || [];
+        if (!pool.includes(sha)) tx.put('exercise_pools', poolKey, [...pool, sha]);
+      }
+      const bucketKey = makeBucketKey({ type, language: meta.language, level: meta.level, challengeMode: meta.challengeMode, grammarTopic: meta.grammarTopic });
+      const bucket = (await tx.get('exercise_buckets', bucketKey)) || [];
+      if (!bucket.includes(sha)) tx.put('exercise_buckets', bucketKey, [...bucket, sha]);
+      const group = (await tx.get('exercise_groups', groupId)) || {
+        type,
+        poolKey,
+        meta: ex.group?.meta || meta,
+        itemShas: [],
+        createdAt: ex.group?.createdAt || now,
+        likes: Number(ex.group?.likes || 0),
+        dislikes: Number(ex.group?.dislikes || 0)
+      };
+      if (!group.itemShas.includes(sha)) tx.put('exercise_groups', groupId, { ...group, itemShas: [...group.itemShas, sha] });
+      summary.exercises.imported++;
+    }
+
+    const explanations = Array.isArray(bundle.explanations) ? bundle.explanations : [];
+    for (const item of explanations) {
+      const key = String(item?.key || '');
+      if (!key.startsWith('exp:') || !item.record?.content) continue;
+      const meta = item.record.meta || item.entry?.meta || {};
+      if (Number(meta.schemaVersion || 0) !== wantedVersion('explanation')) { summary.explanations.outdated++; continue; }
+      if (await tx.get('explanations', key)) { summary.explanations.duplicate++; continue; }
+      const recordId = sha256Hex(key).slice(0, 16);
+      tx.put('explanation_records', recordId, { ...item.record, key, meta });
+      tx.put('explanations', key, { file: `${recordId}.json`, createdAt: item.entry?.createdAt || now, lastAccessAt: now, hits: 0, likes: Number(item.entry?.likes || 0), dislikes: Number(item.entry?.dislikes || 0), meta });
+      summary.explanations.imported++;
+    }
+
+    const baseTexts = Array.isArray(bundle.baseTexts) ? bundle.baseTexts : [];
+    const existingBaseIds = new Set(Object.values(await tx.all('base_texts')).map(e => e?.meta?.baseTextId).filter(Boolean));
+    for (const item of baseTexts) {
+      const key = String(item?.key || '');
+      if (!key || !item.record?.content) continue;
+      const meta = item.record.meta || item.entry?.meta || {};
+      if (Number(meta.schemaVersion || 0) !== wantedVersion('base_text')) { summary.baseTexts.outdated++; continue; }
+      if ((await tx.get('base_texts', key)) || (meta.baseTextId && existingBaseIds.has(meta.baseTextId))) { summary.baseTexts.duplicate++; continue; }
+      const content = mapBaseTextImages(item.record.content, (img) => {
+        const mapped = importImage(img);
+        if (mapped?.filename) usedImages.add(mapped.filename);
+        return mapped;
+      });
+      const recordId = sha256Hex(key).slice(0, 16);
+      tx.put('base_text_records', recordId, { ...item.record, key, meta, content });
+      tx.put('base_texts', key, { file: `${recordId}.json`, createdAt: item.entry?.createdAt || now, lastAccessAt: now, hits: 0, likes: Number(item.entry?.likes || 0), dislikes: Number(item.entry?.dislikes || 0), meta });
+      if (meta.baseTextId) existingBaseIds.add(meta.baseTextId);
+      summary.baseTexts.imported++;
+    }
+
+    // Only images referenced by imported entries are written; existing files are kept
+    for (const img of Array.isArray(bundle.images) ? bundle.images : []) {
+      const filename = String(img?.filename || '');
+      if (!IMAGE_FILENAME_RE.test(filename) || !usedImages.has(filename) || typeof img.data !== 'string') continue;
+      const dest = path.join(layout.imagesDir, filename);
+      try {
+        await fs.access(dest);
+        summary.images.existing++;
+        continue;
+      } catch {}
+      await fs.writeFile(dest, Buffer.from(img.data, 'base64'));
+      tx.put('images', filename.replace(/\.[^.]+$/, ''), { path: dest, filename, contentType: img.contentType || null, createdAt: now });
+      summary.images.written++;
+    }
+  });
+  return summary;
+}
+
+export async function encodeCacheBundle(bundle) {
+  return gzip(Buffer.from(JSON.stringify(bundle), 'utf8'));
+}
+
+export async function decodeCacheBundle(buf) {
+  const raw = buf[0] === 0x1f && buf[1] === 0x8b ? await gunzip(buf) : buf;
+  return JSON.parse(raw.toString('utf8'));
+}
@@ -0,0 +1,70 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import dotenv from 'dotenv';
+import { ensureCacheLayout, getCacheDir } from './cacheStore.js';
+import { exportCacheBundle, importCacheBundle, encodeCacheBundle, decodeCacheBundle } from './cacheBundle.js';
+import { schemaVersions } from '../shared/schemaVersions.js';
+
+/**
+ * Export or import cache bundles from the command line (uses CACHE_DIR / CACHE_BACKEND like the server).
+ *
+ *   node server/cacheBundleCli.js export --out <file.json.gz> [--kinds exercises,explanations,base_texts]
+ *        [--language <name>] [--level <A1..C2>] [--type <exercise type>] [--model <id>] [--topic <text>]
+ *        [--pinned] [--min-likes <n>]
+ *   node server/cacheBundleCli.js import <file.json.gz>
+ *
+ * Importing while the server runs with the json backend can lose concurrent index updates; stop it first.
+ */
+
+dotenv.config();
+
+const FILTER_ARGS = { '--language': 'language', '--level': 'level', '--type': 'type', '--model': 'model', '--topic': 'topic' };
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const args = { command, filters: {}, kinds: null, minLikes: null, out: null, file: null };
+  for (let i = 0; i < rest.length; i++) {
+    const a = rest[i];
+    if (a === '--out') args.out = rest[++i];
+    else if (a === '--kinds') args.kinds = String(rest[++i] || '').split(',').map(s => s.trim()).filter(Boolean);
+    else if (a === '--pinned') args.filters.pinned = true;
+    else if (a === '--min-likes') args.minLikes = Number(rest[++i]);
+    else if (FILTER_ARGS[a]) args.filters[FILTER_ARGS[a]] = rest[++i];
+    else if (!a.startsWith('--') && !args.file) args.file = a;
+    else throw new Error(`Unknown argument: ${a}`);
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!['export', 'import'].includes(args.command)) {
+    throw new Error('Usage: cacheBundleCli.js export --out <file> [filters] | import <file>');
+  }
+  const cacheDir = getCacheDir(process.env.CACHE_DIR, path.resolve(process.cwd(), '.cache'));
+  const layout = await ensureCacheLayout(cacheDir, { backend: process.env.CACHE_BACKEND || 'json', sqliteFile: process.env.CACHE_SQLITE_PATH || undefined });
+  try {
+    if (args.command === 'export') {
+      if (!args.out) throw new Error('--out <file> is required');
+      const selection = { filters: args.filters, minLikes: Number.isFinite(args.minLikes) ? args.minLikes : null };
+      if (args.kinds) selection.kinds = args.kinds;
+      const bundle = await exportCacheBundle(layout, selection, schemaVersions);
+      await fs.writeFile(path.resolve(args.out), await encodeCacheBundle(bundle));
+      console.log(`[BUNDLE] Wrote ${args.out}: ${bundle.exercises.length} exercises, ${bundle.explanations.length} explanations, ${bundle.baseTexts.length} base texts, ${bundle.images.length} images`);
+    } else {
+      if (!args.file) throw new Error('Bundle file is required');
+      const bundle = await decodeCacheBundle(await fs.readFile(path.resolve(args.file)));
+      const summary = await importCacheBundle(layout, bundle, schemaVersions);
+      for (const [section, counts] of Object.entries(summary)) {
+        console.log(`[BUNDLE] ${section}: ${Object.entries(counts).map(([k, v]) => `${v} ${k}`).join(', ')}`);
+      }
+    }
+  } finally {
+    await layout.store.close();
+  }
+}
+
+main().catch((e) => {
+  console.error('[BUNDLE] Failed:', e?.message || e);
+  process.exitCode = 1;
+});
@@ -1,13 +1,24 @@
 import fs from 'node:fs/promises';
 import path from 'node:path';
 import crypto from 'node:crypto';
+import { openCacheBackend, createCacheStorage, readJson, writeJson } from './cacheBackends.js';
+
+export { readJson, writeJson };
 
 export function getCacheDir(envCacheDir, fallbackDir) {
   const dir = envCacheDir && String(envCacheDir).trim() ? envCacheDir : fallbackDir;
   return dir || '/data';
 }
 
-export async function ensureCacheLayout(cacheDir) {
+/**
+ * Create the cache directories and open the storage backend.
+ * Images stay on disk under `<cacheDir>/images` for every backend; indexes and records go to the backend.
+ * @param {string} cacheDir
+ * @param {object} [options]
+ * @param {'json'|'sqlite'} [options.backend] - Defaults to json (the original file layout)
+ * @param {string} [options.sqliteFile] - SQLite database path (default `<cacheDir>/cache.sqlite`)
+ */
+export async function ensureCacheLayout(cacheDir, { backend = 'json', sqliteFile } = {}) {
   const explanationsDir = path.join(cacheDir, 'explanations');
   const explanationItemsDir = path.join(explanationsDir, 'items');
   const exercisesDir = path.join(cacheDir, 'exercises');
@@ -16,48 +27,16 @@ export async function ensureCacheLayout(cacheDir) {
   const baseTextsDir = path.join(cacheDir, 'base_texts');
   const baseTextItemsDir = path.join(baseTextsDir, 'items');
   await fs.mkdir(cacheDir, { recursive: true });
-  await fs.mkdir(explanationsDir, { recursive: true });
-  await fs.mkdir(exerciseItemsDir, { recursive: true });
-  await fs.mkdir(explanationItemsDir, { recursive: true });
   await fs.mkdir(imagesDir, { recursive: true });
-  await fs.mkdir(baseTextsDir, { recursive: true });
-  await fs.mkdir(baseTextItemsDir, { recursive: true });
-  // Seed empty indexes if missing
-  await seedIndexIfMissing(path.join(explanationsDir, 'index.json'), { items: {}, stats: {} });
-  await seedIndexIfMissing(path.join(exercisesDir, 'index.json'), { items: {}, pools: {}, buckets: {}, groups: {}, stats: {} });
-  await seedIndexIfMissing(path.join(imagesDir, 'index.json'), { items: {} });
-  await seedIndexIfMissing(path.join(baseTextsDir, 'index.json'), { items: {}, lru: [], stats: {} });
-  return { explanationsDir, explanationItemsDir, exercisesDir, exerciseItemsDir, imagesDir, baseTextsDir, baseTextItemsDir };
-}
-
-async function seedIndexIfMissing(indexPath, initial) {
-  try {
-    await fs.access(indexPath);
-  } catch {
-    await fs.writeFile(indexPath, JSON.stringify(initial, null, 2), 'utf8');
-  }
+  const store = createCacheStorage(await openCacheBackend(backend, cacheDir, { sqliteFile }));
+  return { explanationsDir, explanationItemsDir, exercisesDir, exerciseItemsDir, imagesDir, baseTextsDir, baseTextItemsDir, store };
 }
 
 export function sha256Hex(input) {
   return crypto.createHash('sha256').update(input).digest('hex');
 }
 
-export async function readJson(filePath, fallback = null) {
-  try {
-    const data = await fs.readFile(filePath, 'utf8');
-    return JSON.parse(data);
-  } catch {
-    return fallback;
-  }
-}
-
-export async function writeJson(filePath, data) {
-  const tempPath = `${filePath}.tmp`;
-  await fs.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf8');
-  await fs.rename(tempPath, filePath);
-}
-
-export async function downloadImageToCache({ imagesDir, exerciseSha, url, fetchImpl, publicBase = '/cache/images' }) {
+export async function downloadImageToCache({ imagesDir, store, exerciseSha, url, fetchImpl, publicBase = '/cache/images' }) {
   if (!exerciseSha || !url) throw new Error('exerciseSha and url are required');
   const res = await fetchImpl(url);
   if (!res.ok) {
@@ -70,10 +49,9 @@ export async function downloadImageToCache({ imagesDir, exerciseSha, url, fetchI
   const destPath = path.join(imagesDir, filename);
   const buf = Buffer.from(await res.arrayBuffer());
   await fs.writeFile(destPath, buf);
-  const indexPath = path.join(imagesDir, 'index.json');
-  const idx = (await readJson(indexPath)) || { items: {} };
-  idx.items[exerciseSha] = { path: destPath, filename, contentType: contentType || null, createdAt: new Date().toISOString() };
-  await writeJson(indexPath, idx);
+  await store.transaction(async (tx) => {
+    tx.put('images', exerciseSha, { path: destPath, filename, contentType: contentType || null, createdAt: new Date().toISOString() });
+  });
   const localUrl = `${publicBase.replace(/\/$/, '')}/${filename}`;
   return { localPath: destPath, filename, ext, contentType, localUrl };
 }
@@ -91,48 +69,50 @@ function guessExtension(url, contentType) {
   return byUrl || byType || '';
 }
 
-// -----------------------------
-// Explanations persistent cache
-// -----------------------------
+// Record id for an index entry: the file name in the JSON layout without its extension
+export function recordIdOf(entry) {
+  return String(entry?.file || '').replace(/\.json$/, '');
+}
 
-export async function getExplanation(layout, cacheKey) {
-  const indexPath = path.join(layout.explanationsDir, 'index.json');
-  const idx = (await readJson(indexPath)) || { items: {}, lru: [] };
-  const entry = idx.items?.[cacheKey];
+function lruOrder(entries) {
+  return Object.entries(entries)
+    .map(([key, e]) => ({ key, ts: Date.parse(e?.lastAccessAt || 0) || 0 }))
+    .sort((a, b) => a.ts - b.ts)
+    .map(e => e.key);
+}
+
+// Shared by explanations and base texts: entry + record keyed by cache key, hit stats, LRU pruning
+const KEYED_CACHES = {
+  explanation: { entries: 'explanations', records: 'explanation_records', stats: 'explanation_stats', statTopic: (m) => m.grammarConcept },
+  baseText: { entries: 'base_texts', records: 'base_text_records', stats: 'base_text_stats', statTopic: (m) => m.topic }
+};
+
+async function getKeyedRecord(layout, cache, cacheKey) {
+  const { store } = layout;
+  const entry = await store.get(cache.entries, cacheKey);
   if (!entry) return null;
-  try {
-    const filePath = path.join(layout.explanationsDir, 'items', entry.file);
-    const data = await readJson(filePath);
-    // Touch LRU and stats
-    entry.hits = (entry.hits || 0) + 1;
-    entry.lastAccessAt = new Date().toISOString();
-    idx.lru = (idx.lru || []).filter(k => k !== cacheKey);
-    idx.lru.push(cacheKey);
-    // Increment stats by meta key
-    try {
-      const m = entry.meta || {};
-      const statKey = `${m.language || 'unknown'}|${m.level || 'unknown'}|${m.challengeMode ? '1' : '0'}|${m.grammarConcept || 'unknown'}`;
-      idx.stats = idx.stats || {};
-      const s = idx.stats[statKey] || { hits: 0, generations: 0 };
-      s.hits = (s.hits || 0) + 1;
-      idx.stats[statKey] = s;
-    } catch {}
-    await writeJson(indexPath, idx);
-    return data;
-  } catch {
-    // If the file is missing, clean up the index
-    delete idx.items[cacheKey];
-    idx.lru = (idx.lru || []).filter(k => k !== cacheKey);
-    await writeJson(indexPath, idx);
+  const data = await store.get(cache.records, recordIdOf(entry));
+  if (!data) {
+    // If the record is missing, clean up the index
+    await store.transaction(async (tx) => { tx.delete(cache.entries, cacheKey); });
     return null;
   }
+  // Touch LRU and stats
+  await store.transaction(async (tx) => {
+    const current = await tx.get(cache.entries, cacheKey);
+    if (!current) return;
+    tx.put(cache.entries, cacheKey, { ...current, hits: (current.hits || 0) + 1, lastAccessAt: new Date().toISOString() });
+    // Increment stats by meta key
+    const m = current.meta || {};
+    const statKey = `${m.language || 'unknown'}|${m.level || 'unknown'}|${m.challengeMode ? '1' : '0'}|${cache.statTopic(m) || 'unknown'}`;
+    const s = (await tx.get(cache.stats, statKey)) || { hits: 0, generations: 0 };
+    tx.put(cache.stats, statKey, { ...s, hits: (s.hits || 0) + 1 });
+  });
+  return data;
 }
 
-export async function setExplanation(layout, cacheKey, meta, content, maxCapacity = 1000) {
-  const indexPath = path.join(layout.explanationsDir, 'index.json');
-  const idx = (await readJson(indexPath)) || { items: {}, lru: [] };
-  const fileBase = sha256Hex(cacheKey).slice(0, 16) + '.json';
-  const filePath = path.join(layout.explanationsDir, 'items', fileBase);
+async function setKeyedRecord(layout, cache, cacheKey, meta, content, maxCapacity) {
+  const recordId = sha256Hex(cacheKey).slice(0, 16);
   const now = new Date().toISOString();
   const record = {
     key: cacheKey,
@@ -144,20 +124,33 @@ export async function setExplanation(layout, cacheKey, meta, content, maxCapacit
     likes: 0,
     dislikes: 0
   };
-  await writeJson(filePath, record);
-  idx.items[cacheKey] = { file: fileBase, createdAt: now, lastAccessAt: now, hits: 0, likes: 0, dislikes: 0, meta };
-  idx.lru = (idx.lru || []).filter(k => k !== cacheKey);
-  idx.lru.push(cacheKey);
-  // Prune LRU if over capacity
-  while ((idx.lru || []).length > maxCapacity) {
-    const oldKey = idx.lru.shift();
-    if (oldKey && idx.items[oldKey]) {
-      const oldFile = idx.items[oldKey].file;
-      delete idx.items[oldKey];
-      try { await fs.unlink(path.join(layout.explanationsDir, 'items', oldFile)); } catch {}
+  await layout.store.transaction(async (tx) => {
+    tx.put(cache.records, recordId, record);
+    tx.put(cache.entries, cacheKey, { file: `${recordId}.json`, createdAt: now, lastAccessAt: now, hits: 0, likes: 0, dislikes: 0, meta });
+    // Prune least recently used entries if over capacity (pinned entries are kept)
+    if ((await tx.count(cache.entries)) > maxCapacity) {
+      const entries = await tx.all(cache.entries);
+      const order = lruOrder(entries).filter(k => k !== cacheKey && !entries[k]?.pinned);
+      let excess = Object.keys(entries).length - maxCapacity;
+      for (const oldKey of order) {
+        if (excess-- <= 0) break;
+        tx.delete(cache.entries, oldKey);
+        tx.delete(cache.records, recordIdOf(entries[oldKey]));
+      }
     }
-  }
-  await writeJson(indexPath, idx);
+  });
+}
+
+// -----------------------------
+// Explanations persistent cache
+// -----------------------------
+
+export async function getExplanation(layout, cacheKey) {
+  return getKeyedRecord(layout, KEYED_CACHES.explanation, cacheKey);
+}
+
+export async function setExplanation(layout, cacheKey, meta, content, maxCapacity = 1000) {
+  await setKeyedRecord(layout, KEYED_CACHES.explanation, cacheKey, meta, content, maxCapacity);
 }
 
 // -----------------------------
@@ -165,110 +158,56 @@ export async function setExplanation(layout, cacheKey, meta, content, maxCapacit
 // -----------------------------
 
 export async function getBaseText(layout, cacheKey) {
-  const indexPath = path.join(layout.baseTextsDir, 'index.json');
-  const idx = (await readJson(indexPath)) || { items: {}, lru: [] };
-  const entry = idx.items?.[cacheKey];
-  if (!entry) return null;
-  try {
-    const filePath = path.join(layout.baseTextItemsDir, entry.file);
-    const data = await readJson(filePath);
-    // Touch LRU and stats
-    entry.hits = (entry.hits || 0) + 1;
-    entry.lastAccessAt = new Date().toISOString();
-    idx.lru = (idx.lru || []).filter(k => k !== cacheKey);
-    idx.lru.push(cacheKey);
-    // Increment stats by meta key
-    try {
-      const m = entry.meta || {};
-      const statKey = `${m.language || 'unknown'}|${m.level || 'unknown'}|${m.challengeMode ? '1' : '0'}|${m.topic || 'unknown'}`;
-      idx.stats = idx.stats || {};
-      const s = idx.stats[statKey] || { hits: 0, generations: 0 };
-      s.hits = (s.hits || 0) + 1;
-      idx.stats[statKey] = s;
-    } catch {}
-    await writeJson(indexPath, idx);
-    return data;
-  } catch {
-    // If the file is missing, clean up the index
-    const indexPath = path.join(layout.baseTextsDir, 'index.json');
-    const idx = (await readJson(indexPath)) || { items: {}, lru: [] };
-    delete idx.items[cacheKey];
-    idx.lru = (idx.lru || []).filter(k => k !== cacheKey);
-    await writeJson(indexPath, idx);
-    return null;
-  }
+  return getKeyedRecord(layout, KEYED_CACHES.baseText, cacheKey);
 }
 
 export async function setBaseText(layout, cacheKey, meta, content, maxCapacity = 500) {
-  const indexPath = path.join(layout.baseTextsDir, 'index.json');
-  const idx = (await readJson(indexPath)) || { items: {}, lru: [] };
-  const fileBase = sha256Hex(cacheKey).slice(0, 16) + '.json';
-  const filePath = path.join(layout.baseTextItemsDir, fileBase);
-  const now = new Date().toISOString();
-  const record = {
-    key: cacheKey,
-    meta,
-    content,
-    createdAt: now,
-    lastAccessAt: now,
-    hits: 0,
-    likes: 0,
-    dislikes: 0
-  };
-  await writeJson(filePath, record);
-  idx.items[cacheKey] = { file: fileBase, createdAt: now, lastAccessAt: now, hits: 0, likes: 0, dislikes: 0, meta };
-  idx.lru = (idx.lru || []).filter(k => k !== cacheKey);
-  idx.lru.push(cacheKey);
-  // Prune LRU if over capacity
-  while ((idx.lru || []).length > maxCapacity) {
-    const oldKey = idx.lru.shift();
-    if (oldKey && idx.items[oldKey]) {
-      const oldFile = idx.items[oldKey].file;
-      delete idx.items[oldKey];
-      try { await fs.unlink(path.join(layout.baseTextItemsDir, oldFile)); } catch {}
-    }
-  }
-  await writeJson(indexPath, idx);
+  await setKeyedRecord(layout, KEYED_CACHES.baseText, cacheKey, meta, content, maxCapacity);
 }
 
+// Read-only snapshot of the base texts index
 export async function loadBaseTextsIndex(layout) {
-  const indexPath = path.join(layout.baseTextsDir, 'index.json');
-  const idx = (await readJson(indexPath)) || { items: {}, lru: [], stats: {} };
-  idx.items = idx.items || {};
-  idx.lru = idx.lru || [];
-  idx.stats = idx.stats || {};
-  return idx;
+  const items = await layout.store.all('base_texts');
+  const stats = await layout.store.all('base_text_stats');
+  return { items, stats };
+}
+
+/**
+ * All stored base text records
+ * @returns {Promise<Array<{ recordId: string, record: object }>>}
+ */
+export async function listBaseTextRecords(layout) {
+  const all = await layout.store.all('base_text_records');
+  return Object.entries(all).map(([recordId, record]) => ({ recordId, record }));
+}
+
+// Point an index entry at an existing record (used when the index lost track of it)
+export async function restoreBaseTextEntry(layout, cacheKey, recordId, rec) {
+  const now = new Date().toISOString();
+  await layout.store.transaction(async (tx) => {
+    tx.put('base_texts', cacheKey, { file: `${recordId}.json`, createdAt: rec?.createdAt || now, lastAccessAt: now, hits: Number(rec?.hits || 0), likes: Number(rec?.likes || 0), dislikes: Number(rec?.dislikes || 0), meta: rec?.meta || {} });
+  });
 }
 
-// Scan base_texts/items and rebuild index.json (idempotent)
+// Scan base text records and rebuild their index entries (idempotent)
 export async function rebuildBaseTextsIndex(layout) {
-  const indexPath = path.join(layout.baseTextsDir, 'index.json');
-  const idx = (await readJson(indexPath)) || { items: {}, lru: [], stats: {} };
-  idx.items = idx.items || {};
-  idx.lru = idx.lru || [];
   try {
-    const files = await fs.readdir(layout.baseTextItemsDir);
+    const records = await listBaseTextRecords(layout);
     const now = new Date().toISOString();
-    for (const f of files) {
-      if (!f.endsWith('.json')) continue;
-      try {
-        const recPath = path.join(layout.baseTextItemsDir, f);
-        const rec = await readJson(recPath, null);
-        if (!rec) continue;
-        const cacheKey = rec.key || `base:${rec?.content?.id || f.replace(/\.json$/, '')}`;
-        idx.items[cacheKey] = {
-          file: f,
+    await layout.store.transaction(async (tx) => {
+      for (const { recordId, record: rec } of records) {
+        const cacheKey = rec.key || `base:${rec?.content?.id || recordId}`;
+        tx.put('base_texts', cacheKey, {
+          file: `${recordId}.json`,
           createdAt: rec.createdAt || now,
           lastAccessAt: rec.lastAccessAt || now,
           hits: Number(rec.hits || 0),
           likes: Number(rec.likes || 0),
           dislikes: Number(rec.dislikes || 0),
           meta: rec.meta || {}
-        };
-        idx.lru = idx.lru.filter(k => k !== cacheKey).concat(cacheKey);
-      } catch {}
-    }
-    await writeJson(indexPath, idx);
+        });
+      }
+    });
     return true;
   } catch {
     return false;
@@ -276,40 +215,32 @@ export async function rebuildBaseTextsIndex(layout) {
 }
 // Update a base text record by cache key
 export async function updateBaseTextRecord(layout, cacheKey, updater) {
-  const indexPath = path.join(layout.baseTextsDir, 'index.json');
-  const idx = (await readJson(indexPath)) || { items: {}, lru: [] };
-  const entry = idx.items?.[cacheKey];
-  if (!entry) return false;
-  const filePath = path.join(layout.baseTextItemsDir, entry.file);
-  const rec = await readJson(filePath, null);
-  if (!rec) return false;
-  const updated = typeof updater === 'function' ? updater(rec) : rec;
-  await writeJson(filePath, updated);
-  return true;
+  return layout.store.transaction(async (tx) => {
+    const entry = await tx.get('base_texts', cacheKey);
+    if (!entry) return false;
+    const recordId = recordIdOf(entry);
+    const rec = await tx.get('base_text_records', recordId);
+    if (!rec) return false;
+    const updated = typeof updater === 'function' ? updater(rec) : rec;
+    tx.put('base_text_records', recordId, updated);
+    return true;
+  });
 }
 
 // -----------------------------
 // Exercises persistent cache
 // -----------------------------
 
-function buildExercisesIndexDefaults() {
-  return { items: {}, pools: {}, buckets: {}, groups: {}, lru: [] };
-}
-
+// Read-only snapshot of the whole exercises index (prefer the targeted helpers below on hot paths)
 export async function loadExercisesIndex(layout) {
-  const indexPath = path.join(layout.exercisesDir, 'index.json');
-  const idx = (await readJson(indexPath)) || buildExercisesIndexDefaults();
-  idx.items = idx.items || {};
-  idx.pools = idx.pools || {};
-  idx.buckets = idx.buckets || {};
-  idx.groups = idx.groups || {};
-  idx.lru = idx.lru || [];
-  return idx;
-}
-
-export async function saveExercisesIndex(layout, idx) {
-  const indexPath = path.join(layout.exercisesDir, 'index.json');
-  await writeJson(indexPath, idx);
+  const { store } = layout;
+  return {
+    items: await store.all('exercises'),
+    pools: await store.all('exercise_pools'),
+    buckets: await store.all('exercise_buckets'),
+    groups: await store.all('exercise_groups'),
+    stats: await store.all('exercise_stats')
+  };
 }
 
 export function makeBucketKey({ type, language, level, challengeMode, grammarTopic }) {
@@ -321,9 +252,7 @@ export function makeExerciseFileName(exerciseSha) {
 }
 
 export async function readExerciseItem(layout, exerciseSha) {
-  const file = makeExerciseFileName(exerciseSha);
-  const filePath = path.join(layout.exerciseItemsDir, file);
-  return await readJson(filePath, null);
+  return layout.store.get('exercise_records', exerciseSha);
 }
 
 function computeWeightFromCounts(likes, dislikes) {
@@ -377,21 +306,33 @@ export function pickUnseenWeighted(shas, seenSet, idx, count, currentModel) {
   return chosen;
 }
 
-export async function selectUnseenFromPool(layout, poolKey, seenSet, count) {
-  const idx = await loadExercisesIndex(layout);
-  const poolList = idx.pools[poolKey] || [];
-  const chosen = pickUnseenWeighted(poolList, seenSet, idx, count);
+// Index entries and groups for a candidate list, enough for the weighting helpers
+async function loadCandidateIndex(layout, shas) {
+  const items = await layout.store.getMany('exercises', shas);
+  const groupIds = new Set(Object.values(items).map(it => it?.groupId).filter(Boolean));
+  const groups = await layout.store.getMany('exercise_groups', Array.from(groupIds));
+  return { items, groups };
+}
+
+async function readChosenItems(layout, chosen) {
   const items = [];
   for (const sha of chosen) {
     const rec = await readExerciseItem(layout, sha);
     if (rec && rec.content) items.push(rec);
   }
-  return { items, shas: chosen };
+  return items;
+}
+
+export async function selectUnseenFromPool(layout, poolKey, seenSet, count) {
+  const poolList = (await layout.store.get('exercise_pools', poolKey)) || [];
+  const idx = await loadCandidateIndex(layout, poolList);
+  const chosen = pickUnseenWeighted(poolList, seenSet, idx, count);
+  return { items: await readChosenItems(layout, chosen), shas: chosen };
 }
 
 export async function selectUnseenFromPoolGrouped(layout, poolKey, seenSet, count, currentModel) {
-  const idx = await loadExercisesIndex(layout);
-  const poolList = idx.pools[poolKey] || [];
+  const poolList = (await layout.store.get('exercise_pools', poolKey)) || [];
+  const idx = await loadCandidateIndex(layout, poolList);
   const poolSet = new Set(poolList);
   // Build groups with unseen items in group order
   const groups = [];
@@ -433,17 +374,12 @@ export async function selectUnseenFromPoolGrouped(layout, poolKey, seenSet, coun
     }
   }
 
-  const items = [];
-  for (const sha of chosen) {
-    const rec = await readExerciseItem(layout, sha);
-    if (rec && rec.content) items.push(rec);
-  }
-  return { items, shas: chosen };
+  return { items: await readChosenItems(layout, chosen), shas: chosen };
 }
 
-function collectPoolFamilyShas(idx, family) {
+function collectPoolFamilyShas(pools, family) {
   const { type, language, level, challengeMode, schemaVersion } = family;
-  const keys = Object.keys(idx.pools || {});
+  const keys = Object.keys(pools || {});
   const result = [];
   for (const key of keys) {
     const parts = String(key).split(':');
@@ -452,7 +388,7 @@ function collectPoolFamilyShas(idx, family) {
     if (parts.length !== 7) continue;
     const [t, lang, lvl, chall, /*model*/, ver] = parts;
     if (t === type && lang === language && lvl === level && chall === String(challengeMode) && ver === String(schemaVersion)) {
-      const list = idx.pools[key] || [];
+      const list = pools[key] || [];
       for (const sha of list) result.push(sha);
     }
   }
@@ -463,9 +399,11 @@ function collectPoolFamilyShas(idx, family) {
   return deduped;
 }
 
-export async function selectUnseenCrossModel(layout, family, seenSet, count, currentModel, grammarTopic = null) {
-  const idx = await loadExercisesIndex(layout);
-  const allCandidates = collectPoolFamilyShas(idx, family);
+// Candidates of a pool family, optionally restricted to one grammar topic
+async function collectFamilyCandidates(layout, family, grammarTopic) {
+  const pools = await layout.store.all('exercise_pools');
+  const allCandidates = collectPoolFamilyShas(pools, family);
+  const idx = await loadCandidateIndex(layout, allCandidates);
   // Filter by grammarTopic if provided to ensure topic-appropriate items are returned
   const normalizedTopic = typeof grammarTopic === 'string' && grammarTopic.trim() ? grammarTopic.trim().toLowerCase() : null;
   const candidates = normalizedTopic
@@ -475,26 +413,17 @@ export async function selectUnseenCrossModel(layout, family, seenSet, count, cur
         return metaTopic === normalizedTopic;
       })
     : allCandidates;
+  return { idx, candidates };
+}
+
+export async function selectUnseenCrossModel(layout, family, seenSet, count, currentModel, grammarTopic = null) {
+  const { idx, candidates } = await collectFamilyCandidates(layout, family, grammarTopic);
   const chosen = pickUnseenWeighted(candidates, seenSet, idx, count, currentModel);
-  const items = [];
-  for (const sha of chosen) {
-    const rec = await readExerciseItem(layout, sha);
-    if (rec && rec.content) items.push(rec);
-  }
-  return { items, shas: chosen };
+  return { items: await readChosenItems(layout, chosen), shas: chosen };
 }
 
 export async function selectUnseenCrossModelGrouped(layout, family, seenSet, count, currentModel, grammarTopic = null) {
-  const idx = await loadExercisesIndex(layout);
-  const allCandidates = collectPoolFamilyShas(idx, family);
-  const normalizedTopic = typeof grammarTopic === 'string' && grammarTopic.trim() ? grammarTopic.trim().toLowerCase() : null;
-  const candidates = normalizedTopic
-    ? allCandidates.filter(sha => {
-        const it = idx.items[sha];
-        const metaTopic = String(it?.meta?.grammarTopic || '').trim().toLowerCase();
-        return metaTopic === normalizedTopic;
-      })
-    : allCandidates;
+  const { idx, candidates } = await collectFamilyCandidates(layout, family, grammarTopic);
   const candidateSet = new Set(candidates);
   const groups = [];
   const seenPrefix = (sha) => seenSet.has(String(sha).slice(0, 12));
@@ -531,217 +460,189 @@ export async function selectUnseenCrossModelGrouped(layout, family, seenSet, cou
       groups.splice(idxPick, 1);
     }
   }
-  const items = [];
-  for (const sha of chosen) {
-    const rec = await readExerciseItem(layout, sha);
-    if (rec && rec.content) items.push(rec);
-  }
-  return { items, shas: chosen };
+  return { items: await readChosenItems(layout, chosen), shas: chosen };
 }
 
 export async function touchExercises(layout, exerciseShas) {
   if (!Array.isArray(exerciseShas) || exerciseShas.length === 0) return;
-  const idx = await loadExercisesIndex(layout);
   const now = new Date().toISOString();
-  for (const sha of exerciseShas) {
-    if (idx.items[sha]) {
-      idx.items[sha].lastAccessAt = now;
-      idx.items[sha].hits = (idx.items[sha].hits || 0) + 1;
+  await layout.store.transaction(async (tx) => {
+    for (const sha of exerciseShas) {
+      const entry = await tx.get('exercises', sha);
+      if (entry) tx.put('exercises', sha, { ...entry, lastAccessAt: now, hits: (entry.hits || 0) + 1 });
     }
-  }
-  // Maintain global LRU list of shas
-  for (const sha of exerciseShas) {
-    idx.lru = (idx.lru || []).filter(x => x !== sha);
-    idx.lru.push(sha);
-  }
-  await saveExercisesIndex(layout, idx);
+  });
 }
 
-async function evictFromBucketIfNeeded(layout, idx, bucketKey, perTypeLimit) {
-  const list = idx.buckets[bucketKey] || [];
-  if (list.length <= perTypeLimit) return;
-  // Evict least recently used within this bucket using idx.items lastAccessAt
-  const candidates = list.map(sha => ({ sha, ts: Date.parse(idx.items[sha]?.lastAccessAt || 0) || 0 }));
+// Returns local image paths of evicted items so the caller can unlink them once the transaction is applied
+async function evictFromBucketIfNeeded(tx, bucket, perTypeLimit) {
+  if (bucket.length <= perTypeLimit) return { bucket, imagePaths: [] };
+  // Evict least recently used within this bucket using the entries' lastAccessAt; pinned items stay
+  const entries = await tx.getMany('exercises', bucket);
+  const candidates = bucket.filter(sha => !entries[sha]?.pinned).map(sha => ({ sha, ts: Date.parse(entries[sha]?.lastAccessAt || 0) || 0 }));
   candidates.sort((a, b) => a.ts - b.ts);
-  while (idx.buckets[bucketKey].length > perTypeLimit && candidates.length > 0) {
-    const victim = candidates.shift();
-    if (!victim) break;
-    const sha = victim.sha;
+  const victims = new Set(candidates.slice(0, bucket.length - perTypeLimit).map(c => c.sha));
+  const imagePaths = [];
+  for (const sha of victims) {
     // Attempt to read record for image cleanup
     try {
-      const rec = await readExerciseItem(layout, sha);
-      if (rec?.localImagePath) {
-        try { await fs.unlink(rec.localImagePath); } catch {}
-      }
+      const rec = await tx.get('exercise_records', sha);
+      if (rec?.localImagePath) imagePaths.push(rec.localImagePath);
     } catch {}
-    // Remove from pools
-    for (const k of Object.keys(idx.pools)) {
-      idx.pools[k] = (idx.pools[k] || []).filter(x => x !== sha);
-    }
-    // Remove from bucket
-    idx.buckets[bucketKey] = (idx.buckets[bucketKey] || []).filter(x => x !== sha);
-    // Delete file
-    const file = makeExerciseFileName(sha);
-    try { await fs.unlink(path.join(layout.exerciseItemsDir, file)); } catch {}
-    // Delete item
-    delete idx.items[sha];
-    // TODO: if item had localImagePath, also unlink it (requires reading the record prior). For performance, skip here.
+    tx.delete('exercise_records', sha);
+    tx.delete('exercises', sha);
+  }
+  // Remove from pools
+  for (const [k, list] of Object.entries(await tx.all('exercise_pools'))) {
+    if ((list || []).some(x => victims.has(x))) tx.put('exercise_pools', k, list.filter(x => !victims.has(x)));
   }
+  return { bucket: bucket.filter(x => !victims.has(x)), imagePaths };
 }
 
-export async function addExercisesToPool(layout, { type, poolKey, bucketKey, language, level, challengeMode, grammarTopic, model, schemaVersion, baseTextId, baseTextChapter }, items, perTypeLimit = 100, groupIdInput = null) {
-  const idx = await loadExercisesIndex(layout);
+export async function addExercisesToPool(layout, { type, poolKey, bucketKey, language, level, challengeMode, grammarTopic, model, provider, schemaVersion, baseTextId, baseTextChapter }, items, perTypeLimit = 100, groupIdInput = null) {
   const now = new Date().toISOString();
-  idx.pools[poolKey] = idx.pools[poolKey] || [];
-  idx.buckets[bucketKey] = idx.buckets[bucketKey] || [];
   const groupId = groupIdInput || sha256Hex(`${type}:${language}:${level}:${challengeMode}:${grammarTopic || ''}:${model}:${schemaVersion}:${now}:${Math.random()}`).slice(0, 16);
-  // Initialize group meta
-  idx.groups[groupId] = idx.groups[groupId] || { type, poolKey, meta: { language, level, challengeMode, grammarTopic, model, schemaVersion, ...(baseTextId ? { baseTextId } : {}), ...(baseTextChapter !== undefined ? { baseTextChapter } : {}) }, itemShas: [], createdAt: now, likes: 0, dislikes: 0 };
-  const addedShas = [];
-  for (const content of items) {
-    const exerciseSha = sha256Hex(JSON.stringify(content) + `\n${type}\n${language}\n${level}\n${model}\n${schemaVersion}`);
-    const file = makeExerciseFileName(exerciseSha);
-    const filePath = path.join(layout.exerciseItemsDir, file);
-    // If already exists, skip writing content but still add to pool for completeness
-    const record = {
-      exerciseSha,
-      type,
-      meta: { language, level, challengeMode, grammarTopic, model, schemaVersion, ...(baseTextId ? { baseTextId } : {}), ...(baseTextChapter !== undefined ? { baseTextChapter } : {}) },
-      content,
-      createdAt: now,
-      lastAccessAt: now,
-      hits: 0,
-      groupId
-    };
-    try {
-      await writeJson(filePath, record);
-    } catch {}
-    idx.items[exerciseSha] = { file, type, createdAt: now, lastAccessAt: now, hits: 0, likes: 0, dislikes: 0, meta: record.meta, groupId };
-    if (!idx.pools[poolKey].includes(exerciseSha)) idx.pools[poolKey].push(exerciseSha);
-    if (!idx.buckets[bucketKey].includes(exerciseSha)) idx.buckets[bucketKey].push(exerciseSha);
-    if (!idx.groups[groupId].itemShas.includes(exerciseSha)) idx.groups[groupId].itemShas.push(exerciseSha);
-    addedShas.push(exerciseSha);
-  }
-  // Enforce per-type bucket cap (global per type/language/level/challenge/grammarTopic)
-  await evictFromBucketIfNeeded(layout, idx, bucketKey, perTypeLimit);
-  // Update generation stats
-  try {
+  const meta = { language, level, challengeMode, grammarTopic, model, ...(provider ? { provider } : {}), schemaVersion, ...(baseTextId ? { baseTextId } : {}), ...(baseTextChapter !== undefined ? { baseTextChapter } : {}) };
+  const { addedShas, imagePaths } = await layout.store.transaction(async (tx) => {
+    // Pool and bucket are written after the bucket cap is enforced, which may also prune this pool
+    const pool = (await tx.get('exercise_pools', poolKey)) || [];
+    let bucket = (await tx.get('exercise_buckets', bucketKey)) || [];
+    // Initialize group meta
+    const group = (await tx.get('exercise_groups', groupId)) || { type, poolKey, meta, itemShas: [], createdAt: now, likes: 0, dislikes: 0 };
+    const added = [];
+    for (const content of items) {
+      const exerciseSha = sha256Hex(JSON.stringify(content) + `\n${type}\n${language}\n${level}\n${model}\n${schemaVersion}`);
+      // If already exists, the record is rewritten (keeping answers accepted on appeal) and the sha is still added to the pool for completeness
+      const acceptedAnswers = (await tx.get('exercise_records', exerciseSha))?.accepted_answers;
+      tx.put('exercise_records', exerciseSha, {
+        exerciseSha,
+        type,
+        meta,
+        content,
+        createdAt: now,
+        lastAccessAt: now,
+        hits: 0,
+        groupId,
+        ...(acceptedAnswers ? { accepted_answers: acceptedAnswers } : {})
+      });
+      const pinned = !!(await tx.get('exercises', exerciseSha))?.pinned;
+      tx.put('exercises', exerciseSha, { file: makeExerciseFileName(exerciseSha), type, createdAt: now, lastAccessAt: now, hits: 0, likes: 0, dislikes: 0, meta, groupId, ...(pinned ? { pinned } : {}) });
+      if (!pool.includes(exerciseSha)) pool.push(exerciseSha);
+      if (!bucket.includes(exerciseSha)) bucket.push(exerciseSha);
+      if (!group.itemShas.includes(exerciseSha)) group.itemShas.push(exerciseSha);
+      added.push(exerciseSha);
+    }
+    tx.put('exercise_pools', poolKey, pool);
+    tx.put('exercise_groups', groupId, group);
+    // Enforce per-type bucket cap (global per type/language/level/challenge/grammarTopic)
+    const evicted = await evictFromBucketIfNeeded(tx, bucket, perTypeLimit);
+    bucket = evicted.bucket;
+    tx.put('exercise_buckets', bucketKey, bucket);
+    // Update generation stats
     const statKey = `${type}|${language}|${level}|${challengeMode ? '1' : '0'}|${grammarTopic || 'unknown'}`;
-    idx.stats = idx.stats || {};
-    const s = idx.stats[statKey] || { hits: 0, generations: 0 };
-    s.generations = (s.generations || 0) + addedShas.length;
-    idx.stats[statKey] = s;
-  } catch {}
-  await saveExercisesIndex(layout, idx);
+    const s = (await tx.get('exercise_stats', statKey)) || { hits: 0, generations: 0 };
+    tx.put('exercise_stats', statKey, { ...s, generations: (s.generations || 0) + added.length });
+    return { addedShas: added, imagePaths: evicted.imagePaths };
+  });
+  for (const p of imagePaths) {
+    try { await fs.unlink(p); } catch {}
+  }
   return { addedShas, groupId };
 }
 
 export async function updateExerciseRecord(layout, exerciseSha, updater) {
-  const file = makeExerciseFileName(exerciseSha);
-  const filePath = path.join(layout.exerciseItemsDir, file);
-  const rec = await readJson(filePath, null);
-  if (!rec) return false;
-  const updated = typeof updater === 'function' ? updater(rec) : rec;
-  await writeJson(filePath, updated);
-  return true;
+  return layout.store.transaction(async (tx) => {
+    const rec = await tx.get('exercise_records', exerciseSha);
+    if (!rec) return false;
+    const updated = typeof updater === 'function' ? updater(rec) : rec;
+    tx.put('exercise_records', exerciseSha, updated);
+    return true;
+  });
 }
 
 export async function purgeOutdatedSchemas(layout, schemaVersions) {
+  const { store } = layout;
   // Explanations
   try {
-    const expIndexPath = path.join(layout.explanationsDir, 'index.json');
-    const expIdx = (await readJson(expIndexPath)) || { items: {}, lru: [] };
-    const toDelete = [];
-    for (const [key, entry] of Object.entries(expIdx.items || {})) {
-      const v = Number(entry?.meta?.schemaVersion || 0);
-      if (v !== Number(schemaVersions.explanation || 1)) {
-        toDelete.push({ key, file: entry.file });
+    await store.transaction(async (tx) => {
+      for (const [key, entry] of Object.entries(await tx.all('explanations'))) {
+        const v = Number(entry?.meta?.schemaVersion || 0);
+        if (v !== Number(schemaVersions.explanation || 1)) {
+          tx.delete('explanation_records', recordIdOf(entry));
+          tx.delete('explanations', key);
+        }
       }
-    }
-    for (const d of toDelete) {
-      try { await fs.unlink(path.join(layout.explanationsDir, 'items', d.file)); } catch {}
-      delete expIdx.items[d.key];
-      expIdx.lru = (expIdx.lru || []).filter(k => k !== d.key);
-    }
-    if (toDelete.length > 0) await writeJson(expIndexPath, expIdx);
+    });
   } catch {}
 
   // Base texts
   try {
-    const baseIdxPath = path.join(layout.baseTextsDir, 'index.json');
-    const baseIdx = (await readJson(baseIdxPath)) || { items: {}, lru: [] };
     const desiredBaseVersion = Number(schemaVersions.base_text || 1);
-    const toDelete = [];
-    for (const [key, entry] of Object.entries(baseIdx.items || {})) {
-      const v = Number(entry?.meta?.schemaVersion || 0);
-      if (v !== desiredBaseVersion) {
-        toDelete.push({ key, file: entry.file });
+    const toUnlink = [];
+    await store.transaction(async (tx) => {
+      for (const [key, entry] of Object.entries(await tx.all('base_texts'))) {
+        const v = Number(entry?.meta?.schemaVersion || 0);
+        if (v === desiredBaseVersion) continue;
+        // Attempt to remove any images referenced by this base text
+        try {
+          const rec = await tx.get('base_text_records', recordIdOf(entry));
+          const imgs = rec?.content?.images || {};
+          if (imgs.cover?.localPath) toUnlink.push(imgs.cover.localPath);
+          const chapters = imgs.chapters || {};
+          for (const k of Object.keys(chapters)) {
+            const it = chapters[k];
+            if (it?.localPath) toUnlink.push(it.localPath);
+          }
+        } catch {}
+        tx.delete('base_text_records', recordIdOf(entry));
+        tx.delete('base_texts', key);
       }
+    });
+    for (const p of toUnlink) {
+      try { await fs.unlink(p); } catch {}
     }
-    for (const d of toDelete) {
-      // Attempt to remove any images referenced by this base text
-      try {
-        const recPath = path.join(layout.baseTextItemsDir, d.file);
-        const rec = await readJson(recPath, null);
-        const imgs = rec?.content?.images || {};
-        const toUnlink = [];
-        if (imgs.cover?.localPath) toUnlink.push(imgs.cover.localPath);
-        const chapters = imgs.chapters || {};
-        for (const k of Object.keys(chapters)) {
-          const it = chapters[k];
-          if (it?.localPath) toUnlink.push(it.localPath);
-        }
-        for (const p of toUnlink) {
-          try { await fs.unlink(p); } catch {}
-        }
-      } catch {}
-      try { await fs.unlink(path.join(layout.baseTextItemsDir, d.file)); } catch {}
-      delete baseIdx.items[d.key];
-      baseIdx.lru = (baseIdx.lru || []).filter(k => k !== d.key);
-    }
-    if (toDelete.length > 0) await writeJson(baseIdxPath, baseIdx);
   } catch {}
 
   // Exercises
   try {
-    const exIdx = await loadExercisesIndex(layout);
     const desiredVersion = (type) => Number(schemaVersions[type] || 1);
-    const toRemove = [];
-    for (const [sha, entry] of Object.entries(exIdx.items || {})) {
-      const type = entry?.type || entry?.meta?.type;
-      const v = Number(entry?.meta?.schemaVersion || 0);
-      if (!type) continue;
-      if (v !== desiredVersion(type)) {
-        toRemove.push(sha);
+    const toUnlink = [];
+    await store.transaction(async (tx) => {
+      const toRemove = new Set();
+      for (const [sha, entry] of Object.entries(await tx.all('exercises'))) {
+        const type = entry?.type || entry?.meta?.type;
+        const v = Number(entry?.meta?.schemaVersion || 0);
+        if (!type) continue;
+        if (v !== desiredVersion(type)) toRemove.add(sha);
       }
-    }
-    for (const sha of toRemove) {
-      // Try to read record to find localImagePath for cleanup
-      try {
-        const rec = await readExerciseItem(layout, sha);
-        if (rec?.localImagePath) {
-          try { await fs.unlink(rec.localImagePath); } catch {}
+      if (toRemove.size === 0) return;
+      for (const sha of toRemove) {
+        // Try to read record to find localImagePath for cleanup
+        try {
+          const rec = await tx.get('exercise_records', sha);
+          if (rec?.localImagePath) toUnlink.push(rec.localImagePath);
+        } catch {}
+        tx.delete('exercise_records', sha);
+        tx.delete('exercises', sha);
+      }
+      for (const table of ['exercise_pools', 'exercise_buckets']) {
+        for (const [k, list] of Object.entries(await tx.all(table))) {
+          if ((list || []).some(x => toRemove.has(x))) tx.put(table, k, list.filter(x => !toRemove.has(x)));
         }
-      } catch {}
-      const file = makeExerciseFileName(sha);
-      try { await fs.unlink(path.join(layout.exerciseItemsDir, file)); } catch {}
-      delete exIdx.items[sha];
-      for (const k of Object.keys(exIdx.pools)) exIdx.pools[k] = (exIdx.pools[k] || []).filter(x => x !== sha);
-      for (const k of Object.keys(exIdx.buckets)) exIdx.buckets[k] = (exIdx.buckets[k] || []).filter(x => x !== sha);
-      exIdx.lru = (exIdx.lru || []).filter(x => x !== sha);
+      }
+    });
+    for (const p of toUnlink) {
+      try { await fs.unlink(p); } catch {}
     }
-    if (toRemove.length > 0) await saveExercisesIndex(layout, exIdx);
   } catch {}
 }
 
 export async function incrementExerciseHits(layout, type, language, level, challengeMode, grammarTopic, count) {
-  const idx = await loadExercisesIndex(layout);
-  idx.stats = idx.stats || {};
   const key = `${type}|${language}|${level}|${challengeMode ? '1' : '0'}|${grammarTopic || 'unknown'}`;
-  const s = idx.stats[key] || { hits: 0, generations: 0 };
-  s.hits = (s.hits || 0) + (Number(count) || 0);
-  idx.stats[key] = s;
-  await saveExercisesIndex(layout, idx);
+  await layout.store.transaction(async (tx) => {
+    const s = (await tx.get('exercise_stats', key)) || { hits: 0, generations: 0 };
+    tx.put('exercise_stats', key, { ...s, hits: (s.hits || 0) + (Number(count) || 0) });
+  });
 }
 
 
@@ -749,58 +650,243 @@ export async function incrementExerciseHits(layout, type, language, level, chall
 // Ratings: explanations and exercise groups
 // -----------------------------
 
+const bumpRating = (obj, isLike) => ({
+  ...obj,
+  likes: Number(obj?.likes || 0) + (isLike ? 1 : 0),
+  dislikes: Number(obj?.dislikes || 0) + (!isLike ? 1 : 0)
+});
+
 export async function rateExplanation(layout, cacheKey, isLike = true) {
   try {
-    const indexPath = path.join(layout.explanationsDir, 'index.json');
-    const idx = (await readJson(indexPath)) || { items: {} };
-    if (!idx.items[cacheKey]) return false;
-    const entry = idx.items[cacheKey];
-    entry.likes = Number(entry.likes || 0) + (isLike ? 1 : 0);
-    entry.dislikes = Number(entry.dislikes || 0) + (!isLike ? 1 : 0);
-    idx.items[cacheKey] = entry;
-    await writeJson(indexPath, idx);
-    // Update record file too, if exists
-    try {
-      const filePath = path.join(layout.explanationsDir, 'items', entry.file);
-      const rec = (await readJson(filePath)) || {};
-      rec.likes = Number(rec.likes || 0) + (isLike ? 1 : 0);
-      rec.dislikes = Number(rec.dislikes || 0) + (!isLike ? 1 : 0);
-      await writeJson(filePath, rec);
-    } catch {}
-    return true;
+    return await layout.store.transaction(async (tx) => {
+      const entry = await tx.get('explanations', cacheKey);
+      if (!entry) return false;
+      tx.put('explanations', cacheKey, bumpRating(entry, isLike));
+      // Update the record too, if it exists
+      const rec = await tx.get('explanation_records', recordIdOf(entry));
+      if (rec) tx.put('explanation_records', recordIdOf(entry), bumpRating(rec, isLike));
+      return true;
+    });
   } catch {
     return false;
   }
 }
 
 export async function rateExerciseGroup(layout, groupId, isLike = true) {
-  const idx = await loadExercisesIndex(layout);
-  if (!idx.groups[groupId]) return false;
-  const g = idx.groups[groupId];
-  g.likes = Number(g.likes || 0) + (isLike ? 1 : 0);
-  g.dislikes = Number(g.dislikes || 0) + (!isLike ? 1 : 0);
-  idx.groups[groupId] = g;
-  // Also roll the rating down to each contained item in the index for fast weighting
-  const itemShas = Array.isArray(g.itemShas) ? g.itemShas : [];
-  for (const sha of itemShas) {
-    if (!idx.items[sha]) continue;
-    const it = idx.items[sha];
-    it.likes = Number(it.likes || 0) + (isLike ? 1 : 0);
-    it.dislikes = Number(it.dislikes || 0) + (!isLike ? 1 : 0);
-    idx.items[sha] = it;
-    // Update item file too (best-effort)
-    try {
-      const file = makeExerciseFileName(sha);
-      const filePath = path.join(layout.exerciseItemsDir, file);
-      const rec = (await readJson(filePath)) || {};
-      rec.likes = Number(rec.likes || 0) + (isLike ? 1 : 0);
-      rec.dislikes = Number(rec.dislikes || 0) + (!isLike ? 1 : 0);
-      await writeJson(filePath, rec);
-    } catch {}
-  }
-  await saveExercisesIndex(layout, idx);
-  return true;
+  return layout.store.transaction(async (tx) => {
+    const g = await tx.get('exercise_groups', groupId);
+    if (!g) return false;
+    tx.put('exercise_groups', groupId, bumpRating(g, isLike));
+    // Also roll the rating down to each contained item in the index for fast weighting
+    const itemShas = Array.isArray(g.itemShas) ? g.itemShas : [];
+    for (const sha of itemShas) {
+      const it = await tx.get('exercises', sha);
+      if (!it) continue;
+      tx.put('exercises', sha, bumpRating(it, isLike));
+      // Update item record too (best-effort)
+      const rec = await tx.get('exercise_records', sha);
+      if (rec) tx.put('exercise_records', sha, bumpRating(rec, isLike));
+    }
+    return true;
+  });
+}
+
+// -----------------------------
+// Answer appeals awaiting review (see POST /api/appeal)
+// -----------------------------
+
+/**
+ * Queue an answer the judge accepted so an admin can review it before it joins the record's `accepted_answers`.
+ * At most `maxPerPart` answers wait per blank, whoever sent them.
+ * @param {object} appeal - { exerciseSha, type, part, expected, answer, explanation, userId, username }
+ * @returns {Promise<'queued'|'duplicate'|'full'>}
+ */
+export async function addPendingAppeal(layout, appeal, maxPerPart = 20) {
+  const id = sha256Hex(`${appeal.exerciseSha}:${appeal.part}:${String(appeal.answer).toLowerCase()}`).slice(0, 24);
+  return layout.store.transaction(async (tx) => {
+    if (await tx.get('exercise_appeals', id)) return 'duplicate';
+    const waiting = Object.values(await tx.all('exercise_appeals')).filter(a => a.exerciseSha === appeal.exerciseSha && a.part === appeal.part);
+    if (waiting.length >= maxPerPart) return 'full';
+    tx.put('exercise_appeals', id, { ...appeal, id, createdAt: new Date().toISOString() });
+    return 'queued';
+  });
+}
+
+/**
+ * Pending appeals, oldest first
+ * @returns {Promise<object[]>}
+ */
+export async function listPendingAppeals(layout) {
+  const all = Object.values(await layout.store.all('exercise_appeals'));
+  return all.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+}
+
+/**
+ * Approve a pending appeal (its answer is added to the record's `accepted_answers`, at most `maxAccepted` per blank)
+ * or reject it. Either way it leaves the queue, unless the blank is full.
+ * @returns {Promise<'approved'|'rejected'|'full'|'missing'>} 'missing' when the appeal or its exercise is gone
+ */
+export async function resolvePendingAppeal(layout, id, approve, maxAccepted = 20) {
+  return layout.store.transaction(async (tx) => {
+    const appeal = await tx.get('exercise_appeals', id);
+    if (!appeal) return 'missing';
+    const rec = approve ? await tx.get('exercise_records', appeal.exerciseSha) : null;
+    if (approve && rec) {
+      const key = String(appeal.part);
+      const list = Array.isArray(rec.accepted_answers?.[key]) ? rec.accepted_answers[key] : [];
+      if (!list.some(a => a.toLowerCase() === appeal.answer.toLowerCase())) {
+        if (list.length >= maxAccepted) return 'full';
+        tx.put('exercise_records', appeal.exerciseSha, { ...rec, accepted_answers: { ...(rec.accepted_answers || {}), [key]: [...list, appeal.answer] } });
+      }
+    }
+    tx.delete('exercise_appeals', id);
+    return !approve ? 'rejected' : rec ? 'approved' : 'missing';
+  });
+}
+
+// -----------------------------
+// Administration: browse, pin and delete cached content
+// -----------------------------
+
+export const ADMIN_CACHE_KINDS = {
+  exercises: { entries: 'exercises', records: 'exercise_records', topicOf: (m) => m.grammarTopic },
+  explanations: { entries: 'explanations', records: 'explanation_records', topicOf: (m) => m.grammarConcept },
+  base_texts: { entries: 'base_texts', records: 'base_text_records', topicOf: (m) => m.topic }
+};
+
+function adminKind(kind) {
+  const spec = ADMIN_CACHE_KINDS[kind];
+  if (!spec) throw new Error(`Unknown cache kind: ${kind}`);
+  return spec;
+}
+
+function summarizeEntry(spec, key, entry) {
+  const m = entry?.meta || {};
+  return {
+    key,
+    type: entry?.type || null,
+    language: m.language || null,
+    level: m.level || null,
+    challengeMode: !!m.challengeMode,
+    topic: spec.topicOf(m) || null,
+    model: m.model || null,
+    provider: m.provider || null,
+    schemaVersion: m.schemaVersion ?? null,
+    groupId: entry?.groupId || null,
+    baseTextId: m.baseTextId || null,
+    hits: Number(entry?.hits || 0),
+    likes: Number(entry?.likes || 0),
+    dislikes: Number(entry?.dislikes || 0),
+    pinned: !!entry?.pinned,
+    createdAt: entry?.createdAt || null,
+    lastAccessAt: entry?.lastAccessAt || null
+  };
 }
 
+/**
+ * List cached entries of one kind, most recently used first
+ * @param {object} layout
+ * @param {'exercises'|'explanations'|'base_texts'} kind
+ * @param {object} [filters] - language, level, type, model (exact, case-insensitive), topic (substring), pinned (boolean)
+ * @param {object} [page] - { offset, limit }
+ * @returns {Promise<{ total: number, items: object[], facets: { language: string[], level: string[], type: string[], model: string[] } }>}
+ */
+export async function listCacheEntries(layout, kind, filters = {}, { offset = 0, limit = 50 } = {}) {
+  const spec = adminKind(kind);
+  const rows = Object.entries(await layout.store.all(spec.entries)).map(([key, entry]) => summarizeEntry(spec, key, entry));
+  const facetSets = { language: new Set(), level: new Set(), type: new Set(), model: new Set() };
+  for (const r of rows) {
+    for (const f of Object.keys(facetSets)) if (r[f]) facetSets[f].add(r[f]);
+  }
+  const eq = (a, b) => !b || String(a || '').toLowerCase() === String(b).toLowerCase();
+  const topic = String(filters.topic || '').trim().toLowerCase();
+  const matched = rows.filter(r =>
+    eq(r.language, filters.language) &&
+    eq(r.level, filters.level) &&
+    eq(r.type, filters.type) &&
+    eq(r.model, filters.model) &&
+    (!topic || String(r.topic || '').toLowerCase().includes(topic)) &&
+    (typeof filters.pinned !== 'boolean' || r.pinned === filters.pinned)
+  );
+  matched.sort((a, b) => (Date.parse(b.lastAccessAt || 0) || 0) - (Date.parse(a.lastAccessAt || 0) || 0));
+  return {
+    total: matched.length,
+    items: matched.slice(offset, offset + limit),
+    facets: Object.fromEntries(Object.entries(facetSets).map(([f, set]) => [f, Array.from(set).sort()]))
+  };
+}
 
+/**
+ * Full cached record with its index entry
+ * @returns {Promise<{ entry: object, record: object|null }|null>}
+ */
+export async function getCacheEntry(layout, kind, key) {
+  const spec = adminKind(kind);
+  const entry = await layout.store.get(spec.entries, key);
+  if (!entry) return null;
+  const record = await layout.store.get(spec.records, recordIdOf(entry));
+  return { entry: summarizeEntry(spec, key, entry), record };
+}
+
+/**
+ * Pin or unpin an entry. Pinned entries are skipped by LRU pruning and bucket eviction.
+ * @returns {Promise<boolean>} false when the entry does not exist
+ */
+export async function setCacheEntryPinned(layout, kind, key, pinned) {
+  const spec = adminKind(kind);
+  return layout.store.transaction(async (tx) => {
+    const entry = await tx.get(spec.entries, key);
+    if (!entry) return false;
+    const next = { ...entry };
+    if (pinned) next.pinned = true;
+    else delete next.pinned;
+    tx.put(spec.entries, key, next);
+    return true;
+  });
+}
 
+/**
+ * Delete an entry, its record and any images it references
+ * @returns {Promise<boolean>} false when the entry does not exist
+ */
+export async function deleteCacheEntry(layout, kind, key) {
+  const spec = adminKind(kind);
+  const toUnlink = [];
+  const deleted = await layout.store.transaction(async (tx) => {
+    const entry = await tx.get(spec.entries, key);
+    if (!entry) return false;
+    const recordId = recordIdOf(entry);
+    const rec = await tx.get(spec.records, recordId);
+    tx.delete(spec.entries, key);
+    tx.delete(spec.records, recordId);
+    if (kind === 'base_texts') {
+      const imgs = rec?.content?.images || {};
+      if (imgs.cover?.localPath) toUnlink.push(imgs.cover.localPath);
+      for (const it of Object.values(imgs.chapters || {})) {
+        if (it?.localPath) toUnlink.push(it.localPath);
+      }
+    }
+    if (kind === 'exercises') {
+      if (rec?.localImagePath) toUnlink.push(rec.localImagePath);
+      for (const table of ['exercise_pools', 'exercise_buckets']) {
+        for (const [k, list] of Object.entries(await tx.all(table))) {
+          if ((list || []).includes(key)) tx.put(table, k, list.filter(x => x !== key));
+        }
+      }
+      const group = entry.groupId ? await tx.get('exercise_groups', entry.groupId) : null;
+      if (group) {
+        const itemShas = (group.itemShas || []).filter(x => x !== key);
+        if (itemShas.length > 0) tx.put('exercise_groups', entry.groupId, { ...group, itemShas });
+        else tx.delete('exercise_groups', entry.groupId);
+      }
+      for (const [id, appeal] of Object.entries(await tx.all('exercise_appeals'))) {
+        if (appeal.exerciseSha === key) tx.delete('exercise_appeals', id);
+      }
+    }
+    return true;
+  });
+  for (const p of toUnlink) {
+    try { await fs.unlink(p); } catch {}
+  }
+  return deleted;
+}
@@ -0,0 +1,110 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Debug records: failed upstream requests (payload and response) and frontend log entries, served from
+ * /api/debug. The last `capacity` records are kept in memory. With a `file`, every record is also appended
+ * to it as a JSON line; the file is rotated to `<file>.1` … `<file>.<maxFiles>` once it exceeds `maxBytes`,
+ * and the newest records are read back on startup so debug links in logs keep working after a restart.
+ */
+
+/**
+ * Create the debug store
+ * @param {object} [options]
+ * @param {number} [options.capacity=100] - Records kept in memory
+ * @param {string|null} [options.file] - JSONL file to persist records to (memory only when unset)
+ * @param {number} [options.maxBytes=5 MB] - Rotate the file once it is larger than this
+ * @param {number} [options.maxFiles=3] - Rotated files to keep
+ * @param {() => object} [options.context] - Fields added to every record (e.g. the current request id)
+ */
+export function createDebugStore({ capacity = 100, file = null, maxBytes = 5 * 1024 * 1024, maxFiles = 3, context = () => ({}) } = {}) {
+  const records = new Map();
+  let size = 0;
+  let writing = Promise.resolve();
+
+  const remember = (record) => {
+    records.delete(record.id);
+    records.set(record.id, record);
+    while (records.size > capacity) records.delete(records.keys().next().value);
+  };
+
+  const rotate = async () => {
+    for (let i = maxFiles - 1; i >= 1; i--) {
+      await fs.rename(`${file}.${i}`, `${file}.${i + 1}`).catch(() => {});
+    }
+    await fs.rename(file, `${file}.1`).catch(() => {});
+    if (maxFiles < 1) await fs.rm(`${file}.1`, { force: true });
+    size = 0;
+  };
+
+  const persist = (record) => {
+    const line = JSON.stringify(record) + '\n';
+    writing = writing
+      .then(async () => {
+        if (size > 0 && size + Buffer.byteLength(line) > maxBytes) await rotate();
+        await fs.appendFile(file, line, 'utf8');
+        size += Buffer.byteLength(line);
+      })
+      .catch(() => {});
+  };
+
+  const readLines = async (name) => {
+    try {
+      return (await fs.readFile(name, 'utf8')).split('\n').filter(Boolean);
+    } catch {
+      return [];
+    }
+  };
+
+  return {
+    /**
+     * Read the newest persisted records back into memory (no-op without a file)
+     */
+    async load() {
+      if (!file) return;
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      try { size = (await fs.stat(file)).size; } catch { size = 0; }
+      const lines = [];
+      for (let i = 0; i <= maxFiles && lines.length < capacity; i++) {
+        lines.unshift(...(await readLines(i === 0 ? file : `${file}.${i}`)));
+      }
+      for (const line of lines.slice(-capacity)) {
+        try {
+          const record = JSON.parse(line);
+          if (record && record.id) remember(record);
+        } catch {}
+      }
+    },
+
+    /**
+     * Store a record and return its id
+     * @param {object} entry
+     * @returns {string}
+     */
+    add(entry) {
+      const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+      const record = { id, timestamp: Date.now(), ...context(), ...entry };
+      remember(record);
+      if (file) persist(record);
+      return id;
+    },
+
+    /**
+     * @param {string} id
+     * @returns {object|null}
+     */
+    get(id) {
+      return records.get(id) || null;
+    },
+
+    // Newest first
+    list() {
+      return Array.from(records.values()).reverse();
+    },
+
+    // Wait for pending writes (used in tests)
+    async flush() {
+      await writing;
+    }
+  };
+}
@@ -0,0 +1,948 @@
+/**
+ * Exercise registry: prompts and JSON schemas for every exercise type, keyed by the type used in
+ * `POST /api/exercises/:type`. Clients only send parameters (topic, language, level, count, base text
+ * reference); prompts are always built here so no client can send arbitrary prompts upstream.
+ */
+
+import { pickRandomTopicSuggestion, formatTopicSuggestionForPrompt } from '../shared/topicRoulette.js';
+
+const levelLine = (level, challengeMode, note = 'slightly challenging') => `${level}${challengeMode ? ` (${note})` : ''}`;
+
+function topicSuggestionLine(topic) {
+  const suggestion = pickRandomTopicSuggestion({ ensureNotEqualTo: topic });
+  return formatTopicSuggestionForPrompt(suggestion, { prefix: 'Unless the topic relates to specific vocabulary, you may use the following topic suggestion for variety' });
+}
+
+// ----- Explanation -----
+
+const EXPLANATION_SYSTEM_PROMPT = `You are a language pedagogy expert. Provide a concise, insightful explanation of a grammar concept with examples.
+
+Requirements:
+- Write in the target language and match the target level
+- Where relevant, add sections on common mistakes (and fixes), cultural context, regional differences, usage tips, and etymology
+- Return clean markdown: start with a top-level heading (#) for the title, then the explanation
+- Keep length roughly 200–600 words
+- If necessary for clarity, include brief English translations in parentheses
+- Return ONLY content; do not echo instructions`;
+
+const EXPLANATION_SCHEMA = {
+  type: 'object', additionalProperties: false,
+  properties: {
+    title: { type: 'string', description: 'Short title of the concept' },
+    content_markdown: { type: 'string', description: 'Well-structured markdown with headings and examples' }
+  },
+  required: ['title', 'content_markdown']
+};
+
+// ----- Fill in the blanks -----
+
+const FIB_SYSTEM_PROMPT = `You are creating fill-in-the-blank exercises using an existing text passage.
+
+Requirements:
+- Extract meaningful sentences from the given passage (or minimally adapt when needed)
+- Create blanks that test the target grammar topic using exactly 5 underscores (_____)
+- Provide a basic hint after each blank in parentheses
+- Also provide up to 3 progressive hints in a "hints" array (general → specific → very specific)
+- Optional: include a brief "context" note when helpful
+- Make exercises progressively harder
+- Return ONLY fields that match the provided JSON schema (no extra text)`;
+
+const FIB_SCHEMA = {
+  type: 'object', additionalProperties: false,
+  properties: {
+    items: {
+      type: 'array', items: {
+        type: 'object', additionalProperties: false,
+        properties: {
+          sentence: { type: 'string' },
+          answers: { type: 'array', items: { type: 'string' } },
+          hint: { type: 'string' },
+          hints: { type: 'array', items: { type: 'string' } },
+          context: { type: 'string' },
+          difficulty: { type: 'string' }
+        },
+        required: ['sentence','answers','difficulty']
+      }
+    }
+  },
+  required: ['items']
+};
+
+// ----- Multiple choice -----
+
+const MCQ_SYSTEM_PROMPT = `You are a language pedagogy assistant that generates multiple-choice questions in the target language.
+
+Requirements:
+- Each item has exactly 4 options with exactly one correct answer
+- Provide a short rationale for each option (why correct/incorrect)
+- Use natural, real-world sentences (avoid synthetic phrasing)
+- Keep content age-appropriate and culturally relevant
+- Return ONLY fields that match the provided JSON schema (no extra text)`;
+
+const MCQ_SCHEMA = {
+  type: 'object', additionalProperties: false,
+  properties: {
+    items: {
+      type: 'array', items: {
+        type: 'object', additionalProperties: false,
+        properties: {
+          question: { type: 'string' },
+          options: { type: 'array', minItems: 4, maxItems: 4, items: {
+            type: 'object', additionalProperties: false,
+            properties: { text: { type: 'string' }, correct: { type: 'boolean' }, rationale: { type: 'string' } },
+            required: ['text','correct','rationale']
+          }},
+          explanation: { type: 'string' },
+          difficulty: { type: 'string' }
+        },
+        required: ['question','options','difficulty']
+      }
+    }
+  },
+  required: ['items']
+};
+
+// ----- Reading comprehension -----
+
+const READING_SYSTEM_PROMPT = `You are a language pedagogy assistant that generates reading comprehension passages with supporting materials.
+
+Requirements:
+- Title: ≤ 60 characters
+- Use natural, real-world language
+- Provide an image_prompt (short, descriptive, no text overlays)
+- Glossary: 3–8 terms (term, part of speech, definition, optional translation, example sentence in target language)
+- True/False: 3–5 statements answerable directly from the passage
+- Comprehension questions: 2–4 with concise model answers
+- Productive prompts: 1–2 with short model answers
+- Opinion questions: exactly 3 with model answers for agree/disagree/neutral
+- Keep content age-appropriate and culturally relevant
+- Return ONLY fields that match the provided JSON schema (no extra text)`;
+
+const READING_FROM_BASE_TEXT_SYSTEM_PROMPT = `You are creating reading comprehension exercises based on a provided text passage.
+
+Requirements:
+- Create an appropriate title (≤ 60 characters) reflecting the chapter content
+- Generate an image_prompt that captures the scene/mood of the specific chapter
+- Identify 4–6 key vocabulary terms from the passage (POS, definition, translation, example)
+- Extract 4–5 TRUE/FALSE statements verifiable directly from the text
+- Create 3–4 comprehension questions with concise model answers
+- Provide 1–2 productive prompts with short model answers
+- Create exactly 3 opinion questions with agree/disagree/neutral model answers
+- Use ONLY the provided passage; do not invent facts
+- Return ONLY fields that match the provided JSON schema (no extra text)`;
+
+function readingSchema({ glossary, trueFalse, comprehension, fromBaseText }) {
+  return {
+    type: 'object', additionalProperties: false,
+    properties: {
+      items: {
+        type: 'array', minItems: 1, maxItems: 1, items: {
+          type: 'object', additionalProperties: false,
+          properties: {
+            title: { type: 'string', maxLength: 60 },
+            passage: { type: 'string' },
+            image_prompt: { type: 'string' },
+            glossary: {
+              type: 'array', minItems: glossary[0], maxItems: glossary[1], items: {
+                type: 'object', additionalProperties: false,
+                properties: {
+                  term: { type: 'string' },
+                  pos: { type: 'string', enum: ['noun','verb','adj','adv','expr'] },
+                  definition: { type: 'string' },
+                  translation: { type: ['string','null'] },
+                  example: { type: 'string' }
+                },
+                required: ['term','pos','definition','translation','example']
+              }
+            },
+            true_false: {
+              type: 'array', minItems: trueFalse[0], maxItems: trueFalse[1], items: {
+                type: 'object', additionalProperties: false,
+                properties: { statement: { type: 'string' }, answer: { type: 'boolean' } },
+                required: ['statement','answer']
+              }
+            },
+            comprehension_questions: {
+              type: 'array', minItems: comprehension[0], maxItems: comprehension[1], items: {
+                type: 'object', additionalProperties: false,
+                properties: { question: { type: 'string' }, model_answer: { type: 'string' } },
+                required: ['question','model_answer']
+              }
+            },
+            productive_prompts: {
+              type: 'array', minItems: 1, maxItems: 2, items: {
+                type: 'object', additionalProperties: false,
+                properties: { prompt: { type: 'string' }, model_answer: { type: 'string' } },
+                required: ['prompt','model_answer']
+              }
+            },
+            opinion_questions: {
+              type: 'array', minItems: 3, maxItems: 3, items: {
+                type: 'object', additionalProperties: false,
+                properties: {
+                  question: { type: 'string' },
+                  model_answers: {
+                    type: 'object', additionalProperties: false,
+                    properties: {
+                      agree: { type: 'string' },
+                      disagree: { type: 'string' },
+                      neutral: { type: 'string' }
+                    },
+                    ...(fromBaseText ? { required: ['agree', 'disagree', 'neutral'] } : {})
+                  }
+                },
+                required: fromBaseText ? ['question', 'model_answers'] : ['question']
+              }
+            },
+            difficulty: { type: 'string' },
+            ...(fromBaseText ? {
+              base_text_info: {
+                type: 'object',
+                additionalProperties: false,
+                properties: {
+                  base_text_id: { type: 'string' },
+                  chapter_number: { type: 'number' },
+                  chapter_title: { type: 'string' }
+                }
+              }
+            } : {})
+          },
+          required: ['title','passage','image_prompt','glossary','true_false','comprehension_questions','productive_prompts','opinion_questions']
+        }
+      }
+    },
+    required: ['items']
+  };
+}
+
+const READING_SCHEMA = readingSchema({ glossary: [3, 8], trueFalse: [3, 5], comprehension: [2, 4], fromBaseText: false });
+const READING_FROM_BASE_TEXT_SCHEMA = readingSchema({ glossary: [4, 6], trueFalse: [4, 5], comprehension: [3, 4], fromBaseText: true });
+
+function readingLengthTarget(level, challengeMode) {
+  switch (String(level).toUpperCase()) {
+    case 'A1': return challengeMode ? '80-120 words' : '60-100 words';
+    case 'A2': return challengeMode ? '120-180 words' : '100-150 words';
+    case 'B1': return challengeMode ? '200-260 words' : '150-250 words';
+    case 'B2': return challengeMode ? '300-360 words' : '250-350 words';
+    case 'C1': return challengeMode ? '400-480 words' : '350-450 words';
+    case 'C2': return challengeMode ? '500-580 words' : '450-550 words';
+    default: return challengeMode ? '180-260 words' : '140-220 words';
+  }
+}
+
+// ----- Unified cloze (single shot and stepwise) -----
+
+export const UNIFIED_CLOZE_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    items: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 1,
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          title: { type: 'string', maxLength: 80 },
+          student_instructions: { type: 'string' },
+          base_text_id: { type: ['string', 'null'] },
+          chapter_number: { type: ['number', 'null'] },
+          segments: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              additionalProperties: false,
+              properties: {
+                type: { type: 'string', enum: ['text', 'blank'] },
+                // Text segment properties
+                content: { type: ['string', 'null'] },
+                // Blank segment properties
+                solution: { type: ['string', 'null'] },
+                hint: { type: ['string', 'null'] },
+                distractors: {
+                  type: ['array', 'null'],
+                  minItems: 3,
+                  maxItems: 4,
+                  items: { type: 'string' }
+                },
+                explanation: {
+                  type: 'object',
+                  additionalProperties: false,
+                  properties: {
+                    solution: { type: 'string' },
+                    distractor_explanations: {
+                      type: 'array',
+                      items: {
+                        type: 'object',
+                        additionalProperties: false,
+                        properties: {
+                          distractor: { type: 'string' },
+                          explanation: { type: 'string' }
+                        },
+                        required: ['distractor', 'explanation']
+                      }
+                    }
+                  }
+                },
+                difficulty_level: {
+                  type: ['string', 'null'],
+                  enum: ['easy', 'medium', 'hard'],
+                  description: 'Relative difficulty of this blank within the exercise'
+                },
+                grammar_focus: {
+                  type: ['string', 'null'],
+                  description: 'The specific grammar point this blank tests (e.g., ser vs estar, preterite vs imperfect)'
+                }
+              },
+              required: ['type']
+            }
+          },
+          difficulty: { type: 'string' },
+          total_blanks: { type: 'number' },
+          suggested_blanks_easy: { type: 'number' },
+          suggested_blanks_medium: { type: 'number' },
+          suggested_blanks_hard: { type: 'number' }
+        },
+        required: ['title', 'student_instructions', 'segments', 'total_blanks', 'suggested_blanks_easy', 'suggested_blanks_medium', 'suggested_blanks_hard']
+      }
+    }
+  },
+  required: ['items']
+};
+
+const UNIFIED_CLOZE_SYSTEM_PROMPT = `You are a sophisticated language learning exercise creator. Given a text passage and a grammar topic, create a comprehensive cloze exercise that maximizes learning opportunities while maintaining narrative coherence.
+
+Your task:
+1. Create a grammatically correct and narratively coherent passage that maintains the story essence
+2. Adapt the text strategically to include multiple instances of the target grammar topic
+3. Create alternating segments of text and strategic blanks
+4. For each blank, provide the solution, helpful hints, plausible distractors, and detailed explanations
+5. Ensure the resulting passage flows naturally and makes sense as a complete story
+6. Prioritize pedagogical value over exact text preservation
+`;
+
+// Stepwise generation schemas (lightweight; steps are not persisted to disk)
+const CLOZE_REWRITE_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    rewritten_passage: { type: 'string' }
+  },
+  required: ['rewritten_passage']
+};
+
+const CLOZE_PRESENCE_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    present: { type: 'boolean' }
+  },
+  required: ['present']
+};
+
+const CLOZE_SEGMENT_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    full_sentence: { type: 'string' },
+    preceding_text: { type: 'string' },
+    succeeding_text: { type: 'string' },
+    hint: { type: 'string' },
+    options: {
+      type: 'array',
+      minItems: 3,
+      maxItems: 5,
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          text: { type: 'string' },
+          correct: { type: 'boolean' },
+          explanation: { type: 'string' }
+        },
+        required: ['text', 'correct']
+      }
+    },
+    difficulty_level: { type: 'string', enum: ['easy', 'medium', 'hard'] },
+    grammar_focus: { type: 'string' }
+  },
+  required: ['full_sentence', 'preceding_text', 'succeeding_text', 'options']
+};
+
+// ----- Writing prompts -----
+
+const WRITING_PROMPTS_SYSTEM_PROMPT = `You are a language pedagogy assistant that generates open-ended writing prompts.
+
+Requirements:
+- For each set, include 3–5 prompts that elicit the target grammar or vocabulary
+- Provide a concise studentInstructions string
+- Provide example_answers with short model responses (one per prompt)
+- Use natural, real-world themes (avoid synthetic prompts)
+- Keep content age-appropriate and culturally relevant
+- Return ONLY fields that match the provided JSON schema (no extra text)`;
+
+const WRITING_PROMPTS_SCHEMA = {
+  type: 'object', additionalProperties: false,
+  properties: {
+    items: {
+      type: 'array', items: {
+        type: 'object', additionalProperties: false,
+        properties: {
+          title: { type: 'string' },
+          studentInstructions: { type: 'string' },
+          prompts: { type: 'array', minItems: 3, maxItems: 5, items: {
+            type: 'object', additionalProperties: false,
+            properties: { question: { type: 'string' } },
+            required: ['question']
+          }},
+          example_answers: { type: 'array', items: { type: 'string' } },
+          difficulty: { type: 'string' }
+        },
+        required: ['studentInstructions','prompts']
+      }
+    }
+  },
+  required: ['items']
+};
+
+// ----- Guided dialogues -----
+
+const GUIDED_DIALOGUES_SYSTEM_PROMPT = `You are a language pedagogy assistant that generates guided dialogues in the target language.
+
+Requirements:
+- Two consistent speakers across the whole dialogue (e.g., "A" and "B" or names); 6–12 turns total
+- Provide a conversationContext string (overall situation/setting)
+- Provide detailed studentInstructions that include the context
+- For EACH turn, provide an individual hint (not generic)
+- Provide suggested_hide_speaker indicating which speaker to hide
+- Use natural, real-world sentences (avoid synthetic phrasing)
+- Keep content age-appropriate and culturally relevant
+- Return ONLY fields that match the provided JSON schema (no extra text)`;
+
+const GUIDED_DIALOGUES_SCHEMA = {
+  type: 'object', additionalProperties: false,
+  properties: {
+    items: {
+      type: 'array', items: {
+        type: 'object', additionalProperties: false,
+        properties: {
+          title: { type: 'string' },
+          studentInstructions: { type: 'string' },
+          conversationContext: { type: 'string' },
+          context: { type: 'string' }, // Legacy field for compatibility
+          turns: {
+            type: 'array', minItems: 6, maxItems: 12, items: {
+              type: 'object', additionalProperties: false,
+              properties: {
+                speaker: { type: 'string' },
+                text: { type: 'string' },
+                hint: { type: 'string' }
+              },
+              required: ['speaker','text']
+            }
+          },
+          suggested_hide_speaker: { type: 'string' },
+          hints: { type: 'array', items: { type: 'string' } }, // Legacy field for compatibility
+          difficulty: { type: 'string' }
+        },
+        required: ['studentInstructions','conversationContext','turns']
+      }
+    }
+  },
+  required: ['items']
+};
+
+// ----- Error bundles -----
+
+const ERROR_BUNDLE_SYSTEM_PROMPT = `You are a language pedagogy generator. Produce compact, CEFR-appropriate error bundles.
+Each item contains FOUR sentences about the given topic with EXACTLY ONE correct.
+For each incorrect sentence, include a minimal corrected version ("fix") and a short rationale.
+
+Constraints:
+- Sentence length per CEFR level: A1 4–8, A2 6–12, B1 10–16, B2 12–20, C1 14–24, C2 16–30; when difficulty is higher, use the upper bound
+- Each item: exactly 4 sentences, exactly 1 correct; three incorrect each with ONE clear, topic-aligned error
+- Provide concise rationales (≤120 chars) and MINIMAL fixes (change only what’s necessary)
+- Optionally include a shared_context (≤80 chars) to make items cohere and reduce repetition
+- Return STRICT JSON only, matching the schema (no extra text)`;
+
+const ERROR_BUNDLE_SCHEMA = {
+  type: 'object',
+  required: ['items'],
+  additionalProperties: false,
+  properties: {
+    shared_context: { type: 'string' },
+    items: {
+      type: 'array', minItems: 2, maxItems: 12,
+      items: {
+        type: 'object', additionalProperties: false, required: ['sentences'],
+        properties: {
+          tags: { type: 'array', items: { type: 'string' } },
+          sentences: {
+            type: 'array', minItems: 4, maxItems: 4,
+            items: {
+              type: 'object', additionalProperties: false,
+              required: ['text', 'correct', 'rationale'],
+              properties: {
+                text: { type: 'string' },
+                correct: { type: 'boolean' },
+                rationale: { type: 'string', maxLength: 120 },
+                fix: { type: 'string' }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+// ----- Rewriting -----
+
+const REWRITING_SYSTEM_PROMPT = `You are a language pedagogy expert creating sentence rewriting exercises based on a given passage.
+
+Requirements:
+- Each item asks the learner to rewrite a sentence according to a specific grammar focus
+- Keep answers concise and grammatical; avoid ambiguous prompts
+- Provide a short hint and a concise rationale for the correct rewrite
+- Use natural sentences aligned with the passage context
+- Return ONLY fields that match the provided JSON schema (no extra text)`;
+
+const REWRITING_SCHEMA = {
+  type: 'object', additionalProperties: false,
+  properties: {
+    items: {
+      type: 'array', items: {
+        type: 'object', additionalProperties: false,
+        properties: {
+          original: { type: 'string' },
+          instruction: { type: 'string' },
+          answer: { type: 'string' },
+          hint: { type: 'string' },
+          rationale: { type: 'string' },
+        },
+        required: ['original','instruction','answer']
+      }
+    }
+  },
+  required: ['items']
+};
+
+/**
+ * Registry entries.
+ * - cacheType: type used for the persistent pools and schemaVersions (null = never persisted)
+ * - chapter: 'required' | 'optional' | 'none' — whether a base text chapter is needed
+ * - maxCount / defaultCount: bounds for the requested item count
+ * - build(ctx): returns { system, user, schemaName, jsonSchema }. ctx has topic, language, level,
+ *   challengeMode, count, baseText, chapter (with number), inspiration and sentence (cloze steps)
+ */
+export const EXERCISE_REGISTRY = {
+  explanation: {
+    cacheType: 'explanation',
+    chapter: 'none',
+    maxCount: 1,
+    defaultCount: 1,
+    build: ({ topic, language, level, challengeMode }) => ({
+      schemaName: 'explanation',
+      jsonSchema: EXPLANATION_SCHEMA,
+      system: EXPLANATION_SYSTEM_PROMPT,
+      user: `Task: Explain the grammar concept.
+Concept: ${topic}
+Target Language: ${language}
+Target Level: ${levelLine(level, challengeMode)}`
+    })
+  },
+
+  fib: {
+    cacheType: 'fib',
+    chapter: 'required',
+    maxCount: 20,
+    defaultCount: 5,
+    build: ({ topic, language, level, challengeMode, count, baseText, chapter }) => ({
+      schemaName: 'fib_list',
+      jsonSchema: FIB_SCHEMA,
+      system: FIB_SYSTEM_PROMPT,
+      user: `Task: Create exactly ${count} fill-in-the-blank exercises.
+Target Language: ${language}
+Target Level: ${levelLine(level, challengeMode)}
+Grammar Focus: ${topic}
+Source: ${baseText?.title || 'Unknown'} — Chapter: ${chapter.title}
+
+Passage:
+${chapter.passage}
+
+Important:
+- Aim to use ${count} different sentences or minimal variations from the passage
+- Maintain story coherence and keep difficulty appropriate for the target level`
+    })
+  },
+
+  mcq: {
+    cacheType: 'mcq',
+    chapter: 'none',
+    maxCount: 20,
+    defaultCount: 5,
+    build: ({ topic, language, level, challengeMode, count }) => ({
+      schemaName: 'mcq_list',
+      jsonSchema: MCQ_SCHEMA,
+      system: MCQ_SYSTEM_PROMPT,
+      user: `Task: Create exactly ${count} multiple-choice questions.
+Target Language: ${language}
+Target Level: ${levelLine(level, challengeMode)}
+Topic: ${topic}
+
+Notes:
+- Include plausible distractors
+- Ensure vocabulary and grammar complexity matches the target level
+${topicSuggestionLine(topic)}`
+    })
+  },
+
+  reading: {
+    cacheType: 'reading',
+    chapter: 'optional',
+    maxCount: 1,
+    defaultCount: 1,
+    build: ({ topic, language, level, challengeMode, baseText, chapter, passageNumber }) => {
+      if (chapter) {
+        return {
+          schemaName: 'reading_from_base_text',
+          jsonSchema: READING_FROM_BASE_TEXT_SCHEMA,
+          system: READING_FROM_BASE_TEXT_SYSTEM_PROMPT,
+          user: `Task: Create exactly 1 reading comprehension set based on a provided passage.
+Target Language: ${language}
+Target Level: ${levelLine(level, challengeMode, 'slightly challenging analysis')}
+Topic: ${topic}
+
+Source: ${baseText?.title || 'Unknown'}
+
+**Chapter: ${chapter.title}**
+**Passage:**
+${chapter.passage}
+
+Return STRICT JSON only per schema.`
+        };
+      }
+      const passageContext = passageNumber ? ` (Set ${passageNumber})` : '';
+      return {
+        schemaName: 'reading_list',
+        jsonSchema: READING_SCHEMA,
+        system: READING_SYSTEM_PROMPT,
+        user: `Task: Create exactly 1 reading comprehension set${passageContext}.
+Target Language: ${language}
+Target Level: ${levelLine(level, challengeMode, 'slightly challenging; allow more complex syntax and subordinate clauses')}
+Topic: ${topic}
+Passage length target: ${readingLengthTarget(level, challengeMode)}
+Max new vocabulary terms: ${challengeMode ? 8 : 5}
+
+${topicSuggestionLine(topic)}
+
+Return STRICT JSON only per schema.`
+      };
+    }
+  },
+
+  unified_cloze: {
+    cacheType: 'unified_cloze',
+    chapter: 'required',
+    maxCount: 1,
+    defaultCount: 1,
+    // Deep schema: some models reject it, see `supportsDeepSchema` in the route
+    deepSchema: true,
+    build: ({ topic, language, level, challengeMode, baseText, chapter }) => ({
+      schemaName: 'unified_cloze',
+      jsonSchema: UNIFIED_CLOZE_SCHEMA,
+      system: UNIFIED_CLOZE_SYSTEM_PROMPT,
+      user: `Task: Create a comprehensive cloze exercise based on a provided passage.
+Target Language: ${language}
+Target Level: ${levelLine(level, challengeMode)}
+Target Grammar: ${topic}
+Source: ${baseText?.title || 'Unknown'}
+
+Create the exercise based on this passage:
+
+**Chapter: ${chapter.title}**
+
+**Original Passage:**
+${chapter.passage}
+
+**CRITICAL: You must create SEPARATE segments for text and blanks. Do NOT put underscores or blanks in text segments.**
+
+**Segment Format Requirements:**
+1. **Text segments**: contain only regular text with NO blanks or underscores
+2. **Blank segments**: separate objects with solution, hint, distractors, etc.
+3. **Alternating structure**: text → blank → text → blank → text (etc.)
+
+**Example of CORRECT segment structure:**
+For sentence "María vive en Madrid"
+- Segment 1: {"type": "text", "content": "María "}
+- Segment 2: {"type": "blank", "solution": "vive", "hint": "lives", "distractors": ["vivía", "vivirá", "vivió"], ...}
+- Segment 3: {"type": "text", "content": " en Madrid"}
+
+**WRONG - DO NOT DO THIS:**
+- {"type": "text", "content": "María _____ en Madrid"}
+
+**Requirements:**
+1. Adapt the passage to include multiple "${topic}" opportunities
+2. Create 6-8 strategic blank segments (not text with underscores!)
+3. Each blank segment must have: solution, hint, distractors (3-4), explanation, difficulty_level, grammar_focus
+4. Text segments contain only plain text without any blanks
+5. Maintain story coherence and narrative flow
+
+Create alternating text and blank segments that reconstruct the adapted passage when combined.
+
+Notice that the original passage does not contain the grammar topic, therefore rewrite it to include it.
+
+**Example rewritten passage:**
+"Hoy compro los boletos en línea."
+
+
+**Example segment structure:**
+Text: "Hoy" → Blank: solution="compro" → Text: "los boletos en línea."
+
+The totality of the alternating text and blank segments should reconstruct the original passage or its rewritten version in its entirety.
+
+Return comprehensive analysis with all segments and metadata.`
+    })
+  },
+
+  cloze_rewrite: {
+    cacheType: null,
+    chapter: 'required',
+    maxCount: 1,
+    defaultCount: 1,
+    build: ({ topic, language, level, challengeMode, chapter }) => ({
+      schemaName: 'cloze_step',
+      jsonSchema: CLOZE_REWRITE_SCHEMA,
+      system: 'You are a language teaching expert. You rewrite passages to include a target grammar structure while preserving coherence. Return strict JSON.',
+      user: [
+        `Task: Rewrite the passage to include the target grammar.`,
+        `Target Language: ${language}`,
+        `Target Level: ${levelLine(level, challengeMode)}`,
+        `Target Grammar: ${topic}`,
+        `Original Passage:`,
+        chapter.passage,
+        '',
+        'Requirements:',
+        '- Keep the same language as the original.',
+        '- Maintain narrative coherence; adapt content to include multiple instances of the target grammar.',
+        '- Return JSON with a single field: rewritten_passage (string).',
+      ].join('\n')
+    })
+  },
+
+  cloze_presence: {
+    cacheType: null,
+    chapter: 'none',
+    maxCount: 1,
+    defaultCount: 1,
+    needsSentence: true,
+    build: ({ topic, sentence, sentenceIndex }) => ({
+      schemaName: 'cloze_step',
+      jsonSchema: CLOZE_PRESENCE_SCHEMA,
+      system: 'You are a strict boolean classifier and language expert. Return JSON { "present": true|false } only.',
+      user: [
+        `Target Grammar: ${topic}`,
+        `Sentence Index: ${sentenceIndex}`,
+        `Sentence:`,
+        sentence,
+        '',
+        'Question: Does this sentence contain at least one clear instance of the target grammar (a single contiguous span you could choose)? Respond strictly with {"present": true} or {"present": false}.',
+      ].join('\n')
+    })
+  },
+
+  cloze_segment: {
+    cacheType: null,
+    chapter: 'none',
+    maxCount: 1,
+    defaultCount: 1,
+    needsSentence: true,
+    build: ({ topic, sentence }) => ({
+      schemaName: 'cloze_step',
+      jsonSchema: CLOZE_SEGMENT_SCHEMA,
+      system: 'You are a language pedagogy expert. You segment a single sentence for a cloze blank. Return strict JSON matching the schema. Ensure full_sentence = preceding_text + (one correct option text) + succeeding_text. Provide options with exactly one correct=true; include short explanations.',
+      user: [
+        `Target Grammar: ${topic}`,
+        `Sentence:`,
+        sentence,
+        '',
+        'Instructions:',
+        '- Choose a single contiguous span within the sentence as the correct option that best captures the target grammar instance.',
+        '- Return preceding_text and succeeding_text so that full_sentence = preceding_text + correct_option.text + succeeding_text.',
+        '- Provide 3-4 total options with exactly one marked correct=true; give a short explanation for each option.',
+        '- Include a helpful hint, difficulty_level (easy|medium|hard), and grammar_focus.',
+      ].join('\n')
+    })
+  },
+
+  writing_prompts: {
+    cacheType: 'writing_prompts',
+    chapter: 'none',
+    maxCount: 10,
+    defaultCount: 2,
+    build: ({ topic, language, level, challengeMode, count }) => ({
+      schemaName: 'writing_prompts_list',
+      jsonSchema: WRITING_PROMPTS_SCHEMA,
+      system: WRITING_PROMPTS_SYSTEM_PROMPT,
+      user: `Task: Create exactly ${count} writing prompt sets.
+Target Language: ${language}
+Target Level: ${levelLine(level, challengeMode)}
+Topic: ${topic}
+
+${topicSuggestionLine(topic)}
+Notes: Ensure vocabulary and grammar complexity match the target level.`
+    })
+  },
+
+  guided_dialogues: {
+    cacheType: 'guided_dialogues',
+    chapter: 'none',
+    maxCount: 10,
+    defaultCount: 2,
+    build: ({ topic, language, level, challengeMode, count, inspiration }) => {
+      if (!inspiration) {
+        return {
+          schemaName: 'guided_dialogues_list',
+          jsonSchema: GUIDED_DIALOGUES_SCHEMA,
+          system: GUIDED_DIALOGUES_SYSTEM_PROMPT,
+          user: `Task: Create exactly ${count} guided dialogues about: ${topic}.
+Target Language: ${language}
+Target Level: ${levelLine(level, challengeMode)}
+
+${topicSuggestionLine(topic)}
+
+Example: For a topic like "ordering food", each turn should have a specific hint like "Greet the waiter" or "Ask about daily specials" or "Request the bill".`
+        };
+      }
+      const chapterInfo = inspiration.chapterPassage
+        ? `**Chapter Content:**
+${inspiration.chapterPassage}
+
+**Source Material:** "${inspiration.chapterTitle}" (Chapter ${inspiration.chapterNumber})`
+        : `**Source Material:** "${inspiration.chapterTitle}" (Chapter ${inspiration.chapterNumber})`;
+      return {
+        schemaName: 'guided_dialogues_list',
+        jsonSchema: GUIDED_DIALOGUES_SCHEMA,
+        system: GUIDED_DIALOGUES_SYSTEM_PROMPT,
+        user: `Task: Create exactly ${count} guided dialogues inspired by a previously used chapter.
+Target Language: ${language}
+Target Level: ${levelLine(level, challengeMode)}
+
+${chapterInfo}
+**Previously Used For:** ${String(inspiration.exerciseType || '').replace('_', ' ')}
+
+Requirements:
+- Create dialogues that take inspiration from the themes, vocabulary, and situations in the chapter content above
+- Two consistent speakers across the whole dialogue (e.g., "A" and "B" or names); 6-12 turns total
+- Do NOT include blanks; produce the full conversation text for every turn
+- Provide a conversationContext string that explains the overall situation/setting of the dialogue
+- Provide detailed studentInstructions that include the conversation context so students understand what's happening
+- For EACH turn in the dialogue, provide an individual hint that helps reconstruct that specific turn (not general hints)
+- Provide suggested_hide_speaker indicating which speaker's lines would be best to hide pedagogically
+- Ensure vocabulary and grammar match ${level}${challengeMode ? ' with some challenging elements' : ''}
+- Choose real world sentences, not synthetic ones
+- Keep content age-appropriate and culturally relevant
+
+== EXAMPLES ==
+If the chapter was about "Luisa and Juan in a restaurant", create a dialogue about "a discussion at a restaurant" or "ordering food" or "restaurant conversation". Each turn should have its own specific hint like "Ask about the menu" or "Express a preference for vegetarian food" or "Make a recommendation".
+
+An example of a dialogue with hints if the topic was "indirect object pronouns", the difficulty was B1 and the challenge mode was false:
+
+- Conversation Context: "Luisa and Juan are at a restaurant discussing their orders. The first speaker is Luisa, the second speaker is Juan."
+- Student Instructions: "Complete the missing lines in the conversation, using indirect object pronouns where appropriate."
+- Turns:
+  - "A: ¿Le puedes pedir al camarero una mesa junto a la ventana?" (hint: "Luisa asks Juan to request a table by the window for them")
+  - "B: Claro, le voy a pedir una mesa allí." (hint: "Juan agrees and says he will ask the waiter for a table there")
+  - "A: ¿Te gustaría que te recomiende algún plato?" (hint: "Luisa offers to recommend a dish to Juan")
+  - "B: Sí, me encantaría que me recomiendes algo típico." (hint: "Juan says he would love a recommendation for something typical")
+  - "A: El camarero nos trae el menú." (hint: "Luisa mentions that the waiter is bringing the menu")
+
+== END EXAMPLES ==
+
+`
+      };
+    }
+  },
+
+  error_bundle: {
+    cacheType: 'error_bundle',
+    chapter: 'optional',
+    minCount: 2,
+    maxCount: 12,
+    defaultCount: 5,
+    build: ({ topic, language, level, challengeMode, count, baseText, chapter }) => {
+      const payload = {
+        language: String(language || ''),
+        level: String(level || ''),
+        challenge: !!challengeMode,
+        topic: String(topic || ''),
+        count
+      };
+      if (baseText && chapter) {
+        payload.baseText = {
+          title: baseText.title || '',
+          chapter: {
+            title: chapter.title || '',
+            content: chapter.content || '',
+            summary: chapter.summary || ''
+          }
+        };
+      }
+      return {
+        schemaName: 'error_bundle_list',
+        jsonSchema: ERROR_BUNDLE_SCHEMA,
+        system: ERROR_BUNDLE_SYSTEM_PROMPT,
+        user: JSON.stringify({
+          ...payload,
+          constraints: {
+            topic_must_match: true,
+            use_base_text: !!(baseText && chapter),
+            base_text_title: baseText?.title || undefined,
+            base_text_chapter_title: chapter?.title || undefined,
+            notes: 'Use natural sentences; keep age-appropriate and classroom-safe.'
+          }
+        })
+      };
+    }
+  },
+
+  rewriting: {
+    cacheType: 'rewriting',
+    chapter: 'required',
+    maxCount: 20,
+    defaultCount: 5,
+    build: ({ topic, language, level, challengeMode, count, baseText, chapter }) => ({
+      schemaName: 'rewriting_list',
+      jsonSchema: REWRITING_SCHEMA,
+      system: REWRITING_SYSTEM_PROMPT,
+      user: `Task: Create exactly ${count} sentence rewriting exercises.
+Target Language: ${language}
+Target Level: ${levelLine(level, challengeMode)}
+Grammar Focus: ${topic}
+Source: ${baseText?.title || 'Unknown'} — Chapter: ${chapter.title}
+
+Passage:
+${chapter.passage}`
+    })
+  }
+};
+
+/**
+ * Stable cache seed for a registry request. Prompts may contain random variety lines (topic roulette),
+ * so persistent cache keys are derived from the request parameters instead of the prompt text.
+ * Language, level and challenge mode are added by the caller when hashing.
+ * @param {string} type - Registry key
+ * @param {object} ctx - Build context (see EXERCISE_REGISTRY)
+ * @returns {string}
+ */
+export function exerciseCacheSeed(type, ctx) {
+  return JSON.stringify({
+    type,
+    topic: ctx.topic,
+    baseTextId: ctx.baseText?.id || null,
+    chapter: ctx.chapter?.number || null,
+    inspiredBy: ctx.inspiration ? `${ctx.inspiration.baseTextId}:${ctx.inspiration.chapterNumber}` : null
+  });
+}
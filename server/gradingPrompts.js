@@ -0,0 +1,400 @@
+/**
+ * Grading prompts: rubric-based evaluation of free-text learner answers (writing prompts, dialogue turns,
+ * open reading comprehension questions) and the judge for appeals against the answer key.
+ * Like the exercise registry, prompts and schemas are built here; clients only send the exercise content,
+ * their answers and the lesson context.
+ */
+
+export const CEFR_LEVELS = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
+
+// Rubric criteria for writing prompts, each scored 0–4
+export const WRITING_RUBRIC = ['task_fulfilment', 'grammar', 'vocabulary', 'coherence'];
+export const WRITING_MAX_SCORE = 4;
+
+// Longest answer accepted for grading (characters)
+export const MAX_GRADED_ANSWER_LENGTH = 5000;
+
+// ----- Writing prompts -----
+
+export const WRITING_GRADE_SYSTEM_PROMPT = `You are an experienced language teacher grading a learner's written answer to a prompt.
+
+Requirements:
+- Score each rubric criterion from 0 (missing) to 4 (fully meets the expectations for the target level):
+  - task_fulfilment: answers the prompt completely and stays on task
+  - grammar: accuracy, with particular attention to the target grammar topic
+  - vocabulary: range and precision appropriate to the level
+  - coherence: organisation, linking and readability
+- Judge against the target CEFR level: a correct but simple answer can score 4 at A1 and lower at C1
+- List inline corrections as the exact original fragment, its corrected form and a one-sentence explanation; leave the list empty when there is nothing to correct
+- Estimate the CEFR level the answer demonstrates
+- Write comments and feedback in English, short and encouraging; quote target-language text as-is
+- Return ONLY fields that match the provided JSON schema (no extra text)`;
+
+const criterionSchema = {
+  type: 'object', additionalProperties: false,
+  properties: {
+    score: { type: 'integer', minimum: 0, maximum: WRITING_MAX_SCORE },
+    comment: { type: 'string' }
+  },
+  required: ['score', 'comment']
+};
+
+export const WRITING_GRADE_SCHEMA = {
+  type: 'object', additionalProperties: false,
+  properties: {
+    rubric: {
+      type: 'object', additionalProperties: false,
+      properties: Object.fromEntries(WRITING_RUBRIC.map(name => [name, criterionSchema])),
+      required: WRITING_RUBRIC
+    },
+    corrections: {
+      type: 'array', items: {
+        type: 'object', additionalProperties: false,
+        properties: {
+          original: { type: 'string' },
+          corrected: { type: 'string' },
+          explanation: { type: 'string' }
+        },
+        required: ['original', 'corrected', 'explanation']
+      }
+    },
+    level_estimate: { type: 'string', enum: CEFR_LEVELS },
+    feedback: { type: 'string', description: 'One or two sentences of overall feedback' }
+  },
+  required: ['rubric', 'corrections', 'level_estimate', 'feedback']
+};
+
+/**
+ * Build the grading prompt for one writing prompt answer
+ * @param {{question: string, answer: string, language: string, level: string, challengeMode?: boolean, topic?: string}} params
+ * @returns {{system: string, user: string}}
+ */
+export function buildWritingGradePrompt({ question, answer, language, level, challengeMode, topic }) {
+  const user = `Grade this ${language} writing answer.
+
+Target level: ${level}${challengeMode ? ' (slightly challenging)' : ''}
+Target grammar topic: ${topic || 'none given'}
+Prompt: ${question}
+
+Learner's answer:
+"""
+${answer}
+"""`;
+  return { system: WRITING_GRADE_SYSTEM_PROMPT, user };
+}
+
+// Mean of the criteria scores, rounded to a whole point and clamped to 0..max
+function meanPoints(scores, max) {
+  const mean = scores.reduce((a, b) => a + b, 0) / scores.length;
+  return { points: Math.max(0, Math.min(max, Math.round(mean))), max_points: max };
+}
+
+/**
+ * Overall points of a validated writing grade: the mean of the rubric scores, rounded to a whole point
+ * @param {{rubric: Record<string, {score: number}>}} grade
+ * @returns {{points: number, max_points: number}}
+ */
+export function writingGradePoints(grade) {
+  return meanPoints(WRITING_RUBRIC.map(name => Number(grade?.rubric?.[name]?.score) || 0), WRITING_MAX_SCORE);
+}
+
+// ----- Guided dialogues -----
+
+// Criteria for each learner-written dialogue turn, each scored 0–2
+export const DIALOGUE_CRITERIA = ['appropriateness', 'grammar', 'target_structure'];
+export const DIALOGUE_MAX_SCORE = 2;
+
+// Longest dialogue turn accepted for grading (characters)
+export const MAX_GRADED_TURN_LENGTH = 1000;
+
+export const DIALOGUE_GRADE_SYSTEM_PROMPT = `You are an experienced language teacher grading the lines a learner wrote for one speaker of a dialogue.
+
+Requirements:
+- Grade every learner line in the order given; score each criterion from 0 to 2:
+  - appropriateness: fits the conversation at that point (responds to the previous line, leads to the next one)
+  - grammar: grammatically correct for the target level
+  - target_structure: uses the target grammar topic where the turn calls for it (2 when the turn does not call for it and the line is natural)
+- The original line is only one possible answer: accept any natural reply that works in the context
+- For each line give one or two sentences of feedback in English and a suggested natural reply in the target language that stays close to the learner's intent
+- Return ONLY fields that match the provided JSON schema (no extra text)`;
+
+/**
+ * Response schema for grading `count` learner turns (one entry per turn, in request order)
+ * @param {number} count
+ */
+export function dialogueGradeSchema(count) {
+  return {
+    type: 'object', additionalProperties: false,
+    properties: {
+      turns: {
+        type: 'array', minItems: count, maxItems: count, items: {
+          type: 'object', additionalProperties: false,
+          properties: {
+            scores: {
+              type: 'object', additionalProperties: false,
+              properties: Object.fromEntries(DIALOGUE_CRITERIA.map(name => [name, { type: 'integer', minimum: 0, maximum: DIALOGUE_MAX_SCORE }])),
+              required: DIALOGUE_CRITERIA
+            },
+            feedback: { type: 'string' },
+            suggested_reply: { type: 'string' }
+          },
+          required: ['scores', 'feedback', 'suggested_reply']
+        }
+      }
+    },
+    required: ['turns']
+  };
+}
+
+/**
+ * Build the grading prompt for the learner's lines of one dialogue. The transcript shows the learner's
+ * lines in place of the originals, which are listed separately as reference answers.
+ * @param {{conversationContext?: string, turns: Array<{speaker: string, text: string}>, answers: Array<{index: number, text: string}>, language: string, level: string, challengeMode?: boolean, topic?: string}} params
+ * @returns {{system: string, user: string}}
+ */
+export function buildDialogueGradePrompt({ conversationContext, turns, answers, language, level, challengeMode, topic }) {
+  const byIndex = new Map(answers.map(a => [a.index, a.text]));
+  const transcript = turns
+    .map((t, i) => (byIndex.has(i) ? `[learner] ${t.speaker}: ${byIndex.get(i)}` : `${t.speaker}: ${t.text}`))
+    .join('\n');
+  const learnerLines = answers
+    .map((a, n) => `${n + 1}. Turn ${a.index + 1} — learner: "${a.text}" — original: "${turns[a.index].text}"`)
+    .join('\n');
+  const user = `Grade the learner's lines in this ${language} dialogue.
+
+Target level: ${level}${challengeMode ? ' (slightly challenging)' : ''}
+Target grammar topic: ${topic || 'none given'}
+Context: ${conversationContext || 'none given'}
+
+Dialogue (learner lines marked [learner]):
+${transcript}
+
+Learner lines to grade, in order:
+${learnerLines}`;
+  return { system: DIALOGUE_GRADE_SYSTEM_PROMPT, user };
+}
+
+/**
+ * Points of one validated dialogue turn grade: the mean of its criteria scores, rounded to a whole point
+ * @param {{scores: Record<string, number>}} turn
+ * @returns {{points: number, max_points: number}}
+ */
+export function dialogueTurnPoints(turn) {
+  return meanPoints(DIALOGUE_CRITERIA.map(name => Number(turn?.scores?.[name]) || 0), DIALOGUE_MAX_SCORE);
+}
+
+// ----- Reading comprehension -----
+
+export const READING_VERDICTS = ['correct', 'partial', 'incorrect'];
+const READING_VERDICT_POINTS = { correct: 2, partial: 1, incorrect: 0 };
+
+// Open question kinds of a reading item: comprehension_questions, productive_prompts, opinion_questions
+export const READING_QUESTION_KINDS = ['comprehension', 'productive', 'opinion'];
+
+// Longest passage accepted from the client when the reading has no cached base text (characters)
+export const MAX_GRADED_PASSAGE_LENGTH = 20000;
+
+export const READING_GRADE_SYSTEM_PROMPT = `You are an experienced language teacher checking a learner's answers to questions about a reading passage.
+
+Requirements:
+- Judge every answer in the order given as "correct", "partial" or "incorrect":
+  - comprehension: the answer must agree with the passage; partial when it is incomplete or only partly right. The model answer is a reference, not the only accepted wording
+  - productive: the answer must carry out the task using information from the passage where the task asks for it
+  - opinion: any opinion is acceptable; judge whether it answers the question and relates to the passage
+- Quote the evidence: copy the sentence(s) of the passage that support your verdict exactly as they appear, without changing a word; leave evidence empty when no part of the passage applies
+- Judge content, not language accuracy; mention major language errors only when they make the answer unclear
+- Give one or two sentences of feedback in English for each answer
+- Return ONLY fields that match the provided JSON schema (no extra text)`;
+
+/**
+ * Response schema for grading `count` reading answers (one entry per answer, in request order)
+ * @param {number} count
+ */
+export function readingGradeSchema(count) {
+  return {
+    type: 'object', additionalProperties: false,
+    properties: {
+      answers: {
+        type: 'array', minItems: count, maxItems: count, items: {
+          type: 'object', additionalProperties: false,
+          properties: {
+            verdict: { type: 'string', enum: READING_VERDICTS },
+            evidence: { type: 'array', items: { type: 'string' }, description: 'Exact quotes from the passage' },
+            feedback: { type: 'string' }
+          },
+          required: ['verdict', 'evidence', 'feedback']
+        }
+      }
+    },
+    required: ['answers']
+  };
+}
+
+/**
+ * Build the grading prompt for the open answers of one reading item
+ * @param {{passage: string, questions: Array<{kind: string, question: string, model_answer?: string, answer: string}>, language: string, level: string, challengeMode?: boolean}} params
+ * @returns {{system: string, user: string}}
+ */
+export function buildReadingGradePrompt({ passage, questions, language, level, challengeMode }) {
+  const list = questions
+    .map((q, n) => `${n + 1}. [${q.kind}] ${q.question}${q.model_answer ? `\n   Model answer: ${q.model_answer}` : ''}\n   Learner's answer: ${q.answer}`)
+    .join('\n');
+  const user = `Check the learner's answers about this ${language} passage.
+
+Target level: ${level}${challengeMode ? ' (slightly challenging)' : ''}
+
+Passage:
+"""
+${passage}
+"""
+
+Answers to check, in order:
+${list}`;
+  return { system: READING_GRADE_SYSTEM_PROMPT, user };
+}
+
+const normalizeQuote = (text) => String(text || '').replace(/\s+/g, ' ').replace(/[“”«»"]/g, '"').trim().toLowerCase();
+
+/**
+ * Keep only evidence quotes that actually occur in the passage (ignoring case and whitespace)
+ * @param {string[]} evidence
+ * @param {string} passage
+ * @returns {string[]}
+ */
+export function verifyEvidence(evidence, passage) {
+  const haystack = normalizeQuote(passage);
+  return (Array.isArray(evidence) ? evidence : [])
+    .map(quote => String(quote || '').trim())
+    .filter(quote => quote && haystack.includes(normalizeQuote(quote)));
+}
+
+/**
+ * Points of one validated reading answer grade: correct 2, partial 1, incorrect 0
+ * @param {{verdict: string}} answer
+ * @returns {{points: number, max_points: number}}
+ */
+export function readingVerdictPoints(answer) {
+  return { points: READING_VERDICT_POINTS[answer?.verdict] ?? 0, max_points: 2 };
+}
+
+// ----- Answer appeals -----
+
+// Exercise types (Orchestrator type keys) whose text answers can be appealed
+export const APPEAL_TYPES = ['fib', 'cloze', 'rewrite'];
+// Cache record type of each appealable exercise type
+export const APPEAL_CACHE_TYPES = { fib: 'fib', cloze: 'unified_cloze', rewrite: 'rewriting' };
+
+// Longest appealed answer (characters), alternatives kept per blank and appeals awaiting review per blank
+export const MAX_APPEAL_ANSWER_LENGTH = 300;
+export const MAX_ACCEPTED_ANSWERS = 20;
+export const MAX_PENDING_APPEALS = 20;
+
+export const APPEAL_SYSTEM_PROMPT = `You are a strict but fair language teacher reviewing an appeal: a learner thinks their answer to an exercise is also correct even though it differs from the answer key.
+
+Requirements:
+- Accept only if the learner's answer is grammatically correct, natural, and fits the context exactly as well as the expected answer
+- The answer must also practise what the exercise targets: reject answers that avoid the target grammar (e.g. a different tense or a synonym that sidesteps the conjugation being tested)
+- Reject answers with spelling mistakes, missing or wrong accents, or wrong agreement
+- Explain the decision in one or two sentences in English, addressed to the learner
+- Return ONLY fields that match the provided JSON schema (no extra text)`;
+
+export const APPEAL_SCHEMA = {
+  type: 'object', additionalProperties: false,
+  properties: {
+    accepted: { type: 'boolean' },
+    explanation: { type: 'string' }
+  },
+  required: ['accepted', 'explanation']
+};
+
+// Passage with every blank as _____ and the blank answers in order, from a cached unified cloze item
+// (`segments` either typed text/blank segments or flat sentences with options)
+function unifiedClozeBlanks(segments) {
+  let passage = '';
+  const answers = [];
+  const isFlat = segments.length > 0 && !('type' in (segments[0] || {}));
+  for (const seg of segments) {
+    if (!isFlat) {
+      if (seg?.type === 'text') passage += String(seg.content || '');
+      if (seg?.type === 'blank') {
+        passage += '_____';
+        answers.push(String(seg.solution || ''));
+      }
+      continue;
+    }
+    const options = Array.isArray(seg?.options) ? seg.options : [];
+    passage += String(seg?.preceding_text || '');
+    if (options.length > 0) {
+      passage += '_____';
+      answers.push(String((options.find(o => o?.correct) || options[0])?.text || ''));
+    }
+    passage += String(seg?.succeeding_text || '');
+    if (!/\s$/.test(passage)) passage += ' ';
+  }
+  return { passage: passage.trim(), answers };
+}
+
+/**
+ * The exercise context and expected answer an appeal is about.
+ * `part` numbers the blanks of the stored item: for cloze that is the blank's position among all blanks of the
+ * unified item, which the client sends as `source_index` since it shows only a selection of them.
+ * @param {'fib'|'cloze'|'rewrite'} type
+ * @param {object} item - The cached item, or for items that are not cached the item as rendered on the client
+ * @param {number} part - Blank index (fib, cloze); 0 for rewrite
+ * @returns {{context: string, expected: string}|null} Null when the item has no such blank or answer
+ */
+export function appealTarget(type, item, part) {
+  const markBlank = (text, position) => {
+    let n = -1;
+    return String(text || '').replace(/_____+/g, (blank) => (++n === position ? '[BLANK]' : blank));
+  };
+  const hasBlank = (text, position) => position < (String(text || '').match(/_____+/g) || []).length;
+  if (type === 'fib') {
+    const answers = Array.isArray(item?.answers) ? item.answers : [];
+    const expected = String(answers[part] || answers[0] || '');
+    if (!hasBlank(item?.sentence, part) || !expected) return null;
+    return { context: `Fill in the blank marked [BLANK]:\n${markBlank(item.sentence, part)}`, expected };
+  }
+  if (type === 'cloze') {
+    let passage = '', position = -1, expected = '';
+    if (Array.isArray(item?.segments)) {
+      const unified = unifiedClozeBlanks(item.segments);
+      passage = unified.passage;
+      position = part;
+      expected = unified.answers[part] || '';
+    } else {
+      const blank = (Array.isArray(item?.blanks) ? item.blanks : []).find(b => (b?.source_index ?? b?.index) === part);
+      passage = String(item?.passage || '');
+      position = blank?.index ?? -1;
+      expected = String(blank?.answer || '');
+    }
+    if (position < 0 || !hasBlank(passage, position) || !expected) return null;
+    return { context: `Fill in the blank marked [BLANK] in this passage:\n${markBlank(passage, position)}`, expected };
+  }
+  if (type === 'rewrite') {
+    if (part !== 0 || !item?.original || !item?.answer) return null;
+    return { context: `Rewrite the sentence.\nInstruction: ${item.instruction || ''}\nOriginal: ${item.original}`, expected: String(item.answer) };
+  }
+  return null;
+}
+
+/**
+ * Build the judge prompt for an appeal
+ * @param {{context: string, expected: string, answer: string, language?: string, level?: string}} params
+ * @returns {{system: string, user: string}}
+ */
+export function buildAppealPrompt({ context, expected, answer, language, level }) {
+  const user = `Review this appeal.
+
+Language: ${language || 'the language of the exercise'}
+Level: ${level || 'unknown'}
+
+Exercise:
+${context}
+
+Expected answer: ${expected}
+Learner's answer: ${answer}
+
+Is the learner's answer also correct?`;
+  return { system: APPEAL_SYSTEM_PROMPT, user };
+}
@@ -5,17 +5,49 @@ import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import fs from 'node:fs/promises';
 import crypto from 'node:crypto';
-import { getCacheDir, ensureCacheLayout, readJson, writeJson, downloadImageToCache, getExplanation, setExplanation, getBaseText, setBaseText, loadBaseTextsIndex, sha256Hex, readExerciseItem, makeExerciseFileName, updateExerciseRecord, selectUnseenFromPool, selectUnseenFromPoolGrouped, selectUnseenCrossModel, selectUnseenCrossModelGrouped, addExercisesToPool, makeBucketKey, purgeOutdatedSchemas, incrementExerciseHits, rateExplanation, rateExerciseGroup, updateBaseTextRecord, rebuildBaseTextsIndex, loadExercisesIndex } from './cacheStore.js';
+import { getCacheDir, ensureCacheLayout, downloadImageToCache, getExplanation, setExplanation, getBaseText, setBaseText, loadBaseTextsIndex, sha256Hex, readExerciseItem, makeExerciseFileName, updateExerciseRecord, selectUnseenFromPool, selectUnseenFromPoolGrouped, selectUnseenCrossModel, selectUnseenCrossModelGrouped, addExercisesToPool, makeBucketKey, purgeOutdatedSchemas, incrementExerciseHits, rateExplanation, rateExerciseGroup, updateBaseTextRecord, rebuildBaseTextsIndex, loadExercisesIndex, listBaseTextRecords, restoreBaseTextEntry, ADMIN_CACHE_KINDS, listCacheEntries, getCacheEntry, setCacheEntryPinned, deleteCacheEntry, addPendingAppeal, listPendingAppeals, resolvePendingAppeal } from './cacheStore.js';
 import { BASE_TEXT_SYSTEM_PROMPT, generateBaseTextUserPrompt, BASE_TEXT_SCHEMA, addSourceMetadata, calculateTextSuitability, checkTextSuitability } from './baseTextPrompts.js';
 import { pickRandomTopicSuggestion } from '../shared/topicRoulette.js';
 import { schemaVersions } from '../shared/schemaVersions.js';
+import { createLLMProviders } from './llmProviders.js';
+import { createCircuitBreaker, isFallbackWorthyError } from './providerHealth.js';
+import { validateAgainstSchema, getListItemSchema, formatValidationErrors } from './schemaValidation.js';
+import { EXERCISE_REGISTRY, exerciseCacheSeed } from './exercisePrompts.js';
+import { createUserStore, validateCredentials, sanitizePreferences } from './userStore.js';
+import { REVIEW_KINDS, makeCardId, createCard, applyReview, isDue } from './reviewSchedule.js';
+import { normalizeOutcome, recordLessonOutcome, loadLessonOutcomes, aggregateOutcomes } from './outcomesStore.js';
+import { exportCacheBundle, importCacheBundle, assertCacheBundle, encodeCacheBundle, decodeCacheBundle } from './cacheBundle.js';
+import { createPregenerator } from './pregenerate.js';
+import { createLLMQueue, isQueueError, cancelledError } from './llmQueue.js';
+import { createInflight, createStreamHub } from './inflight.js';
+import { createBudgetTracker, isBudgetError } from './budgets.js';
+import { appendUsage, loadUsage, aggregateUsage } from './usageLedger.js';
+import { log, withLogContext, currentLogContext } from './logger.js';
+import { createDebugStore } from './debugStore.js';
+import { buildWritingGradePrompt, WRITING_GRADE_SCHEMA, writingGradePoints, MAX_GRADED_ANSWER_LENGTH, buildDialogueGradePrompt, dialogueGradeSchema, dialogueTurnPoints, MAX_GRADED_TURN_LENGTH, buildReadingGradePrompt, readingGradeSchema, readingVerdictPoints, verifyEvidence, READING_QUESTION_KINDS, MAX_GRADED_PASSAGE_LENGTH, APPEAL_TYPES, APPEAL_CACHE_TYPES, APPEAL_SCHEMA, appealTarget, buildAppealPrompt, MAX_APPEAL_ANSWER_LENGTH, MAX_ACCEPTED_ANSWERS, MAX_PENDING_APPEALS } from './gradingPrompts.js';
 
 dotenv.config();
 
 const app = express();
+// Behind a reverse proxy, TRUST_PROXY makes req.ip the client's address from X-Forwarded-For, which the IP budgets
+// and rate limits key on: 'true', a hop count, or addresses/subnets (e.g. 'loopback'). Unset trusts no proxy.
+if (process.env.TRUST_PROXY) {
+  const trustProxy = String(process.env.TRUST_PROXY).trim();
+  app.set('trust proxy', trustProxy === 'true' ? true : trustProxy === 'false' ? false : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
 app.use(cors());
 app.use(express.json({ limit: '1mb' }));
 
+// Request id: the client's X-Request-Id when valid (so its logs can be matched with ours), else a new one.
+// Echoed in the response and added to every log line and debug record written while handling the request.
+// Registered after the body parser, whose callback would otherwise run outside the request's context.
+app.use((req, res, next) => {
+  const incoming = String(req.get('x-request-id') || '').trim();
+  req.id = /^[\w.:-]{8,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  withLogContext({ requestId: req.id }, next);
+});
+
 // Persistent cache directories (lazy-init)
 // Default fallback is a local .cache directory; override via CACHE_DIR env in prod
 const CACHE_DIR = getCacheDir(process.env.CACHE_DIR, path.resolve(process.cwd(), '.cache'));
@@ -23,17 +55,23 @@ const CACHE_DIR = getCacheDir(process.env.CACHE_DIR, path.resolve(process.cwd(),
 try {
   const imagesDirAbsolute = path.join(CACHE_DIR, 'images');
   app.use('/cache/images', express.static(imagesDirAbsolute, { fallthrough: false }));
-  console.log('[CACHE] Static image route mounted at /cache/images ->', imagesDirAbsolute);
+  log.info('[CACHE] Static image route mounted at /cache/images ->', imagesDirAbsolute);
 } catch {}
 let cacheLayout = null;
 const initCache = (async () => {
   try {
-    cacheLayout = await ensureCacheLayout(CACHE_DIR);
-    console.log('[CACHE] Initialized at', CACHE_DIR);
+    // CACHE_BACKEND=json (default, files under CACHE_DIR) or sqlite (CACHE_SQLITE_PATH, default CACHE_DIR/cache.sqlite)
+    cacheLayout = await ensureCacheLayout(CACHE_DIR, {
+      backend: process.env.CACHE_BACKEND || 'json',
+      sqliteFile: process.env.CACHE_SQLITE_PATH || undefined
+    });
+    log.info('[CACHE] Initialized at', CACHE_DIR);
     try {
-      console.log('[CACHE] Directories', {
+      log.debug('[CACHE] Directories', {
         env_CACHE_DIR: process.env.CACHE_DIR || '(unset)',
         resolved_CACHE_DIR: CACHE_DIR,
+        backend: cacheLayout.store.kind,
+        storage: cacheLayout.store.location,
         explanationsDir: cacheLayout.explanationsDir,
         explanationItemsDir: cacheLayout.explanationItemsDir,
         exercisesDir: cacheLayout.exercisesDir,
@@ -49,26 +87,109 @@ const initCache = (async () => {
       if (purgeEnabled) {
         await purgeOutdatedSchemas(cacheLayout, schemaVersions);
       } else {
-        console.log('[CACHE] Startup purge disabled via CACHE_PURGE_ON_STARTUP=false');
+        log.info('[CACHE] Startup purge disabled via CACHE_PURGE_ON_STARTUP=false');
       }
     } catch (e) {
-      console.warn('[CACHE] Failed to purge outdated schemas:', e?.message);
+      log.warn('[CACHE] Failed to purge outdated schemas:', e?.message);
     }
     // Rebuild base texts index if empty or corrupted
     try {
       const baseIdx = await loadBaseTextsIndex(cacheLayout);
       if (!baseIdx.items || Object.keys(baseIdx.items).length === 0) {
         const ok = await rebuildBaseTextsIndex(cacheLayout);
-        console.log(`[CACHE] Base texts reindex ${ok ? 'completed' : 'skipped/failed'}`);
+        log.info(`[CACHE] Base texts reindex ${ok ? 'completed' : 'skipped/failed'}`);
       }
     } catch (e) {
-      console.warn('[CACHE] Failed to reindex base texts:', e?.message);
+      log.warn('[CACHE] Failed to reindex base texts:', e?.message);
     }
   } catch (e) {
-    console.warn('[CACHE] Failed to initialize cache directories:', e?.message);
+    log.warn('[CACHE] Failed to initialize cache directories:', e?.message);
   }
 })();
 
+// Local accounts: progress, preferences and seen exercises are stored per user under CACHE_DIR/users.
+// Anonymous visitors keep the cookie-based seen tracking.
+const userStore = createUserStore(CACHE_DIR, {
+  sessionTtlMs: Math.max(1, Number(process.env.SESSION_TTL_DAYS || 30)) * 24 * 60 * 60 * 1000,
+  maxSeenPerType: Number(process.env.USER_MAX_SEEN_PER_TYPE || 1000)
+});
+const SESSION_COOKIE_NAME = 'session_token';
+
+// Token and USD budgets per day/month for the deployment, each user and each IP (BUDGET_* env, see server/budgets.js)
+const budgets = createBudgetTracker(CACHE_DIR);
+
+// Usage ledger (see server/usageLedger.js); a failed write never fails the request
+function recordUsage(entry) {
+  appendUsage(CACHE_DIR, entry).catch(e => log.warn('[USAGE] Failed to append to ledger:', e?.message));
+}
+
+function getCookie(req, name) {
+  const cookieHeader = String(req.headers['cookie'] || '');
+  for (const part of cookieHeader.split(';')) {
+    const idx = part.indexOf('=');
+    if (idx === -1) continue;
+    if (part.slice(0, idx).trim() === name) {
+      try { return decodeURIComponent(part.slice(idx + 1).trim()); } catch { return undefined; }
+    }
+  }
+  return undefined;
+}
+
+function getSessionToken(req) {
+  const auth = String(req.headers['authorization'] || '');
+  if (auth.toLowerCase().startsWith('bearer ')) return auth.slice(7).trim();
+  return getCookie(req, SESSION_COOKIE_NAME) || null;
+}
+
+// Attach req.user for every API request carrying a valid session
+app.use('/api', async (req, res, next) => {
+  req.user = null;
+  try {
+    const token = getSessionToken(req);
+    if (token) req.user = await userStore.getSessionUser(token);
+  } catch (e) {
+    log.warn('[AUTH] Session lookup failed:', e?.message);
+  }
+  next();
+});
+
+function requireUser(req, res) {
+  if (req.user) return true;
+  res.status(401).json({ error: 'Not signed in' });
+  return false;
+}
+
+/**
+ * Seen exercise sha prefixes for a type: from the user's store when signed in, else from the seen cookie
+ * @returns {Promise<string[]>}
+ */
+async function readSeenList(req, type, schemaVersion) {
+  if (req.user) {
+    try { return await userStore.getSeen(req.user.id, `${type}_v${schemaVersion}`); } catch { return []; }
+  }
+  const raw = getCookie(req, `seen_exercises_${type}_v${schemaVersion}`);
+  return raw ? raw.split(',').filter(Boolean) : [];
+}
+
+/**
+ * Record served exercise shas as seen (user store or seen cookie capped by COOKIE_MAX_SEEN_PER_TYPE)
+ */
+async function recordSeen(req, res, type, schemaVersion, shas, seenList = []) {
+  const prefixes = shas.map(s => String(s).slice(0, 12));
+  if (req.user) {
+    try { await userStore.addSeen(req.user.id, `${type}_v${schemaVersion}`, prefixes); } catch (e) {
+      log.warn('[AUTH] Failed to record seen exercises:', e?.message);
+    }
+    return;
+  }
+  try {
+    const maxSeen = Number(process.env.COOKIE_MAX_SEEN_PER_TYPE || 50);
+    const merged = Array.from(new Set([...seenList, ...prefixes])).slice(-maxSeen);
+    const cookieVal = encodeURIComponent(merged.join(','));
+    res.append('Set-Cookie', `seen_exercises_${type}_v${schemaVersion}=${cookieVal}; Path=/; Max-Age=2592000; SameSite=Lax`);
+  } catch {}
+}
+
 function cleanFence(text) {
   return String(text || '').replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
 }
@@ -125,15 +246,44 @@ function coerceSchemaRequiredAll(inputSchema) {
 }
 
 // Provider selection via env (initial default)
-// One of: openrouter | ollama
+// One of: openrouter | ollama | openai_compatible | anthropic | mock
 const INITIAL_PROVIDER = (process.env.PROVIDER || 'openrouter').toLowerCase();
 
 // Default models per provider
 const DEFAULT_MODELS = {
   openrouter: process.env.OPENROUTER_MODEL || 'anthropic/claude-3.5-sonnet',
-  ollama: process.env.OLLAMA_MODEL || 'qwen2.5:14b'
+  ollama: process.env.OLLAMA_MODEL || 'qwen2.5:14b',
+  openai_compatible: process.env.OPENAI_COMPATIBLE_MODEL || '',
+  anthropic: process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-20240620',
+  mock: process.env.MOCK_MODEL || 'mock'
 };
 
+// Parse a fallback chain like "openrouter:openai/gpt-4o-mini,ollama:qwen2.5:14b,ollama".
+// Only the first ':' separates provider from model (model ids may contain ':'); an entry without
+// a model uses that provider's configured model.
+function parseFallbackChain(input) {
+  const entries = Array.isArray(input) ? input : String(input || '').split(',');
+  const out = [];
+  for (const raw of entries) {
+    if (raw && typeof raw === 'object') {
+      const provider = String(raw.provider || '').trim().toLowerCase();
+      if (provider) out.push({ provider, model: String(raw.model || '').trim() });
+      continue;
+    }
+    const str = String(raw || '').trim();
+    if (!str) continue;
+    const sep = str.indexOf(':');
+    const provider = (sep === -1 ? str : str.slice(0, sep)).trim().toLowerCase();
+    const model = sep === -1 ? '' : str.slice(sep + 1).trim();
+    if (provider) out.push({ provider, model });
+  }
+  return out;
+}
+
+function formatFallbackChain(chain) {
+  return (chain || []).map(e => (e.model ? `${e.provider}:${e.model}` : e.provider)).join(',');
+}
+
 // Runtime-configurable settings (overrides env without server restart)
 const runtimeConfig = {
   provider: INITIAL_PROVIDER,
@@ -146,6 +296,28 @@ const runtimeConfig = {
     host: process.env.OLLAMA_HOST || 'http://127.0.0.1:11434',
     model: DEFAULT_MODELS.ollama
   },
+  // Any server exposing /v1/chat/completions (vLLM, LM Studio, llama.cpp server, ...)
+  openaiCompatible: {
+    baseUrl: process.env.OPENAI_COMPATIBLE_BASE_URL || 'http://127.0.0.1:8000/v1',
+    apiKey: process.env.OPENAI_COMPATIBLE_API_KEY || '',
+    model: DEFAULT_MODELS.openai_compatible,
+    structured: String(process.env.OPENAI_COMPATIBLE_STRUCTURED || 'true').toLowerCase() !== 'false'
+  },
+  anthropic: {
+    apiKey: process.env.ANTHROPIC_API_KEY || '',
+    model: DEFAULT_MODELS.anthropic
+  },
+  // Offline provider for development and tests (server/mockLLM.js); rates are probabilities per call
+  mock: {
+    model: DEFAULT_MODELS.mock,
+    fixturesDir: path.resolve(process.env.MOCK_FIXTURES_DIR || path.join(path.dirname(fileURLToPath(import.meta.url)), 'mockFixtures')),
+    latencyMs: Number(process.env.MOCK_LATENCY_MS || 0),
+    truncateRate: Number(process.env.MOCK_TRUNCATE_RATE || 0),
+    errorRate: Number(process.env.MOCK_ERROR_RATE || 0),
+    rateLimitRate: Number(process.env.MOCK_RATE_LIMIT_RATE || 0),
+    retryAfterSeconds: Number(process.env.MOCK_RETRY_AFTER_SECONDS || 5),
+    seed: process.env.MOCK_SEED || ''
+  },
   runware: {
     apiKey: process.env.RUNWARE_API_KEY || '',
     model: process.env.RUNWARE_MODEL || 'runware:100@1',
@@ -166,7 +338,9 @@ const runtimeConfig = {
   },
   imageProvider: process.env.IMAGE_PROVIDER || 'runware',
   // Centralized max token cap for all generations
-  maxTokens: Number(process.env.MAX_TOKENS || 15000)
+  maxTokens: Number(process.env.MAX_TOKENS || 15000),
+  // Providers tried in order after the primary one fails with a rate limit / 5xx / network error
+  fallbackChain: parseFallbackChain(process.env.LLM_FALLBACK_CHAIN)
 };
 
 // Validate and normalize Ollama host to prevent SSRF
@@ -197,6 +371,32 @@ function validateAndNormalizeOllamaHost(input) {
   }
 }
 
+// Validate and normalize the OpenAI-compatible base URL (same SSRF policy as the Ollama host).
+// The hostname of OPENAI_COMPATIBLE_BASE_URL from the environment is always trusted; other hosts
+// must be loopback or listed in OPENAI_COMPATIBLE_HOST_ALLOWLIST. The path (e.g. /v1) is kept.
+function validateAndNormalizeOpenAICompatibleBaseUrl(input) {
+  try {
+    const u = new URL(String(input || '').trim());
+    if (!['http:', 'https:'].includes(u.protocol)) return null;
+    const allowedHostnames = new Set(['127.0.0.1', 'localhost', '::1']);
+    try {
+      if (process.env.OPENAI_COMPATIBLE_BASE_URL) allowedHostnames.add(new URL(process.env.OPENAI_COMPATIBLE_BASE_URL).hostname);
+    } catch {}
+    for (const raw of String(process.env.OPENAI_COMPATIBLE_HOST_ALLOWLIST || '').split(',').map(s => s.trim()).filter(Boolean)) {
+      try {
+        const parsed = raw.includes('://') ? new URL(raw) : null;
+        allowedHostnames.add(parsed ? parsed.hostname : raw);
+      } catch {}
+    }
+    if (!allowedHostnames.has(u.hostname)) return null;
+    const portPart = u.port ? `:${u.port}` : '';
+    const pathPart = u.pathname.replace(/\/+$/, '');
+    return `${u.protocol}//${u.hostname}${portPart}${pathPart}`;
+  } catch {
+    return null;
+  }
+}
+
 // Static fal.ai pricing for default models (sourced from the public pricing gist)
 // You can update these amounts manually if prices change
 // See: https://gist.github.com/azer/6e8ffa228cb5d6f5807cd4d895b191a4
@@ -278,14 +478,14 @@ function computeFalaiCostFromInference(modelId, timings, gen) {
   };
 }
 
-// Basic request logging
+// Access log: one line per response (LOG_LEVEL=debug also logs when each request arrives)
 app.use((req, res, next) => {
   const start = Date.now();
-  const id = Math.random().toString(36).slice(2, 8);
-  console.log(`[REQ ${id}] ${req.method} ${req.path}`);
+  log.debug(`[HTTP] ${req.method} ${req.path}`, { method: req.method, path: req.path });
   res.on('finish', () => {
     const ms = Date.now() - start;
-    console.log(`[RES ${id}] ${res.statusCode} ${ms}ms`);
+    // 'finish' fires from the socket, outside the request's log context
+    log.info(`[HTTP] ${req.method} ${req.path} ${res.statusCode} ${ms}ms`, { requestId: req.id, method: req.method, path: req.path, status: res.statusCode, ms });
   });
   next();
 });
@@ -351,267 +551,278 @@ class LRUCache {
 // Create explanation cache instance
 const explanationCache = new LRUCache(1000);
 
-// In-memory debug store for last N LLM requests/responses
-const DEBUG_CAPACITY = 100;
-const debugLogs = new Map();
-const debugOrder = [];
-function addDebugLog(entry) {
-  const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
-  const record = {
-    id,
-    timestamp: Date.now(),
-    ...entry
-  };
-  debugLogs.set(id, record);
-  debugOrder.push(id);
-  if (debugOrder.length > DEBUG_CAPACITY) {
-    const oldest = debugOrder.shift();
-    if (oldest) debugLogs.delete(oldest);
+// Grades of identical answers (same prompt, context and model), so re-checking a lesson does not call the model again
+const gradeCache = new LRUCache(500);
+
+// Debug store for the last 100 failed LLM requests and frontend log entries (see server/debugStore.js).
+// DEBUG_LOG_FILE persists them to a rotating JSONL file (DEBUG_LOG_MAX_BYTES, DEBUG_LOG_FILES) so they survive restarts.
+const debugStore = createDebugStore({
+  capacity: 100,
+  file: process.env.DEBUG_LOG_FILE ? path.resolve(process.env.DEBUG_LOG_FILE) : null,
+  maxBytes: Number(process.env.DEBUG_LOG_MAX_BYTES || 5 * 1024 * 1024),
+  maxFiles: Number(process.env.DEBUG_LOG_FILES || 3),
+  context: () => (currentLogContext().requestId ? { requestId: currentLogContext().requestId } : {})
+});
+debugStore.load().catch(e => log.warn('[DEBUG] Failed to load persisted debug records:', e?.message));
+const addDebugLog = (entry) => debugStore.add(entry);
+
+// LLM provider adapters (see server/llmProviders.js)
+const llmProviders = createLLMProviders({
+  runtimeConfig,
+  addDebugLog,
+  coerceSchema: coerceSchemaRequiredAll,
+  normalizeOllamaHost: validateAndNormalizeOllamaHost,
+  normalizeOpenAICompatibleBaseUrl: validateAndNormalizeOpenAICompatibleBaseUrl
+});
+
+// Model id of the active provider; used in cache keys and metadata
+function getActiveModel() {
+  return llmProviders.has(runtimeConfig.provider) ? llmProviders.get(runtimeConfig.provider).getModel() : '';
+}
+
+// Circuit breaker per chain entry (provider + model) so one rate-limited model does not block
+// a different model on the same provider
+const providerBreaker = createCircuitBreaker({
+  threshold: Number(process.env.CIRCUIT_BREAKER_THRESHOLD || 3),
+  cooldownMs: Number(process.env.CIRCUIT_BREAKER_COOLDOWN_MS || 60000)
+});
+
+// Per-provider concurrency for LLM calls: LLM_CONCURRENCY for every provider, LLM_CONCURRENCY_<PROVIDER>
+// (e.g. LLM_CONCURRENCY_OLLAMA=1) to override one
+const llmQueue = createLLMQueue({
+  limitFor: (provider) => Number(process.env[`LLM_CONCURRENCY_${provider.toUpperCase()}`] || process.env.LLM_CONCURRENCY || 4),
+  maxQueued: Number(process.env.LLM_QUEUE_MAX || 200)
+});
+
+// Who a request's spend is counted against
+function budgetSubject(req) {
+  return { userId: req.user?.id || null, ip: req.ip || null };
+}
+
+/**
+ * Queue options for the LLM calls made while serving a request: waiting calls are dropped when the client
+ * disconnects, and the position is reported under the client's X-Queue-Ticket header (GET /api/queue/:ticket).
+ * `budget` is the subject the calls' usage is charged to.
+ * @param {'explanation'|'interactive'|'bulk'} [priority]
+ */
+function llmJobFor(req, res, priority = 'interactive') {
+  const controller = new AbortController();
+  res.on('close', () => { if (!res.writableFinished) controller.abort(); });
+  const ticket = String(req.get('x-queue-ticket') || '').trim().slice(0, 64) || null;
+  return { priority, signal: controller.signal, ticket, budget: budgetSubject(req) };
+}
+
+// Answer rejections that happen before any provider call: used-up budget (429), full queue (503) or a
+// client that already left (nothing to send). Returns false for any other error.
+function sendLLMRejection(res, err) {
+  if (!isQueueError(err) && !isBudgetError(err)) return false;
+  if (res.headersSent) return true;
+  if (isBudgetError(err)) {
+    const retryAfter = Math.ceil((Date.parse(err.budget.resets_at) - Date.now()) / 1000);
+    if (retryAfter > 0) res.set('Retry-After', String(retryAfter));
+    res.status(429).json({ error: 'budget_exceeded', message: err.message, budget: err.budget });
+  } else if (err.name === 'QueueFullError') {
+    res.set('Retry-After', '5');
+    res.status(503).json({ error: 'queue_full', message: err.message });
+  } else {
+    res.status(499).end();
   }
-  return id;
+  return true;
 }
 
-async function callLLM({ system, user, maxTokens, jsonSchema, schemaName }) {
-  // Enforce application-level token cap regardless of caller
-  maxTokens = runtimeConfig.maxTokens;
-  const provider = runtimeConfig.provider;
-  const startedAt = Date.now();
-  const logPrefix = `[LLM ${provider}]`;
-  const systemPreview = String(system || '').replace(/\s+/g, ' ');
-  const userPreview = String(user || '').replace(/\s+/g, ' ');
-  console.log(`${logPrefix} model=${
-    provider === 'openrouter' ? runtimeConfig.openrouter.model :
-    runtimeConfig.ollama.model
-  } maxTokens=${maxTokens} systemPreview="${systemPreview}" userPreview="${userPreview}" structured=${jsonSchema ? 'yes' : 'no'}`);
-  if (provider === 'openrouter') {
-    assertEnv(runtimeConfig.openrouter.apiKey, 'Missing OPENROUTER_API_KEY');
-    const buildOpenRouterPayload = (maxTokensValue) => {
-      const modelId = runtimeConfig.openrouter.model || '';
-      const enableReasoningByDefault = /^openai\/gpt-/i.test(String(modelId));
-      return {
-        model: modelId,
-        messages: [
-          system ? { role: 'system', content: system } : null,
-          { role: 'user', content: user }
-        ].filter(Boolean),
-        max_tokens: maxTokensValue,
-        // Enable low-effort reasoning by default for OpenAI GPT models to avoid mandatory reasoning errors
-        reasoning: enableReasoningByDefault ? { effort: 'low' } : { exclude: true, effort: 'low', enabled: false },
-        ...(jsonSchema ? {
-          response_format: {
-            type: 'json_schema',
-            json_schema: {
-              name: schemaName || 'structured_output',
-              strict: true,
-              // Some providers (e.g., OpenAI) require `required` to include all properties recursively
-              schema: coerceSchemaRequiredAll(jsonSchema)
-            }
-          }
-        } : {})
-      };
-    };
+// Ordered list of { provider, model, key } to try: the active provider first, then the fallback chain
+function resolveProviderChain() {
+  const chain = [{ provider: runtimeConfig.provider, model: getActiveModel() }, ...(runtimeConfig.fallbackChain || [])];
+  const seen = new Set();
+  const out = [];
+  for (const entry of chain) {
+    if (!llmProviders.has(entry.provider)) continue;
+    const model = entry.model || llmProviders.get(entry.provider).getModel();
+    const key = `${entry.provider}:${model}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push({ provider: entry.provider, model, key });
+  }
+  return out;
+}
 
-    // Simple global rate limiter for OpenRouter free models (20 RPM across the server)
-    const FREE_MODEL_WINDOW_MS = 60 * 1000;
-    const FREE_MODEL_MAX = 20;
-    const freeModelTimestamps = (globalThis.__OPENROUTER_FREE_TS__ = globalThis.__OPENROUTER_FREE_TS__ || []);
-    async function enforceFreeModelRate(modelId) {
-      if (!/:free$/i.test(String(modelId || ''))) return; // only for free variants
-      const now = Date.now();
-      // Remove timestamps outside the window
-      while (freeModelTimestamps.length && now - freeModelTimestamps[0] > FREE_MODEL_WINDOW_MS) {
-        freeModelTimestamps.shift();
-      }
-      if (freeModelTimestamps.length >= FREE_MODEL_MAX) {
-        const waitMs = FREE_MODEL_WINDOW_MS - (now - freeModelTimestamps[0]);
-        await new Promise(res => setTimeout(res, Math.max(0, waitMs)));
+// Walk the provider chain, skipping entries whose circuit is open. Non-health errors (e.g. a 400
+// for a malformed request) are thrown immediately since the next provider would fail the same way.
+// Each attempt waits for a slot in that provider's queue lane (see server/llmQueue.js) and gets an
+// onUsage callback that charges the job's budget subject. Every attempt that reaches a provider is written
+// to the usage ledger under `job.type` (the label when unset); a price that arrives later is appended separately.
+// The attempt gets `job.signal` too: a call aborted because the client left ends the chain with a CancelledError.
+async function runWithFallback(label, attempt, job = {}) {
+  const chain = resolveProviderChain();
+  if (chain.length === 0) throw new Error(`Unsupported provider: ${runtimeConfig.provider}`);
+  await budgets.assertWithin(job.budget);
+  let lastErr = null;
+  for (let i = 0; i < chain.length; i++) {
+    const entry = chain[i];
+    if (!providerBreaker.canRequest(entry.key)) {
+      log.warn(`[LLM] ${label}: skipping ${entry.key} (circuit open)`);
+      continue;
+    }
+    const ledger = { kind: 'llm', id: crypto.randomUUID(), provider: entry.provider, model: entry.model, type: job.type || label, promptTokens: 0, completionTokens: 0, usd: 0, estimated: false };
+    let written = false;
+    const onUsage = (usage = {}) => {
+      budgets.record(job.budget, usage).catch(() => {});
+      if (written) {
+        if (Number(usage.usd) > 0) recordUsage({ kind: 'cost', id: ledger.id, usd: Number(usage.usd) });
+        return;
       }
-      freeModelTimestamps.push(Date.now());
-    }
-
-    const doOpenRouterRequest = async (maxTokensValue) => {
-      const payload = buildOpenRouterPayload(maxTokensValue);
-      // Enforce 20 RPM for free variants
-      try { await enforceFreeModelRate(payload.model); } catch {}
-      let resp = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'content-type': 'application/json',
-          'authorization': `Bearer ${runtimeConfig.openrouter.apiKey}`,
-          'http-referer': runtimeConfig.openrouter.appUrl || 'http://localhost:5173',
-          'x-title': 'Language AI App'
-        },
-        body: JSON.stringify(payload)
-      });
-      if (!resp.ok) {
-        // Capture error body for diagnostics
-        // Use clone() so caller can still read the body if needed (e.g., to parse 429 details)
-        const errorText = await resp.clone().text().catch(() => '');
-        const debugId = addDebugLog({
-          provider: 'openrouter',
-          model: runtimeConfig.openrouter.model,
-          status: resp.status,
-          request: payload,
-          responseText: errorText
-        });
-        console.error(`${logPrefix} HTTP ${resp.status} body: ${errorText || '(empty)'} | debug=/api/debug/${debugId}`);
-        // If provider requires reasoning enabled, retry once with reasoning enabled
-        if (/Reasoning is mandatory/i.test(errorText || '') && payload?.reasoning?.exclude === true) {
-          console.warn(`${logPrefix} enabling reasoning and retrying once`);
-          const enabledPayload = { ...payload, reasoning: { effort: 'low' } };
-          resp = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-              'content-type': 'application/json',
-              'authorization': `Bearer ${runtimeConfig.openrouter.apiKey}`,
-              'http-referer': runtimeConfig.openrouter.appUrl || 'http://localhost:5173',
-              'x-title': 'Language AI App'
-            },
-            body: JSON.stringify(enabledPayload)
-          });
-          if (!resp.ok) {
-            const secondBody = await resp.clone().text().catch(() => '');
-            const debugId2 = addDebugLog({
-              provider: 'openrouter',
-              model: runtimeConfig.openrouter.model,
-              status: resp.status,
-              request: enabledPayload,
-              responseText: secondBody
-            });
-            console.error(`${logPrefix} HTTP ${resp.status} after enabling reasoning: ${secondBody || '(empty)'} | debug=/api/debug/${debugId2}`);
-          }
-        }
-        // Log exact JSON payload and a curl template to reproduce
-        try {
-          const payloadStr = JSON.stringify(payload);
-          const curlDebugId = addDebugLog({ provider: 'openrouter', model: runtimeConfig.openrouter.model, curlPayload: payload });
-          console.error(`${logPrefix} request payload: ${payloadStr} | curl=/api/debug/${curlDebugId}`);
-          const curl = [
-            'curl -X POST https://openrouter.ai/api/v1/chat/completions',
-            "-H 'Content-Type: application/json'",
-            "-H 'Authorization: Bearer $OPENROUTER_API_KEY'",
-            `-H 'HTTP-Referer: ${runtimeConfig.openrouter.appUrl || 'http://localhost:5173'}'`,
-            "-H 'X-Title: Language AI App'",
-            '--data @payload.json'
-          ].join(' \\\n');
-          console.error(`${logPrefix} repro: save payload from curl debug endpoint above to payload.json then run:\n${curl}`);
-        } catch {}
-      }
-      return resp;
+      ledger.promptTokens += Number(usage.promptTokens) || 0;
+      ledger.completionTokens += Number(usage.completionTokens) || 0;
+      ledger.usd += Number(usage.usd) || 0;
+      if (usage.estimated) ledger.estimated = true;
     };
-
-    let resp = await doOpenRouterRequest(maxTokens);
-    if (!resp.ok && resp.status === 400) {
-      const fallbackOrder = [8000, 4000, 2000].filter(t => t < maxTokens);
-      let tried = [maxTokens];
-      for (const t of fallbackOrder) {
-        console.warn(`${logPrefix} 400 with max_tokens=${tried[tried.length-1]}; retrying with max_tokens=${t}`);
-        resp = await doOpenRouterRequest(t);
-        tried.push(t);
-        if (resp.ok) {
-          maxTokens = t;
-          break;
-        }
+    let startedAt = 0;
+    const writeLedger = (extra) => {
+      if (!startedAt || written) return;
+      written = true;
+      recordUsage({ ...ledger, latencyMs: Date.now() - startedAt, ...extra });
+    };
+    try {
+      const result = await llmQueue.run(entry.provider, () => {
+        startedAt = Date.now();
+        return attempt(llmProviders.get(entry.provider), entry, onUsage, job.signal);
+      }, job);
+      writeLedger({ ok: true });
+      providerBreaker.recordSuccess(entry.key);
+      if (i > 0) log.warn(`[LLM] ${label}: served by fallback ${entry.key}`);
+      return { ...result, provider: entry.provider, model: entry.model };
+    } catch (err) {
+      writeLedger({ ok: false, error: String(err?.message || err).slice(0, 200) });
+      if (job.signal?.aborted && !isQueueError(err)) {
+        log.info(`[LLM] ${label}: ${entry.key} call aborted, the client went away`);
+        providerBreaker.releaseTrial(entry.key);
+        throw cancelledError();
       }
-    }
-    if (!resp.ok) {
-      console.error(`${logPrefix} HTTP ${resp.status}`);
-      if (resp.status === 429) {
-        // Attempt to parse structured rate limit details from body and headers
-        const raw = await resp.text().catch(() => '');
-        let parsed;
-        try { parsed = JSON.parse(raw); } catch {}
-        const hdr = (parsed?.error?.metadata?.headers) || {};
-        const limit = Number(hdr['X-RateLimit-Limit'] || hdr['x-ratelimit-limit'] || resp.headers?.get('x-ratelimit-limit') || resp.headers?.get('X-RateLimit-Limit')) || undefined;
-        const remaining = Number(hdr['X-RateLimit-Remaining'] || hdr['x-ratelimit-remaining'] || resp.headers?.get('x-ratelimit-remaining') || resp.headers?.get('X-RateLimit-Remaining'));
-        const resetStr = hdr['X-RateLimit-Reset'] || hdr['x-ratelimit-reset'] || resp.headers?.get('x-ratelimit-reset') || resp.headers?.get('X-RateLimit-Reset');
-        let resetMs = resetStr ? Number(resetStr) : undefined;
-        if (Number.isFinite(resetMs) && resetMs < 1e12 && resetMs > 1e9) {
-          // Likely seconds; convert to ms
-          resetMs = resetMs * 1000;
-        }
-        const now = Date.now();
-        const retryAfterSeconds = Number.isFinite(resetMs) ? Math.max(0, Math.ceil((resetMs - now) / 1000)) : undefined;
-        const providerName = parsed?.error?.metadata?.provider_name || 'openrouter';
-        const message = parsed?.error?.message || 'Rate limit exceeded';
-        console.warn(`${logPrefix} 429 parsed: limit=${limit ?? 'n/a'} remaining=${Number.isFinite(remaining) ? remaining : 'n/a'} resetMs=${resetMs ?? 'n/a'} retryAfter=${retryAfterSeconds ?? 'n/a'}s provider=${providerName}`);
-        const rateErr = new Error(message);
-        rateErr.name = 'RateLimitError';
-        rateErr.httpStatus = 429;
-        rateErr.provider = 'openrouter';
-        rateErr.rateLimit = {
-          limit: Number.isFinite(limit) ? Number(limit) : undefined,
-          remaining: Number.isFinite(remaining) ? Number(remaining) : undefined,
-          reset_ms: Number.isFinite(resetMs) ? Number(resetMs) : undefined,
-          reset_iso: Number.isFinite(resetMs) ? new Date(Number(resetMs)).toISOString() : undefined,
-          retry_after_seconds: Number.isFinite(retryAfterSeconds) ? Number(retryAfterSeconds) : undefined,
-          provider_name: providerName
-        };
-        throw rateErr;
+      if (isQueueError(err)) {
+        providerBreaker.releaseTrial(entry.key);
+        throw err;
       }
-      throw new Error(`OpenRouter error ${resp.status}`);
+      if (!isFallbackWorthyError(err) || err?.fallbackDisabled) throw err;
+      providerBreaker.recordFailure(entry.key, err);
+      log.warn(`[LLM] ${label}: ${entry.key} failed (${err?.message || err}); trying next provider`);
+      lastErr = err;
     }
-    const data = await resp.json();
-    const responseTime = Date.now() - startedAt;
+  }
+  throw lastErr || new Error('All LLM providers are temporarily unavailable (circuits open)');
+}
 
-    // Log token usage, response data, and attempt to get cost info
-    const usage = data.usage || {};
-    const generationId = data.id;
-    console.log(
-      `${logPrefix} ok in ${responseTime}ms | tokens: ${usage.prompt_tokens || 0}→${usage.completion_tokens || 0} (${usage.total_tokens || 0} total)${generationId ? ` | id: ${generationId}` : ''}\nresponse data: ${JSON.stringify(data)}`
-    );
-    
-    // Fetch detailed cost information asynchronously (non-blocking)
-    if (generationId) {
-      // Validate generationId to prevent URL injection
-      if (typeof generationId === 'string' && /^[a-zA-Z0-9_-]+$/.test(generationId)) {
-        (async () => {
-          try {
-            await new Promise(resolve => setTimeout(resolve, 500)); // Longer delay to allow generation to be processed
-            const costResp = await fetch(`https://openrouter.ai/api/v1/generation?id=${encodeURIComponent(generationId)}`, {
-              headers: { authorization: `Bearer ${runtimeConfig.openrouter.apiKey}` }
-            });
-            if (costResp.ok) {
-              const costData = await costResp.json();
-              if (costData.data && typeof costData.data.total_cost === 'number') {
-                console.log(`${logPrefix} cost: $${Number(costData.data.total_cost).toFixed(6)} | native tokens: ${costData.data.tokens_prompt || 0}→${costData.data.tokens_completion || 0} | provider: ${costData.data.provider_name || 'unknown'}`);
-              }
-            }
-            // Note: Cost data may not be immediately available for all models (especially free tiers)
-          } catch (e) {
-            // Silently ignore cost fetch errors to avoid disrupting the main flow
-          }
-        })();
-      }
+/**
+ * Generate a completion through the provider chain.
+ * The schema is only forwarded to providers that support structured output; `structured` in the
+ * result tells the caller whether strict JSON.parse is safe. `job` carries the queue options (see llmJobFor).
+ * @returns {Promise<{ text: string, provider: string, model: string, structured: boolean }>}
+ */
+async function callLLM({ system, user, maxTokens, jsonSchema, schemaName, job }) {
+  // Enforce application-level token cap regardless of caller
+  maxTokens = runtimeConfig.maxTokens;
+  const systemPreview = String(system || '').replace(/\s+/g, ' ');
+  const userPreview = String(user || '').replace(/\s+/g, ' ');
+  return runWithFallback(schemaName || 'generate', async (provider, entry, onUsage, signal) => {
+    const logPrefix = `[LLM ${provider.id}]`;
+    const structured = !!jsonSchema && provider.supportsStructured();
+    log.info(`${logPrefix} ${schemaName || 'generate'} model=${entry.model} maxTokens=${maxTokens} structured=${structured ? 'yes' : 'no'}`, { model: entry.model, schemaName });
+    log.debug(`${logPrefix} prompt`, { systemPreview, userPreview });
+    const text = await provider.generate({ system, user, maxTokens, jsonSchema: structured ? jsonSchema : undefined, schemaName, model: entry.model, logPrefix, onUsage, signal });
+    return { text, structured };
+  }, job);
+}
+
+/**
+ * Stream a completion through the provider chain. Falling back is only possible until the first
+ * delta has been forwarded to the client.
+ * @returns {Promise<{ content: string, generationId: string|null, provider: string, model: string }>}
+ */
+async function streamLLM({ system, user, onDelta, isAborted, job }) {
+  let emitted = false;
+  return runWithFallback('stream', async (provider, entry, onUsage) => {
+    try {
+      return await provider.stream({
+        system,
+        user,
+        maxTokens: runtimeConfig.maxTokens,
+        model: entry.model,
+        isAborted,
+        logPrefix: `[LLM ${provider.id}]`,
+        onUsage,
+        onDelta: (delta) => { emitted = true; onDelta(delta); }
+      });
+    } catch (err) {
+      if (emitted) err.fallbackDisabled = true;
+      throw err;
     }
-    
-    return data.choices?.[0]?.message?.content || '';
-  }
-  if (provider === 'ollama') {
-    const normalizedHost = validateAndNormalizeOllamaHost(runtimeConfig.ollama.host) || 'http://127.0.0.1:11434';
+  }, job);
+}
 
-    const resp = await fetch(`${normalizedHost}/api/chat`, {
-      method: 'POST',
-      headers: { 'content-type': 'application/json' },
-      body: JSON.stringify({
-        model: runtimeConfig.ollama.model,
-        messages: [
-          system ? { role: 'system', content: system } : null,
-          { role: 'user', content: user }
-        ].filter(Boolean),
-        stream: false,
-        ...(jsonSchema ? { format: jsonSchema } : {})
-      })
+/**
+ * Validate a parsed payload against the request schema and give the model one chance to fix it.
+ * List payloads (`{ items: [...] }`) are checked per item: invalid items are sent back together with
+ * their validation errors, repaired items are re-validated, and anything still invalid is dropped.
+ * Other payloads are repaired as a whole; `payload` is null when the repair also fails.
+ * `llmSchema` is what the repair call sends upstream (null when the model cannot take the full schema).
+ * @returns {Promise<{ payload: object|null, errors: Array<{path: string, message: string}>, repaired: number, dropped: number }>}
+ */
+async function validateAndRepairPayload({ parsed, jsonSchema, llmSchema = jsonSchema, system, user, schemaName, job }) {
+  if (!jsonSchema || typeof jsonSchema !== 'object' || !parsed || typeof parsed !== 'object') {
+    return { payload: parsed, errors: [], repaired: 0, dropped: 0 };
+  }
+  const label = schemaName || 'payload';
+  const parseRepair = ({ text, structured }) => (structured ? JSON.parse(text) : tryParseJsonLoose(text));
+  const itemSchema = getListItemSchema(jsonSchema);
+
+  if (itemSchema && Array.isArray(parsed.items)) {
+    const invalid = [];
+    parsed.items.forEach((item, index) => {
+      const errors = validateAgainstSchema(item, itemSchema, `items[${index}]`);
+      if (errors.length) invalid.push({ index, item, errors });
     });
-    if (!resp.ok) {
-      console.error(`${logPrefix} HTTP ${resp.status}`);
-      throw new Error(`Ollama error ${resp.status}`);
+    if (invalid.length === 0) return { payload: parsed, errors: [], repaired: 0, dropped: 0 };
+    const allErrors = invalid.flatMap(v => v.errors);
+    log.warn(`[VALIDATE] ${label}: ${invalid.length}/${parsed.items.length} items failed schema validation\n${formatValidationErrors(allErrors)}`);
+
+    const fixedByIndex = new Map();
+    try {
+      const repairUser = `${user}\n\nSome items you returned do not match the required JSON schema.\nValidation errors:\n${formatValidationErrors(allErrors, 50)}\n\nInvalid items:\n${JSON.stringify(invalid.map(v => v.item), null, 2)}\n\nReturn {"items": [...]} containing ONLY corrected versions of these ${invalid.length} items, in the same order. Keep their content, fix only what the errors describe.`;
+      const repairedPayload = parseRepair(await callLLM({ system, user: repairUser, jsonSchema: llmSchema, schemaName, job }));
+      const repairedItems = Array.isArray(repairedPayload?.items) ? repairedPayload.items : [];
+      invalid.forEach((v, i) => {
+        const candidate = repairedItems[i];
+        if (candidate !== undefined && validateAgainstSchema(candidate, itemSchema).length === 0) fixedByIndex.set(v.index, candidate);
+      });
+    } catch (e) {
+      log.warn(`[VALIDATE] ${label}: repair attempt failed:`, e?.message);
     }
-    const data = await resp.json();
-    console.log(`${logPrefix} ok in ${Date.now() - startedAt}ms`);
-    return data.message?.content || data.response || '';
+
+    const invalidIndexes = new Set(invalid.map(v => v.index));
+    const items = parsed.items
+      .map((item, index) => (invalidIndexes.has(index) ? fixedByIndex.get(index) : item))
+      .filter(item => item !== undefined);
+    const dropped = invalid.length - fixedByIndex.size;
+    log.info(`[VALIDATE] ${label}: repaired ${fixedByIndex.size}, dropped ${dropped}`);
+    return { payload: { ...parsed, items }, errors: allErrors, repaired: fixedByIndex.size, dropped };
+  }
+
+  const errors = validateAgainstSchema(parsed, jsonSchema);
+  if (errors.length === 0) return { payload: parsed, errors: [], repaired: 0, dropped: 0 };
+  log.warn(`[VALIDATE] ${label}: payload failed schema validation\n${formatValidationErrors(errors)}`);
+  try {
+    const repairUser = `${user}\n\nYour previous response does not match the required JSON schema.\nValidation errors:\n${formatValidationErrors(errors, 50)}\n\nPrevious response:\n${JSON.stringify(parsed, null, 2)}\n\nReturn the corrected JSON object. Keep its content, fix only what the errors describe.`;
+    const repaired = parseRepair(await callLLM({ system, user: repairUser, jsonSchema: llmSchema, schemaName, job }));
+    const remaining = validateAgainstSchema(repaired, jsonSchema);
+    if (remaining.length === 0) {
+      log.info(`[VALIDATE] ${label}: repaired payload passed validation`);
+      return { payload: repaired, errors, repaired: 1, dropped: 0 };
+    }
+    log.warn(`[VALIDATE] ${label}: repaired payload still invalid\n${formatValidationErrors(remaining)}`);
+    return { payload: null, errors: remaining, repaired: 0, dropped: 1 };
+  } catch (e) {
+    log.warn(`[VALIDATE] ${label}: repair attempt failed:`, e?.message);
+    return { payload: null, errors, repaired: 0, dropped: 1 };
   }
-  throw new Error(`Unsupported provider: ${provider}`);
 }
 
 async function getOpenRouterKeyInfo() {
@@ -728,103 +939,144 @@ function dedupeMcqItemOptions(originalItem) {
   }
 }
 
-// Generic LLM generation endpoint (will be extended for persistent cache)
-app.post('/api/generate', async (req, res) => {
-  try {
-    const { system, user, jsonSchema, schemaName, metadata } = req.body || {};
-    if (!user || !String(user).trim()) return res.status(400).json({ error: 'User prompt is required' });
-    
-    // Identify type from schemaName
-    const type = (() => {
-      if (schemaName === 'explanation') return 'explanation';
-      if (schemaName === 'base_text') return 'base_text';
-      if (schemaName === 'fib_list') return 'fib';
-      if (schemaName === 'mcq_list') return 'mcq';
-      if (schemaName === 'writing_prompts_list') return 'writing_prompts';
-      if (schemaName === 'rewriting_list') return 'rewriting';
-      if (/^cloze_single_/.test(String(schemaName))) return 'cloze';
-      if (/^cloze_mixed_single_/.test(String(schemaName))) return 'cloze_mixed';
-      if (schemaName === 'unified_cloze') return 'unified_cloze';
-      if (schemaName === 'guided_dialogues_list') return 'guided_dialogues';
-      if (schemaName === 'reading_list') return 'reading';
-      if (schemaName === 'reading_from_base_text') return 'reading';
-      if (schemaName === 'error_bundle_list') return 'error_bundle';
-      return 'unknown';
-    })();
-
-    // Extract common context from prompt
-    // Prefer explicit metadata over regex parsing
-    const languageMatch = user.match(/Target Language:\s*([^\n]+)/i);
-    const levelMatch = user.match(/Target Level:\s*([^\n]+)/i);
-    const languageName = (metadata?.language || (languageMatch ? languageMatch[1].trim() : '') || 'unknown');
-    const levelFromPrompt = levelMatch ? levelMatch[1].trim() : '';
-    const level = (metadata?.level || String(levelFromPrompt).replace(/\(slightly challenging\)/i, '').trim() || 'unknown');
-    const challengeMode = typeof metadata?.challengeMode === 'boolean' ? metadata.challengeMode : /slightly challenging/i.test(levelFromPrompt);
-    const topicMatchGeneric = user.match(/about:\s*([^\n]+)/i);
-    const grammarTopic = (metadata?.topic || (topicMatchGeneric ? topicMatchGeneric[1] : '')).trim() || 'unknown';
-    const currentModel = runtimeConfig.provider === 'openrouter' ? runtimeConfig.openrouter.model : runtimeConfig.ollama.model;
-    const schemaVersion = schemaVersions[type] || (type === 'explanation' ? schemaVersions.explanation : 1);
-    const promptSha = sha256Hex(`${system || ''}\n${user}\n${schemaName}\n${languageName}:${level}:${challengeMode}`);
-    const promptSha12 = promptSha.slice(0, 12);
+// Context comes from the validated request parameters, not from the prompt text. The pool key stays on the
+// requested model so lookups hit; /api/exercises and pre-generation must derive it the same way.
+function exerciseCacheKeys({ type, schemaName, metadata, cacheSeed }) {
+  const languageName = metadata?.language || 'unknown';
+  const level = metadata?.level || 'unknown';
+  const challengeMode = !!metadata?.challengeMode;
+  const grammarTopic = String(metadata?.topic || '').trim() || 'unknown';
+  const currentModel = getActiveModel();
+  const schemaVersion = schemaVersions[type] || (type === 'explanation' ? schemaVersions.explanation : 1);
+  const promptSha = sha256Hex(`${cacheSeed}\n${schemaName}\n${languageName}:${level}:${challengeMode}`);
+  const promptSha12 = promptSha.slice(0, 12);
+  return {
+    languageName, level, challengeMode, grammarTopic, currentModel, schemaVersion, promptSha, promptSha12,
+    poolKey: `${type}:${languageName}:${level}:${challengeMode}:${currentModel}:${schemaVersion}:${promptSha12}`,
+    bucketKey: makeBucketKey({ type, language: languageName, level, challengeMode, grammarTopic })
+  };
+}
 
-    // Base text persistent cache handling
-    if (cacheLayout && type === 'base_text') {
-      const currentModel = runtimeConfig.provider === 'openrouter' ? runtimeConfig.openrouter.model : runtimeConfig.ollama.model;
-      const topic = (metadata?.topic || (user.match(/about:\s*([^\n]+)/i)?.[1] || 'unknown')).trim();
-      const baseKey = `base:${languageName}:${level}:${challengeMode}:${topic}:${currentModel}:${schemaVersion}:${promptSha12}`;
-      const rec = await getBaseText(cacheLayout, baseKey);
-      if (rec && rec.content) {
-        return res.json({ ...rec.content, _cacheKey: baseKey });
-      }
-      const useStructured = ['openrouter', 'ollama'].includes(runtimeConfig.provider);
-      const text = await callLLM({ system, user, jsonSchema: useStructured ? jsonSchema : undefined, schemaName });
-      let parsed;
-      try {
-        parsed = useStructured ? JSON.parse(text) : tryParseJsonLoose(text);
-      } catch (e) {
-        console.error('[PARSE]', e.message, e.rawPreview || '');
-        return res.status(502).json({ error: 'Upstream returned invalid JSON', details: e.message, provider: runtimeConfig.provider });
-      }
-      try {
-        // Deterministic ID for the base text
-        const idSource = `${languageName}:${level}:${challengeMode}:${topic}:${currentModel}:${schemaVersion}:${promptSha}`;
-        const baseTextId = sha256Hex(idSource).slice(0, 16);
-        const withId = { ...parsed, id: baseTextId, language: languageName, level, challengeMode, topic };
-        const meta = { language: languageName, level, challengeMode, topic, model: currentModel, schemaVersion, promptSha, promptSha12, baseTextId };
-        const cap = Number(process.env.CACHE_BASE_TEXTS_MAX || 500);
-        await setBaseText(cacheLayout, baseKey, meta, withId, cap);
-        return res.json({ ...withId, _cacheKey: baseKey });
-      } catch (e) {
-        console.warn('[CACHE] Failed to persist base text:', e?.message);
-        return res.json(parsed);
+// Bucket cap per type/language/level/challenge/topic (CACHE_EXERCISES_PER_TYPE_MAX times a per-type factor)
+function exercisePerTypeLimit(type) {
+  const baseLimit = Number(process.env.CACHE_EXERCISES_PER_TYPE_MAX || 100);
+  const factor = (() => {
+    switch (type) {
+      case 'fib': return Number(process.env.CACHE_PER_TYPE_FACTOR_FIB || 10);
+      case 'mcq': return Number(process.env.CACHE_PER_TYPE_FACTOR_MCQ || 5);
+      case 'reading': return Number(process.env.CACHE_PER_TYPE_FACTOR_READING || 2);
+      case 'error_bundle': return Number(process.env.CACHE_PER_TYPE_FACTOR_ERROR_BUNDLE || 5);
+      case 'rewriting': return Number(process.env.CACHE_PER_TYPE_FACTOR_REWRITING || 8);
+      default: return 1;
+    }
+  })();
+  return Math.max(baseLimit, Math.floor(baseLimit * (Number.isFinite(factor) && factor > 0 ? factor : 1)));
+}
+
+/**
+ * Generate new items with the LLM, keep the schema-valid ones and add up to `need` of them to the pool
+ * @param {object} job - runGeneration job plus `keys` (exerciseCacheKeys) and `need`
+ * @returns {Promise<{ items: object[], addedShas: string[], groupId: string }>}
+ */
+async function generateIntoPool({ type, system, user, jsonSchema, llmSchema, schemaName, metadata, keys, need, job }) {
+  const { poolKey, bucketKey, languageName, level, challengeMode, grammarTopic, schemaVersion } = keys;
+  const { text, structured, provider: producedBy, model: producedModel } = await callLLM({ system, user, jsonSchema: llmSchema, schemaName, job });
+  let parsed;
+  try {
+    parsed = structured ? JSON.parse(text) : tryParseJsonLoose(text);
+  } catch (e) {
+    const expectsItems = !!(jsonSchema && jsonSchema.properties && jsonSchema.properties.items);
+    if (expectsItems) {
+      const recovered = recoverItemsFromPartialJson(text);
+      if (recovered && Array.isArray(recovered.items) && recovered.items.length > 0) {
+        parsed = recovered;
+      } else {
+        throw e;
       }
+    } else {
+      throw e;
     }
+  }
+  // Only schema-valid items may reach the persistent pool
+  parsed = (await validateAndRepairPayload({ parsed, jsonSchema, llmSchema, system, user, schemaName, job })).payload;
+  let generated = Array.isArray(parsed?.items) ? parsed.items : [];
+  // MCQ: dedupe option texts in newly generated items; drop invalid ones (< 2 distinct options)
+  if (type === 'mcq') {
+    const beforeGen = generated.length;
+    let changedGen = 0;
+    generated = generated.map(it => {
+      const { item: fixed, changed, valid } = dedupeMcqItemOptions(it);
+      if (changed) changedGen++;
+      return valid ? fixed : null;
+    }).filter(Boolean);
+    if (changedGen > 0) {
+      log.warn(`[MCQ] Deduped option texts for ${changedGen}/${beforeGen} newly generated items (removed duplicates).`);
+    }
+  }
+  const toAdd = generated.slice(0, need);
+  // Item meta records the producing model (which may be a fallback)
+  const { addedShas, groupId } = await addExercisesToPool(cacheLayout, { type, poolKey, bucketKey, language: languageName, level, challengeMode, grammarTopic, model: producedModel, provider: producedBy, schemaVersion, baseTextId: metadata?.baseTextId, baseTextChapter: metadata?.baseTextChapter }, toAdd, exercisePerTypeLimit(type));
+  return { items: toAdd, addedShas, groupId };
+}
+
+// Shortfall generations and explanation streams in progress, shared by identical requests
+const inflightGenerations = createInflight();
+const explanationStreams = createStreamHub();
+
+/**
+ * generateIntoPool for a request's shortfall, shared with identical requests (same pool key) in flight: a request
+ * that joins takes the other generation's items it has not seen, then generates whatever is still missing
+ * @param {object} job - generateIntoPool arguments
+ * @param {Set<string>} seenSet - 12-char prefixes the user has seen
+ * @param {string[]} servedShas - Items already in this response
+ * @returns {Promise<Array<{ item: object, sha: string, shared: boolean }>>} Items tagged with their exerciseGroupId;
+ *   `shared` marks items taken from another request's generation
+ */
+async function generateShortfall(job, seenSet, servedShas) {
+  const exclude = new Set(servedShas);
+  const out = [];
+  // Bounded so a request that keeps joining generations it cannot use still ends up generating its own
+  for (let round = 0; round < 3 && out.length < job.need; round++) {
+    const need = job.need - out.length;
+    // The shared call runs under its own signal, cancelled only when every request waiting for it went away
+    const { promise, joined } = inflightGenerations.join(job.keys.poolKey,
+      (signal) => generateIntoPool({ ...job, need, job: { ...job.job, signal } }), job.job.signal);
+    const batch = await promise;
+    if (joined) log.info(`[INFLIGHT] ${job.type} joined a generation in progress (${batch.addedShas.length} items)`);
+    const fresh = batch.addedShas
+      .map((sha, i) => ({ item: { ...batch.items[i], exerciseGroupId: batch.groupId }, sha, shared: joined }))
+      .filter(p => !exclude.has(p.sha) && !seenSet.has(p.sha.slice(0, 12)))
+      .slice(0, need);
+    fresh.forEach(p => { exclude.add(p.sha); out.push(p); });
+    // A generation of our own counts even when the model returned fewer valid items than asked
+    if (!joined) break;
+  }
+  return out;
+}
+
+/**
+ * Shared generation pipeline behind `POST /api/exercises/:type`: persistent cache lookup with per-user
+ * unseen selection, LLM call for the shortfall, schema validation and pool persistence.
+ * Prompts always come from the exercise registry (server/exercisePrompts.js).
+ * @param {object} job
+ * @param {string} job.type - Cache type ('fib', 'mcq', 'explanation', ...; 'unknown' = not persisted)
+ * @param {string} job.cacheSeed - Stable seed for promptSha (see exerciseCacheSeed)
+ * @param {object} [job.llmSchema] - Schema sent upstream when it differs from jsonSchema (null = loose JSON)
+ */
+async function runGeneration(req, res, { type, system, user, jsonSchema, llmSchema = jsonSchema, schemaName, metadata, cacheSeed }) {
+  try {
+    const job = { ...llmJobFor(req, res, type === 'explanation' ? 'explanation' : 'interactive'), type };
+    const keys = exerciseCacheKeys({ type, schemaName, metadata, cacheSeed });
+    const { languageName, level, challengeMode, grammarTopic, currentModel, schemaVersion, promptSha, promptSha12 } = keys;
 
     // If this is an exercise request, try persistent cache first with per-user unseen selection
     if (cacheLayout && type && type !== 'explanation' && type !== 'unknown') {
-      const poolKey = `${type}:${languageName}:${level}:${challengeMode}:${currentModel}:${schemaVersion}:${promptSha12}`;
-      const bucketKey = makeBucketKey({ type, language: languageName, level, challengeMode, grammarTopic });
-      // Parse desired count if present (supports prompt text, JSON payloads, and metadata)
-      let desiredCount = 1;
-      if (metadata && typeof metadata.count === 'number' && Number.isFinite(metadata.count)) {
-        desiredCount = Math.max(1, Math.min(50, Math.floor(metadata.count)));
-      }
-      const countMatch = user.match(/Create exactly\s+(\d+)\b/i);
-      if (countMatch) desiredCount = Math.max(1, Math.min(50, Number(countMatch[1])));
-      try {
-        const parsedUser = JSON.parse(user);
-        if (parsedUser && typeof parsedUser.count === 'number') {
-          desiredCount = Math.max(1, Math.min(50, Number(parsedUser.count)));
-        }
-      } catch {}
-      // For cloze and cloze_mixed single schema, clamp to 1
+      // Desired count was clamped by the registry route; cloze and cloze_mixed single schemas stay at 1
+      let desiredCount = Math.max(1, Math.min(50, Math.floor(Number(metadata?.count) || 1)));
       if (type === 'cloze' || type === 'cloze_mixed') desiredCount = 1;
 
-      // Parse seen cookie
-      const cookieHeader = String(req.headers['cookie'] || '');
-      const cookieName = `seen_exercises_${type}_v${schemaVersion}`;
-      const seenCookieMatch = cookieHeader.match(new RegExp(`${cookieName}=([^;]+)`));
-      const seenList = seenCookieMatch ? decodeURIComponent(seenCookieMatch[1]).split(',').filter(Boolean) : [];
+      // Seen list comes from the user's store when signed in, else from the seen cookie
+      const seenList = await readSeenList(req, type, schemaVersion);
       const seenSet = new Set(seenList);
 
       const useGrouped = type === 'fib' || type === 'mcq' || type === 'error_bundle' || type === 'rewriting';
@@ -853,19 +1105,9 @@ app.post('/api/generate', async (req, res) => {
           if (foundSha) {
             const rec = await readExerciseItem(cacheLayout, foundSha);
             if (rec && rec.content) {
-              // Update seen cookie with this sha prefix so weighting logic remains consistent
-              try {
-                const cookieName = `seen_exercises_${type}_v${schemaVersion}`;
-                const prefixes = [String(foundSha).slice(0, 12)];
-                const cookieHeader = String(req.headers['cookie'] || '');
-                const seenCookieMatch = cookieHeader.match(new RegExp(`${cookieName}=([^;]+)`));
-                const seenList = seenCookieMatch ? decodeURIComponent(seenCookieMatch[1]).split(',').filter(Boolean) : [];
-                const maxSeen = Number(process.env.COOKIE_MAX_SEEN_PER_TYPE || 50);
-                const merged = Array.from(new Set([...seenList, ...prefixes])).slice(-maxSeen);
-                const cookieVal = encodeURIComponent(merged.join(','));
-                res.append('Set-Cookie', `${cookieName}=${cookieVal}; Path=/; Max-Age=2592000; SameSite=Lax`);
-              } catch {}
-              return res.json({ items: [{ ...rec.content, exerciseSha: foundSha }] });
+              // Mark this sha as seen so weighting logic remains consistent
+              await recordSeen(req, res, type, schemaVersion, [foundSha], seenList);
+              return res.json({ items: [{ ...rec.content, exerciseSha: foundSha, ...(rec.accepted_answers ? { accepted_answers: rec.accepted_answers } : {}) }] });
             }
           }
         } catch {}
@@ -882,6 +1124,7 @@ app.post('/api/generate', async (req, res) => {
         if (r.groupId) it.exerciseGroupId = r.groupId;
         if (r.meta && r.meta.baseTextId) it.baseTextId = r.meta.baseTextId;
         if (r.meta && r.meta.baseTextChapter !== undefined) it.baseTextChapter = r.meta.baseTextChapter;
+        if (r.accepted_answers) it.accepted_answers = r.accepted_answers;
         return { item: it, sha: cachedShas[idx] };
       });
 
@@ -895,75 +1138,29 @@ app.post('/api/generate', async (req, res) => {
           return valid ? { item: fixed, sha } : null;
         }).filter(Boolean);
         if (dedupedCount > 0) {
-          console.warn(`[MCQ] Deduped option texts for ${dedupedCount}/${before} cached items (removed duplicates).`);
+          log.warn(`[MCQ] Deduped option texts for ${dedupedCount}/${before} cached items (removed duplicates).`);
         }
       }
 
       let resultItems = resultPairs.map(p => p.item);
       let resultShas = resultPairs.map(p => p.sha);
+      const served = { kind: 'items', type, cached: resultItems.length, generated: 0, shared: 0, source: 'request' };
 
       // If not enough, call LLM for the shortfall
       if (resultItems.length < desiredCount) {
         const need = desiredCount - resultItems.length;
-        const useStructured = ['openrouter', 'ollama'].includes(runtimeConfig.provider);
-        const text = await callLLM({ system, user, jsonSchema: useStructured ? jsonSchema : undefined, schemaName });
-        let parsed;
-        try {
-          parsed = useStructured ? JSON.parse(text) : tryParseJsonLoose(text);
-        } catch (e) {
-          const expectsItems = !!(jsonSchema && jsonSchema.properties && jsonSchema.properties.items);
-          if (expectsItems) {
-            const recovered = recoverItemsFromPartialJson(text);
-            if (recovered && Array.isArray(recovered.items) && recovered.items.length > 0) {
-              parsed = recovered;
-            } else {
-              throw e;
-            }
-          } else {
-            throw e;
-          }
-        }
-        let generated = Array.isArray(parsed?.items) ? parsed.items : [];
-        // MCQ: dedupe option texts in newly generated items; drop invalid ones (< 2 distinct options)
-        if (type === 'mcq') {
-          const beforeGen = generated.length;
-          let changedGen = 0;
-          generated = generated.map(it => {
-            const { item: fixed, changed, valid } = dedupeMcqItemOptions(it);
-            if (changed) changedGen++;
-            return valid ? fixed : null;
-          }).filter(Boolean);
-          if (changedGen > 0) {
-            console.warn(`[MCQ] Deduped option texts for ${changedGen}/${beforeGen} newly generated items (removed duplicates).`);
-          }
-        }
-        const toAdd = generated.slice(0, need);
-        const baseLimit = Number(process.env.CACHE_EXERCISES_PER_TYPE_MAX || 100);
-        const factor = (() => {
-          switch (type) {
-            case 'fib': return Number(process.env.CACHE_PER_TYPE_FACTOR_FIB || 10);
-            case 'mcq': return Number(process.env.CACHE_PER_TYPE_FACTOR_MCQ || 5);
-            case 'reading': return Number(process.env.CACHE_PER_TYPE_FACTOR_READING || 2);
-            case 'error_bundle': return Number(process.env.CACHE_PER_TYPE_FACTOR_ERROR_BUNDLE || 5);
-            case 'rewriting': return Number(process.env.CACHE_PER_TYPE_FACTOR_REWRITING || 8);
-            default: return 1;
-          }
-        })();
-        const perTypeLimit = Math.max(baseLimit, Math.floor(baseLimit * (Number.isFinite(factor) && factor > 0 ? factor : 1)));
-        const { addedShas, groupId } = await addExercisesToPool(cacheLayout, { type, poolKey, bucketKey, language: languageName, level, challengeMode, grammarTopic, model: currentModel, schemaVersion, baseTextId: metadata?.baseTextId, baseTextChapter: metadata?.baseTextChapter }, toAdd, perTypeLimit);
-        // Attach groupId to items so frontend can rate the batch
-        resultItems = resultItems.concat(toAdd.map(it => ({ ...it, exerciseGroupId: groupId, ...(metadata?.baseTextId ? { baseTextId: metadata.baseTextId } : {}), ...(metadata?.baseTextChapter !== undefined ? { baseTextChapter: metadata.baseTextChapter } : {}) })));
-        resultShas = resultShas.concat(addedShas);
+        const generated = await generateShortfall({ type, system, user, jsonSchema, llmSchema, schemaName, metadata, keys, need, job }, seenSet, resultShas);
+        served.shared = generated.filter(p => p.shared).length;
+        served.generated = generated.length - served.shared;
+        // Items carry their groupId so the frontend can rate the batch
+        resultItems = resultItems.concat(generated.map(({ item }) => ({ ...item, ...(metadata?.baseTextId ? { baseTextId: metadata.baseTextId } : {}), ...(metadata?.baseTextChapter !== undefined ? { baseTextChapter: metadata.baseTextChapter } : {}) })));
+        resultShas = resultShas.concat(generated.map(({ sha }) => sha));
       }
 
-      // Update seen cookie with 12-char prefixes
-      try {
-        const prefixes = resultShas.map(s => String(s).slice(0, 12));
-        const maxSeen = Number(process.env.COOKIE_MAX_SEEN_PER_TYPE || 50);
-        const merged = Array.from(new Set([...seenList, ...prefixes])).slice(-maxSeen);
-        const cookieVal = encodeURIComponent(merged.join(','));
-        res.append('Set-Cookie', `${cookieName}=${cookieVal}; Path=/; Max-Age=2592000; SameSite=Lax`);
-      } catch {}
+      // Record served items as seen (12-char prefixes)
+      await recordSeen(req, res, type, schemaVersion, resultShas, seenList);
+      recordUsage(served);
+      log.info(`[CACHE] ${type}: ${served.cached} cached, ${served.generated} generated, ${served.shared} shared`, { type, poolKey: keys.poolKey, cached: served.cached, generated: served.generated, shared: served.shared });
 
       const itemsWithIds = resultItems.map((it, i) => ({ ...it, exerciseSha: resultShas[i] }));
       // Increment hits for analytics
@@ -975,77 +1172,58 @@ app.post('/api/generate', async (req, res) => {
     const isExplanation = schemaName === 'explanation';
     let explanationPersistentKey = null;
     if (isExplanation && cacheLayout) {
-      const currentModel = runtimeConfig.provider === 'openrouter' 
-        ? runtimeConfig.openrouter.model 
-        : runtimeConfig.ollama.model;
-      const topicMatch = user.match(/Explain the grammar concept:\s*([^\.\n]+)/i);
-      const languageName = metadata?.language || (user.match(/Target Language:\s*([^\n]+)/i)?.[1]?.trim() || 'unknown');
-      const levelRaw = metadata?.level || (user.match(/Target Level:\s*([^\n]+)/i)?.[1]?.trim() || '');
-      const challengeMode = typeof metadata?.challengeMode === 'boolean' ? metadata.challengeMode : /slightly challenging/i.test(levelRaw);
-      const level = String(levelRaw).replace(/\(slightly challenging\)/i, '').trim() || 'unknown';
-      const grammarConcept = (metadata?.topic || (topicMatch ? topicMatch[1].trim() : '') || 'unknown');
-      const schemaVersion = schemaVersions.explanation || 1;
-      const promptSha = sha256Hex(`${system || ''}\n${user}\n${schemaName}\n${languageName}:${level}:${challengeMode}`);
-      const promptSha12 = promptSha.slice(0, 12);
+      const grammarConcept = grammarTopic;
       explanationPersistentKey = `exp:${languageName}:${level}:${challengeMode}:${grammarConcept}:${currentModel}:${schemaVersion}:${promptSha12}`;
       const rec = await getExplanation(cacheLayout, explanationPersistentKey);
       if (rec && rec.content) {
-        console.log(`[CACHE HIT] explanation ${grammarConcept} | model=${currentModel} | v=${schemaVersion}`);
+        log.info(`[CACHE HIT] explanation ${grammarConcept} | model=${currentModel} | v=${schemaVersion}`);
+        recordUsage({ kind: 'items', type: 'explanation', cached: 1, generated: 0, shared: 0, source: 'request' });
         const withKey = { ...rec.content, _cacheKey: explanationPersistentKey };
         return res.json(withKey);
       }
     }
     
-    const useStructured = ['openrouter', 'ollama'].includes(runtimeConfig.provider);
-    const text = await callLLM({ 
-      system, 
-      user, 
-      jsonSchema: useStructured ? jsonSchema : undefined, 
-      schemaName 
-    });
+    const { text, structured, provider: producedBy, model: producedModel } = await callLLM({ system, user, jsonSchema: llmSchema, schemaName, job });
     
     let parsed;
     try {
-      parsed = useStructured ? JSON.parse(text) : tryParseJsonLoose(text);
+      parsed = structured ? JSON.parse(text) : tryParseJsonLoose(text);
     } catch (e) {
       // Attempt recovery for list payloads: salvage completed items and discard last partial
       const expectsItems = !!(jsonSchema && jsonSchema.properties && jsonSchema.properties.items);
       if (expectsItems) {
         const recovered = recoverItemsFromPartialJson(text);
         if (recovered && Array.isArray(recovered.items) && recovered.items.length > 0) {
-          console.warn('[PARSE-RECOVER] Returning salvaged items from truncated JSON:', recovered.items.length);
-          return res.json(recovered);
+          log.warn('[PARSE-RECOVER] Returning salvaged items from truncated JSON:', recovered.items.length);
+          const checkedRecovered = await validateAndRepairPayload({ parsed: recovered, jsonSchema, llmSchema, system, user, schemaName, job });
+          return res.json(checkedRecovered.payload);
         }
       }
-      console.error('[PARSE]', e.message, e.rawPreview || '');
-      return res.status(502).json({ error: 'Upstream returned invalid JSON', details: e.message, provider: runtimeConfig.provider });
+      log.error('[PARSE]', e.message, e.rawPreview || '');
+      return res.status(502).json({ error: 'Upstream returned invalid JSON', details: e.message, provider: producedBy });
     }
-    
+
+    const checked = await validateAndRepairPayload({ parsed, jsonSchema, llmSchema, system, user, schemaName, job });
+    if (!checked.payload) {
+      return res.status(502).json({ error: 'Upstream returned an invalid payload', details: formatValidationErrors(checked.errors), provider: producedBy });
+    }
+    parsed = checked.payload;
+
     // Persistent cache write for explanations
     if (isExplanation && explanationPersistentKey && parsed && cacheLayout) {
       try {
-        const currentModel = runtimeConfig.provider === 'openrouter' 
-          ? runtimeConfig.openrouter.model 
-          : runtimeConfig.ollama.model;
-        const topicMatch = user.match(/Explain the grammar concept:\s*([^\.\n]+)/i);
-        const languageName = metadata?.language || (user.match(/Target Language:\s*([^\n]+)/i)?.[1]?.trim() || 'unknown');
-        const levelRaw = metadata?.level || (user.match(/Target Level:\s*([^\n]+)/i)?.[1]?.trim() || '');
-        const challengeMode = typeof metadata?.challengeMode === 'boolean' ? metadata.challengeMode : /slightly challenging/i.test(levelRaw);
-        const level = String(levelRaw).replace(/\(slightly challenging\)/i, '').trim() || 'unknown';
-        const grammarConcept = (metadata?.topic || (topicMatch ? topicMatch[1].trim() : '') || 'unknown');
-        const schemaVersion = schemaVersions.explanation || 1;
-        const promptSha = sha256Hex(`${system || ''}\n${user}\n${schemaName}\n${languageName}:${level}:${challengeMode}`);
-        const promptSha12 = promptSha.slice(0, 12);
-        const meta = { language: languageName, level, challengeMode, grammarConcept, model: currentModel, schemaVersion, promptSha, promptSha12 };
+        const grammarConcept = grammarTopic;
+        const meta = { language: languageName, level, challengeMode, grammarConcept, model: producedModel, provider: producedBy, schemaVersion, promptSha, promptSha12 };
         const cap = Number(process.env.CACHE_EXPLANATIONS_MAX || 1000);
         await setExplanation(cacheLayout, explanationPersistentKey, meta, parsed, cap);
-        console.log(`[CACHE SET] explanation ${grammarConcept} | model=${currentModel} | v=${schemaVersion}`);
+        log.info(`[CACHE SET] explanation ${grammarConcept} | model=${producedModel} | v=${schemaVersion}`);
       } catch (e) {
-        console.warn('[CACHE] Failed to persist explanation:', e?.message);
+        log.warn('[CACHE] Failed to persist explanation:', e?.message);
       }
     }
     
     if (isExplanation && explanationPersistentKey) {
+      recordUsage({ kind: 'items', type: 'explanation', cached: 0, generated: 1, shared: 0, source: 'request' });
       const withKey = { ...parsed, _cacheKey: explanationPersistentKey };
       return res.json(withKey);
     }
@@ -1059,13 +1237,14 @@ app.post('/api/generate', async (req, res) => {
         return valid ? fixed : null;
       }).filter(Boolean);
       if (changed > 0) {
-        console.warn(`[MCQ] Deduped option texts for ${changed}/${before} items (no-cache path).`);
+        log.warn(`[MCQ] Deduped option texts for ${changed}/${before} items (no-cache path).`);
       }
       parsed.items = deduped;
     }
     return res.json(parsed);
   } catch (err) {
-    try { console.error(err); } catch {}
+    if (sendLLMRejection(res, err)) return;
+    try { log.error('[GENERATE]', err); } catch {}
     if (err && err.name === 'RateLimitError') {
       const rl = err.rateLimit || {};
       if (Number.isFinite(rl.retry_after_seconds)) {
@@ -1088,6 +1267,130 @@ app.post('/api/generate', async (req, res) => {
     const status = /Missing/i.test(err?.message || '') ? 400 : 500;
     return res.status(status).json({ error: 'Failed to generate content', details: err?.message, provider: runtimeConfig.provider });
   }
+}
+
+// Some OpenRouter models (e.g., Meta Llama free tiers) reject deep JSON Schemas; those get loose JSON
+// parsing and are still validated against the full schema afterwards
+function supportsDeepSchema() {
+  if (runtimeConfig.provider !== 'openrouter') return true;
+  const modelId = getActiveModel();
+  return !(/meta-llama\//i.test(modelId) || /maverick/i.test(modelId) || /:free$/i.test(modelId));
+}
+
+/**
+ * Resolve a chapter of a base text by 1-based number, falling back to its title
+ * @returns {object|null} Chapter with `number` set
+ */
+function resolveBaseTextChapter(baseText, chapterNumber, chapterTitle) {
+  const chapters = Array.isArray(baseText?.chapters) ? baseText.chapters : [];
+  let index = Number.isInteger(chapterNumber) ? chapterNumber - 1 : -1;
+  if (!chapters[index] && chapterTitle) index = chapters.findIndex(ch => ch?.title === chapterTitle);
+  const chapter = chapters[index];
+  return chapter ? { ...chapter, number: index + 1 } : null;
+}
+
+/**
+ * Generate exercises of a registered type from parameters only.
+ * Body: { topic, language, level, challengeMode, count, baseTextId?, chapterNumber?, chapterTitle?,
+ *         inspiration?: { baseTextId, chapterNumber, chapterTitle, exerciseType }, passageNumber?,
+ *         sentence?, sentenceIndex? (cloze steps) }
+ */
+app.post('/api/exercises/:type', async (req, res) => {
+  const type = String(req.params.type || '');
+  const entry = Object.prototype.hasOwnProperty.call(EXERCISE_REGISTRY, type) ? EXERCISE_REGISTRY[type] : null;
+  if (!entry) return res.status(404).json({ error: 'Unknown exercise type', details: type });
+  try {
+    const body = req.body || {};
+    const topic = String(body.topic || '').trim();
+    if (!topic) return res.status(400).json({ error: 'topic is required' });
+    if (topic.length > 300) return res.status(400).json({ error: 'topic is too long' });
+    const language = String(body.language || 'es').trim().slice(0, 60) || 'es';
+    const level = String(body.level || 'B1').trim().slice(0, 20) || 'B1';
+    const challengeMode = !!body.challengeMode;
+    const requested = Math.floor(Number(body.count));
+    const count = Math.max(entry.minCount || 1, Math.min(entry.maxCount, Number.isFinite(requested) && requested > 0 ? requested : entry.defaultCount));
+
+    const ctx = { topic, language, level, challengeMode, count, baseText: null, chapter: null, inspiration: null };
+
+    const baseTextId = typeof body.baseTextId === 'string' ? body.baseTextId.trim() : '';
+    if (entry.chapter !== 'none' && baseTextId) {
+      if (!cacheLayout) return res.status(503).json({ error: 'Cache not initialized' });
+      const found = await findBaseTextContentById(baseTextId);
+      if (!found) return res.status(404).json({ error: 'Base text not found', details: baseTextId });
+      ctx.baseText = found.content;
+      ctx.chapter = resolveBaseTextChapter(found.content, Number(body.chapterNumber), typeof body.chapterTitle === 'string' ? body.chapterTitle : '');
+      if (!ctx.chapter?.passage) return res.status(404).json({ error: 'Base text chapter not found', details: `${baseTextId}#${body.chapterNumber ?? body.chapterTitle ?? ''}` });
+    }
+    if (entry.chapter === 'required' && !ctx.chapter) {
+      return res.status(400).json({ error: 'baseTextId and chapterNumber are required for this exercise type' });
+    }
+
+    if (type === 'guided_dialogues' && body.inspiration && typeof body.inspiration === 'object') {
+      const insp = body.inspiration;
+      const inspiration = {
+        baseTextId: typeof insp.baseTextId === 'string' ? insp.baseTextId.trim() : '',
+        chapterNumber: Number(insp.chapterNumber) || null,
+        chapterTitle: String(insp.chapterTitle || '').slice(0, 200),
+        exerciseType: String(insp.exerciseType || '').slice(0, 60),
+        chapterPassage: ''
+      };
+      // Passage text is loaded from the cache; without it the prompt only names the chapter
+      if (inspiration.baseTextId && cacheLayout) {
+        try {
+          const found = await findBaseTextContentById(inspiration.baseTextId);
+          const chapter = found ? resolveBaseTextChapter(found.content, inspiration.chapterNumber, inspiration.chapterTitle) : null;
+          if (chapter) {
+            inspiration.chapterNumber = chapter.number;
+            inspiration.chapterTitle = chapter.title || inspiration.chapterTitle;
+            inspiration.chapterPassage = chapter.passage || '';
+          }
+        } catch {}
+      }
+      if (inspiration.baseTextId || inspiration.chapterTitle) ctx.inspiration = inspiration;
+    }
+
+    if (entry.needsSentence) {
+      const sentence = String(body.sentence || '').trim();
+      if (!sentence) return res.status(400).json({ error: 'sentence is required for this step' });
+      if (sentence.length > 1000) return res.status(400).json({ error: 'sentence is too long' });
+      ctx.sentence = sentence;
+      ctx.sentenceIndex = Math.max(0, Math.floor(Number(body.sentenceIndex) || 0));
+    }
+    if (type === 'reading' && !ctx.chapter) {
+      const passageNumber = Math.floor(Number(body.passageNumber));
+      ctx.passageNumber = Number.isFinite(passageNumber) && passageNumber > 0 ? Math.min(passageNumber, 10) : null;
+    }
+
+    const { system, user, schemaName, jsonSchema } = entry.build(ctx);
+    const metadata = {
+      language,
+      level,
+      challengeMode,
+      topic,
+      count,
+      ...(ctx.chapter ? { baseTextId: ctx.baseText?.id || baseTextId, chapterNumber: ctx.chapter.number, chapterTitle: ctx.chapter.title } : {}),
+      ...(ctx.inspiration ? {
+        inspiredByChapter: ctx.inspiration.chapterTitle,
+        inspiredByChapterNumber: ctx.inspiration.chapterNumber,
+        inspiredByExercise: ctx.inspiration.exerciseType,
+        inspiredByBaseText: ctx.inspiration.baseTextId,
+        inspiredByChapterContent: !!ctx.inspiration.chapterPassage
+      } : {})
+    };
+    return runGeneration(req, res, {
+      type: entry.cacheType || 'unknown',
+      system,
+      user,
+      jsonSchema,
+      llmSchema: entry.deepSchema && !supportsDeepSchema() ? null : jsonSchema,
+      schemaName,
+      metadata,
+      cacheSeed: exerciseCacheSeed(type, ctx)
+    });
+  } catch (err) {
+    log.error('[EXERCISES]', type, err?.message);
+    return res.status(500).json({ error: 'Failed to generate exercises', details: err?.message });
+  }
 });
 
 // Streaming explanation generation (SSE)
@@ -1102,36 +1405,27 @@ app.post('/api/explanations/stream', async (req, res) => {
     const lvl = String(level || 'B1');
     const ch = !!challengeMode;
 
-    const system = `You are a language pedagogy expert. Provide a concise, insightful explanation of a grammar concept with examples.
-
-Requirements:
-- Write in the target language and match the target level
-- Where relevant, add sections on common mistakes (and fixes), cultural context, regional differences, usage tips, and etymology
-- Return clean markdown: start with a top-level heading (#) for the title, then the explanation
-- Keep length roughly 200–600 words
-- If necessary for clarity, include brief English translations in parentheses
-- Return ONLY content; do not echo instructions`;
-    const user = `Task: Explain the grammar concept.
-Concept: ${String(topic || '').trim()}
-Target Language: ${languageName}
-Target Level: ${lvl}${ch ? ' (slightly challenging)' : ''}`;
-
-    // Build persistent cache key consistent with /api/generate
+    const concept = String(topic || '').trim();
+    const explanationCtx = { topic: concept, language: languageName, level: lvl, challengeMode: ch };
+    const { system, user } = EXERCISE_REGISTRY.explanation.build(explanationCtx);
+
+    // Build persistent cache key consistent with POST /api/exercises/explanation
     let explanationPersistentKey = null;
     const schemaVersion = schemaVersions.explanation || 1;
-    const currentModel = runtimeConfig.provider === 'openrouter' ? runtimeConfig.openrouter.model : runtimeConfig.ollama.model;
-    const promptSha = sha256Hex(`${system}\n${user}\nexplanation\n${languageName}:${lvl}:${ch}`);
+    const currentModel = getActiveModel();
+    const promptSha = sha256Hex(`${exerciseCacheSeed('explanation', explanationCtx)}\nexplanation\n${languageName}:${lvl}:${ch}`);
     const promptSha12 = promptSha.slice(0, 12);
     explanationPersistentKey = `exp:${languageName}:${lvl}:${ch}:${String(topic || '').trim() || 'unknown'}:${currentModel}:${schemaVersion}:${promptSha12}`;
 
     // Logging parity with non-streaming generation
     const startedAt = Date.now();
-    const provider = runtimeConfig.provider;
-    const logPrefix = `[LLM ${provider}]`;
+    const provider = llmProviders.get(runtimeConfig.provider);
+    const logPrefix = `[LLM ${provider.id}]`;
     const systemPreview = String(system || '').replace(/\s+/g, ' ');
     const userPreview = String(user || '').replace(/\s+/g, ' ');
     try {
-      console.log(`${logPrefix} stream start model=${currentModel} maxTokens=${runtimeConfig.maxTokens} topic="${String(topic || '').trim()}" lang=${languageName} level=${lvl} challenging=${ch} systemPreview="${systemPreview}" userPreview="${userPreview}"`);
+      log.info(`${logPrefix} stream start model=${currentModel} maxTokens=${runtimeConfig.maxTokens} topic="${String(topic || '').trim()}" lang=${languageName} level=${lvl} challenging=${ch}`);
+      log.debug(`${logPrefix} prompt`, { systemPreview, userPreview });
     } catch {}
 
     // SSE headers
@@ -1151,7 +1445,8 @@ Target Level: ${lvl}${ch ? ' (slightly challenging)' : ''}`;
       try {
         const rec = await getExplanation(cacheLayout, explanationPersistentKey);
         if (rec && rec.content) {
-          try { console.log(`[CACHE HIT] explanation (stream) ${String(topic || '').trim()} | model=${currentModel} | v=${schemaVersion}`); } catch {}
+          try { log.info(`[CACHE HIT] explanation (stream) ${String(topic || '').trim()} | model=${currentModel} | v=${schemaVersion}`); } catch {}
+          recordUsage({ kind: 'items', type: 'explanation', cached: 1, generated: 0, shared: 0, source: 'request' });
           sse({ type: 'prefill', explanation: { ...rec.content, _cacheKey: explanationPersistentKey } });
           clearInterval(keepAlive);
           return res.end();
@@ -1171,208 +1466,94 @@ Target Level: ${lvl}${ch ? ' (slightly challenging)' : ''}`;
       return (t ? t[1].trim() : null) || String(fallback || '').trim() || 'Explanation';
     };
 
-    // Streaming per provider
-    let aborted = false;
-    req.on('close', () => { aborted = true; });
-    let content = '';
-    let title = `Generating “${String(topic || '').trim()}”...`;
-
-    if (provider === 'openrouter') {
-      assertEnv(runtimeConfig.openrouter.apiKey, 'Missing OPENROUTER_API_KEY');
-      const payload = {
-        model: runtimeConfig.openrouter.model,
-        messages: [
-          system ? { role: 'system', content: system } : null,
-          { role: 'user', content: user }
-        ].filter(Boolean),
-        max_tokens: runtimeConfig.maxTokens,
-        stream: true,
-        reasoning: /^openai\/gpt-/i.test(String(runtimeConfig.openrouter.model)) ? { effort: 'low' } : { exclude: true, effort: 'low', enabled: false }
-      };
-      const resp = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'content-type': 'application/json',
-          'authorization': `Bearer ${runtimeConfig.openrouter.apiKey}`,
-          'http-referer': runtimeConfig.openrouter.appUrl || 'http://localhost:5173',
-          'x-title': 'Language AI App'
-        },
-        body: JSON.stringify(payload)
-      });
-      if (!resp.ok || !resp.body) {
-        try {
-          const errorText = await resp.clone().text().catch(() => '');
-          const debugId = addDebugLog({ provider: 'openrouter', model: runtimeConfig.openrouter.model, status: resp.status, request: payload, responseText: errorText });
-          console.error(`${logPrefix} stream HTTP ${resp.status} body: ${errorText || '(empty)'} | debug=/api/debug/${debugId}`);
-          // If 429, attempt to parse and emit structured error over SSE
-          if (resp.status === 429) {
-            let parsed;
-            try { parsed = JSON.parse(errorText); } catch {}
-            const hdr = (parsed?.error?.metadata?.headers) || {};
-            const limit = Number(hdr['X-RateLimit-Limit'] || hdr['x-ratelimit-limit'] || resp.headers?.get('x-ratelimit-limit') || resp.headers?.get('X-RateLimit-Limit')) || undefined;
-            const remaining = Number(hdr['X-RateLimit-Remaining'] || hdr['x-ratelimit-remaining'] || resp.headers?.get('x-ratelimit-remaining') || resp.headers?.get('X-RateLimit-Remaining'));
-            const resetStr = hdr['X-RateLimit-Reset'] || hdr['x-ratelimit-reset'] || resp.headers?.get('x-ratelimit-reset') || resp.headers?.get('X-RateLimit-Reset');
-            let resetMs = resetStr ? Number(resetStr) : undefined;
-            if (Number.isFinite(resetMs) && resetMs < 1e12 && resetMs > 1e9) resetMs = resetMs * 1000;
-            const now = Date.now();
-            const retryAfterSeconds = Number.isFinite(resetMs) ? Math.max(0, Math.ceil((resetMs - now) / 1000)) : undefined;
-            const providerName = parsed?.error?.metadata?.provider_name || 'openrouter';
-            const message = parsed?.error?.message || 'Rate limit exceeded';
-            sse({
-              type: 'error',
-              error: 'rate_limited',
-              message,
-              provider: 'openrouter',
-              rate_limit: {
-                limit: Number.isFinite(limit) ? Number(limit) : undefined,
-                remaining: Number.isFinite(remaining) ? Number(remaining) : undefined,
-                reset_ms: Number.isFinite(resetMs) ? Number(resetMs) : undefined,
-                reset_iso: Number.isFinite(resetMs) ? new Date(Number(resetMs)).toISOString() : undefined,
-                retry_after_seconds: Number.isFinite(retryAfterSeconds) ? Number(retryAfterSeconds) : undefined,
-                provider_name: providerName
-              },
-              debug: `/api/debug/${debugId}`
-            });
+    // Streaming per provider. Requests for the same explanation share one stream: a late subscriber first
+    // gets the deltas sent so far, then the live ones. The upstream call stops once every subscriber has left.
+    // Usage of a shared stream is charged to the request that started it
+    const budget = budgetSubject(req);
+    const produce = async (emit, signal) => {
+      let content = '';
+      let title = `Generating “${String(topic || '').trim()}”...`;
+      let producedBy = provider.id;
+      let producedModel = currentModel;
+      const job = { priority: 'explanation', type: 'explanation', signal, budget, onPosition: (position) => { if (position > 0) emit({ type: 'queued', position }, { replay: false }); } };
+      try {
+        const result = await streamLLM({
+          system,
+          user,
+          isAborted: () => signal.aborted,
+          job,
+          onDelta: (delta) => {
+            content += delta;
+            // Try to extract title early
+            title = extractTitle(content, title);
+            emit({ type: 'delta', text: delta, title });
           }
-          try {
-            const payloadStr = JSON.stringify(payload);
-            const curlDebugId = addDebugLog({ provider: 'openrouter', model: runtimeConfig.openrouter.model, curlPayload: payload });
-            console.error(`${logPrefix} stream request payload: ${payloadStr} | curl=/api/debug/${curlDebugId}`);
-            const curl = [
-              'curl -X POST https://openrouter.ai/api/v1/chat/completions',
-              "-H 'Content-Type: application/json'",
-              "-H 'Authorization: Bearer $OPENROUTER_API_KEY'",
-              `-H 'HTTP-Referer: ${runtimeConfig.openrouter.appUrl || 'http://localhost:5173'}'`,
-              "-H 'X-Title: Language AI App'",
-              '--data @payload.json'
-            ].join(' \\\n');
-            console.error(`${logPrefix} stream repro: save payload from curl debug endpoint above to payload.json then run:\n${curl}`);
-          } catch {}
+        });
+        producedBy = result.provider;
+        producedModel = result.model;
+        // Log completion summary
+        try {
+          const ms = Date.now() - startedAt;
+          log.info(`[LLM ${producedBy}] stream ok in ${ms}ms | model=${producedModel} | chars=${content.length}${result?.generationId ? ` | id: ${result.generationId}` : ''}`, { ms, model: producedModel });
+          log.debug(`[LLM ${producedBy}] stream preview`, { preview: String(content || '').slice(0, 400) });
         } catch {}
-        clearInterval(keepAlive);
-        return res.end();
-      }
-      // Try to capture a generation id from headers if provided (may not always exist)
-      const headerGenId = resp.headers?.get('x-openrouter-generation-id') || resp.headers?.get('openrouter-generation-id') || resp.headers?.get('x-request-id') || null;
-      const reader = resp.body.getReader();
-      const decoder = new TextDecoder();
-      let buffer = '';
-      while (!aborted) {
-        const { done, value } = await reader.read();
-        if (done) break;
-        buffer += decoder.decode(value, { stream: true });
-        const parts = buffer.split('\n');
-        buffer = parts.pop() || '';
-        for (const line of parts) {
-          const trimmed = line.trim();
-          if (!trimmed || trimmed.startsWith(':')) continue;
-          if (trimmed === 'data: [DONE]') continue;
-          if (!trimmed.startsWith('data:')) continue;
-          const jsonStr = trimmed.slice(5).trim();
-          try {
-            const evt = JSON.parse(jsonStr);
-            const choice = evt.choices?.[0] || {};
-            const delta = choice.delta?.content || choice.message?.content || '';
-            if (delta) {
-              content += delta;
-              // Try to extract title early
-              title = extractTitle(content, title);
-              sse({ type: 'delta', text: delta, title });
-            }
-          } catch {}
+      } catch (e) {
+        // Every client left while the call was still queued
+        if (e?.name === 'CancelledError') return;
+        if (isBudgetError(e)) {
+          emit({ type: 'error', error: 'budget_exceeded', message: e.message, budget: e.budget });
+          return;
         }
-      }
-      // Log completion summary
-      try {
-        const ms = Date.now() - startedAt;
-        const preview = String(content || '').slice(0, 400);
-        console.log(`${logPrefix} stream ok in ${ms}ms | chars=${content.length}${headerGenId ? ` | id: ${headerGenId}` : ''}\npreview: ${preview}`);
-        // Attempt cost fetch if we have a valid generation id
-        if (headerGenId && /^[a-zA-Z0-9_-]+$/.test(headerGenId)) {
-          (async () => {
-            try {
-              await new Promise(r => setTimeout(r, 500));
-              const costResp = await fetch(`https://openrouter.ai/api/v1/generation?id=${encodeURIComponent(headerGenId)}`, { headers: { authorization: `Bearer ${runtimeConfig.openrouter.apiKey}` } });
-              if (costResp.ok) {
-                const costData = await costResp.json();
-                if (costData.data && typeof costData.data.total_cost === 'number') {
-                  console.log(`${logPrefix} cost: $${Number(costData.data.total_cost).toFixed(6)} | native tokens: ${costData.data.tokens_prompt || 0}→${costData.data.tokens_completion || 0} | provider: ${costData.data.provider_name || 'unknown'}`);
-                }
-              }
-            } catch {}
-          })();
+        // Emit structured rate limit details over SSE so the client can show a retry hint
+        if (e && e.name === 'RateLimitError') {
+          emit({
+            type: 'error',
+            error: 'rate_limited',
+            message: e.message || 'Rate limit exceeded',
+            provider: e.provider || provider.id,
+            rate_limit: e.rateLimit || {},
+            ...(e.debugId ? { debug: `/api/debug/${e.debugId}` } : {})
+          });
+        } else {
+          emit({ type: 'error', error: e?.message || 'Failed to stream explanation' });
         }
-      } catch {}
-    } else if (provider === 'ollama') {
-      const normalizedHost = validateAndNormalizeOllamaHost(runtimeConfig.ollama.host) || 'http://127.0.0.1:11434';
-      const resp = await fetch(`${normalizedHost}/api/chat`, {
-        method: 'POST',
-        headers: { 'content-type': 'application/json' },
-        body: JSON.stringify({
-          model: runtimeConfig.ollama.model,
-          messages: [
-            system ? { role: 'system', content: system } : null,
-            { role: 'user', content: user }
-          ].filter(Boolean),
-          stream: true
-        })
-      });
-      if (!resp.ok || !resp.body) {
-        clearInterval(keepAlive);
-        return res.end();
+        try { log.error('[STREAM]', e?.message || e); } catch {}
+        return;
       }
-      const reader = resp.body.getReader();
-      const decoder = new TextDecoder();
-      let buffer = '';
-      while (!aborted) {
-        const { done, value } = await reader.read();
-        if (done) break;
-        buffer += decoder.decode(value, { stream: true });
-        let idx;
-        while ((idx = buffer.indexOf('\n')) !== -1) {
-          const line = buffer.slice(0, idx);
-          buffer = buffer.slice(idx + 1);
-          if (!line.trim()) continue;
-          try {
-            const evt = JSON.parse(line);
-            const delta = evt?.message?.content || evt?.response || '';
-            if (delta) {
-              content += delta;
-              title = extractTitle(content, title);
-              sse({ type: 'delta', text: delta, title });
-            }
-          } catch {}
-        }
+      // A stream cut short because everyone left is incomplete; do not cache it
+      if (signal.aborted) return;
+
+      // Finalize explanation object
+      const finalTitle = extractTitle(content, topic);
+      // Remove the title heading line from content if present
+      let finalContent = String(content || '');
+      finalContent = finalContent.replace(/^\s*#{1,3}\s+.+\r?\n?/, '');
+      const explanation = { title: finalTitle, content_markdown: finalContent };
+
+      // Persist to cache
+      if (cacheLayout && explanationPersistentKey) {
+        try {
+          const meta = { language: languageName, level: lvl, challengeMode: ch, grammarConcept: String(topic || '').trim(), model: producedModel, provider: producedBy, schemaVersion, promptSha, promptSha12 };
+          const cap = Number(process.env.CACHE_EXPLANATIONS_MAX || 1000);
+          await setExplanation(cacheLayout, explanationPersistentKey, meta, explanation, cap);
+          try { log.info(`[CACHE SET] explanation (stream) ${String(topic || '').trim()} | model=${producedModel} | v=${schemaVersion}`); } catch {}
+        } catch {}
       }
-      // Log completion summary for Ollama
-      try {
-        const ms = Date.now() - startedAt;
-        const preview = String(content || '').slice(0, 400);
-        console.log(`${logPrefix} stream ok in ${ms}ms | model=${runtimeConfig.ollama.model} | chars=${content.length}\npreview: ${preview}`);
-      } catch {}
-    } else {
-      // Unsupported provider for streaming; end gracefully
-      clearInterval(keepAlive);
-      return res.end();
-    }
-
-    // Finalize explanation object
-    const finalTitle = extractTitle(content, topic);
-    // Remove the title heading line from content if present
-    let finalContent = String(content || '');
-    finalContent = finalContent.replace(/^\s*#{1,3}\s+.+\r?\n?/, '');
-    const explanation = { title: finalTitle, content_markdown: finalContent };
+      recordUsage({ kind: 'items', type: 'explanation', cached: 0, generated: 1, shared: 0, source: 'request' });
+      emit({ type: 'final', explanation: explanationPersistentKey ? { ...explanation, _cacheKey: explanationPersistentKey } : explanation });
+      return true;
+    };
 
-    // Persist to cache
-    if (cacheLayout && explanationPersistentKey) {
-      try {
-        const meta = { language: languageName, level: lvl, challengeMode: ch, grammarConcept: String(topic || '').trim(), model: currentModel, schemaVersion, promptSha, promptSha12 };
-        const cap = Number(process.env.CACHE_EXPLANATIONS_MAX || 1000);
-        await setExplanation(cacheLayout, explanationPersistentKey, meta, explanation, cap);
-        try { console.log(`[CACHE SET] explanation (stream) ${String(topic || '').trim()} | model=${currentModel} | v=${schemaVersion}`); } catch {}
-      } catch {}
+    const subscription = explanationStreams.subscribe(explanationPersistentKey, produce, sse);
+    res.on('close', () => {
+      clearInterval(keepAlive);
+      subscription.leave();
+    });
+    if (subscription.joined) {
+      try { log.info(`[INFLIGHT] explanation (stream) ${String(topic || '').trim()} joined a stream in progress`); } catch {}
     }
-    sse({ type: 'final', explanation: explanationPersistentKey ? { ...explanation, _cacheKey: explanationPersistentKey } : explanation });
+    const completed = await subscription.done.catch(() => false);
+    if (completed && subscription.joined) recordUsage({ kind: 'items', type: 'explanation', cached: 0, generated: 0, shared: 1, source: 'request' });
     clearInterval(keepAlive);
     return res.end();
   } catch (err) {
@@ -1381,117 +1562,99 @@ Target Level: ${lvl}${ch ? ' (slightly challenging)' : ''}`;
       res.write(`data: ${JSON.stringify({ type: 'error', error: err?.message || 'Failed to stream explanation' })}\n\n`);
       res.end();
     } catch {}
-    try { console.error('[STREAM]', err?.message || err); } catch {}
+    try { log.error('[STREAM]', err?.message || err); } catch {}
   }
 });
 
 // Base text selection/generation endpoint
-app.get('/api/base-text-content/:baseTextId', async (req, res) => {
-  try {
-    const { baseTextId } = req.params;
-    if (!baseTextId) return res.status(400).json({ error: 'Base text ID required' });
-
-    if (!cacheLayout) return res.status(503).json({ error: 'Cache not initialized' });
-
-    // Resolve the cache key from the index using the human-friendly baseTextId
-    const idx = await loadBaseTextsIndex(cacheLayout);
-    let cacheKeyForId = null;
-    let foundVia = null;
-    for (const [key, entry] of Object.entries(idx.items || {})) {
-      const meta = entry?.meta || {};
-      // Match against meta.baseTextId which is stored in the index
-      if (String(meta.baseTextId || '').trim() === String(baseTextId).trim()) {
-        cacheKeyForId = key;
-        foundVia = 'index.meta.baseTextId';
-        break;
-      }
-    }
-
-    // Fallback: scan record content.id for older entries that may not have meta.baseTextId
-    if (!cacheKeyForId) {
-      for (const [key] of Object.entries(idx.items || {})) {
-        try {
-          const rec = await getBaseText(cacheLayout, key);
-          const contentId = rec?.content?.id || rec?.content?.baseTextId;
-          if (contentId && String(contentId).trim() === String(baseTextId).trim()) {
-            cacheKeyForId = key;
-            foundVia = 'index.file.content.id';
-            break;
-          }
-        } catch {}
-      }
+/**
+ * Resolve a cached base text by its public id (index meta, record content, then a directory scan)
+ * @param {string} baseTextId
+ * @returns {Promise<{ content: object, via: string }|null>}
+ */
+async function findBaseTextContentById(baseTextId) {
+  // Resolve the cache key from the index using the human-friendly baseTextId
+  const idx = await loadBaseTextsIndex(cacheLayout);
+  let cacheKeyForId = null;
+  let foundVia = null;
+  for (const [key, entry] of Object.entries(idx.items || {})) {
+    const meta = entry?.meta || {};
+    // Match against meta.baseTextId which is stored in the index
+    if (String(meta.baseTextId || '').trim() === String(baseTextId).trim()) {
+      cacheKeyForId = key;
+      foundVia = 'index.meta.baseTextId';
+      break;
     }
+  }
 
-    // Last-resort recovery: scan base_texts/items directory and rehydrate index if we find a match
-    // If we find the record here, return it immediately to avoid races between concurrent requests
-    if (!cacheKeyForId) {
+  // Fallback: scan record content.id for older entries that may not have meta.baseTextId
+  if (!cacheKeyForId) {
+    for (const [key] of Object.entries(idx.items || {})) {
       try {
-        const dir = cacheLayout.baseTextItemsDir;
-        const files = await fs.readdir(dir);
-        let directRecord = null;
-        for (const f of files) {
-          if (!f.endsWith('.json')) continue;
-          try {
-            const recPath = path.join(dir, f);
-            const rec = await readJson(recPath, null);
-            if (!rec) continue;
-            const contentId = rec?.content?.id || rec?.meta?.baseTextId;
-            if (contentId && String(contentId).trim() === String(baseTextId).trim()) {
-              // Rehydrate index entry for future lookups
-              const baseIdxPath = path.join(cacheLayout.baseTextsDir, 'index.json');
-              const baseIdx = (await readJson(baseIdxPath)) || { items: {}, lru: [] };
-              baseIdx.items = baseIdx.items || {};
-              baseIdx.lru = baseIdx.lru || [];
-              const now = new Date().toISOString();
-              const cacheKey = rec.key || `base:${rec?.meta?.language || 'unknown'}:${rec?.meta?.level || 'unknown'}:${!!rec?.meta?.challengeMode}:${rec?.meta?.topic || 'unknown'}:${rec?.meta?.model || 'unknown'}:${rec?.meta?.schemaVersion || 1}:${(rec?.meta?.promptSha || '').slice(0,12) || contentId}`;
-              baseIdx.items[cacheKey] = { file: f, createdAt: rec.createdAt || now, lastAccessAt: now, hits: Number(rec.hits || 0), likes: Number(rec.likes || 0), dislikes: Number(rec.dislikes || 0), meta: rec.meta || {} };
-              baseIdx.lru = baseIdx.lru.filter(k => k !== cacheKey).concat(cacheKey);
-              await writeJson(baseIdxPath, baseIdx);
-              cacheKeyForId = cacheKey;
-              directRecord = rec; // allow immediate return to avoid race
-              break;
-            }
-          } catch {}
-        }
-        if (directRecord) {
-          console.log(`[BASE-TEXT] ${baseTextId} -> 200 via filescan`);
-          return res.json(directRecord.content || directRecord);
+        const rec = await getBaseText(cacheLayout, key);
+        const contentId = rec?.content?.id || rec?.content?.baseTextId;
+        if (contentId && String(contentId).trim() === String(baseTextId).trim()) {
+          cacheKeyForId = key;
+          foundVia = 'index.file.content.id';
+          break;
         }
       } catch {}
     }
+  }
 
-    if (!cacheKeyForId) {
-      console.warn(`[BASE-TEXT] ${baseTextId} -> 404 not found`);
-      return res.status(404).json({ error: 'Base text not found' });
-    }
+  // Last-resort recovery: scan the stored base text records and rehydrate the index if we find a match
+  // If we find the record here, return it immediately to avoid races between concurrent requests
+  if (!cacheKeyForId) {
+    try {
+      for (const { recordId, record: rec } of await listBaseTextRecords(cacheLayout)) {
+        const contentId = rec?.content?.id || rec?.meta?.baseTextId;
+        if (contentId && String(contentId).trim() === String(baseTextId).trim()) {
+          // Rehydrate index entry for future lookups
+          const cacheKey = rec.key || `base:${rec?.meta?.language || 'unknown'}:${rec?.meta?.level || 'unknown'}:${!!rec?.meta?.challengeMode}:${rec?.meta?.topic || 'unknown'}:${rec?.meta?.model || 'unknown'}:${rec?.meta?.schemaVersion || 1}:${(rec?.meta?.promptSha || '').slice(0,12) || contentId}`;
+          try { await restoreBaseTextEntry(cacheLayout, cacheKey, recordId, rec); } catch {}
+          return { content: rec.content || rec, via: 'filescan' };
+        }
+      }
+    } catch {}
+  }
 
-    // Load the base text record via the resolved cache key
-    let record = await getBaseText(cacheLayout, cacheKeyForId);
-    if (!record) {
-      // Attempt recovery by scanning files and returning the record directly
-      try {
-        const dir = cacheLayout.baseTextItemsDir;
-        const files = await fs.readdir(dir);
-        for (const f of files) {
-          if (!f.endsWith('.json')) continue;
-          const recPath = path.join(dir, f);
-          const rec = await readJson(recPath, null);
-          const contentId = rec?.content?.id || rec?.meta?.baseTextId;
-          if (contentId && String(contentId).trim() === String(baseTextId).trim()) {
-            console.log(`[BASE-TEXT] ${baseTextId} -> 200 via filescan(recovery)`);
-            return res.json(rec.content || rec);
-          }
+  if (!cacheKeyForId) return null;
+
+  // Load the base text record via the resolved cache key
+  let record = await getBaseText(cacheLayout, cacheKeyForId);
+  if (!record) {
+    // Attempt recovery by scanning records and returning the record directly
+    try {
+      for (const { record: rec } of await listBaseTextRecords(cacheLayout)) {
+        const contentId = rec?.content?.id || rec?.meta?.baseTextId;
+        if (contentId && String(contentId).trim() === String(baseTextId).trim()) {
+          return { content: rec.content || rec, via: 'filescan(recovery)' };
         }
-      } catch {}
+      }
+    } catch {}
+    return null;
+  }
+
+  // Content only (includes the images map if present)
+  return { content: record.content || record, via: foundVia || 'index' };
+}
+
+app.get('/api/base-text-content/:baseTextId', async (req, res) => {
+  try {
+    const { baseTextId } = req.params;
+    if (!baseTextId) return res.status(400).json({ error: 'Base text ID required' });
+
+    if (!cacheLayout) return res.status(503).json({ error: 'Cache not initialized' });
+
+    const found = await findBaseTextContentById(baseTextId);
+    if (!found) {
+      log.warn(`[BASE-TEXT] ${baseTextId} -> 404 not found`);
       return res.status(404).json({ error: 'Base text not found' });
     }
-
-    // Return the content only for client consumption (include images map if present)
-    const payload = record.content || record;
-    console.log(`[BASE-TEXT] ${baseTextId} -> 200 via ${foundVia || 'index'}`);
-    res.json(payload);
+    log.info(`[BASE-TEXT] ${baseTextId} -> 200 via ${found.via}`);
+    res.json(found.content);
   } catch (error) {
-    console.error('Error fetching base text content:', error);
+    log.error('[BASE-TEXT] Error fetching base text content:', error);
     res.status(500).json({ error: 'Failed to fetch base text content' });
   }
 });
@@ -1507,7 +1670,7 @@ app.post('/api/base-text', async (req, res) => {
     
     if (!topic || !String(topic).trim()) return res.status(400).json({ error: 'topic generation failed' });
 
-    const currentModel = runtimeConfig.provider === 'openrouter' ? runtimeConfig.openrouter.model : runtimeConfig.ollama.model;
+    const currentModel = getActiveModel();
     const schemaVersion = schemaVersions.base_text || 1;
 
     // Try to find existing base texts using suitability matrix - topic-agnostic selection
@@ -1571,29 +1734,35 @@ app.post('/api/base-text', async (req, res) => {
         if (r <= 0) { chosenIdx = i; break; }
         if (i === pickFrom.length - 1) chosenIdx = i;
       }
+      recordUsage({ kind: 'items', type: 'base_text', cached: 1, generated: 0, shared: 0, source: 'request' });
       return res.json(pickFrom[chosenIdx].content);
     }
 
-    // Otherwise, generate a new one via /api/generate with schemaName base_text
+    // Otherwise, generate a new one with schemaName base_text
     const baseSystem = BASE_TEXT_SYSTEM_PROMPT;
     const baseUser = generateBaseTextUserPrompt(topic, language, level, challengeMode, focus);
     const baseSchema = BASE_TEXT_SCHEMA;
-    const useStructured = ['openrouter', 'ollama'].includes(runtimeConfig.provider);
-    const text = await callLLM({ system: baseSystem, user: baseUser, jsonSchema: useStructured ? baseSchema : undefined, schemaName: 'base_text' });
+    const job = llmJobFor(req, res);
+    const { text, structured, provider: producedBy, model: producedModel } = await callLLM({ system: baseSystem, user: baseUser, jsonSchema: baseSchema, schemaName: 'base_text', job });
     let parsed;
     try {
-      parsed = useStructured ? JSON.parse(text) : tryParseJsonLoose(text);
+      parsed = structured ? JSON.parse(text) : tryParseJsonLoose(text);
     } catch (e) {
-      console.error('[PARSE]', e.message, e.rawPreview || '');
-      return res.status(502).json({ error: 'Upstream returned invalid JSON', details: e.message, provider: runtimeConfig.provider });
+      log.error('[PARSE]', e.message, e.rawPreview || '');
+      return res.status(502).json({ error: 'Upstream returned invalid JSON', details: e.message, provider: producedBy });
+    }
+    const checked = await validateAndRepairPayload({ parsed, jsonSchema: baseSchema, system: baseSystem, user: baseUser, schemaName: 'base_text', job });
+    if (!checked.payload) {
+      return res.status(502).json({ error: 'Upstream returned an invalid payload', details: formatValidationErrors(checked.errors), provider: producedBy });
     }
+    parsed = checked.payload;
     // Persist with deterministic id and source metadata
     const promptSha = sha256Hex(`${baseSystem}\n${baseUser}\nbase_text\n${language}:${level}:${challengeMode}`);
     const promptSha12 = promptSha.slice(0, 12);
     const baseKey = `base:${language}:${level}:${challengeMode}:${topic}:${currentModel}:${schemaVersion}:${promptSha12}`;
     const idSource = `${language}:${level}:${challengeMode}:${topic}:${currentModel}:${schemaVersion}:${promptSha}`;
     const baseTextId = sha256Hex(idSource).slice(0, 16);
-    const withSourceMeta = addSourceMetadata(parsed, currentModel);
+    const withSourceMeta = addSourceMetadata(parsed, producedModel);
     const withId = { ...withSourceMeta, id: baseTextId, language, level, challengeMode, topic };
     // Initialize images container on base text for later association
     withId.images = withId.images && typeof withId.images === 'object' ? withId.images : { cover: null, chapters: {} };
@@ -1605,7 +1774,8 @@ app.post('/api/base-text', async (req, res) => {
       level, 
       challengeMode, 
       topic, 
-      model: currentModel, 
+      model: producedModel, 
+      provider: producedBy,
       schemaVersion, 
       promptSha, 
       promptSha12, 
@@ -1615,30 +1785,19 @@ app.post('/api/base-text', async (req, res) => {
     
     const cap = Number(process.env.CACHE_BASE_TEXTS_MAX || 500);
     await setBaseText(cacheLayout, baseKey, meta, withId, cap);
+    recordUsage({ kind: 'items', type: 'base_text', cached: 0, generated: 1, shared: 0, source: 'request' });
     return res.json(withId);
   } catch (e) {
-    console.error('[BASE-TEXT]', e);
+    if (sendLLMRejection(res, e)) return;
+    log.error('[BASE-TEXT]', e);
     return res.status(500).json({ error: e?.message || 'Failed to select or generate base text' });
   }
 });
 
 // Routes
-// Removed legacy /api/generate-exercises route in favor of component-driven generation via /api/generate
-
-// On-demand: explanation only
-// Removed legacy /api/generate/explanation route; frontend components call /api/generate directly
-
-// On-demand: fill-in-blanks only
-// Removed legacy /api/generate/fib route; frontend components call /api/generate directly
-
-// On-demand: MCQ only
-// Removed legacy /api/generate/mcq route; frontend components call /api/generate directly
-
-// On-demand: Cloze passages only
-// Removed legacy /api/generate/cloze route; frontend components call /api/generate directly
-
-// On-demand: Cloze with mixed options
-// Removed legacy /api/generate/cloze-mixed route; frontend components call /api/generate directly
+// Removed legacy /api/generate-exercises and /api/generate/* routes. The generic /api/generate endpoint
+// (client-supplied prompts and schemas) was replaced by POST /api/exercises/:type, which builds prompts
+// from the exercise registry in server/exercisePrompts.js
 
 // Removed legacy /api/generate-content route; lesson assembly is handled on the client by components
 
@@ -1661,32 +1820,279 @@ Exercise: ${exercise.sentence}
 Correct answer(s): ${exercise.answer}
 User's answer(s): ${userAnswer}
 
-Please explain:
-1. Why "${exercise.answer}" is correct
-2. If the user's answer is wrong, why it doesn't work
-3. Grammar rule or concept involved
-4. Tips to remember this
+Please explain:
+1. Why "${exercise.answer}" is correct
+2. If the user's answer is wrong, why it doesn't work
+3. Grammar rule or concept involved
+4. Tips to remember this
+
+Use markdown formatting for clarity (bold for **important terms**, code blocks for conjugations, ### for headers, etc.).`;
+    
+    const { text, structured } = await callLLM({ system, user, jsonSchema: schema, schemaName: 'explanation', job: llmJobFor(req, res, 'explanation') });
+    let parsed;
+    if (structured) {
+      try {
+        parsed = JSON.parse(text);
+        return res.json({ explanation: parsed.explanation });
+      } catch (e) {
+        log.error('[PARSE]', e.message);
+        return res.status(502).json({ error: 'Upstream returned invalid JSON', details: e.message, provider: runtimeConfig.provider });
+      }
+    } else {
+      return res.json({ explanation: text });
+    }
+  } catch (err) {
+    if (sendLLMRejection(res, err)) return;
+    log.error('[EXPLAIN]', err);
+    const status = /Missing/i.test(err?.message || '') ? 400 : 500;
+    return res.status(status).json({ error: 'Failed to get explanation', details: err?.message, provider: runtimeConfig.provider });
+  }
+});
+
+// Rubric grading of a writing prompt answer (see server/gradingPrompts.js)
+app.post('/api/grade/writing', async (req, res) => {
+  try {
+    const { question, answer, language, level, challengeMode, topic } = req.body || {};
+    const text = String(answer || '').trim();
+    if (!text) return res.status(400).json({ error: 'answer is required' });
+    if (text.length > MAX_GRADED_ANSWER_LENGTH) return res.status(400).json({ error: `answer must be at most ${MAX_GRADED_ANSWER_LENGTH} characters` });
+    if (typeof question !== 'string' || !question.trim()) return res.status(400).json({ error: 'question is required' });
+    if (typeof language !== 'string' || !language.trim()) return res.status(400).json({ error: 'language is required' });
+    const params = { question: question.trim(), answer: text, language: language.trim(), level: String(level || 'B1'), challengeMode: !!challengeMode, topic: String(topic || '').trim() };
+
+    const cacheKey = sha256Hex(JSON.stringify({ kind: 'writing', ...params, model: getActiveModel() }));
+    const cached = gradeCache.get(cacheKey);
+    if (cached) return res.json(cached);
+
+    const { system, user } = buildWritingGradePrompt(params);
+    const job = { ...llmJobFor(req, res), type: 'grade_writing' };
+    const { text: raw, structured, provider: producedBy } = await callLLM({ system, user, jsonSchema: WRITING_GRADE_SCHEMA, schemaName: 'writing_grade', job });
+    let parsed;
+    try {
+      parsed = structured ? JSON.parse(raw) : tryParseJsonLoose(raw);
+    } catch (e) {
+      log.error('[PARSE]', e.message, e.rawPreview || '');
+      return res.status(502).json({ error: 'Upstream returned invalid JSON', details: e.message, provider: producedBy });
+    }
+    const checked = await validateAndRepairPayload({ parsed, jsonSchema: WRITING_GRADE_SCHEMA, system, user, schemaName: 'writing_grade', job });
+    if (!checked.payload) {
+      return res.status(502).json({ error: 'Upstream returned an invalid payload', details: formatValidationErrors(checked.errors), provider: producedBy });
+    }
+    const grade = { ...checked.payload, ...writingGradePoints(checked.payload) };
+    gradeCache.set(cacheKey, grade);
+    return res.json(grade);
+  } catch (err) {
+    if (sendLLMRejection(res, err)) return;
+    log.error('[GRADE]', err);
+    return res.status(500).json({ error: 'Failed to grade answer', details: err?.message, provider: runtimeConfig.provider });
+  }
+});
+
+// Per-turn grading of the lines a learner wrote for one speaker of a guided dialogue (see server/gradingPrompts.js)
+app.post('/api/grade/dialogue', async (req, res) => {
+  try {
+    const { conversationContext, turns, answers, language, level, challengeMode, topic } = req.body || {};
+    if (!Array.isArray(turns) || turns.length === 0 || turns.length > 30) return res.status(400).json({ error: 'turns must be a non-empty array of at most 30 turns' });
+    if (!Array.isArray(answers) || answers.length === 0) return res.status(400).json({ error: 'answers is required' });
+    if (typeof language !== 'string' || !language.trim()) return res.status(400).json({ error: 'language is required' });
+    const cleanTurns = turns.map(t => ({ speaker: String(t?.speaker || '').slice(0, 100), text: String(t?.text || '').slice(0, MAX_GRADED_TURN_LENGTH) }));
+    const seen = new Set();
+    const cleanAnswers = [];
+    for (const a of answers) {
+      const index = Number(a?.index);
+      const text = String(a?.text || '').trim();
+      if (!Number.isInteger(index) || index < 0 || index >= cleanTurns.length || seen.has(index)) return res.status(400).json({ error: 'Each answer needs a distinct turn index' });
+      if (!text) return res.status(400).json({ error: `answer for turn ${index} is empty` });
+      if (text.length > MAX_GRADED_TURN_LENGTH) return res.status(400).json({ error: `answers must be at most ${MAX_GRADED_TURN_LENGTH} characters` });
+      seen.add(index);
+      cleanAnswers.push({ index, text });
+    }
+    const params = { conversationContext: String(conversationContext || '').slice(0, 2000), turns: cleanTurns, answers: cleanAnswers, language: language.trim(), level: String(level || 'B1'), challengeMode: !!challengeMode, topic: String(topic || '').trim() };
+
+    const cacheKey = sha256Hex(JSON.stringify({ kind: 'dialogue', ...params, model: getActiveModel() }));
+    const cached = gradeCache.get(cacheKey);
+    if (cached) return res.json(cached);
+
+    const { system, user } = buildDialogueGradePrompt(params);
+    const jsonSchema = dialogueGradeSchema(cleanAnswers.length);
+    const job = { ...llmJobFor(req, res), type: 'grade_dialogue' };
+    const { text: raw, structured, provider: producedBy } = await callLLM({ system, user, jsonSchema, schemaName: 'dialogue_grade', job });
+    let parsed;
+    try {
+      parsed = structured ? JSON.parse(raw) : tryParseJsonLoose(raw);
+    } catch (e) {
+      log.error('[PARSE]', e.message, e.rawPreview || '');
+      return res.status(502).json({ error: 'Upstream returned invalid JSON', details: e.message, provider: producedBy });
+    }
+    const checked = await validateAndRepairPayload({ parsed, jsonSchema, system, user, schemaName: 'dialogue_grade', job });
+    if (!checked.payload) {
+      return res.status(502).json({ error: 'Upstream returned an invalid payload', details: formatValidationErrors(checked.errors), provider: producedBy });
+    }
+    // Grades come back in request order; key them by turn index for the client
+    const grade = {
+      turns: checked.payload.turns.map((turn, n) => ({ index: cleanAnswers[n].index, ...turn, ...dialogueTurnPoints(turn) }))
+    };
+    gradeCache.set(cacheKey, grade);
+    return res.json(grade);
+  } catch (err) {
+    if (sendLLMRejection(res, err)) return;
+    log.error('[GRADE]', err);
+    return res.status(500).json({ error: 'Failed to grade dialogue', details: err?.message, provider: runtimeConfig.provider });
+  }
+});
+
+// Grading of the open questions of a reading item against its passage (see server/gradingPrompts.js). Readings
+// built from a base text are checked against the cached chapter; others against the passage of the cached reading
+// (exerciseSha). The client never supplies the passage itself.
+app.post('/api/grade/reading', async (req, res) => {
+  try {
+    const { baseTextId, chapterNumber, chapterTitle, exerciseSha, questions, language, level, challengeMode } = req.body || {};
+    if (!Array.isArray(questions) || questions.length === 0 || questions.length > 12) return res.status(400).json({ error: 'questions must be a non-empty array of at most 12 questions' });
+    if (typeof language !== 'string' || !language.trim()) return res.status(400).json({ error: 'language is required' });
+    const cleanQuestions = [];
+    for (const q of questions) {
+      const answer = String(q?.answer || '').trim();
+      if (!READING_QUESTION_KINDS.includes(q?.kind)) return res.status(400).json({ error: `kind must be one of ${READING_QUESTION_KINDS.join(', ')}` });
+      if (typeof q.question !== 'string' || !q.question.trim()) return res.status(400).json({ error: 'Each question needs its text' });
+      if (!answer) return res.status(400).json({ error: 'Each question needs an answer' });
+      if (answer.length > MAX_GRADED_ANSWER_LENGTH) return res.status(400).json({ error: `answers must be at most ${MAX_GRADED_ANSWER_LENGTH} characters` });
+      cleanQuestions.push({ kind: q.kind, question: q.question.trim(), model_answer: String(q.model_answer || '').trim(), answer });
+    }
+
+    const id = typeof baseTextId === 'string' ? baseTextId.trim() : '';
+    const sha = typeof exerciseSha === 'string' && /^[a-f0-9]{64}$/.test(exerciseSha) ? exerciseSha : null;
+    if (!id && !sha) return res.status(400).json({ error: 'baseTextId or exerciseSha is required' });
+    let gradedPassage = '';
+    if (id) {
+      const found = cacheLayout ? await findBaseTextContentById(id) : null;
+      const chapter = found ? resolveBaseTextChapter(found.content, Number(chapterNumber), typeof chapterTitle === 'string' ? chapterTitle : '') : null;
+      gradedPassage = String(chapter?.passage || '');
+      if (!gradedPassage) return res.status(404).json({ error: 'Base text chapter not found', details: `${id}#${chapterNumber ?? chapterTitle ?? ''}` });
+    } else {
+      const rec = cacheLayout ? await readExerciseItem(cacheLayout, sha) : null;
+      gradedPassage = rec?.type === 'reading' ? String(rec.content?.passage || '').trim() : '';
+      if (!gradedPassage) return res.status(404).json({ error: 'Reading not found', details: sha });
+    }
+    if (gradedPassage.length > MAX_GRADED_PASSAGE_LENGTH) return res.status(400).json({ error: `passage must be at most ${MAX_GRADED_PASSAGE_LENGTH} characters` });
+    const params = { passage: gradedPassage, questions: cleanQuestions, language: language.trim(), level: String(level || 'B1'), challengeMode: !!challengeMode };
+
+    const cacheKey = sha256Hex(JSON.stringify({ kind: 'reading', ...params, model: getActiveModel() }));
+    const cached = gradeCache.get(cacheKey);
+    if (cached) return res.json(cached);
+
+    const { system, user } = buildReadingGradePrompt(params);
+    const jsonSchema = readingGradeSchema(cleanQuestions.length);
+    const job = { ...llmJobFor(req, res), type: 'grade_reading' };
+    const { text: raw, structured, provider: producedBy } = await callLLM({ system, user, jsonSchema, schemaName: 'reading_grade', job });
+    let parsed;
+    try {
+      parsed = structured ? JSON.parse(raw) : tryParseJsonLoose(raw);
+    } catch (e) {
+      log.error('[PARSE]', e.message, e.rawPreview || '');
+      return res.status(502).json({ error: 'Upstream returned invalid JSON', details: e.message, provider: producedBy });
+    }
+    const checked = await validateAndRepairPayload({ parsed, jsonSchema, system, user, schemaName: 'reading_grade', job });
+    if (!checked.payload) {
+      return res.status(502).json({ error: 'Upstream returned an invalid payload', details: formatValidationErrors(checked.errors), provider: producedBy });
+    }
+    // Quotes that are not in the passage are dropped rather than shown as evidence
+    const grade = {
+      answers: checked.payload.answers.map(answer => ({ ...answer, evidence: verifyEvidence(answer.evidence, gradedPassage), ...readingVerdictPoints(answer) }))
+    };
+    gradeCache.set(cacheKey, grade);
+    return res.json(grade);
+  } catch (err) {
+    if (sendLLMRejection(res, err)) return;
+    log.error('[GRADE]', err);
+    return res.status(500).json({ error: 'Failed to grade reading answers', details: err?.message, provider: runtimeConfig.provider });
+  }
+});
+
+// Accepted answers a user may queue for review per hour through appeals
+const appealQueues = new Map(); // userId -> timestamps of queued alternatives
+const APPEAL_QUEUE_WINDOW_MS = 60 * 60 * 1000;
 
-Use markdown formatting for clarity (bold for **important terms**, code blocks for conjugations, ### for headers, etc.).`;
-    
-    const useStructured = ['openrouter', 'ollama'].includes(runtimeConfig.provider);
-    const text = await callLLM({ system, user, jsonSchema: useStructured ? schema : undefined, schemaName: 'explanation' });
-    let parsed;
-    if (useStructured) {
+// Whether the user may queue another accepted alternative now; records the attempt when allowed
+function takeAppealQueue(userId) {
+  const max = Number(process.env.APPEAL_QUEUE_LIMIT_PER_HOUR || 20);
+  const now = Date.now();
+  const recent = (appealQueues.get(userId) || []).filter(t => t > now - APPEAL_QUEUE_WINDOW_MS);
+  if (recent.length >= max) {
+    appealQueues.set(userId, recent);
+    return false;
+  }
+  appealQueues.set(userId, [...recent, now]);
+  return true;
+}
+
+/**
+ * Appeal against the answer key: an LLM judge decides whether the learner's answer is also correct.
+ * For cached items the judge sees the stored item, never the one in the request. The verdict only counts for
+ * the current lesson: answers accepted for a signed-in user on a cached item are queued for review (at most
+ * APPEAL_QUEUE_LIMIT_PER_HOUR per user and MAX_PENDING_APPEALS per blank), and join the record's
+ * `accepted_answers` only once an admin approves them (see /api/admin/appeals). Items that are not cached are
+ * judged from the request and never queued.
+ * Body: { exerciseSha?, type: 'fib'|'cloze'|'rewrite', item, part, answer, language?, level? }
+ */
+app.post('/api/appeal', async (req, res) => {
+  try {
+    const { exerciseSha, type, item, part, answer, language, level } = req.body || {};
+    if (!APPEAL_TYPES.includes(type)) return res.status(400).json({ error: `type must be one of ${APPEAL_TYPES.join(', ')}` });
+    const given = String(answer || '').trim();
+    if (!given) return res.status(400).json({ error: 'answer is required' });
+    if (given.length > MAX_APPEAL_ANSWER_LENGTH) return res.status(400).json({ error: `answer must be at most ${MAX_APPEAL_ANSWER_LENGTH} characters` });
+    const partIndex = Math.max(0, Math.floor(Number(part)) || 0);
+
+    const sha = typeof exerciseSha === 'string' && /^[a-f0-9]{64}$/.test(exerciseSha) ? exerciseSha : null;
+    const found = sha && cacheLayout ? await readExerciseItem(cacheLayout, sha) : null;
+    const rec = found?.type === APPEAL_CACHE_TYPES[type] ? found : null;
+    const target = appealTarget(type, rec ? rec.content : item, partIndex);
+    if (!target) return res.status(400).json({ error: 'item has no answer for this part' });
+    const partKey = String(partIndex);
+    const known = (rec && Array.isArray(rec.accepted_answers?.[partKey])) ? rec.accepted_answers[partKey] : [];
+    if (known.some(a => a.toLowerCase() === given.toLowerCase())) {
+      return res.json({ accepted: true, explanation: 'This answer was already accepted on an earlier appeal.', stored: true });
+    }
+
+    const params = { ...target, answer: given, language: rec?.meta?.language || String(language || ''), level: rec?.meta?.level || String(level || '') };
+    const cacheKey = sha256Hex(JSON.stringify({ kind: 'appeal', ...params, model: getActiveModel() }));
+    let verdict = gradeCache.get(cacheKey);
+    if (!verdict) {
+      const { system, user } = buildAppealPrompt(params);
+      const job = { ...llmJobFor(req, res), type: 'appeal' };
+      const { text: raw, structured, provider: producedBy } = await callLLM({ system, user, jsonSchema: APPEAL_SCHEMA, schemaName: 'answer_appeal', job });
+      let parsed;
       try {
-        parsed = JSON.parse(text);
-        return res.json({ explanation: parsed.explanation });
+        parsed = structured ? JSON.parse(raw) : tryParseJsonLoose(raw);
       } catch (e) {
-        console.error('[PARSE]', e.message);
-        return res.status(502).json({ error: 'Upstream returned invalid JSON', details: e.message, provider: runtimeConfig.provider });
+        log.error('[PARSE]', e.message, e.rawPreview || '');
+        return res.status(502).json({ error: 'Upstream returned invalid JSON', details: e.message, provider: producedBy });
+      }
+      const checked = await validateAndRepairPayload({ parsed, jsonSchema: APPEAL_SCHEMA, system, user, schemaName: 'answer_appeal', job });
+      if (!checked.payload) {
+        return res.status(502).json({ error: 'Upstream returned an invalid payload', details: formatValidationErrors(checked.errors), provider: producedBy });
+      }
+      verdict = { accepted: checked.payload.accepted === true, explanation: checked.payload.explanation };
+      gradeCache.set(cacheKey, verdict);
+    }
+
+    let pending = false;
+    if (verdict.accepted && rec && req.user) {
+      if (takeAppealQueue(req.user.id)) {
+        const appeal = { exerciseSha: sha, type, part: partIndex, expected: target.expected, answer: given, explanation: verdict.explanation, userId: req.user.id, username: req.user.username };
+        const queued = await addPendingAppeal(cacheLayout, appeal, MAX_PENDING_APPEALS);
+        pending = queued !== 'full';
+        if (queued === 'queued') log.info(`[APPEAL] Queued alternative for ${sha.slice(0, 12)} for review`, { type, part: partIndex, expected: target.expected, answer: given, user: req.user.username });
+        else if (queued === 'full') log.warn(`[APPEAL] Not queueing alternative for ${sha.slice(0, 12)}: too many pending for this blank`, { part: partIndex, user: req.user.username });
+      } else {
+        log.warn(`[APPEAL] Not queueing alternative for ${sha.slice(0, 12)}: appeal limit reached`, { user: req.user.username });
       }
-    } else {
-      return res.json({ explanation: text });
     }
+    return res.json({ ...verdict, stored: false, pending });
   } catch (err) {
-    console.error(err);
-    const status = /Missing/i.test(err?.message || '') ? 400 : 500;
-    return res.status(status).json({ error: 'Failed to get explanation', details: err?.message, provider: runtimeConfig.provider });
+    if (sendLLMRejection(res, err)) return;
+    log.error('[APPEAL]', err);
+    return res.status(500).json({ error: 'Failed to review appeal', details: err?.message, provider: runtimeConfig.provider });
   }
 });
 
@@ -1740,18 +2146,18 @@ Based on their performance, suggest ONE specific practice topic. Consider:
 - If score 60-80%: suggest focused practice on their weak areas
 - If score < 60%: suggest an easier or more fundamental topic`;
     
-    const useStructured = ['openrouter', 'ollama'].includes(runtimeConfig.provider);
-    const text = await callLLM({ system, user, jsonSchema: useStructured ? schema : undefined, schemaName: 'recommendation' });
+    const { text, structured } = await callLLM({ system, user, jsonSchema: schema, schemaName: 'recommendation', job: llmJobFor(req, res) });
     let parsed;
     try {
-      parsed = useStructured ? JSON.parse(text) : tryParseJsonLoose(text);
+      parsed = structured ? JSON.parse(text) : tryParseJsonLoose(text);
     } catch (e) {
-      console.error('[PARSE]', e.message, e.rawPreview || '');
+      log.error('[PARSE]', e.message, e.rawPreview || '');
       return res.status(502).json({ error: 'Upstream returned invalid JSON', details: e.message, provider: runtimeConfig.provider });
     }
     return res.json(parsed);
   } catch (err) {
-    console.error(err);
+    if (sendLLMRejection(res, err)) return;
+    log.error('[RECOMMEND]', err);
     const status = /Missing/i.test(err?.message || '') ? 400 : 500;
     return res.status(status).json({ error: 'Failed to get recommendation', details: err?.message, provider: runtimeConfig.provider });
   }
@@ -1760,22 +2166,574 @@ Based on their performance, suggest ONE specific practice topic. Consider:
 // Ollama: list installed models
 app.get('/api/ollama/models', async (req, res) => {
   try {
-    const normalizedHost = validateAndNormalizeOllamaHost(runtimeConfig.ollama.host) || 'http://127.0.0.1:11434';
-    const url = `${normalizedHost}/api/tags`;
-    console.log(`[OLLAMA] Fetching models from ${url}`);
-    const resp = await fetch(url, { method: 'GET' });
-    if (!resp.ok) {
-      const text = await resp.text().catch(() => '');
-      console.error(`[OLLAMA] HTTP ${resp.status} ${text}`);
-      return res.status(502).json({ error: `Ollama returned ${resp.status}` });
-    }
-    const data = await resp.json();
-    const models = Array.isArray(data?.models) ? data.models : [];
-    const names = models.map(m => m.name).filter(Boolean);
+    const host = validateAndNormalizeOllamaHost(runtimeConfig.ollama.host) || 'http://127.0.0.1:11434';
+    const names = await llmProviders.get('ollama').listModels();
     return res.json({ host, models: names });
   } catch (e) {
-    console.error('[OLLAMA] Failed to list models:', e);
-    return res.status(500).json({ error: e.message || 'Failed to list Ollama models' });
+    log.error('[OLLAMA] Failed to list models:', e);
+    const status = /returned \d+/.test(e?.message || '') ? 502 : 500;
+    return res.status(status).json({ error: e.message || 'Failed to list Ollama models' });
+  }
+});
+
+// OpenAI-compatible endpoint: list served models (GET {baseUrl}/models)
+app.get('/api/openai-compatible/models', async (req, res) => {
+  try {
+    const models = await llmProviders.get('openai_compatible').listModels();
+    return res.json({ baseUrl: validateAndNormalizeOpenAICompatibleBaseUrl(runtimeConfig.openaiCompatible.baseUrl), models });
+  } catch (e) {
+    log.error('[OPENAI-COMPATIBLE] Failed to list models:', e?.message || e);
+    return res.status(502).json({ error: e.message || 'Failed to list models' });
+  }
+});
+
+// Anthropic: list models available to the configured key
+app.get('/api/anthropic/models', async (req, res) => {
+  try {
+    assertEnv(runtimeConfig.anthropic.apiKey, 'Missing ANTHROPIC_API_KEY');
+    const models = await llmProviders.get('anthropic').listModels();
+    return res.json({ models });
+  } catch (e) {
+    log.error('[ANTHROPIC] Failed to list models:', e?.message || e);
+    const status = /Missing/i.test(e?.message || '') ? 400 : 502;
+    return res.status(status).json({ error: e.message || 'Failed to list Anthropic models' });
+  }
+});
+
+// Accounts: local username/password accounts with session cookies (see server/userStore.js)
+const loginFailures = new Map(); // usernameLower -> { count, until }
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCKOUT_MS = 60_000;
+
+async function startSession(req, res, user) {
+  const { token, expiresAt } = await userStore.createSession(user.id);
+  const maxAge = Math.max(0, Math.floor((Date.parse(expiresAt) - Date.now()) / 1000));
+  const secure = req.secure || req.headers['x-forwarded-proto'] === 'https' ? '; Secure' : '';
+  res.append('Set-Cookie', `${SESSION_COOKIE_NAME}=${token}; Path=/; Max-Age=${maxAge}; HttpOnly; SameSite=Lax${secure}`);
+  // Carry over what this browser has already seen anonymously
+  try {
+    const cookieHeader = String(req.headers['cookie'] || '');
+    for (const part of cookieHeader.split(';')) {
+      const m = part.trim().match(/^seen_exercises_(.+)=(.*)$/);
+      if (!m) continue;
+      const prefixes = decodeURIComponent(m[2]).split(',').filter(Boolean);
+      if (prefixes.length) await userStore.addSeen(user.id, m[1], prefixes);
+    }
+  } catch {}
+  return { token, expiresAt };
+}
+
+app.post('/api/auth/register', async (req, res) => {
+  const registrationEnv = String(process.env.ALLOW_REGISTRATION || 'true').toLowerCase();
+  if (registrationEnv === 'false' || registrationEnv === '0' || registrationEnv === 'no') {
+    return res.status(403).json({ error: 'Registration is disabled' });
+  }
+  try {
+    const { username, password } = req.body || {};
+    const invalid = validateCredentials(username, password);
+    if (invalid) return res.status(400).json({ error: invalid });
+    const user = await userStore.createUser(String(username), String(password));
+    const { expiresAt } = await startSession(req, res, user);
+    log.info('[AUTH] Registered', user.username);
+    res.status(201).json({ user, expiresAt });
+  } catch (e) {
+    if (e?.code === 'USER_EXISTS') return res.status(409).json({ error: e.message });
+    log.error('[AUTH] Registration failed:', e?.message);
+    res.status(500).json({ error: 'Registration failed', details: e?.message });
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    if (!username || !password) return res.status(400).json({ error: 'username and password are required' });
+    const key = String(username).toLowerCase();
+    const failures = loginFailures.get(key);
+    if (failures && failures.until > Date.now()) {
+      return res.status(429).json({ error: 'Too many failed attempts, try again later', retry_after_seconds: Math.ceil((failures.until - Date.now()) / 1000) });
+    }
+    const user = await userStore.authenticate(String(username), String(password));
+    if (!user) {
+      const count = (failures?.count || 0) + 1;
+      loginFailures.set(key, { count: count >= LOGIN_MAX_FAILURES ? 0 : count, until: count >= LOGIN_MAX_FAILURES ? Date.now() + LOGIN_LOCKOUT_MS : 0 });
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    loginFailures.delete(key);
+    const { expiresAt } = await startSession(req, res, user);
+    res.json({ user, expiresAt });
+  } catch (e) {
+    log.error('[AUTH] Login failed:', e?.message);
+    res.status(500).json({ error: 'Login failed', details: e?.message });
+  }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+  try { await userStore.deleteSession(getSessionToken(req)); } catch {}
+  res.append('Set-Cookie', `${SESSION_COOKIE_NAME}=; Path=/; Max-Age=0; HttpOnly; SameSite=Lax`);
+  res.json({ ok: true });
+});
+
+app.get('/api/auth/me', (req, res) => {
+  res.json({ user: req.user || null, canViewAnalytics: canViewAnalytics(req), canAdminCache: canAdminCache(req) });
+});
+
+// Per-user progress: preferences, onboarding state and lesson scores
+app.get('/api/me/progress', async (req, res) => {
+  if (!requireUser(req, res)) return;
+  try {
+    const profile = await userStore.readProfile(req.user.id);
+    const seenCounts = Object.fromEntries(Object.entries(profile.seen || {}).map(([k, v]) => [k, Array.isArray(v) ? v.length : 0]));
+    res.json({
+      user: req.user,
+      preferences: profile.preferences || {},
+      onboardingVersion: profile.onboardingVersion ?? null,
+      scores: profile.scores || [],
+      seenCounts
+    });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to load progress', details: e?.message });
+  }
+});
+
+app.put('/api/me/preferences', async (req, res) => {
+  if (!requireUser(req, res)) return;
+  try {
+    const updates = sanitizePreferences(req.body?.preferences);
+    const profile = await userStore.updateProfile(req.user.id, (p) => {
+      p.preferences = { ...(p.preferences || {}), ...updates };
+      return p;
+    });
+    res.json({ preferences: profile.preferences });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to save preferences', details: e?.message });
+  }
+});
+
+app.put('/api/me/onboarding', async (req, res) => {
+  if (!requireUser(req, res)) return;
+  const version = String(req.body?.version ?? '').slice(0, 20);
+  if (!version) return res.status(400).json({ error: 'version is required' });
+  try {
+    await userStore.updateProfile(req.user.id, (p) => { p.onboardingVersion = version; return p; });
+    res.json({ onboardingVersion: version });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to save onboarding state', details: e?.message });
+  }
+});
+
+app.post('/api/me/scores', async (req, res) => {
+  if (!requireUser(req, res)) return;
+  const b = req.body || {};
+  // correct may include partial credit for near-miss answers
+  const correct = Math.round(Number(b.correct) * 100) / 100;
+  const total = Math.floor(Number(b.total));
+  if (!Number.isFinite(correct) || !Number.isFinite(total) || total < 0 || correct < 0 || correct > total) {
+    return res.status(400).json({ error: 'correct must be a non-negative number and total a non-negative integer with correct <= total' });
+  }
+  try {
+    const sessionId = /^[a-zA-Z0-9-]{8,64}$/.test(String(b.sessionId || '')) ? String(b.sessionId) : null;
+    const entry = {
+      at: new Date().toISOString(),
+      ...(sessionId ? { sessionId } : {}),
+      topic: String(b.topic || '').slice(0, 300),
+      language: String(b.language || '').slice(0, 60),
+      level: String(b.level || '').slice(0, 20),
+      challengeMode: !!b.challengeMode,
+      correct,
+      total
+    };
+    const scores = await userStore.addScore(req.user.id, entry);
+    res.status(201).json({ entry, count: scores.length });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to save score', details: e?.message });
+  }
+});
+
+// Spaced-repetition review: missed items become SM-2 cards pointing at cached exercises (see server/reviewSchedule.js)
+const REVIEW_MAX_CARDS = Number(process.env.REVIEW_MAX_CARDS || 2000);
+
+// Record missed items. New misses create a card; misses of an existing card count as a failed review.
+app.post('/api/review/cards', async (req, res) => {
+  if (!requireUser(req, res)) return;
+  const input = Array.isArray(req.body?.cards) ? req.body.cards.slice(0, 200) : [];
+  const misses = [];
+  for (const c of input) {
+    const kind = String(c?.kind || '');
+    const exerciseSha = String(c?.exerciseSha || '');
+    if (!REVIEW_KINDS[kind] || !/^[a-f0-9]{12,64}$/.test(exerciseSha)) continue;
+    const partNum = Math.floor(Number(c.part));
+    const part = REVIEW_KINDS[kind].perBlank && Number.isFinite(partNum) && partNum >= 0 ? partNum : null;
+    misses.push({
+      kind,
+      exerciseSha,
+      part,
+      topic: String(c.topic || '').slice(0, 300),
+      language: String(c.language || '').slice(0, 60),
+      level: String(c.level || '').slice(0, 20),
+      challengeMode: !!c.challengeMode
+    });
+  }
+  if (misses.length === 0) return res.status(400).json({ error: 'No valid cards', details: 'Each card needs a known kind and an exerciseSha' });
+  try {
+    let added = 0, lapsed = 0;
+    const profile = await userStore.updateProfile(req.user.id, (p) => {
+      const cards = { ...(p.review?.cards || {}) };
+      const now = Date.now();
+      for (const miss of misses) {
+        const id = makeCardId(miss.kind, miss.exerciseSha, miss.part);
+        if (cards[id]) { cards[id] = applyReview(cards[id], 1, now); lapsed++; }
+        else { cards[id] = createCard(miss, now); added++; }
+      }
+      // Keep the store bounded: drop the oldest cards first
+      const ids = Object.keys(cards);
+      if (ids.length > REVIEW_MAX_CARDS) {
+        ids.sort((a, b) => String(cards[a].createdAt).localeCompare(String(cards[b].createdAt)));
+        for (const id of ids.slice(0, ids.length - REVIEW_MAX_CARDS)) delete cards[id];
+      }
+      p.review = { ...(p.review || {}), cards };
+      return p;
+    });
+    res.status(201).json({ added, lapsed, total: Object.keys(profile.review.cards).length });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to save review cards', details: e?.message });
+  }
+});
+
+// Due cards joined with their cached exercise content, oldest due first
+app.get('/api/review/due', async (req, res) => {
+  if (!requireUser(req, res)) return;
+  if (!cacheLayout) return res.status(503).json({ error: 'Cache not initialized' });
+  const limit = Math.max(1, Math.min(50, Math.floor(Number(req.query.limit) || 20)));
+  try {
+    const profile = await userStore.readProfile(req.user.id);
+    const now = Date.now();
+    const due = Object.values(profile.review?.cards || {})
+      .filter(c => isDue(c, now))
+      .sort((a, b) => Date.parse(a.due) - Date.parse(b.due));
+    const out = [];
+    const missing = [];
+    const contentBySha = new Map();
+    for (const card of due) {
+      if (out.length >= limit) break;
+      if (!contentBySha.has(card.exerciseSha)) {
+        const rec = await readExerciseItem(cacheLayout, card.exerciseSha);
+        contentBySha.set(card.exerciseSha, rec?.content ? { ...rec.content, exerciseSha: card.exerciseSha, ...(rec.localImageUrl ? { localImageUrl: rec.localImageUrl } : {}), ...(rec.accepted_answers ? { accepted_answers: rec.accepted_answers } : {}) } : null);
+      }
+      const item = contentBySha.get(card.exerciseSha);
+      if (!item) { missing.push(card.id); continue; }
+      out.push({ ...card, item });
+    }
+    // Cards whose exercise was evicted from the cache can never be replayed
+    if (missing.length) {
+      try {
+        await userStore.updateProfile(req.user.id, (p) => {
+          for (const id of missing) delete p.review?.cards?.[id];
+          return p;
+        });
+      } catch {}
+    }
+    res.json({ cards: out, totalDue: due.length - missing.length });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to load due cards', details: e?.message });
+  }
+});
+
+// Grade replayed cards: [{ id, quality: 0..5 }]
+app.post('/api/review/grade', async (req, res) => {
+  if (!requireUser(req, res)) return;
+  const results = Array.isArray(req.body?.results) ? req.body.results.slice(0, 200) : [];
+  if (results.length === 0) return res.status(400).json({ error: 'results are required' });
+  try {
+    const updated = [];
+    await userStore.updateProfile(req.user.id, (p) => {
+      const cards = p.review?.cards || {};
+      const now = Date.now();
+      for (const r of results) {
+        const card = cards[String(r?.id || '')];
+        const quality = Number(r?.quality);
+        if (!card || !Number.isFinite(quality)) continue;
+        cards[card.id] = applyReview(card, quality, now);
+        updated.push(cards[card.id]);
+      }
+      p.review = { ...(p.review || {}), cards };
+      return p;
+    });
+    res.json({ cards: updated });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to grade review cards', details: e?.message });
+  }
+});
+
+// Learner outcome analytics: lesson scores per session, aggregated for tutors
+// Requires a signed-in account listed in ANALYTICS_USERS (comma-separated usernames); nobody has access when it is
+// unset, as for the cache admin routes.
+function canViewAnalytics(req) {
+  if (!req.user) return false;
+  const allowed = String(process.env.ANALYTICS_USERS || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  return allowed.includes(String(req.user.username).toLowerCase());
+}
+
+app.post('/api/analytics/lesson', async (req, res) => {
+  const { record, error } = normalizeOutcome(req.body);
+  if (error) return res.status(400).json({ error });
+  try {
+    await recordLessonOutcome(CACHE_DIR, { ...record, ...(req.user ? { userId: req.user.id } : {}) });
+    res.status(201).json({ ok: true });
+  } catch (e) {
+    log.warn('[ANALYTICS] Failed to record lesson outcome:', e?.message);
+    res.status(500).json({ error: 'Failed to record lesson outcome', details: e?.message });
+  }
+});
+
+app.get('/api/analytics/outcomes', async (req, res) => {
+  if (!canViewAnalytics(req)) return res.status(403).json({ error: 'Analytics access denied' });
+  try {
+    const days = Math.max(0, Math.min(3650, Math.floor(Number(req.query.days) || 0)));
+    const outcomes = await loadLessonOutcomes(CACHE_DIR);
+    res.json(aggregateOutcomes(outcomes, {
+      days,
+      language: typeof req.query.language === 'string' ? req.query.language : '',
+      level: typeof req.query.level === 'string' ? req.query.level : ''
+    }));
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to load outcomes', details: e?.message });
+  }
+});
+
+// LLM and image spend from the usage ledger, by day, model and content type, with what the cache saved
+app.get('/api/usage', async (req, res) => {
+  if (!canViewAnalytics(req)) return res.status(403).json({ error: 'Analytics access denied' });
+  try {
+    const days = Math.max(0, Math.min(3650, Math.floor(Number(req.query.days) || 0)));
+    const entries = await loadUsage(CACHE_DIR);
+    res.json(aggregateUsage(entries, { days, type: typeof req.query.type === 'string' ? req.query.type : '' }));
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to load usage', details: e?.message });
+  }
+});
+
+// Cache administration: browse, pin and delete cached exercises, explanations and base texts.
+// Requires a signed-in account listed in ADMIN_USERS; nobody has access when it is unset, since registration
+// is open and the routes can delete and import shared content.
+function canAdminCache(req) {
+  if (!req.user) return false;
+  const allowed = String(process.env.ADMIN_USERS || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  return allowed.includes(String(req.user.username).toLowerCase());
+}
+
+function requireCacheAdminAccess(req, res) {
+  if (!requireUser(req, res)) return false;
+  if (!canAdminCache(req)) {
+    res.status(403).json({ error: 'Cache administration access denied' });
+    return false;
+  }
+  if (!cacheLayout) {
+    res.status(503).json({ error: 'Cache not initialized' });
+    return false;
+  }
+  return true;
+}
+
+function requireCacheAdmin(req, res) {
+  if (!requireCacheAdminAccess(req, res)) return false;
+  if (!Object.prototype.hasOwnProperty.call(ADMIN_CACHE_KINDS, req.params.kind)) {
+    res.status(404).json({ error: 'Unknown cache kind', details: req.params.kind });
+    return false;
+  }
+  return true;
+}
+
+// Cache bundles: export a filtered selection (with images) as a gzipped download, import one from another deployment
+const CACHE_BUNDLE_MAX_MB = Math.max(1, Number(process.env.CACHE_BUNDLE_MAX_MB) || 200);
+
+app.post('/api/admin/cache-bundle/export', async (req, res) => {
+  if (!requireCacheAdminAccess(req, res)) return;
+  try {
+    const b = req.body || {};
+    const str = (v) => (typeof v === 'string' ? v.trim().slice(0, 200) : '');
+    const kinds = Array.isArray(b.kinds) ? b.kinds.filter(k => Object.prototype.hasOwnProperty.call(ADMIN_CACHE_KINDS, k)) : Object.keys(ADMIN_CACHE_KINDS);
+    const f = b.filters || {};
+    const filters = { language: str(f.language), level: str(f.level), type: str(f.type), model: str(f.model), topic: str(f.topic) };
+    if (typeof f.pinned === 'boolean') filters.pinned = f.pinned;
+    const keys = {};
+    for (const k of kinds) {
+      if (Array.isArray(b.keys?.[k])) keys[k] = b.keys[k].filter(x => typeof x === 'string').slice(0, 10000);
+    }
+    const minLikes = Number.isFinite(Number(b.minLikes)) && b.minLikes !== null && b.minLikes !== '' ? Number(b.minLikes) : null;
+    const bundle = await exportCacheBundle(cacheLayout, { kinds, filters, keys, minLikes }, schemaVersions);
+    const buf = await encodeCacheBundle(bundle);
+    log.info(`[ADMIN] ${req.user.username} exported a cache bundle (${bundle.exercises.length} exercises, ${bundle.explanations.length} explanations, ${bundle.baseTexts.length} base texts, ${bundle.images.length} images)`);
+    res.setHeader('Content-Type', 'application/gzip');
+    res.setHeader('Content-Disposition', `attachment; filename="cache-bundle-${bundle.createdAt.slice(0, 10)}.json.gz"`);
+    res.send(buf);
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to export cache bundle', details: e?.message });
+  }
+});
+
+app.post('/api/admin/cache-bundle/import', express.raw({ type: ['application/gzip', 'application/octet-stream'], limit: `${CACHE_BUNDLE_MAX_MB}mb` }), async (req, res) => {
+  if (!requireCacheAdminAccess(req, res)) return;
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ error: 'Expected a bundle file as application/gzip' });
+  }
+  let bundle;
+  try {
+    bundle = await decodeCacheBundle(req.body);
+    assertCacheBundle(bundle);
+  } catch (e) {
+    return res.status(400).json({ error: 'Invalid cache bundle', details: e?.message });
+  }
+  try {
+    const summary = await importCacheBundle(cacheLayout, bundle, schemaVersions);
+    log.info(`[ADMIN] ${req.user.username} imported a cache bundle`, { summary });
+    res.json({ ok: true, summary });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to import cache bundle', details: e?.message });
+  }
+});
+
+// Answer appeals awaiting review: approving adds the answer to the record's `accepted_answers`
+app.get('/api/admin/appeals', async (req, res) => {
+  if (!requireCacheAdminAccess(req, res)) return;
+  try {
+    res.json({ items: await listPendingAppeals(cacheLayout) });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to list pending appeals', details: e?.message });
+  }
+});
+
+app.post('/api/admin/appeals/:id/approve', async (req, res) => {
+  if (!requireCacheAdminAccess(req, res)) return;
+  try {
+    const result = await resolvePendingAppeal(cacheLayout, req.params.id, true, MAX_ACCEPTED_ANSWERS);
+    if (result === 'missing') return res.status(404).json({ error: 'Appeal not found' });
+    if (result === 'full') return res.status(409).json({ error: 'Blank already has the maximum number of accepted answers', details: `at most ${MAX_ACCEPTED_ANSWERS}` });
+    log.info(`[ADMIN] ${req.user.username} approved appeal ${req.params.id}`);
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to approve appeal', details: e?.message });
+  }
+});
+
+app.delete('/api/admin/appeals/:id', async (req, res) => {
+  if (!requireCacheAdminAccess(req, res)) return;
+  try {
+    const result = await resolvePendingAppeal(cacheLayout, req.params.id, false);
+    if (result === 'missing') return res.status(404).json({ error: 'Appeal not found' });
+    log.info(`[ADMIN] ${req.user.username} rejected appeal ${req.params.id}`);
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to reject appeal', details: e?.message });
+  }
+});
+
+// Pre-generation: fill exercise pools for a matrix of languages × levels × topics × types (see server/pregenerate.js).
+// Only types that need no base text chapter or sentence can be generated this way.
+const PREGENERATE_TYPES = Object.keys(EXERCISE_REGISTRY).filter((type) => {
+  const entry = EXERCISE_REGISTRY[type];
+  return entry.cacheType && entry.cacheType !== 'explanation' && entry.chapter !== 'required' && !entry.needsSentence;
+});
+
+// One LLM call for a matrix cell, built exactly like POST /api/exercises/:type without a base text
+async function pregenerateBatch(cell, need) {
+  const entry = EXERCISE_REGISTRY[cell.type];
+  const count = Math.max(entry.minCount || 1, Math.min(entry.maxCount, need));
+  const ctx = { topic: cell.topic, language: cell.language, level: cell.level, challengeMode: cell.challengeMode, count, baseText: null, chapter: null, inspiration: null, passageNumber: null };
+  const { system, user, schemaName, jsonSchema } = entry.build(ctx);
+  const metadata = { language: cell.language, level: cell.level, challengeMode: cell.challengeMode, topic: cell.topic, count };
+  const type = entry.cacheType;
+  const keys = exerciseCacheKeys({ type, schemaName, metadata, cacheSeed: exerciseCacheSeed(cell.type, ctx) });
+  const { addedShas } = await generateIntoPool({ type, system, user, jsonSchema, llmSchema: entry.deepSchema && !supportsDeepSchema() ? null : jsonSchema, schemaName, metadata, keys, need, job: { priority: 'bulk', type } });
+  recordUsage({ kind: 'items', type, cached: 0, generated: addedShas.length, shared: 0, source: 'pregenerate' });
+}
+
+const pregenerator = createPregenerator({
+  stateFile: path.join(CACHE_DIR, 'pregenerate', 'state.json'),
+  allowedTypes: PREGENERATE_TYPES,
+  generateBatch: pregenerateBatch,
+  onProgress: (status, cell) => {
+    if (cell) log.info(`[PREGEN] ${status.done + status.failed}/${status.total} cells, ${status.generated} items | ${cell.id}: ${cell.size}/${status.target}`);
+    else log.info(`[PREGEN] Finished: ${status.done} done, ${status.failed} failed, ${status.pending} pending, ${status.generated} items generated`);
+  }
+});
+
+app.get('/api/admin/pregenerate', async (req, res) => {
+  if (!requireCacheAdminAccess(req, res)) return;
+  try {
+    res.json({ ...(await pregenerator.status()), types: PREGENERATE_TYPES });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to load pre-generation status', details: e?.message });
+  }
+});
+
+app.post('/api/admin/pregenerate', async (req, res) => {
+  if (!requireCacheAdminAccess(req, res)) return;
+  const { matrix, concurrency, restart } = req.body || {};
+  try {
+    const status = await pregenerator.start(cacheLayout, matrix, { concurrency, restart: !!restart });
+    log.info(`[ADMIN] ${req.user.username} started pre-generation of ${status.total} cells`);
+    res.status(202).json(status);
+  } catch (e) {
+    const status = /already running/.test(e?.message || '') ? 409 : 400;
+    res.status(status).json({ error: 'Failed to start pre-generation', details: e?.message });
+  }
+});
+
+app.delete('/api/admin/pregenerate', (req, res) => {
+  if (!requireCacheAdminAccess(req, res)) return;
+  const stopping = pregenerator.stop();
+  if (stopping) log.info(`[ADMIN] ${req.user.username} stopped pre-generation`);
+  res.json({ ok: true, stopping });
+});
+
+app.get('/api/admin/cache/:kind', async (req, res) => {
+  if (!requireCacheAdmin(req, res)) return;
+  try {
+    const q = req.query;
+    const str = (v) => (typeof v === 'string' ? v.trim().slice(0, 200) : '');
+    const filters = { language: str(q.language), level: str(q.level), type: str(q.type), model: str(q.model), topic: str(q.topic) };
+    if (q.pinned === 'true' || q.pinned === 'false') filters.pinned = q.pinned === 'true';
+    const offset = Math.max(0, Math.floor(Number(q.offset) || 0));
+    const limit = Math.max(1, Math.min(200, Math.floor(Number(q.limit) || 50)));
+    res.json(await listCacheEntries(cacheLayout, req.params.kind, filters, { offset, limit }));
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to list cache entries', details: e?.message });
+  }
+});
+
+app.get('/api/admin/cache/:kind/:key', async (req, res) => {
+  if (!requireCacheAdmin(req, res)) return;
+  try {
+    const found = await getCacheEntry(cacheLayout, req.params.kind, req.params.key);
+    if (!found) return res.status(404).json({ error: 'Cache entry not found' });
+    res.json(found);
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to load cache entry', details: e?.message });
+  }
+});
+
+app.put('/api/admin/cache/:kind/:key/pin', async (req, res) => {
+  if (!requireCacheAdmin(req, res)) return;
+  try {
+    const pinned = req.body?.pinned !== false;
+    const ok = await setCacheEntryPinned(cacheLayout, req.params.kind, req.params.key, pinned);
+    if (!ok) return res.status(404).json({ error: 'Cache entry not found' });
+    log.info(`[ADMIN] ${req.user.username} ${pinned ? 'pinned' : 'unpinned'} ${req.params.kind}/${req.params.key}`);
+    res.json({ ok: true, pinned });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to update cache entry', details: e?.message });
+  }
+});
+
+app.delete('/api/admin/cache/:kind/:key', async (req, res) => {
+  if (!requireCacheAdmin(req, res)) return;
+  try {
+    const ok = await deleteCacheEntry(cacheLayout, req.params.kind, req.params.key);
+    if (!ok) return res.status(404).json({ error: 'Cache entry not found' });
+    log.info(`[ADMIN] ${req.user.username} deleted ${req.params.kind}/${req.params.key}`);
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to delete cache entry', details: e?.message });
   }
 });
 
@@ -1785,6 +2743,24 @@ app.get('/api/settings', (req, res) => {
     provider: runtimeConfig.provider,
     openrouter: { model: runtimeConfig.openrouter.model, hasKey: !!runtimeConfig.openrouter.apiKey, appUrl: runtimeConfig.openrouter.appUrl },
     ollama: { model: runtimeConfig.ollama.model, host: runtimeConfig.ollama.host },
+    openaiCompatible: {
+      baseUrl: runtimeConfig.openaiCompatible.baseUrl,
+      model: runtimeConfig.openaiCompatible.model,
+      hasKey: !!runtimeConfig.openaiCompatible.apiKey,
+      structured: runtimeConfig.openaiCompatible.structured
+    },
+    anthropic: { model: runtimeConfig.anthropic.model, hasKey: !!runtimeConfig.anthropic.apiKey },
+    mock: {
+      model: runtimeConfig.mock.model,
+      latencyMs: runtimeConfig.mock.latencyMs,
+      truncateRate: runtimeConfig.mock.truncateRate,
+      errorRate: runtimeConfig.mock.errorRate,
+      rateLimitRate: runtimeConfig.mock.rateLimitRate,
+      retryAfterSeconds: runtimeConfig.mock.retryAfterSeconds,
+      seed: runtimeConfig.mock.seed
+    },
+    providers: llmProviders.list(),
+    fallbackChain: runtimeConfig.fallbackChain,
             runware: {
           model: runtimeConfig.runware.model,
           enabled: runtimeConfig.runware.enabled,
@@ -1816,7 +2792,20 @@ app.post('/api/settings', (req, res) => {
   }
   
   const body = req.body || {};
+  // Validate before mutating anything so a rejected request leaves the config untouched
+  if (body.provider && !llmProviders.has(body.provider)) {
+    return res.status(400).json({ error: `Unsupported provider: ${body.provider}` });
+  }
+  if (typeof body.openaiCompatible?.baseUrl === 'string' && !validateAndNormalizeOpenAICompatibleBaseUrl(body.openaiCompatible.baseUrl)) {
+    return res.status(400).json({ error: 'Base URL host is not allowed (see OPENAI_COMPATIBLE_HOST_ALLOWLIST)' });
+  }
+  const nextFallbackChain = body.fallbackChain !== undefined ? parseFallbackChain(body.fallbackChain) : null;
+  const unknownFallback = (nextFallbackChain || []).find(e => !llmProviders.has(e.provider));
+  if (unknownFallback) {
+    return res.status(400).json({ error: `Unsupported provider in fallback chain: ${unknownFallback.provider}` });
+  }
   if (body.provider) runtimeConfig.provider = String(body.provider).toLowerCase();
+  if (nextFallbackChain) runtimeConfig.fallbackChain = nextFallbackChain;
   if (body.openrouter) {
     if (typeof body.openrouter.apiKey === 'string' && body.openrouter.apiKey.trim()) runtimeConfig.openrouter.apiKey = body.openrouter.apiKey;
     if (typeof body.openrouter.model === 'string') runtimeConfig.openrouter.model = body.openrouter.model;
@@ -1825,6 +2814,25 @@ app.post('/api/settings', (req, res) => {
   if (body.ollama) {
     if (typeof body.ollama.host === 'string') runtimeConfig.ollama.host = body.ollama.host;
     if (typeof body.ollama.model === 'string') runtimeConfig.ollama.model = body.ollama.model;
+  }
+  if (body.openaiCompatible) {
+    if (typeof body.openaiCompatible.baseUrl === 'string') runtimeConfig.openaiCompatible.baseUrl = body.openaiCompatible.baseUrl;
+    if (typeof body.openaiCompatible.apiKey === 'string' && body.openaiCompatible.apiKey.trim()) runtimeConfig.openaiCompatible.apiKey = body.openaiCompatible.apiKey;
+    if (typeof body.openaiCompatible.model === 'string') runtimeConfig.openaiCompatible.model = body.openaiCompatible.model;
+    if (typeof body.openaiCompatible.structured === 'boolean') runtimeConfig.openaiCompatible.structured = body.openaiCompatible.structured;
+  }
+  if (body.anthropic) {
+    if (typeof body.anthropic.apiKey === 'string' && body.anthropic.apiKey.trim()) runtimeConfig.anthropic.apiKey = body.anthropic.apiKey;
+    if (typeof body.anthropic.model === 'string') runtimeConfig.anthropic.model = body.anthropic.model;
+  }
+  if (body.mock) {
+    if (typeof body.mock.model === 'string' && body.mock.model.trim()) runtimeConfig.mock.model = body.mock.model.trim();
+    if (typeof body.mock.latencyMs === 'number' && body.mock.latencyMs >= 0) runtimeConfig.mock.latencyMs = Math.min(body.mock.latencyMs, 120000);
+    for (const k of ['truncateRate', 'errorRate', 'rateLimitRate']) {
+      if (typeof body.mock[k] === 'number' && body.mock[k] >= 0 && body.mock[k] <= 1) runtimeConfig.mock[k] = body.mock[k];
+    }
+    if (typeof body.mock.retryAfterSeconds === 'number' && body.mock.retryAfterSeconds > 0) runtimeConfig.mock.retryAfterSeconds = body.mock.retryAfterSeconds;
+    if (typeof body.mock.seed === 'string') runtimeConfig.mock.seed = body.mock.seed;
   }
       if (body.runware) {
       if (typeof body.runware.apiKey === 'string' && body.runware.apiKey.trim()) runtimeConfig.runware.apiKey = body.runware.apiKey;
@@ -1876,11 +2884,25 @@ app.post('/api/settings', (req, res) => {
       const setNum = (k, v) => { if (typeof v === 'number') map.set(k, v.toString()); };
       const setBool = (k, v) => { if (typeof v === 'boolean') map.set(k, v.toString()); };
       set('PROVIDER', runtimeConfig.provider);
+      set('LLM_FALLBACK_CHAIN', formatFallbackChain(runtimeConfig.fallbackChain));
       set('OPENROUTER_API_KEY', runtimeConfig.openrouter.apiKey || map.get('OPENROUTER_API_KEY') || '');
       set('OPENROUTER_MODEL', runtimeConfig.openrouter.model);
       set('APP_URL', runtimeConfig.openrouter.appUrl);
       set('OLLAMA_HOST', runtimeConfig.ollama.host);
       set('OLLAMA_MODEL', runtimeConfig.ollama.model);
+      set('OPENAI_COMPATIBLE_BASE_URL', runtimeConfig.openaiCompatible.baseUrl);
+      set('OPENAI_COMPATIBLE_API_KEY', runtimeConfig.openaiCompatible.apiKey || map.get('OPENAI_COMPATIBLE_API_KEY') || '');
+      set('OPENAI_COMPATIBLE_MODEL', runtimeConfig.openaiCompatible.model);
+      setBool('OPENAI_COMPATIBLE_STRUCTURED', runtimeConfig.openaiCompatible.structured);
+      set('ANTHROPIC_API_KEY', runtimeConfig.anthropic.apiKey || map.get('ANTHROPIC_API_KEY') || '');
+      set('ANTHROPIC_MODEL', runtimeConfig.anthropic.model);
+      set('MOCK_MODEL', runtimeConfig.mock.model);
+      setNum('MOCK_LATENCY_MS', runtimeConfig.mock.latencyMs);
+      setNum('MOCK_TRUNCATE_RATE', runtimeConfig.mock.truncateRate);
+      setNum('MOCK_ERROR_RATE', runtimeConfig.mock.errorRate);
+      setNum('MOCK_RATE_LIMIT_RATE', runtimeConfig.mock.rateLimitRate);
+      setNum('MOCK_RETRY_AFTER_SECONDS', runtimeConfig.mock.retryAfterSeconds);
+      set('MOCK_SEED', runtimeConfig.mock.seed);
           set('RUNWARE_API_KEY', runtimeConfig.runware.apiKey || map.get('RUNWARE_API_KEY') || '');
     set('RUNWARE_MODEL', runtimeConfig.runware.model);
     setBool('RUNWARE_ENABLED', runtimeConfig.runware.enabled);
@@ -1898,16 +2920,44 @@ app.post('/api/settings', (req, res) => {
     set('IMAGE_PROVIDER', runtimeConfig.imageProvider);
       const lines = Array.from(map.entries()).map(([k, v]) => `${k}=${v}`);
       await fs.writeFile(envPath, lines.join('\n') + '\n', 'utf8');
-      console.log('[SETTINGS] Persisted to .env at', envPath);
+      log.info('[SETTINGS] Persisted to .env at', envPath);
     } catch (e) {
-      console.warn('[SETTINGS] Failed to persist .env:', e?.message);
+      log.warn('[SETTINGS] Failed to persist .env:', e?.message);
     }
   })();
 
-  console.log('[SETTINGS] Updated provider to', runtimeConfig.provider);
+  log.info('[SETTINGS] Updated provider to', runtimeConfig.provider);
   return res.json({ ok: true, persisted: true });
 });
 
+// LLM queue: position of the caller's pending call (X-Queue-Ticket, 404 once finished) and per-provider load
+app.get('/api/queue/:ticket', (req, res) => {
+  const status = llmQueue.status(req.params.ticket);
+  if (!status) return res.status(404).json({ error: 'Unknown or finished ticket' });
+  return res.json(status);
+});
+
+app.get('/api/queue', (req, res) => {
+  res.json({ providers: llmQueue.snapshot() });
+});
+
+// Budget limits, usage and what is left for the caller (deployment, account and IP; see server/budgets.js)
+app.get('/api/budget', async (req, res) => {
+  try {
+    res.json(await budgets.report(budgetSubject(req)));
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to read budget', details: e?.message });
+  }
+});
+
+// LLM providers: fallback chain and circuit breaker state
+app.get('/api/providers/health', (req, res) => {
+  res.json({
+    chain: resolveProviderChain().map(({ provider, model }) => ({ provider, model })),
+    breakers: providerBreaker.snapshot()
+  });
+});
+
 // OpenRouter: rate limit / key info
 app.get('/api/openrouter/rate-limit', async (req, res) => {
   try {
@@ -1918,41 +2968,12 @@ app.get('/api/openrouter/rate-limit', async (req, res) => {
   }
 });
 
-// OpenRouter models cache (24 hour refresh)
-let modelsCache = {
-  data: null,
-  lastFetch: 0,
-  CACHE_DURATION: 24 * 60 * 60 * 1000 // 24 hours in milliseconds
-};
-
-async function fetchOpenRouterModels() {
-  const now = Date.now();
-  if (modelsCache.data && (now - modelsCache.lastFetch) < modelsCache.CACHE_DURATION) {
-    return modelsCache.data;
-  }
-
-  console.log('[MODELS] Fetching OpenRouter models...');
-  const resp = await fetch('https://openrouter.ai/api/v1/models', {
-    headers: { authorization: `Bearer ${runtimeConfig.openrouter.apiKey}` }
-  });
-  
-  if (!resp.ok) {
-    throw new Error(`Models API error ${resp.status}`);
-  }
-  
-  const data = await resp.json();
-  modelsCache.data = data.data || [];
-  modelsCache.lastFetch = now;
-  console.log(`[MODELS] Cached ${modelsCache.data.length} models`);
-  return modelsCache.data;
-}
-
 // OpenRouter: list models with filtering
 app.get('/api/openrouter/models', async (req, res) => {
   try {
     assertEnv(runtimeConfig.openrouter.apiKey, 'Missing OPENROUTER_API_KEY');
     
-    const models = await fetchOpenRouterModels();
+    const models = await llmProviders.get('openrouter').listModels();
     const { structured_only, free_only } = req.query;
     
     let filtered = models;
@@ -1990,9 +3011,9 @@ app.get('/api/openrouter/models', async (req, res) => {
       hugging_face_id: model.hugging_face_id
     }));
     
-    res.json({ models: simplified, cached_at: modelsCache.lastFetch });
+    res.json({ models: simplified, cached_at: llmProviders.get('openrouter').modelsCache.lastFetch });
   } catch (e) {
-    console.error('[MODELS]', e);
+    log.error('[MODELS]', e);
     res.status(500).json({ error: e.message || 'Failed to fetch models' });
   }
 });
@@ -2005,6 +3026,7 @@ app.post('/api/runware/generate', async (req, res) => {
     }
     
     assertEnv(runtimeConfig.runware.apiKey, 'Missing RUNWARE_API_KEY');
+    await budgets.assertWithin(budgetSubject(req));
     
     const { prompt, model, width, height, steps, cfgScale, seed, scheduler } = req.body || {};
     if (!prompt || !String(prompt).trim()) {
@@ -2075,7 +3097,7 @@ app.post('/api/runware/generate', async (req, res) => {
     
     const startedAt = Date.now();
     const promptPreview = cleanPrompt.slice(0, 80).replace(/\s+/g, ' ');
-    console.log('[RUNWARE] model=', requestBody[0].model, 'size=', requestBody[0].width, 'x', requestBody[0].height, 'steps=', requestBody[0].steps, 'promptPreview="', promptPreview, '..."');
+    log.debug('[RUNWARE] model=', requestBody[0].model, 'size=', requestBody[0].width, 'x', requestBody[0].height, 'steps=', requestBody[0].steps, 'promptPreview="', promptPreview, '..."');
     
     const response = await fetch('https://api.runware.ai/v1', {
       method: 'POST',
@@ -2088,7 +3110,8 @@ app.post('/api/runware/generate', async (req, res) => {
     
     if (!response.ok) {
       const errorText = await response.text().catch(() => '');
-      console.error('[RUNWARE] HTTP', response.status, errorText);
+      log.error('[RUNWARE] HTTP', response.status, errorText);
+      recordUsage({ kind: 'image', provider: 'runware', model: requestBody[0].model, usd: 0, latencyMs: Date.now() - startedAt, ok: false, error: `HTTP ${response.status}` });
       return res.status(response.status).json({ 
         error: `Runware API error ${response.status}`,
         details: errorText
@@ -2098,26 +3121,28 @@ app.post('/api/runware/generate', async (req, res) => {
     const data = await response.json();
     
     const responseTime = Date.now() - startedAt;
+    recordUsage({ kind: 'image', provider: 'runware', model: requestBody[0].model, usd: Number(Array.isArray(data) ? data[0]?.cost : 0) || 0, latencyMs: responseTime, ok: true });
     
     // Log response structure for debugging
-    console.log(`[RUNWARE] Response structure:`, JSON.stringify(data, null, 2));
+    log.debug('[RUNWARE] Response structure', { data });
     
     // Log cost information if available
     if (Array.isArray(data) && data.length > 0) {
       const result = data[0];
       if (result.cost !== undefined) {
-        console.log(`[RUNWARE] ok in ${responseTime}ms | cost: $${Number(result.cost).toFixed(6)} | model: ${requestBody[0].model} | size: ${requestBody[0].width}x${requestBody[0].height} | id: ${taskUUID}`);
+        budgets.record(budgetSubject(req), { usd: result.cost }).catch(() => {});
+        log.info(`[RUNWARE] ok in ${responseTime}ms | cost: $${Number(result.cost).toFixed(6)} | model: ${requestBody[0].model} | size: ${requestBody[0].width}x${requestBody[0].height} | id: ${taskUUID}`);
       } else {
-        console.log(`[RUNWARE] ok in ${responseTime}ms | model: ${requestBody[0].model} | size: ${requestBody[0].width}x${requestBody[0].height} | id: ${taskUUID}`);
+        log.info(`[RUNWARE] ok in ${responseTime}ms | model: ${requestBody[0].model} | size: ${requestBody[0].width}x${requestBody[0].height} | id: ${taskUUID}`);
       }
       
       // Log any additional cost details if present
       if (result.costDetails) {
-        console.log(`[RUNWARE] Cost breakdown: ${JSON.stringify(result.costDetails)}`);
+        log.info(`[RUNWARE] Cost breakdown: ${JSON.stringify(result.costDetails)}`);
       }
     } else {
-      console.log(`[RUNWARE] ok in ${responseTime}ms | id: ${taskUUID}`);
-      console.log(`[RUNWARE] Unexpected response format:`, data);
+      log.info(`[RUNWARE] ok in ${responseTime}ms | id: ${taskUUID}`);
+      log.warn('[RUNWARE] Unexpected response format', { data });
     }
     
     // Return the generated image data
@@ -2127,7 +3152,8 @@ app.post('/api/runware/generate', async (req, res) => {
       data
     });
   } catch (err) {
-    console.error('[RUNWARE]', err);
+    if (sendLLMRejection(res, err)) return;
+    log.error('[RUNWARE]', err);
     const status = /Missing/i.test(err?.message || '') ? 400 : 500;
     res.status(status).json({ 
       error: 'Failed to generate image', 
@@ -2150,7 +3176,7 @@ app.get('/api/runware/models', async (req, res) => {
     
     if (!response.ok) {
       const errorText = await response.text().catch(() => '');
-      console.error('[RUNWARE] Models API HTTP', response.status, errorText);
+      log.error('[RUNWARE] Models API HTTP', response.status, errorText);
       return res.status(response.status).json({ 
         error: `Runware models API error ${response.status}`,
         details: errorText
@@ -2160,7 +3186,7 @@ app.get('/api/runware/models', async (req, res) => {
     const data = await response.json();
     res.json(data);
   } catch (err) {
-    console.error('[RUNWARE] Models fetch error:', err);
+    log.error('[RUNWARE] Models fetch error:', err);
     const status = /Missing|not configured/i.test(err?.message || '') ? 400 : 500;
     res.status(status).json({ 
       error: 'Failed to fetch Runware models', 
@@ -2178,6 +3204,7 @@ app.post('/api/falai/generate', async (req, res) => {
 
     const { prompt, model, width, height, steps, cfgScale } = req.body;
     assertEnv(runtimeConfig.falai.apiKey, 'Missing FALAI_API_KEY');
+    await budgets.assertWithin(budgetSubject(req));
 
     if (!prompt || typeof prompt !== 'string' || !prompt.trim()) {
       return res.status(400).json({ error: 'Prompt is required and must be a non-empty string' });
@@ -2219,7 +3246,7 @@ app.post('/api/falai/generate', async (req, res) => {
     };
 
     const promptPreview = cleanPrompt.length > 50 ? cleanPrompt.slice(0, 50) : cleanPrompt;
-    console.log('[FALAI] model=', requestBody.model, 'size=', requestBody.width, 'x', requestBody.height, 'steps=', requestBody.steps, 'promptPreview="', promptPreview, '..."');
+    log.debug('[FALAI] model=', requestBody.model, 'size=', requestBody.width, 'x', requestBody.height, 'steps=', requestBody.steps, 'promptPreview="', promptPreview, '..."');
 
     const startTime = Date.now();
     const response = await fetch('https://fal.run/fal-ai/fast-sdxl', {
@@ -2233,7 +3260,8 @@ app.post('/api/falai/generate', async (req, res) => {
 
     if (!response.ok) {
       const errorText = await response.text();
-      console.error('[FALAI] HTTP', response.status, errorText);
+      log.error('[FALAI] HTTP', response.status, errorText);
+      recordUsage({ kind: 'image', provider: 'falai', model: requestBody.model, usd: 0, latencyMs: Date.now() - startTime, ok: false, error: `HTTP ${response.status}` });
       return res.status(response.status).json({
         error: `fal.ai API error ${response.status}`,
         details: errorText
@@ -2243,7 +3271,7 @@ app.post('/api/falai/generate', async (req, res) => {
     const data = await response.json();
     const responseTime = Date.now() - startTime;
 
-    console.log(`[FALAI] Response structure:`, JSON.stringify(data, null, 2));
+    log.debug('[FALAI] Response structure', { data });
 
     // fal.ai returns the image data directly
     if (data && data.images && Array.isArray(data.images) && data.images.length > 0) {
@@ -2267,19 +3295,22 @@ app.post('/api/falai/generate', async (req, res) => {
         costDetails: costDetails || {},
         taskUUID: data.task_id || `falai_${Date.now()}`
       };
+      budgets.record(budgetSubject(req), { usd: result.cost }).catch(() => {});
+      recordUsage({ kind: 'image', provider: 'falai', model: requestBody.model, usd: result.cost, latencyMs: responseTime, ok: true });
 
-      console.log(`[FALAI] ok in ${responseTime}ms | cost: $${Number(result.cost).toFixed(6)} | model: ${requestBody.model} | size: ${requestBody.width}x${requestBody.height} | id: ${result.taskUUID}`);
+      log.info(`[FALAI] ok in ${responseTime}ms | cost: $${Number(result.cost).toFixed(6)} | model: ${requestBody.model} | size: ${requestBody.width}x${requestBody.height} | id: ${result.taskUUID}`);
       if (result.costDetails && Object.keys(result.costDetails).length > 0) {
-        console.log(`[FALAI] Cost breakdown: ${JSON.stringify(result.costDetails)}`);
+        log.info(`[FALAI] Cost breakdown: ${JSON.stringify(result.costDetails)}`);
       }
       res.json(result);
     } else {
-      console.log(`[FALAI] ok in ${responseTime}ms | id: falai_${Date.now()}`);
-      console.log(`[FALAI] Unexpected response format:`, data);
+      log.info(`[FALAI] ok in ${responseTime}ms | id: falai_${Date.now()}`);
+      log.warn('[FALAI] Unexpected response format', { data });
       res.status(500).json({ error: 'Unexpected response format from fal.ai API' });
     }
   } catch (err) {
-    console.error('[FALAI]', err);
+    if (sendLLMRejection(res, err)) return;
+    log.error('[FALAI]', err);
     res.status(500).json({
       error: 'Failed to generate image',
       details: err.message
@@ -2323,7 +3354,7 @@ app.post('/api/cache/exercise-image', async (req, res) => {
       return res.status(400).json({ error: 'exerciseSha or baseTextId is required' });
     }
 
-    const dl = await downloadImageToCache({ imagesDir: cacheLayout.imagesDir, exerciseSha: storageKey, url, fetchImpl: fetch, publicBase: '/cache/images' });
+    const dl = await downloadImageToCache({ imagesDir: cacheLayout.imagesDir, store: cacheLayout.store, exerciseSha: storageKey, url, fetchImpl: fetch, publicBase: '/cache/images' });
     // Update exercise record to reference local image
     if (exerciseSha) {
       await updateExerciseRecord(cacheLayout, exerciseSha, (rec) => {
@@ -2371,12 +3402,12 @@ app.post('/api/cache/exercise-image', async (req, res) => {
           });
         }
       } catch (e) {
-        console.warn('[CACHE-IMG] Failed to annotate base text with image:', e?.message);
+        log.warn('[CACHE-IMG] Failed to annotate base text with image:', e?.message);
       }
     }
     return res.json({ ok: true, localUrl: dl.localUrl, localPath: dl.localPath });
   } catch (e) {
-    console.error('[CACHE-IMG]', e);
+    log.error('[CACHE-IMG]', e);
     return res.status(500).json({ error: e?.message || 'Failed to cache exercise image' });
   }
 });
@@ -2396,7 +3427,7 @@ app.get('/api/falai/models', async (req, res) => {
 
     res.json({ models });
   } catch (err) {
-    console.error('[FALAI] Models fetch error:', err);
+    log.error('[FALAI] Models fetch error:', err);
     res.status(500).json({
       error: 'Failed to fetch fal.ai models',
       details: err.message
@@ -2404,69 +3435,31 @@ app.get('/api/falai/models', async (req, res) => {
   }
 });
 
-// Logging endpoint for frontend validation warnings and errors
+// Logging endpoint for frontend validation warnings and errors. Entries are logged with component FRONTEND
+// under the request id the client sent, and kept in the debug store.
 app.post('/api/log', (req, res) => {
   try {
-    const { level = 'info', message, data } = req.body;
-    
-    // Validate log level
-    const validLevels = ['debug', 'info', 'warn', 'error'];
-    const logLevel = validLevels.includes(level) ? level : 'info';
-    
-    // Format the log message
-    const timestamp = new Date().toISOString();
-    const logMessage = `[${timestamp}] [${logLevel.toUpperCase()}] ${message}`;
-    
-    // Log to console with appropriate level
-    switch (logLevel) {
-      case 'error':
-        console.error(logMessage, data || '');
-        break;
-      case 'warn':
-        console.warn(logMessage, data || '');
-        break;
-      case 'debug':
-        console.debug(logMessage, data || '');
-        break;
-      default:
-        console.log(logMessage, data || '');
-    }
-    
-    // Store in debug logs for debugging purposes
-    const id = Math.random().toString(36).slice(2, 8);
-    debugLogs.set(id, {
-      id,
-      timestamp,
-      level: logLevel,
-      message,
-      data,
-      source: 'frontend'
-    });
-    debugOrder.push(id);
-    
-    // Keep only last 100 debug records
-    if (debugOrder.length > 100) {
-      const oldId = debugOrder.shift();
-      debugLogs.delete(oldId);
-    }
-    
+    const { level = 'info', message, data } = req.body || {};
+    const logLevel = ['debug', 'info', 'warn', 'error'].includes(level) ? level : 'info';
+    const text = String(message || '').slice(0, 2000);
+    log[logLevel](`[FRONTEND] ${text}`, data === undefined ? {} : { data });
+    const id = addDebugLog({ level: logLevel, message: text, data, source: 'frontend' });
     res.json({ success: true, logged: true, id });
   } catch (e) {
-    console.error('[LOG] Failed to process log entry:', e);
+    log.error('[LOG] Failed to process log entry:', e);
     res.status(500).json({ error: 'Failed to log entry' });
   }
 });
 
-// Debug endpoints: expose last N LLM debug records
+// Debug endpoints: expose the last debug records (see debugStore above)
 app.get('/api/debug/:id', (req, res) => {
-  const id = req.params.id;
-  const record = debugLogs.get(id);
+  const record = debugStore.get(req.params.id);
   if (!record) return res.status(404).json({ error: 'Not found' });
   res.json(record);
 });
 
 app.get('/api/debug', (req, res) => {
-  const list = debugOrder.slice().reverse().map(id => debugLogs.get(id));
+  const list = debugStore.list();
   res.json({ count: list.length, items: list });
 });
 
@@ -2484,7 +3477,7 @@ app.post('/api/persist-exercise', async (req, res) => {
     if (!cacheLayout) return res.status(503).json({ error: 'Cache not initialized' });
     if (items.length === 0) return res.status(400).json({ error: 'No items to persist' });
 
-    const currentModel = runtimeConfig.provider === 'openrouter' ? runtimeConfig.openrouter.model : runtimeConfig.ollama.model;
+    const currentModel = getActiveModel();
     const schemaVersion = schemaVersions[type] || 1;
     const poolKey = `persist:${type}:${languageName}:${level}:${challengeMode ? '1' : '0'}:${currentModel}:${schemaVersion}:${grammarTopic}`;
     const bucketKey = makeBucketKey({ type, language: languageName, level, challengeMode, grammarTopic });
@@ -2503,7 +3496,7 @@ app.post('/api/persist-exercise', async (req, res) => {
     try { await incrementExerciseHits(cacheLayout, type, languageName, level, challengeMode, grammarTopic, withIds.length); } catch {}
     res.json({ items: withIds, groupId });
   } catch (e) {
-    console.error('[PERSIST-EXERCISE]', e);
+    log.error('[PERSIST-EXERCISE]', e);
     res.status(500).json({ error: 'Failed to persist exercise', details: e?.message || String(e) });
   }
 });
@@ -2599,11 +3592,61 @@ app.use((err, req, res, next) => {
   }
 });
 
-app.listen(PORT, () => {
+// `node server/index.js pregenerate <matrix.json> [--target n] [--concurrency n] [--restart] [--provider id]`
+// runs a pre-generation job against the configured provider and exits instead of serving HTTP
+async function runPregenerationCli(argv) {
+  const opts = { restart: false };
+  let matrixFile = null;
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--restart') opts.restart = true;
+    else if (a === '--target') opts.target = Number(argv[++i]);
+    else if (a === '--concurrency') opts.concurrency = Number(argv[++i]);
+    else if (a === '--provider') runtimeConfig.provider = String(argv[++i] || '');
+    else if (!a.startsWith('--') && !matrixFile) matrixFile = a;
+    else throw new Error(`Unknown argument: ${a}`);
+  }
+  if (!matrixFile) throw new Error('Usage: node server/index.js pregenerate <matrix.json> [--target n] [--concurrency n] [--restart] [--provider id]');
+  if (!llmProviders.has(runtimeConfig.provider)) throw new Error(`Unsupported provider: ${runtimeConfig.provider}`);
+  const matrix = JSON.parse(await fs.readFile(path.resolve(matrixFile), 'utf8'));
+  await initCache;
+  if (!cacheLayout) throw new Error('Cache not initialized');
+  log.info(`[PREGEN] provider=${runtimeConfig.provider} model=${getActiveModel()} cache=${cacheLayout.store.location}`);
+  const started = await pregenerator.start(cacheLayout, matrix, opts);
+  log.info(`[PREGEN] ${started.total} cells, target ${started.target} items per bucket, concurrency ${started.concurrency}`);
+  const final = await pregenerator.whenIdle();
+  await cacheLayout.store.close();
+  return final && final.failed === 0 ? 0 : 1;
+}
 
-  console.log(`Server listening on http://localhost:${PORT} (provider=${runtimeConfig.provider})`);
-  console.log(`[RUNWARE] Startup - API key loaded: ${!!runtimeConfig.runware.apiKey}, enabled: ${runtimeConfig.runware.enabled}`);
-  console.log(`[RUNWARE] Environment - API key: ${!!process.env.RUNWARE_API_KEY}, enabled: ${process.env.RUNWARE_ENABLED}`);
-  console.log(`[FALAI] Startup - API key loaded: ${!!runtimeConfig.falai.apiKey}, enabled: ${runtimeConfig.falai.enabled}`);
-  console.log(`[FALAI] Environment - API key: ${!!process.env.FALAI_API_KEY}, enabled: ${process.env.FALAI_ENABLED}`);
-});
+if (process.argv[2] === 'pregenerate') {
+  runPregenerationCli(process.argv.slice(3))
+    .then((code) => process.exit(code))
+    .catch((e) => {
+      log.error('[PREGEN] Failed:', e?.message || e);
+      process.exit(1);
+    });
+} else {
+  // PREGENERATE_MATRIX=<file> starts a background run once the cache is ready
+  if (process.env.PREGENERATE_MATRIX) {
+    initCache.then(async () => {
+      try {
+        if (!cacheLayout) throw new Error('Cache not initialized');
+        const matrix = JSON.parse(await fs.readFile(path.resolve(process.env.PREGENERATE_MATRIX), 'utf8'));
+        const status = await pregenerator.start(cacheLayout, matrix, { concurrency: process.env.PREGENERATE_CONCURRENCY });
+        log.info(`[PREGEN] Background run started: ${status.total} cells (${status.done} already done)`);
+      } catch (e) {
+        log.warn('[PREGEN] Background run not started:', e?.message);
+      }
+    });
+  }
+
+  // Listen once the startup purge is done so outdated items are never served
+  initCache.then(() => app.listen(PORT, () => {
+    log.info(`Server listening on http://localhost:${PORT} (provider=${runtimeConfig.provider})`);
+    log.info(`[RUNWARE] Startup - API key loaded: ${!!runtimeConfig.runware.apiKey}, enabled: ${runtimeConfig.runware.enabled}`);
+    log.info(`[RUNWARE] Environment - API key: ${!!process.env.RUNWARE_API_KEY}, enabled: ${process.env.RUNWARE_ENABLED}`);
+    log.info(`[FALAI] Startup - API key loaded: ${!!runtimeConfig.falai.apiKey}, enabled: ${runtimeConfig.falai.enabled}`);
+    log.info(`[FALAI] Environment - API key: ${!!process.env.FALAI_API_KEY}, enabled: ${process.env.FALAI_ENABLED}`);
+  }));
+}
@@ -0,0 +1,104 @@
+/**
+ * In-flight request sharing.
+ *
+ * createInflight: callers with the same key while a task is running get the same promise instead of starting
+ * a second task; the task's signal aborts once every caller has aborted. createStreamHub: the same for streams; subscribers that join late first receive the events
+ * already emitted, then the live ones. Entries are removed as soon as the task settles, so results are never
+ * served from here once finished (that is the persistent cache's job).
+ */
+
+export function createInflight() {
+  const running = new Map();
+  return {
+    /**
+     * Await the task already running under `key`, or start one with `start`.
+     * The task's signal aborts once the signals of all callers have aborted; a caller without a signal keeps it alive.
+     * @template T
+     * @param {string} key
+     * @param {(signal: AbortSignal) => Promise<T>} start
+     * @param {AbortSignal} [signal] - This caller's signal (e.g. its client went away)
+     * @returns {{ promise: Promise<T>, joined: boolean }} joined = true when another caller started the task
+     */
+    join(key, start, signal) {
+      let entry = running.get(key);
+      const joined = !!entry;
+      if (!entry) {
+        const created = { controller: new AbortController(), waiting: 0 };
+        created.promise = Promise.resolve()
+          .then(() => start(created.controller.signal))
+          .finally(() => { if (running.get(key) === created) running.delete(key); });
+        running.set(key, created);
+        entry = created;
+      }
+      entry.waiting++;
+      if (signal) {
+        const leave = () => {
+          if (--entry.waiting > 0) return;
+          // Nobody is waiting any more: stop the task and let the next caller start afresh
+          entry.controller.abort(signal.reason);
+          if (running.get(key) === entry) running.delete(key);
+        };
+        if (signal.aborted) leave();
+        else {
+          signal.addEventListener('abort', leave, { once: true });
+          const forget = () => signal.removeEventListener('abort', leave);
+          entry.promise.then(forget, forget);
+        }
+      }
+      return { promise: entry.promise, joined };
+    },
+
+    get size() {
+      return running.size;
+    }
+  };
+}
+
+export function createStreamHub() {
+  const streams = new Map();
+  return {
+    /**
+     * Subscribe to the stream running under `key`, starting it with `start` when there is none.
+     * The producer's signal aborts once every subscriber has left.
+     * @param {string} key
+     * @param {(emit: (event: object, options?: { replay?: boolean }) => void, signal: AbortSignal) => Promise<*>} start -
+     *   `replay: false` events (e.g. queue positions) go to current subscribers only
+     * @param {(event: object) => void} onEvent
+     * @returns {{ joined: boolean, done: Promise<*>, leave: () => void }}
+     */
+    subscribe(key, start, onEvent) {
+      let stream = streams.get(key);
+      const joined = !!stream;
+      if (!stream) {
+        const entry = { events: [], listeners: new Set(), controller: new AbortController() };
+        const emit = (event, { replay = true } = {}) => {
+          if (replay) entry.events.push(event);
+          for (const listener of entry.listeners) {
+            try { listener(event); } catch {}
+          }
+        };
+        // Started on the next tick so the first subscriber is registered before anything is emitted
+        entry.done = Promise.resolve()
+          .then(() => start(emit, entry.controller.signal))
+          .finally(() => { if (streams.get(key) === entry) streams.delete(key); });
+        streams.set(key, entry);
+        stream = entry;
+      }
+      for (const event of stream.events) {
+        try { onEvent(event); } catch {}
+      }
+      stream.listeners.add(onEvent);
+      const leave = () => {
+        if (!stream.listeners.delete(onEvent) || stream.listeners.size > 0) return;
+        // Nobody is listening: stop the producer and let the next request start afresh
+        stream.controller.abort();
+        if (streams.get(key) === stream) streams.delete(key);
+      };
+      return { joined, done: stream.done, leave };
+    },
+
+    get size() {
+      return streams.size;
+    }
+  };
+}
@@ -0,0 +1,897 @@
+/**
+ * LLM provider adapters.
+ *
+ * Every adapter exposes the same surface so route handlers never branch on the provider id:
+ * - id / label
+ * - getModel(): model id currently configured for the provider
+ * - supportsStructured(): whether a JSON Schema can be sent as a structured-output constraint
+ * - generate({ system, user, maxTokens, jsonSchema, schemaName, model, logPrefix, onUsage, signal }) -> raw text
+ * - stream({ system, user, maxTokens, model, onDelta, isAborted, logPrefix, onUsage }) -> { content, generationId }
+ * - listModels() -> provider-specific model list
+ *
+ * Adapters read their settings from the shared runtimeConfig on every call so changes made via
+ * /api/settings take effect without a restart. `model` overrides the configured model for a single
+ * call (used by the fallback chain). Upstream HTTP failures carry `httpStatus`. `signal` is passed to the
+ * upstream fetch, so a generation the client gave up on is cancelled mid-call (it rejects with an AbortError);
+ * streams stop reading once `isAborted()` returns true.
+ *
+ * `onUsage({ promptTokens, completionTokens, usd, estimated })` is called once per successful call with the
+ * provider's token counts (estimated from text length when it reports none). OpenRouter prices arrive
+ * later from its generation lookup and are reported in a second call carrying only `usd`.
+ *
+ * The `mock` adapter never touches the network: it answers from fixtures or the request's JSON Schema
+ * (see mockLLM.js) and can inject latency, truncated JSON, upstream errors and rate limits.
+ */
+
+import { createMockResponder, createRng } from './mockLLM.js';
+import { log } from './logger.js';
+
+const OPENROUTER_BASE_URL = 'https://openrouter.ai/api/v1';
+const ANTHROPIC_BASE_URL = 'https://api.anthropic.com/v1';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// Anthropic list prices in USD per million tokens, matched by model id prefix (longest first).
+// Update manually if prices change; unknown models are logged without a cost.
+const ANTHROPIC_MODEL_PRICING = {
+  'claude-opus-4': { input: 15, output: 75 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 }
+};
+
+/**
+ * Estimate the USD cost of an Anthropic request from its token usage
+ * @param {string} modelId - Anthropic model id (e.g. 'claude-3-5-sonnet-20240620')
+ * @param {{input_tokens?: number, output_tokens?: number}} usage - Usage block from the Messages API
+ * @returns {number|null} Cost in USD, or null when the model has no known pricing
+ */
+export function computeAnthropicCost(modelId, usage) {
+  const id = String(modelId || '');
+  const key = Object.keys(ANTHROPIC_MODEL_PRICING)
+    .sort((a, b) => b.length - a.length)
+    .find(prefix => id.startsWith(prefix));
+  if (!key) return null;
+  const price = ANTHROPIC_MODEL_PRICING[key];
+  const input = Number(usage?.input_tokens) || 0;
+  const output = Number(usage?.output_tokens) || 0;
+  return (input * price.input + output * price.output) / 1_000_000;
+}
+
+function httpError(message, status) {
+  const err = new Error(message);
+  err.httpStatus = status;
+  return err;
+}
+
+// Report usage to the caller, estimating tokens (about 4 characters each) when the provider gave none
+function reportUsage(onUsage, { promptTokens, completionTokens, usd } = {}, { system, user, content } = {}) {
+  const reported = Number(promptTokens) > 0 || Number(completionTokens) > 0;
+  try {
+    onUsage({
+      promptTokens: reported ? Number(promptTokens) || 0 : Math.ceil(`${system || ''}${user || ''}`.length / 4),
+      completionTokens: reported ? Number(completionTokens) || 0 : Math.ceil(String(content || '').length / 4),
+      usd: Number(usd) || 0,
+      estimated: !reported
+    });
+  } catch {}
+}
+
+function buildMessages(system, user) {
+  return [
+    system ? { role: 'system', content: system } : null,
+    { role: 'user', content: user }
+  ].filter(Boolean);
+}
+
+/**
+ * Build a RateLimitError from a 429 response (OpenRouter-style body and/or X-RateLimit-* headers)
+ * @param {Response} resp - The failed fetch response
+ * @param {string} raw - Response body text
+ * @param {string} provider - Provider id to report
+ * @returns {Error} Error with name 'RateLimitError', httpStatus and rateLimit details
+ */
+export function buildRateLimitError(resp, raw, provider) {
+  let parsed;
+  try { parsed = JSON.parse(raw); } catch {}
+  const hdr = (parsed?.error?.metadata?.headers) || {};
+  const limit = Number(hdr['X-RateLimit-Limit'] || hdr['x-ratelimit-limit'] || resp.headers?.get('x-ratelimit-limit') || resp.headers?.get('X-RateLimit-Limit')) || undefined;
+  const remaining = Number(hdr['X-RateLimit-Remaining'] || hdr['x-ratelimit-remaining'] || resp.headers?.get('x-ratelimit-remaining') || resp.headers?.get('X-RateLimit-Remaining'));
+  const resetStr = hdr['X-RateLimit-Reset'] || hdr['x-ratelimit-reset'] || resp.headers?.get('x-ratelimit-reset') || resp.headers?.get('X-RateLimit-Reset');
+  let resetMs = resetStr ? Number(resetStr) : undefined;
+  if (Number.isFinite(resetMs) && resetMs < 1e12 && resetMs > 1e9) {
+    // Likely seconds; convert to ms
+    resetMs = resetMs * 1000;
+  }
+  const retryAfterHeader = Number(resp.headers?.get('retry-after'));
+  const now = Date.now();
+  const retryAfterSeconds = Number.isFinite(resetMs)
+    ? Math.max(0, Math.ceil((resetMs - now) / 1000))
+    : (Number.isFinite(retryAfterHeader) ? retryAfterHeader : undefined);
+  const providerName = parsed?.error?.metadata?.provider_name || provider;
+  const message = parsed?.error?.message || 'Rate limit exceeded';
+  const rateErr = new Error(message);
+  rateErr.name = 'RateLimitError';
+  rateErr.httpStatus = 429;
+  rateErr.provider = provider;
+  rateErr.rateLimit = {
+    limit: Number.isFinite(limit) ? Number(limit) : undefined,
+    remaining: Number.isFinite(remaining) ? Number(remaining) : undefined,
+    reset_ms: Number.isFinite(resetMs) ? Number(resetMs) : undefined,
+    reset_iso: Number.isFinite(resetMs) ? new Date(Number(resetMs)).toISOString() : undefined,
+    retry_after_seconds: Number.isFinite(retryAfterSeconds) ? Number(retryAfterSeconds) : undefined,
+    provider_name: providerName
+  };
+  return rateErr;
+}
+
+// Read an OpenAI-style SSE body (`data: {...}` lines, `data: [DONE]` terminator)
+async function readChatCompletionStream(resp, onDelta, isAborted) {
+  const reader = resp.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let content = '';
+  let generationId = null;
+  let usage = null;
+  while (!isAborted()) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const parts = buffer.split('\n');
+    buffer = parts.pop() || '';
+    for (const line of parts) {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith(':')) continue;
+      if (trimmed === 'data: [DONE]') continue;
+      if (!trimmed.startsWith('data:')) continue;
+      const jsonStr = trimmed.slice(5).trim();
+      try {
+        const evt = JSON.parse(jsonStr);
+        if (!generationId && typeof evt.id === 'string') generationId = evt.id;
+        // Sent in the last chunk when usage reporting is enabled
+        if (evt.usage) usage = evt.usage;
+        const choice = evt.choices?.[0] || {};
+        const delta = choice.delta?.content || choice.message?.content || '';
+        if (delta) {
+          content += delta;
+          onDelta(delta);
+        }
+      } catch {}
+    }
+  }
+  try { reader.cancel(); } catch {}
+  return { content, generationId, usage };
+}
+
+/**
+ * Create the provider registry bound to the server's runtime configuration
+ * @param {object} deps
+ * @param {object} deps.runtimeConfig - Mutable runtime settings (shared with /api/settings)
+ * @param {Function} deps.addDebugLog - Stores a request/response record and returns its debug id
+ * @param {Function} deps.coerceSchema - Makes every object property required (strict json_schema mode)
+ * @param {Function} deps.normalizeOllamaHost - SSRF guard for the Ollama host
+ * @param {Function} deps.normalizeOpenAICompatibleBaseUrl - SSRF guard for the OpenAI-compatible base URL
+ * @returns {{ get: Function, has: Function, list: Function }}
+ */
+export function createLLMProviders({ runtimeConfig, addDebugLog, coerceSchema, normalizeOllamaHost, normalizeOpenAICompatibleBaseUrl }) {
+  // -----------------------------
+  // OpenRouter
+  // -----------------------------
+  const openRouterHeaders = () => ({
+    'content-type': 'application/json',
+    'authorization': `Bearer ${runtimeConfig.openrouter.apiKey}`,
+    'http-referer': runtimeConfig.openrouter.appUrl || 'http://localhost:5173',
+    'x-title': 'Language AI App'
+  });
+
+  // Enable low-effort reasoning by default for OpenAI GPT models to avoid mandatory reasoning errors
+  const openRouterReasoning = (modelId) => (
+    /^openai\/gpt-/i.test(String(modelId)) ? { effort: 'low' } : { exclude: true, effort: 'low', enabled: false }
+  );
+
+  // Simple global rate limiter for OpenRouter free models (20 RPM across the server)
+  const FREE_MODEL_WINDOW_MS = 60 * 1000;
+  const FREE_MODEL_MAX = 20;
+  const freeModelTimestamps = (globalThis.__OPENROUTER_FREE_TS__ = globalThis.__OPENROUTER_FREE_TS__ || []);
+  async function enforceFreeModelRate(modelId) {
+    if (!/:free$/i.test(String(modelId || ''))) return; // only for free variants
+    const now = Date.now();
+    // Remove timestamps outside the window
+    while (freeModelTimestamps.length && now - freeModelTimestamps[0] > FREE_MODEL_WINDOW_MS) {
+      freeModelTimestamps.shift();
+    }
+    if (freeModelTimestamps.length >= FREE_MODEL_MAX) {
+      const waitMs = FREE_MODEL_WINDOW_MS - (now - freeModelTimestamps[0]);
+      await new Promise(res => setTimeout(res, Math.max(0, waitMs)));
+    }
+    freeModelTimestamps.push(Date.now());
+  }
+
+  function logOpenRouterRepro(logPrefix, payload, label = '') {
+    // Log exact JSON payload and a curl template to reproduce
+    try {
+      const payloadStr = JSON.stringify(payload);
+      const curlDebugId = addDebugLog({ provider: 'openrouter', model: payload.model, curlPayload: payload });
+      log.error(`${logPrefix} ${label}payload and curl repro at /api/debug/${curlDebugId}`);
+      log.debug(`${logPrefix} ${label}request payload: ${payloadStr}`);
+      const curl = [
+        `curl -X POST ${OPENROUTER_BASE_URL}/chat/completions`,
+        "-H 'Content-Type: application/json'",
+        "-H 'Authorization: Bearer $OPENROUTER_API_KEY'",
+        `-H 'HTTP-Referer: ${runtimeConfig.openrouter.appUrl || 'http://localhost:5173'}'`,
+        "-H 'X-Title: Language AI App'",
+        '--data @payload.json'
+      ].join(' \\\n');
+      log.debug(`${logPrefix} ${label}repro: save payload from curl debug endpoint above to payload.json then run:\n${curl}`);
+    } catch {}
+  }
+
+  // Fetch detailed cost information asynchronously (non-blocking); onCost receives the USD total
+  function logOpenRouterCost(logPrefix, generationId, onCost = () => {}) {
+    // Validate generationId to prevent URL injection
+    if (typeof generationId !== 'string' || !/^[a-zA-Z0-9_-]+$/.test(generationId)) return;
+    (async () => {
+      try {
+        await new Promise(resolve => setTimeout(resolve, 500)); // Allow the generation to be processed
+        const costResp = await fetch(`${OPENROUTER_BASE_URL}/generation?id=${encodeURIComponent(generationId)}`, {
+          headers: { authorization: `Bearer ${runtimeConfig.openrouter.apiKey}` }
+        });
+        if (costResp.ok) {
+          const costData = await costResp.json();
+          if (costData.data && typeof costData.data.total_cost === 'number') {
+            log.info(`${logPrefix} cost: $${Number(costData.data.total_cost).toFixed(6)} | native tokens: ${costData.data.tokens_prompt || 0}→${costData.data.tokens_completion || 0} | provider: ${costData.data.provider_name || 'unknown'}`);
+            try { onCost(Number(costData.data.total_cost)); } catch {}
+          }
+        }
+        // Note: Cost data may not be immediately available for all models (especially free tiers)
+      } catch {
+        // Silently ignore cost fetch errors to avoid disrupting the main flow
+      }
+    })();
+  }
+
+  const openrouter = {
+    id: 'openrouter',
+    label: 'OpenRouter',
+    getModel: () => runtimeConfig.openrouter.model,
+    supportsStructured: () => true,
+    async generate({ system, user, maxTokens, jsonSchema, schemaName, model, logPrefix = '[LLM openrouter]', onUsage = () => {}, signal }) {
+      if (!runtimeConfig.openrouter.apiKey) throw new Error('Missing OPENROUTER_API_KEY');
+      const startedAt = Date.now();
+      const buildPayload = (maxTokensValue) => {
+        const modelId = model || runtimeConfig.openrouter.model || '';
+        return {
+          model: modelId,
+          messages: buildMessages(system, user),
+          max_tokens: maxTokensValue,
+          reasoning: openRouterReasoning(modelId),
+          ...(jsonSchema ? {
+            response_format: {
+              type: 'json_schema',
+              json_schema: {
+                name: schemaName || 'structured_output',
+                strict: true,
+                // Some providers (e.g., OpenAI) require `required` to include all properties recursively
+                schema: coerceSchema(jsonSchema)
+              }
+            }
+          } : {})
+        };
+      };
+
+      const doRequest = async (maxTokensValue) => {
+        const payload = buildPayload(maxTokensValue);
+        // Enforce 20 RPM for free variants
+        try { await enforceFreeModelRate(payload.model); } catch {}
+        let resp = await fetch(`${OPENROUTER_BASE_URL}/chat/completions`, {
+          method: 'POST',
+          headers: openRouterHeaders(),
+          body: JSON.stringify(payload),
+          signal
+        });
+        if (!resp.ok) {
+          // Use clone() so the caller can still read the body (e.g., to parse 429 details)
+          const errorText = await resp.clone().text().catch(() => '');
+          const debugId = addDebugLog({
+            provider: 'openrouter',
+            model: payload.model,
+            status: resp.status,
+            request: payload,
+            responseText: errorText
+          });
+          log.error(`${logPrefix} HTTP ${resp.status} body: ${errorText || '(empty)'} | debug=/api/debug/${debugId}`);
+          // If provider requires reasoning enabled, retry once with reasoning enabled
+          if (/Reasoning is mandatory/i.test(errorText || '') && payload?.reasoning?.exclude === true) {
+            log.warn(`${logPrefix} enabling reasoning and retrying once`);
+            const enabledPayload = { ...payload, reasoning: { effort: 'low' } };
+            resp = await fetch(`${OPENROUTER_BASE_URL}/chat/completions`, {
+              method: 'POST',
+              headers: openRouterHeaders(),
+              body: JSON.stringify(enabledPayload),
+              signal
+            });
+            if (!resp.ok) {
+              const secondBody = await resp.clone().text().catch(() => '');
+              const debugId2 = addDebugLog({
+                provider: 'openrouter',
+                model: enabledPayload.model,
+                status: resp.status,
+                request: enabledPayload,
+                responseText: secondBody
+              });
+              log.error(`${logPrefix} HTTP ${resp.status} after enabling reasoning: ${secondBody || '(empty)'} | debug=/api/debug/${debugId2}`);
+            }
+          }
+          logOpenRouterRepro(logPrefix, payload);
+        }
+        return resp;
+      };
+
+      let resp = await doRequest(maxTokens);
+      if (!resp.ok && resp.status === 400) {
+        const fallbackOrder = [8000, 4000, 2000].filter(t => t < maxTokens);
+        const tried = [maxTokens];
+        for (const t of fallbackOrder) {
+          log.warn(`${logPrefix} 400 with max_tokens=${tried[tried.length - 1]}; retrying with max_tokens=${t}`);
+          resp = await doRequest(t);
+          tried.push(t);
+          if (resp.ok) break;
+        }
+      }
+      if (!resp.ok) {
+        log.error(`${logPrefix} HTTP ${resp.status}`);
+        if (resp.status === 429) {
+          const raw = await resp.text().catch(() => '');
+          const rateErr = buildRateLimitError(resp, raw, 'openrouter');
+          const rl = rateErr.rateLimit;
+          log.warn(`${logPrefix} 429 parsed: limit=${rl.limit ?? 'n/a'} remaining=${rl.remaining ?? 'n/a'} resetMs=${rl.reset_ms ?? 'n/a'} retryAfter=${rl.retry_after_seconds ?? 'n/a'}s provider=${rl.provider_name}`);
+          throw rateErr;
+        }
+        throw httpError(`OpenRouter error ${resp.status}`, resp.status);
+      }
+      const data = await resp.json();
+      const responseTime = Date.now() - startedAt;
+
+      // Log token usage, response data, and attempt to get cost info
+      const usage = data.usage || {};
+      const generationId = data.id;
+      log.info(`${logPrefix} ok in ${responseTime}ms | tokens: ${usage.prompt_tokens || 0}→${usage.completion_tokens || 0} (${usage.total_tokens || 0} total)${generationId ? ` | id: ${generationId}` : ''}`);
+      log.debug(`${logPrefix} response data`, { data });
+      const text = data.choices?.[0]?.message?.content || '';
+      reportUsage(onUsage, { promptTokens: usage.prompt_tokens, completionTokens: usage.completion_tokens }, { system, user, content: text });
+      if (generationId) logOpenRouterCost(logPrefix, generationId, (usd) => onUsage({ usd }));
+      return text;
+    },
+    async stream({ system, user, maxTokens, model, onDelta, isAborted = () => false, logPrefix = '[LLM openrouter]', onUsage = () => {} }) {
+      if (!runtimeConfig.openrouter.apiKey) throw new Error('Missing OPENROUTER_API_KEY');
+      const modelId = model || runtimeConfig.openrouter.model;
+      const payload = {
+        model: modelId,
+        messages: buildMessages(system, user),
+        max_tokens: maxTokens,
+        stream: true,
+        // Token counts and cost in the final chunk
+        usage: { include: true },
+        reasoning: openRouterReasoning(modelId)
+      };
+      try { await enforceFreeModelRate(payload.model); } catch {}
+      const resp = await fetch(`${OPENROUTER_BASE_URL}/chat/completions`, {
+        method: 'POST',
+        headers: openRouterHeaders(),
+        body: JSON.stringify(payload)
+      });
+      if (!resp.ok || !resp.body) {
+        const errorText = await resp.clone().text().catch(() => '');
+        const debugId = addDebugLog({ provider: 'openrouter', model: payload.model, status: resp.status, request: payload, responseText: errorText });
+        log.error(`${logPrefix} stream HTTP ${resp.status} body: ${errorText || '(empty)'} | debug=/api/debug/${debugId}`);
+        logOpenRouterRepro(logPrefix, payload, 'stream ');
+        const err = resp.status === 429
+          ? buildRateLimitError(resp, errorText, 'openrouter')
+          : httpError(`OpenRouter error ${resp.status}`, resp.status);
+        err.debugId = debugId;
+        throw err;
+      }
+      // Try to capture a generation id from headers if provided (may not always exist)
+      const headerGenId = resp.headers?.get('x-openrouter-generation-id') || resp.headers?.get('openrouter-generation-id') || resp.headers?.get('x-request-id') || null;
+      const { content, generationId, usage } = await readChatCompletionStream(resp, onDelta, isAborted);
+      const genId = headerGenId || generationId;
+      const inlineCost = Number(usage?.cost);
+      reportUsage(onUsage, { promptTokens: usage?.prompt_tokens, completionTokens: usage?.completion_tokens, usd: inlineCost }, { system, user, content });
+      if (genId) logOpenRouterCost(logPrefix, genId, Number.isFinite(inlineCost) ? undefined : (usd) => onUsage({ usd }));
+      return { content, generationId: genId };
+    },
+    // Cached for 24 hours; the models endpoint is large and rarely changes
+    modelsCache: { data: null, lastFetch: 0, CACHE_DURATION: 24 * 60 * 60 * 1000 },
+    async listModels() {
+      const cache = openrouter.modelsCache;
+      const now = Date.now();
+      if (cache.data && (now - cache.lastFetch) < cache.CACHE_DURATION) {
+        return cache.data;
+      }
+      log.info('[MODELS] Fetching OpenRouter models...');
+      const resp = await fetch(`${OPENROUTER_BASE_URL}/models`, {
+        headers: { authorization: `Bearer ${runtimeConfig.openrouter.apiKey}` }
+      });
+      if (!resp.ok) {
+        throw new Error(`Models API error ${resp.status}`);
+      }
+      const data = await resp.json();
+      cache.data = data.data || [];
+      cache.lastFetch = now;
+      log.info(`[MODELS] Cached ${cache.data.length} models`);
+      return cache.data;
+    }
+  };
+
+  // -----------------------------
+  // Ollama
+  // -----------------------------
+  const ollamaHost = () => normalizeOllamaHost(runtimeConfig.ollama.host) || 'http://127.0.0.1:11434';
+
+  const ollama = {
+    id: 'ollama',
+    label: 'Ollama',
+    getModel: () => runtimeConfig.ollama.model,
+    supportsStructured: () => true,
+    async generate({ system, user, jsonSchema, model, logPrefix = '[LLM ollama]', onUsage = () => {}, signal }) {
+      const startedAt = Date.now();
+      const resp = await fetch(`${ollamaHost()}/api/chat`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({
+          model: model || runtimeConfig.ollama.model,
+          messages: buildMessages(system, user),
+          stream: false,
+          ...(jsonSchema ? { format: jsonSchema } : {})
+        }),
+        signal
+      });
+      if (!resp.ok) {
+        log.error(`${logPrefix} HTTP ${resp.status}`);
+        throw httpError(`Ollama error ${resp.status}`, resp.status);
+      }
+      const data = await resp.json();
+      log.info(`${logPrefix} ok in ${Date.now() - startedAt}ms`);
+      const text = data.message?.content || data.response || '';
+      reportUsage(onUsage, { promptTokens: data.prompt_eval_count, completionTokens: data.eval_count }, { system, user, content: text });
+      return text;
+    },
+    async stream({ system, user, model, onDelta, isAborted = () => false, logPrefix = '[LLM ollama]', onUsage = () => {} }) {
+      const resp = await fetch(`${ollamaHost()}/api/chat`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({
+          model: model || runtimeConfig.ollama.model,
+          messages: buildMessages(system, user),
+          stream: true
+        })
+      });
+      if (!resp.ok || !resp.body) {
+        log.error(`${logPrefix} stream HTTP ${resp.status}`);
+        throw httpError(`Ollama error ${resp.status}`, resp.status);
+      }
+      // Ollama streams newline-delimited JSON objects
+      const reader = resp.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let content = '';
+      let counts = {};
+      while (!isAborted()) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        let idx;
+        while ((idx = buffer.indexOf('\n')) !== -1) {
+          const line = buffer.slice(0, idx);
+          buffer = buffer.slice(idx + 1);
+          if (!line.trim()) continue;
+          try {
+            const evt = JSON.parse(line);
+            // The closing object carries the token counts
+            if (evt?.done) counts = { promptTokens: evt.prompt_eval_count, completionTokens: evt.eval_count };
+            const delta = evt?.message?.content || evt?.response || '';
+            if (delta) {
+              content += delta;
+              onDelta(delta);
+            }
+          } catch {}
+        }
+      }
+      try { reader.cancel(); } catch {}
+      reportUsage(onUsage, counts, { system, user, content });
+      return { content, generationId: null };
+    },
+    async listModels() {
+      const url = `${ollamaHost()}/api/tags`;
+      log.info(`[OLLAMA] Fetching models from ${url}`);
+      const resp = await fetch(url, { method: 'GET' });
+      if (!resp.ok) {
+        const text = await resp.text().catch(() => '');
+        log.error(`[OLLAMA] HTTP ${resp.status} ${text}`);
+        throw new Error(`Ollama returned ${resp.status}`);
+      }
+      const data = await resp.json();
+      const models = Array.isArray(data?.models) ? data.models : [];
+      return models.map(m => m.name).filter(Boolean);
+    }
+  };
+
+  // -----------------------------
+  // Generic OpenAI-compatible endpoint (vLLM, LM Studio, llama.cpp server, ...)
+  // -----------------------------
+  const compatBaseUrl = () => {
+    const url = normalizeOpenAICompatibleBaseUrl(runtimeConfig.openaiCompatible.baseUrl);
+    if (!url) throw new Error('Invalid or disallowed OPENAI_COMPATIBLE_BASE_URL');
+    return url;
+  };
+  const compatHeaders = () => ({
+    'content-type': 'application/json',
+    ...(runtimeConfig.openaiCompatible.apiKey ? { authorization: `Bearer ${runtimeConfig.openaiCompatible.apiKey}` } : {})
+  });
+
+  const openaiCompatible = {
+    id: 'openai_compatible',
+    label: 'OpenAI-compatible',
+    getModel: () => runtimeConfig.openaiCompatible.model,
+    // Not every server implements response_format json_schema; allow turning it off
+    supportsStructured: () => runtimeConfig.openaiCompatible.structured !== false,
+    async generate({ system, user, maxTokens, jsonSchema, schemaName, model, logPrefix = '[LLM openai_compatible]', onUsage = () => {}, signal }) {
+      if (!model && !runtimeConfig.openaiCompatible.model) throw new Error('Missing OPENAI_COMPATIBLE_MODEL');
+      const startedAt = Date.now();
+      const payload = {
+        model: model || runtimeConfig.openaiCompatible.model,
+        messages: buildMessages(system, user),
+        max_tokens: maxTokens,
+        ...(jsonSchema ? {
+          response_format: {
+            type: 'json_schema',
+            json_schema: { name: schemaName || 'structured_output', strict: true, schema: coerceSchema(jsonSchema) }
+          }
+        } : {})
+      };
+      const resp = await fetch(`${compatBaseUrl()}/chat/completions`, {
+        method: 'POST',
+        headers: compatHeaders(),
+        body: JSON.stringify(payload),
+        signal
+      });
+      if (!resp.ok) {
+        const errorText = await resp.text().catch(() => '');
+        const debugId = addDebugLog({ provider: 'openai_compatible', model: payload.model, status: resp.status, request: payload, responseText: errorText });
+        log.error(`${logPrefix} HTTP ${resp.status} body: ${errorText || '(empty)'} | debug=/api/debug/${debugId}`);
+        if (resp.status === 429) throw buildRateLimitError(resp, errorText, 'openai_compatible');
+        throw httpError(`OpenAI-compatible error ${resp.status}`, resp.status);
+      }
+      const data = await resp.json();
+      const usage = data.usage || {};
+      log.info(`${logPrefix} ok in ${Date.now() - startedAt}ms | tokens: ${usage.prompt_tokens || 0}→${usage.completion_tokens || 0} (${usage.total_tokens || 0} total)`);
+      const text = data.choices?.[0]?.message?.content || '';
+      reportUsage(onUsage, { promptTokens: usage.prompt_tokens, completionTokens: usage.completion_tokens }, { system, user, content: text });
+      return text;
+    },
+    async stream({ system, user, maxTokens, model, onDelta, isAborted = () => false, logPrefix = '[LLM openai_compatible]', onUsage = () => {} }) {
+      if (!model && !runtimeConfig.openaiCompatible.model) throw new Error('Missing OPENAI_COMPATIBLE_MODEL');
+      const payload = {
+        model: model || runtimeConfig.openaiCompatible.model,
+        messages: buildMessages(system, user),
+        max_tokens: maxTokens,
+        stream: true
+      };
+      const resp = await fetch(`${compatBaseUrl()}/chat/completions`, {
+        method: 'POST',
+        headers: compatHeaders(),
+        body: JSON.stringify(payload)
+      });
+      if (!resp.ok || !resp.body) {
+        const errorText = await resp.text().catch(() => '');
+        const debugId = addDebugLog({ provider: 'openai_compatible', model: payload.model, status: resp.status, request: payload, responseText: errorText });
+        log.error(`${logPrefix} stream HTTP ${resp.status} body: ${errorText || '(empty)'} | debug=/api/debug/${debugId}`);
+        const err = resp.status === 429
+          ? buildRateLimitError(resp, errorText, 'openai_compatible')
+          : httpError(`OpenAI-compatible error ${resp.status}`, resp.status);
+        err.debugId = debugId;
+        throw err;
+      }
+      const { content, generationId, usage } = await readChatCompletionStream(resp, onDelta, isAborted);
+      reportUsage(onUsage, { promptTokens: usage?.prompt_tokens, completionTokens: usage?.completion_tokens }, { system, user, content });
+      return { content, generationId };
+    },
+    async listModels() {
+      const resp = await fetch(`${compatBaseUrl()}/models`, { headers: compatHeaders() });
+      if (!resp.ok) throw new Error(`Models API error ${resp.status}`);
+      const data = await resp.json();
+      const models = Array.isArray(data?.data) ? data.data : [];
+      return models.map(m => m.id).filter(Boolean);
+    }
+  };
+
+  // -----------------------------
+  // Anthropic (native Messages API)
+  // -----------------------------
+  const anthropicHeaders = () => ({
+    'content-type': 'application/json',
+    'x-api-key': runtimeConfig.anthropic.apiKey,
+    'anthropic-version': ANTHROPIC_VERSION
+  });
+
+  // Tool names must match ^[a-zA-Z0-9_-]{1,64}$
+  const anthropicToolName = (schemaName) => (
+    String(schemaName || 'structured_output').replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 64) || 'structured_output'
+  );
+
+  // Log token usage and the estimated cost; returns the cost (null for unpriced models)
+  function logAnthropicUsage(logPrefix, startedAt, modelId, usage, messageId, label = '') {
+    const input = Number(usage?.input_tokens) || 0;
+    const output = Number(usage?.output_tokens) || 0;
+    log.info(`${logPrefix} ${label}ok in ${Date.now() - startedAt}ms | tokens: ${input}→${output} (${input + output} total)${messageId ? ` | id: ${messageId}` : ''}`);
+    const cost = computeAnthropicCost(modelId, usage);
+    if (cost !== null) {
+      log.info(`${logPrefix} cost: $${cost.toFixed(6)} | native tokens: ${input}→${output} | provider: anthropic`);
+    }
+    return cost;
+  }
+
+  async function anthropicRequest(payload, logPrefix, label = '', signal) {
+    const resp = await fetch(`${ANTHROPIC_BASE_URL}/messages`, {
+      method: 'POST',
+      headers: anthropicHeaders(),
+      body: JSON.stringify(payload),
+      signal
+    });
+    if (!resp.ok || (payload.stream && !resp.body)) {
+      const errorText = await resp.clone().text().catch(() => '');
+      const debugId = addDebugLog({ provider: 'anthropic', model: payload.model, status: resp.status, request: payload, responseText: errorText });
+      log.error(`${logPrefix} ${label}HTTP ${resp.status} body: ${errorText || '(empty)'} | debug=/api/debug/${debugId}`);
+      resp.debugId = debugId;
+    }
+    return resp;
+  }
+
+  async function anthropicError(resp, logPrefix) {
+    if (resp.status === 429) {
+      const raw = await resp.text().catch(() => '');
+      const rateErr = buildRateLimitError(resp, raw, 'anthropic');
+      // Anthropic reports per-minute request limits in its own headers
+      const limit = Number(resp.headers?.get('anthropic-ratelimit-requests-limit'));
+      const remaining = Number(resp.headers?.get('anthropic-ratelimit-requests-remaining'));
+      const resetIso = resp.headers?.get('anthropic-ratelimit-requests-reset');
+      if (Number.isFinite(limit)) rateErr.rateLimit.limit = limit;
+      if (Number.isFinite(remaining)) rateErr.rateLimit.remaining = remaining;
+      if (resetIso && Number.isFinite(Date.parse(resetIso))) {
+        rateErr.rateLimit.reset_ms = Date.parse(resetIso);
+        rateErr.rateLimit.reset_iso = new Date(rateErr.rateLimit.reset_ms).toISOString();
+      }
+      try { rateErr.message = JSON.parse(raw)?.error?.message || rateErr.message; } catch {}
+      log.warn(`${logPrefix} 429 limit=${rateErr.rateLimit.limit ?? 'n/a'} remaining=${rateErr.rateLimit.remaining ?? 'n/a'} retryAfter=${rateErr.rateLimit.retry_after_seconds ?? 'n/a'}s`);
+      rateErr.debugId = resp.debugId;
+      return rateErr;
+    }
+    const err = httpError(`Anthropic error ${resp.status}`, resp.status);
+    err.debugId = resp.debugId;
+    return err;
+  }
+
+  const anthropic = {
+    id: 'anthropic',
+    label: 'Anthropic',
+    getModel: () => runtimeConfig.anthropic.model,
+    // JSON Schema output is implemented by forcing a single tool call whose input_schema is the schema
+    supportsStructured: () => true,
+    async generate({ system, user, maxTokens, jsonSchema, schemaName, model, logPrefix = '[LLM anthropic]', onUsage = () => {}, signal }) {
+      if (!runtimeConfig.anthropic.apiKey) throw new Error('Missing ANTHROPIC_API_KEY');
+      const startedAt = Date.now();
+      const toolName = anthropicToolName(schemaName);
+      const buildPayload = (maxTokensValue) => ({
+        model: model || runtimeConfig.anthropic.model,
+        max_tokens: maxTokensValue,
+        ...(system ? { system } : {}),
+        messages: [{ role: 'user', content: user }],
+        ...(jsonSchema ? {
+          tools: [{
+            name: toolName,
+            description: 'Return the final answer as structured data matching the input schema.',
+            input_schema: jsonSchema
+          }],
+          tool_choice: { type: 'tool', name: toolName }
+        } : {})
+      });
+
+      let payload = buildPayload(maxTokens);
+      let resp = await anthropicRequest(payload, logPrefix, '', signal);
+      // Models cap max_tokens differently (e.g. 8192); step down like the OpenRouter path
+      if (!resp.ok && resp.status === 400) {
+        for (const t of [8000, 4000, 2000].filter(v => v < maxTokens)) {
+          log.warn(`${logPrefix} 400 with max_tokens=${payload.max_tokens}; retrying with max_tokens=${t}`);
+          payload = buildPayload(t);
+          resp = await anthropicRequest(payload, logPrefix, '', signal);
+          if (resp.ok) break;
+        }
+      }
+      if (!resp.ok) throw await anthropicError(resp, logPrefix);
+
+      const data = await resp.json();
+      const cost = logAnthropicUsage(logPrefix, startedAt, data.model || payload.model, data.usage, data.id);
+      reportUsage(onUsage, { promptTokens: data.usage?.input_tokens, completionTokens: data.usage?.output_tokens, usd: cost });
+      if (data.stop_reason === 'max_tokens') {
+        log.warn(`${logPrefix} response truncated at max_tokens=${payload.max_tokens}`);
+      }
+      const blocks = Array.isArray(data.content) ? data.content : [];
+      if (jsonSchema) {
+        const toolUse = blocks.find(b => b && b.type === 'tool_use' && b.name === toolName);
+        if (toolUse && toolUse.input && typeof toolUse.input === 'object') {
+          return JSON.stringify(toolUse.input);
+        }
+      }
+      return blocks.filter(b => b && b.type === 'text').map(b => b.text || '').join('');
+    },
+    async stream({ system, user, maxTokens, model, onDelta, isAborted = () => false, logPrefix = '[LLM anthropic]', onUsage = () => {} }) {
+      if (!runtimeConfig.anthropic.apiKey) throw new Error('Missing ANTHROPIC_API_KEY');
+      const startedAt = Date.now();
+      const buildPayload = (maxTokensValue) => ({
+        model: model || runtimeConfig.anthropic.model,
+        max_tokens: maxTokensValue,
+        ...(system ? { system } : {}),
+        messages: [{ role: 'user', content: user }],
+        stream: true
+      });
+      let payload = buildPayload(maxTokens);
+      let resp = await anthropicRequest(payload, logPrefix, 'stream ');
+      if (!resp.ok && resp.status === 400) {
+        for (const t of [8000, 4000, 2000].filter(v => v < maxTokens)) {
+          payload = buildPayload(t);
+          resp = await anthropicRequest(payload, logPrefix, 'stream ');
+          if (resp.ok) break;
+        }
+      }
+      if (!resp.ok || !resp.body) throw await anthropicError(resp, logPrefix);
+
+      // Anthropic SSE: message_start (input usage) → content_block_delta* → message_delta (output usage)
+      const reader = resp.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let content = '';
+      let messageId = null;
+      let modelId = payload.model;
+      const usage = { input_tokens: 0, output_tokens: 0 };
+      while (!isAborted()) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const parts = buffer.split('\n');
+        buffer = parts.pop() || '';
+        for (const line of parts) {
+          const trimmed = line.trim();
+          if (!trimmed.startsWith('data:')) continue;
+          try {
+            const evt = JSON.parse(trimmed.slice(5).trim());
+            if (evt.type === 'message_start') {
+              messageId = evt.message?.id || null;
+              modelId = evt.message?.model || modelId;
+              usage.input_tokens = Number(evt.message?.usage?.input_tokens) || 0;
+            } else if (evt.type === 'content_block_delta' && evt.delta?.type === 'text_delta') {
+              const delta = evt.delta.text || '';
+              if (delta) {
+                content += delta;
+                onDelta(delta);
+              }
+            } else if (evt.type === 'message_delta') {
+              usage.output_tokens = Number(evt.usage?.output_tokens) || usage.output_tokens;
+            } else if (evt.type === 'error') {
+              throw new Error(`Anthropic stream error: ${evt.error?.message || 'unknown'}`);
+            }
+          } catch (e) {
+            if (/Anthropic stream error/.test(e?.message || '')) throw e;
+          }
+        }
+      }
+      try { reader.cancel(); } catch {}
+      const cost = logAnthropicUsage(logPrefix, startedAt, modelId, usage, messageId, 'stream ');
+      reportUsage(onUsage, { promptTokens: usage.input_tokens, completionTokens: usage.output_tokens, usd: cost }, { system, user, content });
+      return { content, generationId: messageId };
+    },
+    async listModels() {
+      if (!runtimeConfig.anthropic.apiKey) throw new Error('Missing ANTHROPIC_API_KEY');
+      const resp = await fetch(`${ANTHROPIC_BASE_URL}/models?limit=100`, { headers: anthropicHeaders() });
+      if (!resp.ok) throw new Error(`Models API error ${resp.status}`);
+      const data = await resp.json();
+      const models = Array.isArray(data?.data) ? data.data : [];
+      return models.map(m => ({ id: m.id, name: m.display_name || m.id, created_at: m.created_at }));
+    }
+  };
+
+  // -----------------------------
+  // Mock (offline fixtures, fault injection)
+  // -----------------------------
+  const mockResponder = createMockResponder(() => runtimeConfig.mock);
+  let mockCalls = 0;
+  // Rejects with the signal's AbortError when the call is cancelled, like an upstream fetch would
+  const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => { clearTimeout(timer); reject(signal.reason); }, { once: true });
+  });
+  const rate = (v) => Math.max(0, Math.min(1, Number(v) || 0));
+
+  // Faults are drawn from the seed and a call counter, so a given sequence of calls fails the same way every run
+  const mockFaults = () => {
+    const cfg = runtimeConfig.mock;
+    const rng = createRng(`${cfg.seed || ''}:faults:${mockCalls++}`);
+    const roll = rng();
+    const rateLimited = roll < rate(cfg.rateLimitRate);
+    return {
+      rateLimited,
+      failed: !rateLimited && roll < rate(cfg.rateLimitRate) + rate(cfg.errorRate),
+      truncateAt: rng() < rate(cfg.truncateRate) ? 0.4 + rng() * 0.5 : null
+    };
+  };
+  const mockFailure = (faults, logPrefix) => {
+    if (faults.rateLimited) {
+      log.warn(`${logPrefix} injected rate limit`);
+      const retryAfter = String(Math.max(1, Number(runtimeConfig.mock.retryAfterSeconds) || 5));
+      return buildRateLimitError({ headers: new Headers({ 'retry-after': retryAfter }) }, JSON.stringify({ error: { message: 'Mock rate limit exceeded' } }), 'mock');
+    }
+    if (faults.failed) {
+      log.warn(`${logPrefix} injected upstream error`);
+      return httpError('Mock upstream error 503', 503);
+    }
+    return null;
+  };
+
+  const mock = {
+    id: 'mock',
+    label: 'Mock (offline)',
+    getModel: () => runtimeConfig.mock.model,
+    supportsStructured: () => true,
+    async generate({ system, user, jsonSchema, schemaName, logPrefix = '[LLM mock]', onUsage = () => {}, signal }) {
+      const startedAt = Date.now();
+      const faults = mockFaults();
+      await sleep(Math.max(0, Number(runtimeConfig.mock.latencyMs) || 0), signal);
+      const failure = mockFailure(faults, logPrefix);
+      if (failure) throw failure;
+      let text = await mockResponder.generate({ user, jsonSchema, schemaName });
+      if (faults.truncateAt) {
+        text = text.slice(0, Math.floor(text.length * faults.truncateAt));
+        log.warn(`${logPrefix} injected truncation at ${text.length} chars`);
+      }
+      log.info(`${logPrefix} ok in ${Date.now() - startedAt}ms | ${text.length} chars`);
+      reportUsage(onUsage, {}, { system, user, content: text });
+      return text;
+    },
+    async stream({ system, user, onDelta, isAborted = () => false, logPrefix = '[LLM mock]', onUsage = () => {} }) {
+      const faults = mockFaults();
+      const failure = mockFailure(faults, logPrefix);
+      if (failure) throw failure;
+      let markdown = await mockResponder.markdown({ user });
+      if (faults.truncateAt) markdown = markdown.slice(0, Math.floor(markdown.length * faults.truncateAt));
+      // Latency is spread over the chunks so the UI sees a gradual stream
+      const chunks = markdown.match(/[\s\S]{1,40}/g) || [];
+      const delay = Math.max(0, Number(runtimeConfig.mock.latencyMs) || 0) / Math.max(1, chunks.length);
+      let content = '';
+      for (const chunk of chunks) {
+        if (isAborted()) break;
+        if (delay) await sleep(delay);
+        content += chunk;
+        onDelta(chunk);
+      }
+      reportUsage(onUsage, {}, { system, user, content });
+      return { content, generationId: `mock-${mockCalls}` };
+    },
+    async listModels() {
+      return [runtimeConfig.mock.model];
+    }
+  };
+
+  const registry = new Map([openrouter, ollama, openaiCompatible, anthropic, mock].map(p => [p.id, p]));
+
+  return {
+    has: (id) => registry.has(String(id || '').toLowerCase()),
+    get(id) {
+      const provider = registry.get(String(id || '').toLowerCase());
+      if (!provider) throw new Error(`Unsupported provider: ${id}`);
+      return provider;
+    },
+    list: () => Array.from(registry.values()).map(p => ({ id: p.id, label: p.label }))
+  };
+}
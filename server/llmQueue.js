@@ -0,0 +1,164 @@
+import { AsyncResource } from 'node:async_hooks';
+
+/**
+ * Server-wide queue for LLM calls.
+ *
+ * Every provider has its own lane with a concurrency limit; jobs beyond the limit wait in priority order
+ * (explanations, then interactive exercise requests, then bulk pre-generation), FIFO within a priority.
+ * A job that is still waiting when its AbortSignal fires is removed and rejected with a CancelledError.
+ * A running job is cancelled by its task: callLLM hands `job.signal` to the provider's fetch, which aborts the
+ * request, and the task then rejects with a CancelledError as well.
+ * Callers can pass a ticket to look up their queue position while they wait. Tasks run in the async context
+ * they were submitted from, so their logs carry the submitting request's id.
+ */
+
+export const LLM_PRIORITIES = { explanation: 0, interactive: 1, bulk: 2 };
+
+function queueError(name, message, status) {
+  const err = new Error(message);
+  err.name = name;
+  err.httpStatus = status;
+  return err;
+}
+
+/**
+ * Error for a job whose client went away (HTTP 499), also when the call was already running
+ */
+export function cancelledError() {
+  return queueError('CancelledError', 'Request cancelled by the client', 499);
+}
+
+/**
+ * Errors raised by the queue itself rather than by a provider (no fallback, no circuit breaker)
+ * @param {Error} err
+ * @returns {boolean}
+ */
+export function isQueueError(err) {
+  return err?.name === 'CancelledError' || err?.name === 'QueueFullError';
+}
+
+/**
+ * @param {object} options
+ * @param {(provider: string) => number} options.limitFor - Concurrent calls allowed per provider
+ * @param {number} [options.maxQueued=200] - Waiting jobs across all providers before new ones are refused
+ */
+export function createLLMQueue({ limitFor, maxQueued = 200 }) {
+  const lanes = new Map();
+  const tickets = new Map();
+  let seq = 0;
+
+  const laneFor = (provider) => {
+    if (!lanes.has(provider)) lanes.set(provider, { running: 0, waiting: [] });
+    return lanes.get(provider);
+  };
+  const queuedTotal = () => Array.from(lanes.values()).reduce((n, l) => n + l.waiting.length, 0);
+
+  const forget = (job) => {
+    if (job.ticket && tickets.get(job.ticket) === job) tickets.delete(job.ticket);
+  };
+
+  // Tell waiting jobs whose position changed
+  const reportPositions = (lane) => {
+    lane.waiting.forEach((job, i) => {
+      if (job.position === i + 1) return;
+      job.position = i + 1;
+      try { job.onPosition(job.position); } catch {}
+    });
+  };
+
+  const pump = (provider) => {
+    const lane = laneFor(provider);
+    const limit = Math.max(1, Math.floor(Number(limitFor(provider)) || 1));
+    while (lane.running < limit && lane.waiting.length > 0) {
+      const job = lane.waiting.shift();
+      lane.running++;
+      job.state = 'running';
+      job.position = 0;
+      job.detach();
+      try { job.onPosition(0); } catch {}
+      Promise.resolve()
+        .then(job.task)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          lane.running--;
+          forget(job);
+          pump(provider);
+        });
+    }
+    reportPositions(lane);
+  };
+
+  return {
+    /**
+     * Run `task` once the provider has a free slot
+     * @param {string} provider
+     * @param {() => Promise<*>} task
+     * @param {object} [options]
+     * @param {'explanation'|'interactive'|'bulk'} [options.priority='interactive']
+     * @param {AbortSignal} [options.signal] - Removes the job while it is still waiting
+     * @param {string} [options.ticket] - Client-supplied id for status()
+     * @param {(position: number) => void} [options.onPosition] - 1-based position while waiting, 0 once running
+     * @returns {Promise<*>} The task's result
+     */
+    run(provider, task, { priority = 'interactive', signal, ticket, onPosition = () => {} } = {}) {
+      if (signal?.aborted) return Promise.reject(cancelledError());
+      if (queuedTotal() >= maxQueued) {
+        return Promise.reject(queueError('QueueFullError', `Too many queued LLM requests (${maxQueued}); try again shortly`, 503));
+      }
+      const lane = laneFor(provider);
+      return new Promise((resolve, reject) => {
+        const job = {
+          provider,
+          task: AsyncResource.bind(task),
+          resolve,
+          reject,
+          ticket: ticket || null,
+          priority,
+          rank: LLM_PRIORITIES[priority] ?? LLM_PRIORITIES.interactive,
+          seq: seq++,
+          state: 'queued',
+          position: null,
+          onPosition,
+          detach: () => {}
+        };
+        if (signal) {
+          const onAbort = () => {
+            const i = lane.waiting.indexOf(job);
+            if (i === -1) return;
+            lane.waiting.splice(i, 1);
+            forget(job);
+            reject(cancelledError());
+            reportPositions(lane);
+          };
+          signal.addEventListener('abort', onAbort, { once: true });
+          job.detach = () => signal.removeEventListener('abort', onAbort);
+        }
+        if (job.ticket) tickets.set(job.ticket, job);
+        lane.waiting.push(job);
+        lane.waiting.sort((a, b) => a.rank - b.rank || a.seq - b.seq);
+        pump(provider);
+      });
+    },
+
+    /**
+     * Queue state of the latest job submitted under `ticket`
+     * @returns {{ state: 'queued'|'running', position: number, provider: string, priority: string }|null}
+     */
+    status(ticket) {
+      const job = tickets.get(ticket);
+      if (!job) return null;
+      return { state: job.state, position: job.position || 0, provider: job.provider, priority: job.priority };
+    },
+
+    // Per-provider counts for monitoring
+    snapshot() {
+      const out = {};
+      for (const [provider, lane] of lanes) {
+        const byPriority = {};
+        for (const job of lane.waiting) byPriority[job.priority] = (byPriority[job.priority] || 0) + 1;
+        out[provider] = { limit: Math.max(1, Math.floor(Number(limitFor(provider)) || 1)), running: lane.running, queued: lane.waiting.length, byPriority };
+      }
+      return out;
+    }
+  };
+}
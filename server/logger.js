@@ -0,0 +1,125 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import util from 'node:util';
+
+/**
+ * Structured logging.
+ *
+ * Every line is one JSON object: { time, level, component, msg, requestId, ...fields }. The `[COMPONENT]` prefix
+ * used throughout the server becomes the `component` field, so `log.info('[CACHE] Initialized at', dir)` logs
+ * { component: 'CACHE', msg: 'Initialized at /data' }. A trailing plain object is taken as fields; Error
+ * arguments are logged under `err` with their stack. Fields of the current request context (see
+ * withLogContext) are added to every line logged while handling that request, including from awaited calls.
+ *
+ * LOG_LEVEL: debug | info (default) | warn | error | silent. LOG_FORMAT: json (default) | text, a readable
+ * single-line format for local development. Both are read on every call so .env and test overrides apply.
+ */
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const LEVEL_RANK = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const RESERVED = new Set(['time', 'level', 'component', 'msg']);
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with `fields` (e.g. { requestId }) added to every line it logs
+ * @template T
+ * @param {object} fields
+ * @param {() => T} fn
+ * @returns {T}
+ */
+export function withLogContext(fields, fn) {
+  return context.run({ ...currentLogContext(), ...fields }, fn);
+}
+
+/**
+ * Fields of the current request context ({} outside a request)
+ * @returns {{ requestId?: string }}
+ */
+export function currentLogContext() {
+  return context.getStore() || {};
+}
+
+const isPlainObject = (v) => !!v && typeof v === 'object' && Object.getPrototypeOf(v) === Object.prototype;
+
+const serializeError = (err) => ({ name: err.name, message: err.message, ...(err.httpStatus ? { httpStatus: err.httpStatus } : {}), stack: err.stack });
+
+// Console-style arguments → { component, msg, fields }
+function parseArgs(args) {
+  const rest = [...args];
+  let fields = {};
+  if (rest.length > 1 && isPlainObject(rest[rest.length - 1])) fields = { ...rest.pop() };
+  const err = rest.find(a => a instanceof Error);
+  if (err && !fields.err) fields.err = err;
+  let msg = util.format(...rest.map(a => (a instanceof Error ? a.message : a)));
+  let component;
+  const m = msg.match(/^\[([^\]]{1,40})\]\s*/);
+  if (m) {
+    component = m[1];
+    msg = msg.slice(m[0].length);
+  }
+  for (const [key, value] of Object.entries(fields)) {
+    if (value instanceof Error) fields[key] = serializeError(value);
+  }
+  return { component, msg, fields };
+}
+
+function formatText(record) {
+  const { time, level, component, msg, ...fields } = record;
+  const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+  return `${time} ${level.toUpperCase().padEnd(5)} ${component ? `[${component}] ` : ''}${msg}${extra}`;
+}
+
+const defaultWrite = (line, level) => {
+  (level === 'warn' || level === 'error' ? process.stderr : process.stdout).write(line + '\n');
+};
+
+/**
+ * Create a logger
+ * @param {object} [options]
+ * @param {string} [options.level] - Minimum level; LOG_LEVEL when unset
+ * @param {'json'|'text'} [options.format] - LOG_FORMAT when unset
+ * @param {object} [options.bindings] - Fields added to every line
+ * @param {(line: string, level: string) => void} [options.write] - Defaults to stdout (stderr for warn/error)
+ */
+export function createLogger({ level, format, bindings = {}, write = defaultWrite } = {}) {
+  const minRank = () => LEVEL_RANK[String(level || process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVEL_RANK.info;
+  const useText = () => String(format || process.env.LOG_FORMAT || 'json').toLowerCase() === 'text';
+
+  const emit = (lvl, args) => {
+    if (LEVEL_RANK[lvl] < minRank()) return;
+    const { component, msg, fields } = parseArgs(args);
+    const record = { time: new Date().toISOString(), level: lvl, ...(component ? { component } : {}), msg };
+    for (const source of [bindings, currentLogContext(), fields]) {
+      for (const [key, value] of Object.entries(source)) {
+        if (!RESERVED.has(key) && value !== undefined) record[key] = value;
+      }
+    }
+    let line;
+    try {
+      line = useText() ? formatText(record) : JSON.stringify(record);
+    } catch {
+      line = JSON.stringify({ time: record.time, level: lvl, component, msg });
+    }
+    try { write(line, lvl); } catch {}
+  };
+
+  return {
+    debug: (...args) => emit('debug', args),
+    info: (...args) => emit('info', args),
+    warn: (...args) => emit('warn', args),
+    error: (...args) => emit('error', args),
+    /**
+     * @param {string} lvl
+     * @returns {boolean}
+     */
+    isLevelEnabled: (lvl) => (LEVEL_RANK[lvl] ?? 0) >= minRank(),
+    /**
+     * Logger that adds `fields` to every line
+     * @param {object} fields
+     */
+    child: (fields) => createLogger({ level, format, bindings: { ...bindings, ...fields }, write })
+  };
+}
+
+// Shared server logger
+export const log = createLogger();
@@ -0,0 +1,70 @@
+import path from 'node:path';
+import dotenv from 'dotenv';
+import { CACHE_TABLES, createJsonCacheBackend, createSqliteCacheBackend } from './cacheBackends.js';
+
+/**
+ * One-shot import of a JSON cache directory into the SQLite backend.
+ *
+ *   node server/migrateCache.js [--from <dir>] [--to <file>] [--force]
+ *
+ * --from defaults to CACHE_DIR (or ./.cache), --to to CACHE_SQLITE_PATH (or <from>/cache.sqlite).
+ * The JSON files are left untouched and images stay in <dir>/images. Stop the server first so the
+ * JSON indexes do not change while they are copied.
+ */
+
+dotenv.config();
+
+const BATCH_SIZE = 200;
+
+function parseArgs(argv) {
+  const args = { force: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--force') args.force = true;
+    else if (a === '--from') args.from = argv[++i];
+    else if (a === '--to') args.to = argv[++i];
+    else throw new Error(`Unknown argument: ${a}`);
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const from = path.resolve(args.from || process.env.CACHE_DIR || path.resolve(process.cwd(), '.cache'));
+  const to = path.resolve(args.to || process.env.CACHE_SQLITE_PATH || path.join(from, 'cache.sqlite'));
+  console.log(`[MIGRATE] ${from} -> ${to}`);
+
+  const source = createJsonCacheBackend(from);
+  const target = await createSqliteCacheBackend(to);
+  try {
+    if (!args.force) {
+      for (const table of Object.keys(CACHE_TABLES)) {
+        if ((await target.count(table)) > 0) {
+          throw new Error(`${to} already contains cache data; pass --force to overwrite matching entries`);
+        }
+      }
+    }
+    for (const table of Object.keys(CACHE_TABLES)) {
+      const keys = await source.keys(table);
+      let copied = 0;
+      for (let i = 0; i < keys.length; i += BATCH_SIZE) {
+        const writes = [];
+        for (const key of keys.slice(i, i + BATCH_SIZE)) {
+          const value = await source.read(table, key);
+          if (value !== null && value !== undefined) writes.push({ table, key, value });
+        }
+        await target.apply(writes);
+        copied += writes.length;
+      }
+      console.log(`[MIGRATE] ${table}: ${copied}/${keys.length}`);
+    }
+    console.log('[MIGRATE] Done. Start the server with CACHE_BACKEND=sqlite to use it.');
+  } finally {
+    await target.close();
+  }
+}
+
+main().catch((e) => {
+  console.error('[MIGRATE] Failed:', e?.message || e);
+  process.exitCode = 1;
+});
@@ -0,0 +1,213 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { log } from './logger.js';
+
+/**
+ * Response builders for the offline `mock` LLM provider.
+ *
+ * Payloads come from `<fixturesDir>/<schemaName>.json` when present (an object, or an array of variants
+ * picked in turn) and are otherwise synthesized from the JSON Schema sent with the request. Streams use
+ * `<fixturesDir>/<schemaName>.md` or generated markdown. Everything is derived from a seed, the prompt and
+ * how often that prompt was seen, so a fresh process replays the same sequence of responses.
+ */
+
+/**
+ * Seeded PRNG (mulberry32 over the first 4 bytes of sha256(seed))
+ * @param {string} seed
+ * @returns {() => number} Uniform numbers in [0, 1)
+ */
+export function createRng(seed) {
+  let a = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// "Task: Create exactly 5 ..." in the user prompt sets the number of list items
+function requestedCount(user, fallback = 3) {
+  const m = String(user || '').match(/\bexactly\s+(\d+)\b/i);
+  const n = m ? Number(m[1]) : fallback;
+  return Math.max(1, Math.min(50, n));
+}
+
+function promptTopic(user) {
+  const m = String(user || '').match(/^\s*(?:Grammar Focus|Concept|Topic)\s*:\s*(.+)$/mi);
+  return m ? m[1].trim() : 'practice';
+}
+
+function promptLanguage(user) {
+  const m = String(user || '').match(/^\s*Target Language\s*:\s*(.+)$/mi);
+  return m ? m[1].trim() : 'the target language';
+}
+
+function fitLength(str, schema) {
+  let out = str;
+  if (Number.isFinite(schema.maxLength)) out = out.slice(0, schema.maxLength);
+  if (Number.isFinite(schema.minLength) && out.length < schema.minLength) out = out.padEnd(schema.minLength, '.');
+  return out;
+}
+
+function synthesizeMarkdown({ topic, language, tag }) {
+  return [
+    `# ${topic}`,
+    '',
+    `Mock explanation of **${topic}** in ${language} (${tag}).`,
+    '',
+    '## How it works',
+    '',
+    '- First rule with a short example.',
+    '- Second rule with a short example.',
+    '',
+    '## Examples',
+    '',
+    '| Sentence | Note |',
+    '| --- | --- |',
+    '| Example one | Regular form |',
+    '| Example two | Irregular form |',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Build a value that validates against `schema`
+ * @param {object} schema - JSON Schema (subset handled by schemaValidation.js)
+ * @param {object} ctx
+ * @param {() => number} ctx.rng
+ * @param {number} [ctx.count] - Length of the top-level `items` array
+ * @param {string} [ctx.topic]
+ * @param {string} [ctx.language]
+ * @returns {*}
+ */
+export function synthesizeFromSchema(schema, { rng, count = 3, topic = 'practice', language = 'the target language' }) {
+  const tag = Math.floor(rng() * 0xffffff).toString(16).padStart(6, '0');
+  let n = 0;
+
+  const build = (s, key, { marked = false, root = false } = {}) => {
+    if (!s || typeof s !== 'object') return null;
+    if (s.const !== undefined) return s.const;
+    if (Array.isArray(s.enum) && s.enum.length) return s.enum[Math.floor(rng() * s.enum.length)];
+    const variants = s.anyOf || s.oneOf;
+    if (Array.isArray(variants) && variants.length) return build(variants[0], key, { marked });
+    if (Array.isArray(s.allOf) && s.allOf.length) return build(Object.assign({}, ...s.allOf), key, { marked });
+    const type = Array.isArray(s.type) ? (s.type.find(t => t !== 'null') || 'null') : (s.type || (s.properties ? 'object' : s.items ? 'array' : 'string'));
+
+    switch (type) {
+      case 'object': {
+        const out = {};
+        for (const [prop, propSchema] of Object.entries(s.properties || {})) {
+          out[prop] = build(propSchema, prop, { marked, root: root && prop === 'items' });
+        }
+        return out;
+      }
+      case 'array': {
+        const min = Number.isFinite(s.minItems) ? s.minItems : 1;
+        const max = Number.isFinite(s.maxItems) ? s.maxItems : Infinity;
+        const len = Math.min(max, Math.max(min, root ? count : min));
+        // One element per array gets its booleans set, e.g. the single correct MCQ option
+        const markedIndex = Math.floor(rng() * len);
+        return Array.from({ length: len }, (_, i) => build(s.items, key, { marked: i === markedIndex }));
+      }
+      case 'boolean':
+        return marked;
+      case 'integer':
+      case 'number': {
+        const min = Number.isFinite(s.minimum) ? s.minimum : 1;
+        const max = Number.isFinite(s.maximum) ? s.maximum : min + 4;
+        const value = min + rng() * (max - min);
+        return type === 'integer' ? Math.round(value) : Number(value.toFixed(2));
+      }
+      case 'null':
+        return null;
+      default: {
+        n += 1;
+        const name = String(key || 'text');
+        if (/markdown/i.test(name)) return fitLength(synthesizeMarkdown({ topic, language, tag }), s);
+        if (/sentence/i.test(name)) return fitLength(`Mock ${topic} ${n}: fill _____ here (${tag})`, s);
+        return fitLength(`Mock ${name} ${n} · ${topic} (${tag})`, s);
+      }
+    }
+  };
+
+  return build(schema, null, { root: true });
+}
+
+async function readFixture(fixturesDir, file) {
+  if (!fixturesDir) return null;
+  try {
+    return await fs.readFile(path.join(fixturesDir, file), 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+// Fixture variants are picked in turn; list payloads are cycled to the requested item count
+function pickFixturePayload(fixture, occurrence, count) {
+  const variants = Array.isArray(fixture) ? fixture : [fixture];
+  const payload = JSON.parse(JSON.stringify(variants[occurrence % variants.length]));
+  if (payload && Array.isArray(payload.items) && payload.items.length > 0) {
+    const source = payload.items;
+    payload.items = Array.from({ length: count }, (_, i) => source[(occurrence * count + i) % source.length]);
+  }
+  return payload;
+}
+
+/**
+ * Create the response source used by the mock provider. It counts prompts so repeated identical calls
+ * get fresh (but reproducible) content.
+ * @param {() => { fixturesDir?: string, seed?: string }} getConfig - Read on every call
+ */
+export function createMockResponder(getConfig) {
+  const seen = new Map();
+  const occurrenceOf = (schemaName, user) => {
+    const key = crypto.createHash('sha256').update(`${schemaName}\n${user}`).digest('hex');
+    const occurrence = seen.get(key) || 0;
+    if (seen.size >= 10000 && !seen.has(key)) seen.clear();
+    seen.set(key, occurrence + 1);
+    return { key, occurrence };
+  };
+
+  return {
+    /**
+     * JSON text for a structured (or plain) generation
+     * @param {{ user: string, jsonSchema?: object, schemaName?: string }} req
+     * @returns {Promise<string>}
+     */
+    async generate({ user, jsonSchema, schemaName }) {
+      const { fixturesDir, seed = '' } = getConfig();
+      const name = schemaName || 'structured_output';
+      const { key, occurrence } = occurrenceOf(name, user);
+      const count = requestedCount(user);
+      const raw = await readFixture(fixturesDir, `${name}.json`);
+      if (raw) {
+        try {
+          return JSON.stringify(pickFixturePayload(JSON.parse(raw), occurrence, count));
+        } catch (e) {
+          log.warn(`[LLM mock] Ignoring invalid fixture ${name}.json:`, e?.message);
+        }
+      }
+      if (!jsonSchema) return `Mock response ${occurrence + 1} for: ${String(user || '').slice(0, 80)}`;
+      const rng = createRng(`${seed}:${key}:${occurrence}`);
+      return JSON.stringify(synthesizeFromSchema(jsonSchema, { rng, count, topic: promptTopic(user), language: promptLanguage(user) }));
+    },
+
+    /**
+     * Markdown for a streamed generation
+     * @param {{ user: string, schemaName?: string }} req
+     * @returns {Promise<string>}
+     */
+    async markdown({ user, schemaName = 'explanation' }) {
+      const { fixturesDir, seed = '' } = getConfig();
+      const { key, occurrence } = occurrenceOf(`${schemaName}.md`, user);
+      const fixture = await readFixture(fixturesDir, `${schemaName}.md`);
+      const topic = promptTopic(user);
+      if (fixture) return fixture.replaceAll('{{topic}}', topic).replaceAll('{{language}}', promptLanguage(user));
+      const tag = crypto.createHash('sha256').update(`${seed}:${key}:${occurrence}`).digest('hex').slice(0, 6);
+      return synthesizeMarkdown({ topic, language: promptLanguage(user), tag });
+    }
+  };
+}
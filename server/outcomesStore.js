@@ -0,0 +1,142 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Learner outcomes: one record per lesson session with per-exercise-type scores.
+ *
+ * Records are appended to `<CACHE_DIR>/analytics/lesson_outcomes.jsonl`. A session may be posted several
+ * times (each "Check answers"); the last record per sessionId wins when aggregating.
+ * Records carry no user identifiers beyond an optional account id.
+ */
+
+export const OUTCOME_TYPES = ['fib', 'mcq', 'cloze', 'clozeMix', 'dialogue', 'writing', 'reading', 'rewrite', 'error'];
+
+function outcomesPath(cacheDir) {
+  return path.join(cacheDir, 'analytics', 'lesson_outcomes.jsonl');
+}
+
+// Scores may include partial credit; sums are kept to two decimals
+const roundPoints = (points) => Math.round(points * 100) / 100;
+
+/**
+ * Validate and normalize a posted session outcome
+ * @param {object} body - { sessionId, language, level, challengeMode, topic, byType: { [type]: { correct, total } } };
+ *   `correct` may include partial credit and is kept to two decimals
+ * @returns {{ record?: object, error?: string }}
+ */
+export function normalizeOutcome(body) {
+  const sessionId = String(body?.sessionId || '');
+  if (!/^[a-zA-Z0-9-]{8,64}$/.test(sessionId)) return { error: 'sessionId is required' };
+  const byType = {};
+  let correct = 0, total = 0;
+  for (const type of OUTCOME_TYPES) {
+    const s = body?.byType?.[type];
+    if (!s) continue;
+    const c = roundPoints(Number(s.correct));
+    const t = Math.floor(Number(s.total));
+    if (!Number.isFinite(c) || !Number.isFinite(t) || t <= 0 || c < 0 || c > t || t > 1000) continue;
+    byType[type] = { correct: c, total: t };
+    correct += c;
+    total += t;
+  }
+  correct = roundPoints(correct);
+  if (total === 0) return { error: 'byType must contain at least one scored exercise type' };
+  return {
+    record: {
+      sessionId,
+      language: String(body.language || 'unknown').trim().slice(0, 60) || 'unknown',
+      level: String(body.level || 'unknown').trim().slice(0, 20) || 'unknown',
+      challengeMode: !!body.challengeMode,
+      topic: String(body.topic || 'unknown').trim().slice(0, 300) || 'unknown',
+      byType,
+      correct,
+      total
+    }
+  };
+}
+
+/**
+ * Append a session outcome
+ * @param {string} cacheDir
+ * @param {object} record - From normalizeOutcome, plus optional userId
+ */
+export async function recordLessonOutcome(cacheDir, record) {
+  const file = outcomesPath(cacheDir);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.appendFile(file, JSON.stringify({ ...record, at: new Date().toISOString() }) + '\n', 'utf8');
+}
+
+/**
+ * Load outcomes, keeping the latest record per session
+ * @param {string} cacheDir
+ * @returns {Promise<object[]>}
+ */
+export async function loadLessonOutcomes(cacheDir) {
+  let raw = '';
+  try {
+    raw = await fs.readFile(outcomesPath(cacheDir), 'utf8');
+  } catch {
+    return [];
+  }
+  const bySession = new Map();
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const rec = JSON.parse(line);
+      if (rec && rec.sessionId) bySession.set(rec.sessionId, rec);
+    } catch {}
+  }
+  return Array.from(bySession.values());
+}
+
+const accuracyOf = (correct, total) => (total > 0 ? Math.round((correct / total) * 1000) / 10 : null);
+
+function bucketRows(map) {
+  return Array.from(map.entries())
+    .map(([key, v]) => ({ key, sessions: v.sessions.size, correct: roundPoints(v.correct), total: v.total, accuracy: accuracyOf(v.correct, v.total) }))
+    .sort((a, b) => b.total - a.total);
+}
+
+/**
+ * Aggregate outcomes for the dashboard: totals, accuracy by exercise type, topic, level, language and day
+ * @param {object[]} outcomes
+ * @param {object} [filters]
+ * @param {number} [filters.days] - Only sessions from the last N days (0 = all)
+ * @param {string} [filters.language]
+ * @param {string} [filters.level]
+ */
+export function aggregateOutcomes(outcomes, { days = 0, language = '', level = '' } = {}) {
+  const since = days > 0 ? Date.now() - days * 24 * 60 * 60 * 1000 : 0;
+  const lang = String(language || '').toLowerCase();
+  const byType = new Map(), byTopic = new Map(), byLevel = new Map(), byLanguage = new Map(), byDay = new Map();
+  const add = (map, key, sessionId, correct, total) => {
+    const e = map.get(key) || { sessions: new Set(), correct: 0, total: 0 };
+    e.sessions.add(sessionId);
+    e.correct += correct;
+    e.total += total;
+    map.set(key, e);
+  };
+  let sessions = 0, correct = 0, total = 0;
+  for (const o of outcomes) {
+    const at = Date.parse(o.at || '');
+    if (since && !(at >= since)) continue;
+    if (lang && String(o.language || '').toLowerCase() !== lang) continue;
+    if (level && o.level !== level) continue;
+    sessions++;
+    correct += o.correct;
+    total += o.total;
+    add(byTopic, String(o.topic || 'unknown').toLowerCase(), o.sessionId, o.correct, o.total);
+    add(byLevel, o.level, o.sessionId, o.correct, o.total);
+    add(byLanguage, String(o.language || 'unknown').toLowerCase(), o.sessionId, o.correct, o.total);
+    add(byDay, Number.isFinite(at) ? new Date(at).toISOString().slice(0, 10) : 'unknown', o.sessionId, o.correct, o.total);
+    for (const [type, s] of Object.entries(o.byType || {})) add(byType, type, o.sessionId, s.correct, s.total);
+  }
+  return {
+    totals: { sessions, correct: roundPoints(correct), total, accuracy: accuracyOf(correct, total) },
+    byType: bucketRows(byType),
+    byTopic: bucketRows(byTopic),
+    byLevel: bucketRows(byLevel).sort((a, b) => String(a.key).localeCompare(String(b.key))),
+    byLanguage: bucketRows(byLanguage),
+    overTime: bucketRows(byDay).sort((a, b) => String(a.key).localeCompare(String(b.key)))
+  };
+}
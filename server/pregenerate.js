@@ -0,0 +1,244 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { makeBucketKey, readJson, writeJson, sha256Hex } from './cacheStore.js';
+import { log } from './logger.js';
+
+/**
+ * Offline pre-generation: fill exercise buckets for a matrix of languages × levels × topics × types up to a
+ * target size, so first-time learners are served from the cache instead of waiting on the LLM.
+ *
+ * Matrix (JSON):
+ *   { languages: ['Spanish'], levels: ['A1', 'A2'], topics: ['present tense'] | { Spanish: [...], '*': [...] },
+ *     types: ['mcq', 'writing_prompts'], challengeMode: [false], target: 20 }
+ *
+ * Progress is written to a state file after every batch. Starting the same matrix again skips cells that
+ * already reached their target; cells are also checked against the live bucket size, so a rerun after a
+ * crash only generates what is still missing.
+ */
+
+export const PREGENERATION_DEFAULTS = {
+  target: 20,
+  concurrency: 2,
+  // Batches in a row that may fail or add nothing (duplicates, bucket cap) before a cell is given up
+  maxStalls: 3,
+  maxRateLimitWaitMs: 60000
+};
+
+const MAX_CELLS = 5000;
+const CEFR_LEVELS = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
+
+const cellId = (c) => `${c.type}|${c.language}|${c.level}|${c.challengeMode ? 1 : 0}|${c.topic}`;
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Validate a matrix and expand it into cells
+ * @param {object} matrix
+ * @param {string[]} allowedTypes - Exercise types that can be generated without a base text
+ * @returns {{ cells: Array<{ id: string, type: string, language: string, level: string, challengeMode: boolean, topic: string }>, target: number }}
+ */
+export function expandPregenerationMatrix(matrix, allowedTypes) {
+  if (!matrix || typeof matrix !== 'object') throw new Error('Matrix must be a JSON object');
+  const list = (v, name) => {
+    const arr = (Array.isArray(v) ? v : []).map(x => String(x || '').trim()).filter(Boolean);
+    if (arr.length === 0) throw new Error(`Matrix needs at least one entry in "${name}"`);
+    return Array.from(new Set(arr));
+  };
+  const languages = list(matrix.languages, 'languages').map(l => l.slice(0, 60));
+  const levels = list(matrix.levels, 'levels').map(l => l.toUpperCase());
+  const badLevel = levels.find(l => !CEFR_LEVELS.includes(l));
+  if (badLevel) throw new Error(`Unknown CEFR level: ${badLevel}`);
+  const types = list(matrix.types, 'types');
+  const badType = types.find(t => !allowedTypes.includes(t));
+  if (badType) throw new Error(`Type "${badType}" cannot be pre-generated (allowed: ${allowedTypes.join(', ')})`);
+  const modes = Array.isArray(matrix.challengeMode) ? Array.from(new Set(matrix.challengeMode.map(Boolean))) : [!!matrix.challengeMode];
+  const topicsFor = (language) => {
+    const t = matrix.topics;
+    const raw = Array.isArray(t) ? t : (t && typeof t === 'object' ? (t[language] || t['*'] || []) : []);
+    return raw.map(x => String(x || '').trim().slice(0, 300)).filter(Boolean);
+  };
+  const target = Math.max(1, Math.min(1000, Math.floor(Number(matrix.target) || PREGENERATION_DEFAULTS.target)));
+
+  const cells = [];
+  for (const language of languages) {
+    const topics = topicsFor(language);
+    if (topics.length === 0) throw new Error(`Matrix has no topics for ${language}`);
+    for (const level of levels) {
+      for (const challengeMode of modes) {
+        for (const topic of topics) {
+          for (const type of types) {
+            const cell = { type, language, level, challengeMode, topic };
+            cells.push({ id: cellId(cell), ...cell });
+          }
+        }
+      }
+    }
+  }
+  if (cells.length > MAX_CELLS) throw new Error(`Matrix expands to ${cells.length} cells (max ${MAX_CELLS})`);
+  return { cells, target };
+}
+
+/**
+ * Create the pre-generation runner (one run at a time)
+ * @param {object} options
+ * @param {string} options.stateFile - Where progress is persisted
+ * @param {string[]} options.allowedTypes
+ * @param {(cell: object, need: number) => Promise<void>} options.generateBatch - Generate up to `need` items for a cell and add them to its pool
+ * @param {(status: object, cell: object|null) => void} [options.onProgress] - Called after each batch and when the run ends
+ */
+export function createPregenerator({ stateFile, allowedTypes, generateBatch, onProgress = () => {} }) {
+  let run = null;
+
+  // Writes are chained so workers finishing together do not interleave
+  let saving = Promise.resolve();
+  const saveState = (state) => {
+    state.updatedAt = new Date().toISOString();
+    const snapshot = JSON.parse(JSON.stringify(state));
+    saving = saving.then(async () => {
+      await fs.mkdir(path.dirname(stateFile), { recursive: true });
+      await writeJson(stateFile, snapshot);
+    }).catch((e) => log.warn('[PREGEN] Failed to save state:', e?.message));
+    return saving;
+  };
+
+  const summarize = (state) => {
+    const cells = Object.values(state?.cells || {});
+    const count = (status) => cells.filter(c => c.status === status).length;
+    return {
+      running: !!run && !run.finished,
+      stopping: !!run?.stopping,
+      startedAt: state?.startedAt || null,
+      finishedAt: state?.finishedAt || null,
+      target: state?.target || null,
+      concurrency: state?.concurrency || null,
+      total: cells.length,
+      done: count('done'),
+      failed: count('failed'),
+      inProgress: count('running'),
+      pending: count('pending'),
+      generated: cells.reduce((n, c) => n + (c.generated || 0), 0),
+      cells
+    };
+  };
+
+  const bucketSize = async (layout, cell) => {
+    const bucket = await layout.store.get('exercise_buckets', makeBucketKey({ type: cell.type, language: cell.language, level: cell.level, challengeMode: cell.challengeMode, grammarTopic: cell.topic }));
+    return Array.isArray(bucket) ? bucket.length : 0;
+  };
+
+  async function fillCell(layout, state, cell) {
+    const rec = state.cells[cell.id];
+    let size = await bucketSize(layout, cell);
+    rec.size = size;
+    rec.status = 'running';
+    let stalls = 0;
+    while (!run.stopping && size < state.target && stalls < PREGENERATION_DEFAULTS.maxStalls) {
+      try {
+        await generateBatch(cell, state.target - size);
+        rec.error = null;
+      } catch (e) {
+        rec.error = e?.message || String(e);
+        // Rate limits pause this worker instead of counting against the cell
+        if (e?.name === 'RateLimitError') {
+          const waitMs = Math.min(PREGENERATION_DEFAULTS.maxRateLimitWaitMs, Math.max(1000, Number(e.rateLimit?.retry_after_seconds || 10) * 1000));
+          log.warn(`[PREGEN] Rate limited on ${cell.id}; waiting ${Math.round(waitMs / 1000)}s`);
+          await sleep(waitMs);
+          continue;
+        }
+        log.warn(`[PREGEN] ${cell.id}: ${rec.error}`);
+      }
+      const next = await bucketSize(layout, cell);
+      rec.batches = (rec.batches || 0) + 1;
+      rec.generated = (rec.generated || 0) + Math.max(0, next - size);
+      stalls = next > size ? 0 : stalls + 1;
+      size = next;
+      rec.size = size;
+      if (size >= state.target) rec.status = 'done';
+      await saveState(state);
+      onProgress(summarize(state), rec);
+    }
+    rec.status = size >= state.target ? 'done' : run.stopping ? 'pending' : 'failed';
+    if (rec.status === 'failed' && !rec.error) rec.error = `No new items after ${stalls} batches (duplicates or bucket cap)`;
+    await saveState(state);
+  }
+
+  return {
+    /**
+     * Start a run in the background
+     * @param {object} layout - From ensureCacheLayout
+     * @param {object} matrix
+     * @param {object} [options]
+     * @param {number} [options.target] - Overrides matrix.target
+     * @param {number} [options.concurrency]
+     * @param {boolean} [options.restart] - Ignore progress saved for the same matrix
+     * @returns {Promise<object>} Status at start
+     */
+    async start(layout, matrix, { target, concurrency, restart = false } = {}) {
+      if (run && !run.finished) throw new Error('Pre-generation is already running');
+      const expanded = expandPregenerationMatrix({ ...matrix, ...(target ? { target } : {}) }, allowedTypes);
+      const workers = Math.max(1, Math.min(16, Math.floor(Number(concurrency) || PREGENERATION_DEFAULTS.concurrency)));
+      const matrixSha = sha256Hex(JSON.stringify({ cells: expanded.cells.map(c => c.id), target: expanded.target }));
+      const previous = restart ? null : await readJson(stateFile, null);
+      const resume = previous && previous.matrixSha === matrixSha;
+      const state = {
+        matrixSha,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        target: expanded.target,
+        concurrency: workers,
+        cells: {}
+      };
+      for (const cell of expanded.cells) {
+        const prev = resume ? previous.cells?.[cell.id] : null;
+        state.cells[cell.id] = prev?.status === 'done'
+          ? prev
+          : { ...cell, status: 'pending', size: prev?.size || 0, generated: prev?.generated || 0, batches: prev?.batches || 0, error: null };
+      }
+      if (resume) log.info(`[PREGEN] Resuming: ${Object.values(state.cells).filter(c => c.status === 'done').length}/${expanded.cells.length} cells already done`);
+      await saveState(state);
+
+      const queue = expanded.cells.filter(c => state.cells[c.id].status !== 'done');
+      run = { state, stopping: false, finished: false };
+      const current = run;
+      const worker = async () => {
+        while (!current.stopping && queue.length > 0) {
+          const cell = queue.shift();
+          try {
+            await fillCell(layout, state, cell);
+          } catch (e) {
+            state.cells[cell.id].status = 'failed';
+            state.cells[cell.id].error = e?.message || String(e);
+          }
+        }
+      };
+      current.promise = Promise.all(Array.from({ length: workers }, worker)).then(async () => {
+        state.finishedAt = new Date().toISOString();
+        current.finished = true;
+        await saveState(state);
+        onProgress(summarize(state), null);
+        return summarize(state);
+      });
+      return summarize(state);
+    },
+
+    // Let the cells in progress finish their current batch, then stop
+    stop() {
+      if (!run || run.finished) return false;
+      run.stopping = true;
+      return true;
+    },
+
+    /**
+     * Current run, or the last saved state when nothing ran since startup
+     * @returns {Promise<object>}
+     */
+    async status() {
+      if (run) return summarize(run.state);
+      return summarize(await readJson(stateFile, null));
+    },
+
+    // Resolves with the final status once the current run has finished
+    whenIdle() {
+      return run?.promise || Promise.resolve(null);
+    }
+  };
+}
@@ -0,0 +1,115 @@
+/**
+ * Per-provider circuit breaker used by the LLM fallback chain.
+ *
+ * States:
+ * - closed: requests flow normally; consecutive failures are counted
+ * - open: the provider is skipped until `openUntil` (after `threshold` failures, or a 429 with a reset time)
+ * - half_open: the cooldown elapsed; a single trial request is allowed and decides the next state
+ */
+
+/**
+ * Whether an upstream error should move on to the next provider in the chain.
+ * Rate limits, 5xx, timeouts, network failures and missing credentials are provider-health problems;
+ * other 4xx responses usually mean the request itself is bad and would fail everywhere.
+ * @param {Error} err
+ * @returns {boolean}
+ */
+export function isFallbackWorthyError(err) {
+  if (!err) return false;
+  if (err.name === 'RateLimitError') return true;
+  const status = Number(err.httpStatus);
+  if (!Number.isFinite(status)) return true; // network error, missing key, unsupported provider
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Create a circuit breaker keyed by provider id
+ * @param {object} [options]
+ * @param {number} [options.threshold=3] - Consecutive failures before the circuit opens
+ * @param {number} [options.cooldownMs=60000] - How long an open circuit stays open
+ * @param {number} [options.maxRateLimitCooldownMs=600000] - Cap for cooldowns derived from 429 reset times
+ */
+export function createCircuitBreaker({ threshold = 3, cooldownMs = 60_000, maxRateLimitCooldownMs = 600_000 } = {}) {
+  const states = new Map();
+
+  const stateFor = (id) => {
+    if (!states.has(id)) {
+      states.set(id, { failures: 0, openUntil: 0, halfOpenInFlight: false, lastError: null, lastFailureAt: null, lastSuccessAt: null, totalFailures: 0, totalSuccesses: 0 });
+    }
+    return states.get(id);
+  };
+
+  const statusOf = (st, now = Date.now()) => {
+    if (st.openUntil > now) return 'open';
+    if (st.openUntil > 0) return 'half_open';
+    return 'closed';
+  };
+
+  return {
+    /**
+     * Whether a request may be sent to the provider now. In half-open state only one trial is let through.
+     */
+    canRequest(id) {
+      const st = stateFor(id);
+      const status = statusOf(st);
+      if (status === 'open') return false;
+      if (status === 'half_open') {
+        if (st.halfOpenInFlight) return false;
+        st.halfOpenInFlight = true;
+      }
+      return true;
+    },
+    recordSuccess(id) {
+      const st = stateFor(id);
+      st.failures = 0;
+      st.openUntil = 0;
+      st.halfOpenInFlight = false;
+      st.lastSuccessAt = new Date().toISOString();
+      st.totalSuccesses += 1;
+    },
+    recordFailure(id, err) {
+      const st = stateFor(id);
+      const now = Date.now();
+      const wasHalfOpen = statusOf(st, now) === 'half_open';
+      st.failures += 1;
+      st.totalFailures += 1;
+      st.halfOpenInFlight = false;
+      st.lastError = String(err?.message || err || 'unknown error').slice(0, 300);
+      st.lastFailureAt = new Date(now).toISOString();
+      // A rate limit with a known reset opens the circuit until that reset
+      const retryAfter = Number(err?.rateLimit?.retry_after_seconds);
+      if (err?.name === 'RateLimitError' && Number.isFinite(retryAfter) && retryAfter > 0) {
+        st.openUntil = now + Math.min(retryAfter * 1000, maxRateLimitCooldownMs);
+        return;
+      }
+      if (wasHalfOpen || st.failures >= threshold) {
+        st.openUntil = now + cooldownMs;
+      }
+    },
+    // The request never reached the provider (e.g. cancelled while queued); let another trial through
+    releaseTrial(id) {
+      stateFor(id).halfOpenInFlight = false;
+    },
+    reset(id) {
+      if (id) states.delete(id);
+      else states.clear();
+    },
+    snapshot() {
+      const now = Date.now();
+      const out = {};
+      for (const [id, st] of states.entries()) {
+        out[id] = {
+          status: statusOf(st, now),
+          consecutiveFailures: st.failures,
+          openUntil: st.openUntil > now ? new Date(st.openUntil).toISOString() : null,
+          lastError: st.lastError,
+          lastFailureAt: st.lastFailureAt,
+          lastSuccessAt: st.lastSuccessAt,
+          totalFailures: st.totalFailures,
+          totalSuccesses: st.totalSuccesses
+        };
+      }
+      return out;
+    }
+  };
+}
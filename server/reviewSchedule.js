@@ -0,0 +1,101 @@
+/**
+ * SM-2 spaced-repetition scheduling for review cards built from missed exercise items.
+ *
+ * A card points at a cached exercise (`exerciseSha`) and, for blank-based exercises, at one blank (`part`).
+ * Kinds use the Orchestrator type keys so the client can replay cards without a mapping table.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE = 1.3;
+const DEFAULT_EASE = 2.5;
+
+// Orchestrator type key -> whether cards address a single blank
+export const REVIEW_KINDS = {
+  fib: { perBlank: true },
+  mcq: { perBlank: false },
+  cloze: { perBlank: true },
+  clozeMix: { perBlank: true },
+  error: { perBlank: false },
+  rewrite: { perBlank: false }
+};
+
+/**
+ * Stable card id for an exercise (and blank)
+ * @param {string} kind
+ * @param {string} exerciseSha
+ * @param {number|null} part
+ * @returns {string}
+ */
+export function makeCardId(kind, exerciseSha, part = null) {
+  return part === null || part === undefined ? `${kind}:${exerciseSha}` : `${kind}:${exerciseSha}:${part}`;
+}
+
+/**
+ * Apply one SM-2 review to a card
+ * @param {object} card - { ease, interval (days), repetitions, lapses }
+ * @param {number} quality - 0..5 (below 3 counts as a lapse)
+ * @param {number} [now=Date.now()]
+ * @returns {object} Updated card (new object)
+ */
+export function applyReview(card, quality, now = Date.now()) {
+  const q = Math.max(0, Math.min(5, Math.round(Number(quality) || 0)));
+  let ease = Number.isFinite(card?.ease) ? card.ease : DEFAULT_EASE;
+  let interval = Number.isFinite(card?.interval) ? card.interval : 0;
+  let repetitions = Number.isFinite(card?.repetitions) ? card.repetitions : 0;
+  let lapses = Number.isFinite(card?.lapses) ? card.lapses : 0;
+
+  if (q < 3) {
+    repetitions = 0;
+    interval = 1;
+    lapses += 1;
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) interval = 1;
+    else if (repetitions === 2) interval = 6;
+    else interval = Math.round(interval * ease);
+  }
+  ease = Math.max(MIN_EASE, ease + 0.1 - (5 - q) * (0.08 + (5 - q) * 0.02));
+
+  return {
+    ...card,
+    ease: Math.round(ease * 100) / 100,
+    interval,
+    repetitions,
+    lapses,
+    lastQuality: q,
+    lastReviewedAt: new Date(now).toISOString(),
+    due: new Date(now + interval * DAY_MS).toISOString()
+  };
+}
+
+/**
+ * New card for a missed item; the miss itself counts as the first (failed) review
+ * @param {object} input - { kind, exerciseSha, part, topic, language, level, challengeMode }
+ * @param {number} [now=Date.now()]
+ */
+export function createCard({ kind, exerciseSha, part = null, topic = '', language = '', level = '', challengeMode = false }, now = Date.now()) {
+  const base = {
+    id: makeCardId(kind, exerciseSha, part),
+    kind,
+    exerciseSha,
+    part,
+    topic,
+    language,
+    level,
+    challengeMode: !!challengeMode,
+    createdAt: new Date(now).toISOString(),
+    ease: DEFAULT_EASE,
+    interval: 0,
+    repetitions: 0,
+    lapses: 0
+  };
+  return applyReview(base, 1, now);
+}
+
+/**
+ * Whether a card is due at `now`
+ */
+export function isDue(card, now = Date.now()) {
+  const due = Date.parse(card?.due || '');
+  return Number.isFinite(due) && due <= now;
+}
@@ -0,0 +1,135 @@
+/**
+ * Minimal JSON Schema validator for LLM payloads.
+ *
+ * Covers the keywords our exercise/base-text schemas use: type (single or array), enum, const,
+ * properties, required, additionalProperties, items, min/maxItems, min/maxLength, minimum/maximum,
+ * anyOf/oneOf/allOf. Unknown keywords are ignored.
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'string': return typeof value === 'string';
+    case 'boolean': return typeof value === 'boolean';
+    default: return true;
+  }
+}
+
+function formatPath(path) {
+  return path || '(root)';
+}
+
+function validateNode(value, schema, path, errors) {
+  if (!schema || typeof schema !== 'object') return;
+  const push = (message) => errors.push({ path: formatPath(path), message });
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      push(`expected ${types.join(' | ')}, got ${typeOf(value)}`);
+      return; // further checks would only add noise
+    }
+  }
+  // Nullable enums (type: ['string','null'] + enum without null) are common in our schemas;
+  // treat null as allowed when the declared type permits it.
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    const nullAllowed = value === null && Array.isArray(schema.type) && schema.type.includes('null');
+    if (!nullAllowed) push(`must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    push(`must equal ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (Number.isFinite(schema.minLength) && value.length < schema.minLength) push(`must be at least ${schema.minLength} characters`);
+    if (Number.isFinite(schema.maxLength) && value.length > schema.maxLength) push(`must be at most ${schema.maxLength} characters`);
+  }
+  if (typeof value === 'number') {
+    if (Number.isFinite(schema.minimum) && value < schema.minimum) push(`must be >= ${schema.minimum}`);
+    if (Number.isFinite(schema.maximum) && value > schema.maximum) push(`must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (Number.isFinite(schema.minItems) && value.length < schema.minItems) push(`must contain at least ${schema.minItems} items`);
+    if (Number.isFinite(schema.maxItems) && value.length > schema.maxItems) push(`must contain at most ${schema.maxItems} items`);
+    if (schema.items && typeof schema.items === 'object') {
+      value.forEach((el, i) => validateNode(el, schema.items, `${path}[${i}]`, errors));
+    }
+  }
+
+  if (matchesType(value, 'object')) {
+    const props = schema.properties && typeof schema.properties === 'object' ? schema.properties : {};
+    for (const key of Array.isArray(schema.required) ? schema.required : []) {
+      if (value[key] === undefined) errors.push({ path: formatPath(path ? `${path}.${key}` : key), message: 'is required' });
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = path ? `${path}.${key}` : key;
+      if (props[key]) {
+        validateNode(child, props[key], childPath, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath, message: 'is not allowed' });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validateNode(child, schema.additionalProperties, childPath, errors);
+      }
+    }
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    schema.allOf.forEach(sub => validateNode(value, sub, path, errors));
+  }
+  if (Array.isArray(schema.anyOf) && schema.anyOf.length) {
+    const ok = schema.anyOf.some(sub => validateAgainstSchema(value, sub).length === 0);
+    if (!ok) push('does not match any allowed shape (anyOf)');
+  }
+  if (Array.isArray(schema.oneOf) && schema.oneOf.length) {
+    const matches = schema.oneOf.filter(sub => validateAgainstSchema(value, sub).length === 0).length;
+    if (matches !== 1) push(`must match exactly one allowed shape (oneOf), matched ${matches}`);
+  }
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {any} value - Parsed payload
+ * @param {object} schema - JSON Schema (subset, see module doc)
+ * @param {string} [basePath] - Path prefix used in error messages (e.g. 'items[3]')
+ * @returns {Array<{path: string, message: string}>} Empty when valid
+ */
+export function validateAgainstSchema(value, schema, basePath = '') {
+  const errors = [];
+  validateNode(value, schema, basePath, errors);
+  return errors;
+}
+
+/**
+ * Item schema of a `{ items: [...] }` list schema, or null when the schema is not a list payload
+ * @param {object} schema
+ * @returns {object|null}
+ */
+export function getListItemSchema(schema) {
+  const itemsProp = schema?.properties?.items;
+  if (!itemsProp || typeof itemsProp !== 'object') return null;
+  const isArray = itemsProp.type === 'array' || (Array.isArray(itemsProp.type) && itemsProp.type.includes('array'));
+  return isArray && itemsProp.items && typeof itemsProp.items === 'object' ? itemsProp.items : null;
+}
+
+/**
+ * Render validation errors as a short bullet list for logs and repair prompts
+ * @param {Array<{path: string, message: string}>} errors
+ * @param {number} [max=20]
+ * @returns {string}
+ */
+export function formatValidationErrors(errors, max = 20) {
+  const lines = (errors || []).slice(0, max).map(e => `- ${e.path}: ${e.message}`);
+  if ((errors || []).length > max) lines.push(`- ... ${errors.length - max} more`);
+  return lines.join('\n');
+}
@@ -0,0 +1,155 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Usage ledger: one line per LLM or image call and per served batch of content.
+ *
+ * Lines are appended to `<CACHE_DIR>/analytics/usage_ledger.jsonl` and never rewritten. Entry kinds:
+ * - llm: { id, provider, model, type, promptTokens, completionTokens, usd, estimated, latencyMs, ok, error? }
+ * - cost: { id, usd } - price that arrived after its llm line was written (OpenRouter generation lookup)
+ * - image: { provider, model, usd, latencyMs, ok }
+ * - items: { type, cached, generated, shared, source } - how a request (or pre-generation) was served:
+ *   from the cache, by its own LLM call, or by joining an identical generation in flight
+ * Entries carry no user identifiers.
+ */
+
+function ledgerPath(cacheDir) {
+  return path.join(cacheDir, 'analytics', 'usage_ledger.jsonl');
+}
+
+/**
+ * Append an entry
+ * @param {string} cacheDir
+ * @param {{ kind: 'llm'|'cost'|'image'|'items' }} entry
+ */
+export async function appendUsage(cacheDir, entry) {
+  const file = ledgerPath(cacheDir);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.appendFile(file, JSON.stringify({ at: new Date().toISOString(), ...entry }) + '\n', 'utf8');
+}
+
+/**
+ * Load every ledger entry
+ * @param {string} cacheDir
+ * @returns {Promise<object[]>}
+ */
+export async function loadUsage(cacheDir) {
+  let raw = '';
+  try {
+    raw = await fs.readFile(ledgerPath(cacheDir), 'utf8');
+  } catch {
+    return [];
+  }
+  const entries = [];
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (entry && entry.kind) entries.push(entry);
+    } catch {}
+  }
+  return entries;
+}
+
+const roundUsd = (v) => Math.round(v * 1e6) / 1e6;
+
+const emptyRow = () => ({
+  calls: 0, failed: 0, promptTokens: 0, completionTokens: 0, usd: 0, latencyMs: 0, images: 0,
+  cached: 0, generated: 0, shared: 0
+});
+
+function finishRow(key, r) {
+  const served = r.cached + r.generated + r.shared;
+  const tokens = r.promptTokens + r.completionTokens;
+  const out = {
+    key,
+    calls: r.calls,
+    failed: r.failed,
+    images: r.images,
+    promptTokens: r.promptTokens,
+    completionTokens: r.completionTokens,
+    usd: roundUsd(r.usd),
+    avgLatencyMs: r.calls + r.images > 0 ? Math.round(r.latencyMs / (r.calls + r.images)) : null
+  };
+  if (served === 0) return out;
+  // What the cached items would have cost at this key's average price per generated item
+  const usdPerItem = r.generated > 0 ? r.usd / r.generated : null;
+  const tokensPerItem = r.generated > 0 ? tokens / r.generated : null;
+  return {
+    ...out,
+    cached: r.cached,
+    generated: r.generated,
+    shared: r.shared,
+    hitRate: Math.round((r.cached / served) * 1000) / 10,
+    usdPerItem: usdPerItem === null ? null : roundUsd(usdPerItem),
+    savedUsd: usdPerItem === null ? null : roundUsd(usdPerItem * (r.cached + r.shared)),
+    savedTokens: tokensPerItem === null ? null : Math.round(tokensPerItem * (r.cached + r.shared))
+  };
+}
+
+const rowsOf = (map) => Array.from(map.entries()).map(([key, r]) => finishRow(key, r));
+
+/**
+ * Aggregate the ledger by day, model and content type, with what the cache saved per type
+ * @param {object[]} entries
+ * @param {object} [filters]
+ * @param {number} [filters.days] - Only entries from the last N days (0 = all)
+ * @param {string} [filters.type] - Only one content type (e.g. 'mcq', 'explanation', 'image')
+ */
+export function aggregateUsage(entries, { days = 0, type = '' } = {}) {
+  const since = days > 0 ? Date.now() - days * 24 * 60 * 60 * 1000 : 0;
+  // Late prices belong to their call, whenever they were written
+  const lateCost = new Map();
+  for (const e of entries) {
+    if (e.kind === 'cost' && e.id) lateCost.set(e.id, (lateCost.get(e.id) || 0) + (Number(e.usd) || 0));
+  }
+  const byDay = new Map(), byModel = new Map(), byType = new Map();
+  const totals = emptyRow();
+  const rowFor = (map, key) => {
+    if (!map.has(key)) map.set(key, emptyRow());
+    return map.get(key);
+  };
+  for (const e of entries) {
+    if (e.kind === 'cost') continue;
+    const at = Date.parse(e.at || '');
+    if (since && !(at >= since)) continue;
+    const entryType = e.kind === 'image' ? 'image' : String(e.type || 'unknown');
+    if (type && entryType !== type) continue;
+    const rows = [totals, rowFor(byDay, Number.isFinite(at) ? new Date(at).toISOString().slice(0, 10) : 'unknown'), rowFor(byType, entryType)];
+    if (e.kind === 'llm' || e.kind === 'image') rows.push(rowFor(byModel, `${e.provider || 'unknown'}:${e.model || 'unknown'}`));
+    for (const r of rows) {
+      if (e.kind === 'llm') {
+        r.calls++;
+        if (e.ok === false) r.failed++;
+        r.promptTokens += Number(e.promptTokens) || 0;
+        r.completionTokens += Number(e.completionTokens) || 0;
+        r.usd += (Number(e.usd) || 0) + (lateCost.get(e.id) || 0);
+        r.latencyMs += Number(e.latencyMs) || 0;
+      } else if (e.kind === 'image') {
+        r.images++;
+        if (e.ok === false) r.failed++;
+        r.usd += Number(e.usd) || 0;
+        r.latencyMs += Number(e.latencyMs) || 0;
+      } else if (e.kind === 'items') {
+        r.cached += Number(e.cached) || 0;
+        r.generated += Number(e.generated) || 0;
+        r.shared += Number(e.shared) || 0;
+      }
+    }
+  }
+  // Savings are priced per type, so the overall figure is the sum over types
+  const types = rowsOf(byType).sort((a, b) => b.usd - a.usd || String(a.key).localeCompare(String(b.key)));
+  const total = finishRow('total', totals);
+  const saved = types.reduce((acc, r) => ({ usd: acc.usd + (r.savedUsd || 0), tokens: acc.tokens + (r.savedTokens || 0) }), { usd: 0, tokens: 0 });
+  if (total.cached !== undefined) {
+    total.usdPerItem = null;
+    total.savedUsd = roundUsd(saved.usd);
+    total.savedTokens = saved.tokens;
+  }
+  return {
+    totals: total,
+    byDay: rowsOf(byDay).sort((a, b) => String(a.key).localeCompare(String(b.key))),
+    byModel: rowsOf(byModel).sort((a, b) => b.usd - a.usd || b.calls - a.calls),
+    byType: types
+  };
+}
@@ -0,0 +1,304 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { readJson, writeJson, sha256Hex } from './cacheStore.js';
+
+/**
+ * Local accounts, sessions and per-user progress files under `<CACHE_DIR>/users`.
+ *
+ * Layout:
+ * - accounts.json: { users: { [usernameLower]: { id, username, passwordHash, createdAt } } }
+ * - sessions.json: { sessions: { [sha256(token)]: { userId, createdAt, expiresAt } } }
+ * - data/<userId>.json: { seen: { [type_vN]: [sha12...] }, scores: [...], preferences: {...}, onboardingVersion, review: { cards } }
+ *
+ * Session tokens are only returned to the client; the store keeps their SHA-256 so a leaked
+ * sessions.json cannot be replayed. Passwords are hashed with scrypt and a per-user salt.
+ *
+ * accounts.json and sessions.json are read once and kept in memory, since every request resolves its
+ * session; writes go through withLock, update the file first and then the in-memory copy. This process
+ * must be the only writer of both files.
+ */
+
+const USERNAME_RE = /^[a-zA-Z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+const SCRYPT_KEYLEN = 64;
+
+// Preference keys the client may persist; anything else is dropped
+export const PREFERENCE_KEYS = ['language', 'level', 'challengeMode', 'strictAccents', 'partialCredit', 'showAccentBar', 'adaptiveDifficulty', 'exerciseCounts'];
+
+const EMPTY_PROFILE = () => ({ seen: {}, scores: [], preferences: {}, onboardingVersion: null, review: { cards: {} } });
+
+function scryptAsync(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEYLEN, (err, key) => (err ? reject(err) : resolve(key)));
+  });
+}
+
+/**
+ * Hash a password as `scrypt$<saltHex>$<hashHex>`
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scryptAsync(String(password), salt);
+  return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash (constant-time compare)
+ * @param {string} password
+ * @param {string} stored - Value produced by hashPassword
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const key = await scryptAsync(String(password), Buffer.from(saltHex, 'hex'));
+  return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+}
+
+/**
+ * Validate registration input
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateCredentials(username, password) {
+  if (!USERNAME_RE.test(String(username || ''))) return 'Username must be 3-32 characters (letters, digits, . _ -)';
+  const pw = String(password || '');
+  if (pw.length < MIN_PASSWORD_LENGTH) return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  if (pw.length > MAX_PASSWORD_LENGTH) return 'Password is too long';
+  return null;
+}
+
+/**
+ * Keep only known preference keys with primitive (or small object) values
+ * @param {object} input
+ * @returns {object}
+ */
+export function sanitizePreferences(input) {
+  const out = {};
+  if (!input || typeof input !== 'object') return out;
+  for (const key of PREFERENCE_KEYS) {
+    if (!(key in input)) continue;
+    const v = input[key];
+    if (key === 'exerciseCounts') {
+      if (v && typeof v === 'object' && !Array.isArray(v)) {
+        const counts = {};
+        for (const [k, n] of Object.entries(v).slice(0, 20)) {
+          const num = Math.floor(Number(n));
+          if (/^[a-zA-Z_]{1,40}$/.test(k) && Number.isFinite(num) && num > 0) counts[k] = Math.min(num, 50);
+        }
+        out.exerciseCounts = counts;
+      }
+    } else if (typeof v === 'boolean') {
+      out[key] = v;
+    } else if (typeof v === 'string') {
+      out[key] = v.slice(0, 60);
+    }
+  }
+  return out;
+}
+
+/**
+ * Create the user store rooted at `<cacheDir>/users`
+ * @param {string} cacheDir
+ * @param {object} [options]
+ * @param {number} [options.sessionTtlMs] - Session lifetime (default 30 days)
+ * @param {number} [options.maxSeenPerType] - Seen-exercise prefixes kept per type (default 1000)
+ * @param {number} [options.maxScores] - Score entries kept per user (default 500)
+ */
+export function createUserStore(cacheDir, { sessionTtlMs = 30 * 24 * 60 * 60 * 1000, maxSeenPerType = 1000, maxScores = 500 } = {}) {
+  const usersDir = path.join(cacheDir, 'users');
+  const dataDir = path.join(usersDir, 'data');
+  const accountsPath = path.join(usersDir, 'accounts.json');
+  const sessionsPath = path.join(usersDir, 'sessions.json');
+  let ready = null;
+
+  // Serialize read-modify-write cycles per file so parallel requests do not lose updates
+  const locks = new Map();
+  const withLock = (key, fn) => {
+    const prev = locks.get(key) || Promise.resolve();
+    const run = prev.then(fn, fn);
+    const tail = run.catch(() => {});
+    locks.set(key, tail);
+    tail.then(() => { if (locks.get(key) === tail) locks.delete(key); });
+    return run;
+  };
+
+  const ensure = () => {
+    if (!ready) ready = fs.mkdir(dataDir, { recursive: true });
+    return ready;
+  };
+
+  const profilePath = (userId) => path.join(dataDir, `${String(userId).replace(/[^a-f0-9]/g, '')}.json`);
+  const publicUser = (rec) => (rec ? { id: rec.id, username: rec.username, createdAt: rec.createdAt } : null);
+
+  // In-memory copies of accounts.json (plus an id index) and sessions.json, loaded on first use
+  let accounts = null;
+  let sessions = null;
+
+  const loadAccounts = () => {
+    if (!accounts) {
+      accounts = readJson(accountsPath, { users: {} }).then((data) => {
+        const users = data?.users || {};
+        return { users, byId: new Map(Object.values(users).filter(Boolean).map(u => [u.id, u])) };
+      });
+      accounts.catch(() => { accounts = null; });
+    }
+    return accounts;
+  };
+
+  const loadSessions = () => {
+    if (!sessions) {
+      sessions = readJson(sessionsPath, { sessions: {} }).then(data => data?.sessions || {});
+      sessions.catch(() => { sessions = null; });
+    }
+    return sessions;
+  };
+
+  const saveSessions = async (next) => {
+    await writeJson(sessionsPath, { sessions: next });
+    sessions = Promise.resolve(next);
+  };
+
+  const readProfile = async (userId) => {
+    const data = await readJson(profilePath(userId), null);
+    return { ...EMPTY_PROFILE(), ...(data && typeof data === 'object' ? data : {}) };
+  };
+
+  const updateProfile = async (userId, updater) => {
+    await ensure();
+    return withLock(`profile:${userId}`, async () => {
+      const profile = await readProfile(userId);
+      const next = (await updater(profile)) || profile;
+      next.updatedAt = new Date().toISOString();
+      await writeJson(profilePath(userId), next);
+      return next;
+    });
+  };
+
+  return {
+    /**
+     * Create an account. Throws with code 'USER_EXISTS' when the username is taken.
+     * @returns {Promise<{id: string, username: string, createdAt: string}>}
+     */
+    async createUser(username, password) {
+      await ensure();
+      const passwordHash = await hashPassword(password);
+      return withLock('accounts', async () => {
+        const { users, byId } = await loadAccounts();
+        const key = String(username).toLowerCase();
+        if (users[key]) {
+          const err = new Error('Username already taken');
+          err.code = 'USER_EXISTS';
+          throw err;
+        }
+        const rec = { id: crypto.randomBytes(12).toString('hex'), username: String(username), passwordHash, createdAt: new Date().toISOString() };
+        const nextUsers = { ...users, [key]: rec };
+        await writeJson(accountsPath, { users: nextUsers });
+        accounts = Promise.resolve({ users: nextUsers, byId: new Map(byId).set(rec.id, rec) });
+        return publicUser(rec);
+      });
+    },
+
+    /**
+     * Check credentials
+     * @returns {Promise<object|null>} Public user record, or null on mismatch
+     */
+    async authenticate(username, password) {
+      await ensure();
+      const { users } = await loadAccounts();
+      const rec = users[String(username || '').toLowerCase()];
+      if (!rec) {
+        // Spend the same time as a real check so usernames cannot be probed by timing
+        await hashPassword(password);
+        return null;
+      }
+      return (await verifyPassword(password, rec.passwordHash)) ? publicUser(rec) : null;
+    },
+
+    /**
+     * Start a session and return its bearer token
+     * @returns {Promise<{token: string, expiresAt: string}>}
+     */
+    async createSession(userId) {
+      await ensure();
+      const token = crypto.randomBytes(32).toString('hex');
+      const now = Date.now();
+      const expiresAt = new Date(now + sessionTtlMs).toISOString();
+      await withLock('sessions', async () => {
+        const next = {};
+        // Drop expired sessions while we are rewriting the file anyway
+        for (const [k, s] of Object.entries(await loadSessions())) {
+          if (s && Date.parse(s.expiresAt) > now) next[k] = s;
+        }
+        next[sha256Hex(token)] = { userId, createdAt: new Date(now).toISOString(), expiresAt };
+        await saveSessions(next);
+      });
+      return { token, expiresAt };
+    },
+
+    /**
+     * Resolve a session token to its user
+     * @returns {Promise<object|null>}
+     */
+    async getSessionUser(token) {
+      if (!token || typeof token !== 'string') return null;
+      const session = (await loadSessions())[sha256Hex(token)];
+      if (!session || !(Date.parse(session.expiresAt) > Date.now())) return null;
+      return publicUser((await loadAccounts()).byId.get(session.userId));
+    },
+
+    async deleteSession(token) {
+      if (!token || typeof token !== 'string') return;
+      await ensure();
+      await withLock('sessions', async () => {
+        const current = await loadSessions();
+        const key = sha256Hex(token);
+        if (!current[key]) return;
+        const next = { ...current };
+        delete next[key];
+        await saveSessions(next);
+      });
+    },
+
+    readProfile,
+    updateProfile,
+
+    /**
+     * Seen exercise sha prefixes for a `<type>_v<schemaVersion>` key
+     * @returns {Promise<string[]>}
+     */
+    async getSeen(userId, seenKey) {
+      const profile = await readProfile(userId);
+      return Array.isArray(profile.seen?.[seenKey]) ? profile.seen[seenKey] : [];
+    },
+
+    async addSeen(userId, seenKey, prefixes) {
+      if (!Array.isArray(prefixes) || prefixes.length === 0) return;
+      await updateProfile(userId, (profile) => {
+        const prev = Array.isArray(profile.seen?.[seenKey]) ? profile.seen[seenKey] : [];
+        // Re-append already seen prefixes so the most recent ones survive trimming
+        const merged = [...prev.filter(p => !prefixes.includes(p)), ...prefixes];
+        profile.seen = { ...(profile.seen || {}), [seenKey]: merged.slice(-maxSeenPerType) };
+        return profile;
+      });
+    },
+
+    /**
+     * Append a score entry. Entries with a sessionId replace an earlier entry of the same session,
+     * level and challenge mode, so re-checking a lesson does not count twice.
+     */
+    async addScore(userId, entry) {
+      const profile = await updateProfile(userId, (p) => {
+        const prev = Array.isArray(p.scores) ? p.scores : [];
+        const same = (s) => entry.sessionId && s.sessionId === entry.sessionId && s.level === entry.level && !!s.challengeMode === !!entry.challengeMode;
+        p.scores = [...prev.filter(s => !same(s)), entry].slice(-maxScores);
+        return p;
+      });
+      return profile.scores;
+    }
+  };
+}
@@ -2,7 +2,7 @@ import React, { useState, useEffect, useRef } from 'react';
 import { BookOpen, Send, Check, X, RefreshCw, HelpCircle, Lightbulb, Info, ChevronRight, Globe, GraduationCap } from 'lucide-react';
 import Joyride, { STATUS } from 'react-joyride';
 import { schemaVersions } from '../shared/schemaVersions.js';
-import Orchestrator, { scoreLesson, generateLesson } from './exercises/Orchestrator.jsx';
+import Orchestrator, { scoreLesson, scoreLessonByType, generateLesson, collectReviewMisses, ReviewSession, gradeLessonAnswers, withAcceptedAnswer } from './exercises/Orchestrator.jsx';
 import { scoreFIB, generateFIB } from './exercises/FIBExercise.jsx';
 import { scoreMCQ, generateMCQ } from './exercises/MCQExercise.jsx';
 import { scoreCloze, generateCloze } from './exercises/ClozeExercise.jsx';
@@ -13,12 +13,14 @@ import { generateWritingPrompts } from './exercises/WritingPromptExercise.jsx';
 import { generateReading } from './exercises/ReadingExercise.jsx';
 import { generateRewriting } from './exercises/RewritingExercise.jsx';
 import { normalizeText as normalizeTextUtil } from './exercises/utils.js';
+import { createAnswerMatcher } from './exercises/answerMatcher.js';
 import { generateErrorBundles } from './exercises/ErrorBundleExercise.jsx';
 import LanguageLevelSelector from './LanguageLevelSelector.jsx';
 import PDFExport from './components/PDFExport.jsx';
 import useBaseText from './hooks/useBaseText.js';
+import { recordAttempt, historyFromScores, decideAdjustment } from './exercises/adaptiveDifficulty.js';
 
-const AIPracticeApp = () => {
+const AIPracticeApp = ({ account = null }) => {
   // Language and level context
   const [languageContext, setLanguageContext] = useState(null);
   
@@ -36,6 +38,7 @@ const AIPracticeApp = () => {
   const [visibleHints, setVisibleHints] = useState({});
   const [showContext, setShowContext] = useState({});
   const [strictAccents, setStrictAccents] = useState(true);
+  const [partialCredit, setPartialCredit] = useState(true);
   const [showAccentBar, setShowAccentBar] = useState(false);
   const [lastFocusedInput, setLastFocusedInput] = useState(null);
   const [lesson, setLesson] = useState(null);
@@ -56,6 +59,37 @@ const AIPracticeApp = () => {
   const [readingCount, setReadingCount] = useState(1);
   const [rewritingCount, setRewritingCount] = useState(5);
   const [errorBundleCount, setErrorBundleCount] = useState(4);
+
+  // Exercise counts are saved as preferences for signed-in users
+  const countsLoadedRef = useRef(false);
+  useEffect(() => {
+    if (!account?.user) { countsLoadedRef.current = false; return; }
+    if (!account.progress || countsLoadedRef.current) return;
+    countsLoadedRef.current = true;
+    const c = account.progress.preferences?.exerciseCounts || {};
+    if (c.fib) setExerciseCount(c.fib);
+    if (c.mcq) setMcqCount(c.mcq);
+    if (c.cloze) setClozeCount(c.cloze);
+    if (c.cloze_mixed) setClozeMixCount(c.cloze_mixed);
+    if (c.guided_dialogues) setDialogueCount(c.guided_dialogues);
+    if (c.writing_prompts) setWritingCount(c.writing_prompts);
+    if (c.reading) setReadingCount(c.reading);
+    if (c.rewriting) setRewritingCount(c.rewriting);
+    if (c.error_bundle) setErrorBundleCount(c.error_bundle);
+  }, [account?.user, account?.progress]);
+  useEffect(() => {
+    if (!account?.user || !countsLoadedRef.current) return;
+    const t = setTimeout(() => {
+      account.savePreferences({
+        exerciseCounts: {
+          fib: Number(exerciseCount), mcq: Number(mcqCount), cloze: Number(clozeCount), cloze_mixed: Number(clozeMixCount),
+          guided_dialogues: Number(dialogueCount), writing_prompts: Number(writingCount), reading: Number(readingCount),
+          rewriting: Number(rewritingCount), error_bundle: Number(errorBundleCount)
+        }
+      });
+    }, 1000);
+    return () => clearTimeout(t);
+  }, [exerciseCount, mcqCount, clozeCount, clozeMixCount, dialogueCount, writingCount, readingCount, rewritingCount, errorBundleCount]);
   const { fetchBaseText } = useBaseText();
   const [readingBaseText, setReadingBaseText] = useState(null);
   const [readingChapterCursor, setReadingChapterCursor] = useState(0);
@@ -87,6 +121,38 @@ const AIPracticeApp = () => {
   const [isPreTourRunning, setIsPreTourRunning] = useState(false);
   const [isPostTourRunning, setIsPostTourRunning] = useState(false);
   const [isHelpOpen, setIsHelpOpen] = useState(false);
+  const [reviewOpen, setReviewOpen] = useState(false);
+  // One analytics session per lesson topic; re-checking answers updates the same session.
+  // The session remembers the level it started at, and an adaptive change does not start a new one.
+  const analyticsSessionRef = useRef(null);
+  const sessionSettingRef = useRef(null);
+  const keepSessionRef = useRef(false);
+  const adjustedSessionRef = useRef(null);
+  useEffect(() => {
+    if (keepSessionRef.current) { keepSessionRef.current = false; return; }
+    analyticsSessionRef.current = null;
+    sessionSettingRef.current = null;
+  }, [lesson?.topic, languageContext]);
+  const ensureSession = () => {
+    if (!analyticsSessionRef.current) {
+      analyticsSessionRef.current = (typeof crypto !== 'undefined' && crypto.randomUUID)
+        ? crypto.randomUUID()
+        : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+      sessionSettingRef.current = { level: languageContext?.level, challengeMode: !!languageContext?.challengeMode };
+    }
+    return { sessionId: analyticsSessionRef.current, ...sessionSettingRef.current };
+  };
+
+  // Adaptive difficulty: rolling accuracy per topic (seeded from the account's score history)
+  const [adaptiveHistory, setAdaptiveHistory] = useState({});
+  const [difficultyNotice, setDifficultyNotice] = useState(null);
+  const historySeededRef = useRef(false);
+  useEffect(() => {
+    if (!account?.user) { historySeededRef.current = false; return; }
+    if (!account.progress || historySeededRef.current) return;
+    historySeededRef.current = true;
+    setAdaptiveHistory(historyFromScores(account.progress.scores));
+  }, [account?.user, account?.progress]);
   const ONBOARDING_VERSION = String(schemaVersions?.onboarding ?? 1);
   const ONBOARDING_COOKIE_NAME = 'onboarding_version';
 
@@ -102,6 +168,9 @@ const AIPracticeApp = () => {
   };
 
   const hasSeenOnboarding = () => {
+    // Wait for the account to load so signed-in users are not shown the tour again on a new device
+    if (account?.loading) return true;
+    if (account?.user && account.progress?.onboardingVersion === ONBOARDING_VERSION) return true;
     const v = getCookie(ONBOARDING_COOKIE_NAME);
     // Support legacy string format like 'v1'
     if (v && v.startsWith('v')) return v.substring(1) === ONBOARDING_VERSION;
@@ -175,7 +244,7 @@ const AIPracticeApp = () => {
       const t = setTimeout(() => setIsPreTourRunning(true), 300);
       return () => clearTimeout(t);
     }
-  }, [languageContext]);
+  }, [languageContext, account?.loading, account?.user]);
 
   useEffect(() => {
     // Stop pre-tour if we left the selection page
@@ -190,13 +259,14 @@ const AIPracticeApp = () => {
       const t = setTimeout(() => setIsPostTourRunning(true), 300);
       return () => clearTimeout(t);
     }
-  }, [lesson]);
+  }, [lesson, account?.loading]);
 
   const handlePostJoyrideCallback = (data) => {
     const { status } = data;
     if (status === STATUS.FINISHED || status === STATUS.SKIPPED) {
       // Store as plain number string to simplify future comparisons
       setCookie(ONBOARDING_COOKIE_NAME, ONBOARDING_VERSION, 365);
+      account?.saveOnboarding(ONBOARDING_VERSION);
       setIsPostTourRunning(false);
     }
   };
@@ -221,11 +291,24 @@ const AIPracticeApp = () => {
   const handleLanguageLevelStart = async (context) => {
     setLanguageContext(context);
     setTopic(context.topic || '');
+    account?.savePreferences({
+      language: context.language,
+      level: context.level,
+      challengeMode: !!context.challengeMode,
+      strictAccents: context.strictAccents !== false,
+      partialCredit: context.partialCredit !== false,
+      showAccentBar: !!context.showAccentBar,
+      adaptiveDifficulty: context.adaptiveDifficulty !== false
+    });
+    setDifficultyNotice(null);
     
     // Set accent settings from context
     if (context.strictAccents !== undefined) {
       setStrictAccents(context.strictAccents);
     }
+    if (context.partialCredit !== undefined) {
+      setPartialCredit(context.partialCredit);
+    }
     if (context.showAccentBar !== undefined) {
       setShowAccentBar(context.showAccentBar);
     }
@@ -249,6 +332,9 @@ const AIPracticeApp = () => {
       setLoadingLesson(false);
       try {
         const final = await generateExplanationStream(context.topic, context, (evt) => {
+          if (evt?.type === 'queued') {
+            setLesson(prev => prev ? ({ ...prev, explanation: { ...prev.explanation, title: `Waiting for the model (position ${evt.position} in queue)...` } }) : prev);
+          }
           if (evt?.type === 'delta' || evt?.type === 'prefill') {
             setLesson(prev => prev ? ({ ...prev, explanation: evt.explanation || { title: evt.title || prev.explanation?.title || `Generating “${context.topic}”...`, content_markdown: (prev.explanation?.content_markdown || '') + (evt.text || '') } }) : prev);
           }
@@ -556,9 +642,11 @@ const AIPracticeApp = () => {
           onChange={(key, val) => setOrchestratorValues(prev => ({ ...prev, [key]: val }))}
           checked={submitted}
           strictAccents={strictAccents}
+          partialCredit={partialCredit}
           idBase="lesson"
           onFocusKey={(k) => setLastFocusedInput(k)}
           renderGenerationControls={renderGenerationControls}
+          onAcceptAnswer={(type, idx, part, answer) => setLesson(prev => withAcceptedAnswer(prev, type, idx, part, answer))}
         />
       </div>
     )
@@ -620,6 +708,9 @@ const AIPracticeApp = () => {
       // Hide the spinner now that lesson shell is visible
       setLoadingLesson(false);
       const final = await generateExplanationStream(topicToUse, languageContext, (evt) => {
+        if (evt?.type === 'queued') {
+          setLesson(prev => prev ? ({ ...prev, explanation: { ...prev.explanation, title: `Waiting for the model (position ${evt.position} in queue)...` } }) : prev);
+        }
         if (evt?.type === 'delta' || evt?.type === 'prefill') {
           setLesson(prev => prev ? ({ ...prev, explanation: evt.explanation || { title: evt.title || prev.explanation?.title || `Generating “${topicToUse}”...`, content_markdown: (prev.explanation?.content_markdown || '') + (evt.text || '') } }) : prev);
         }
@@ -684,6 +775,9 @@ const AIPracticeApp = () => {
       if (!lesson) setLesson(ensureLessonSkeleton());
       mergeLesson({ topic, explanation: { title: `Generating “${topic}”...`, content_markdown: '' } });
       const final = await generateExplanationStream(topic, languageContext, (evt) => {
+        if (evt?.type === 'queued') {
+          setLesson(prev => prev ? ({ ...prev, explanation: { ...prev.explanation, title: `Waiting for the model (position ${evt.position} in queue)...` } }) : prev);
+        }
         if (evt?.type === 'delta' || evt?.type === 'prefill') {
           setLesson(prev => prev ? ({ ...prev, explanation: evt.explanation || { title: evt.title || prev.explanation?.title || `Generating “${topic}”...`, content_markdown: (prev.explanation?.content_markdown || '') + (evt.text || '') } }) : prev);
         }
@@ -1163,18 +1257,118 @@ const AIPracticeApp = () => {
     finally { setLoadingRewritingOnly(false); }
   };
 
-  const checkAnswers = () => {
+  // Move the next generations to another level / challenge setting. Base texts are dropped so they are
+  // fetched again at the new level; the current lesson session keeps the setting it started with.
+  const applyDifficulty = (level, challengeMode) => {
+    keepSessionRef.current = true;
+    setLanguageContext(prev => prev ? ({ ...prev, level, challengeMode }) : prev);
+    setReadingBaseText(null);
+    setErrorBundleBaseText(null);
+    account?.savePreferences({ level, challengeMode });
+  };
+
+  const undoDifficultyChange = () => {
+    if (!difficultyNotice) return;
+    applyDifficulty(difficultyNotice.from.level, difficultyNotice.from.challengeMode);
+    setDifficultyNotice(null);
+  };
+
+  // Grade open-ended answers (POST /api/grade/writing and /api/grade/dialogue) and resolve to the values including the grades
+  const gradeOpenAnswers = async () => {
+    if (!lesson) return orchestratorValues;
+    const context = {
+      language: languageContext?.language || 'es',
+      level: languageContext?.level || 'B1',
+      challengeMode: !!languageContext?.challengeMode,
+      topic: topic || lesson.topic || ''
+    };
+    return gradeLessonAnswers(lesson, orchestratorValues, context, (itemKey, gradeKey, grade) => {
+      setOrchestratorValues(prev => ({ ...prev, [itemKey]: { ...(prev[itemKey] || {}), [gradeKey]: grade } }));
+    });
+  };
+
+  const checkAnswers = async () => {
     setSubmitted(true);
-    generateRecommendation();
+    const values = await gradeOpenAnswers();
+    generateRecommendation(values);
+    // Keep a score history for signed-in users and adapt the difficulty of the next exercises
+    try {
+      const score = getScore(values);
+      if (score.total > 0) {
+        const session = ensureSession();
+        const lessonTopic = topic || lesson?.topic || '';
+        const attempt = {
+          sessionId: session.sessionId,
+          topic: lessonTopic,
+          language: languageContext?.language,
+          level: session.level,
+          challengeMode: session.challengeMode,
+          correct: score.correct,
+          total: score.total
+        };
+        account?.recordScore(attempt);
+        const history = recordAttempt(adaptiveHistory, attempt);
+        setAdaptiveHistory(history);
+        // At most one change per lesson session, judged at the setting the session started with
+        if (languageContext?.adaptiveDifficulty !== false && adjustedSessionRef.current !== session.sessionId) {
+          const from = { level: session.level, challengeMode: session.challengeMode };
+          const change = decideAdjustment(history, lessonTopic, from);
+          if (change) {
+            adjustedSessionRef.current = session.sessionId;
+            applyDifficulty(change.level, change.challengeMode);
+            setDifficultyNotice({ ...change, from });
+          }
+        }
+      }
+    } catch {}
+    // Per-type outcome for the tutor analytics dashboard (no personal data for anonymous learners)
+    if (lesson) {
+      try {
+        const byType = scoreLessonByType(lesson, values, strictAccents, partialCredit);
+        if (Object.values(byType).some(s => s.total > 0)) {
+          const session = ensureSession();
+          fetch('/api/analytics/lesson', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              sessionId: session.sessionId,
+              language: languageContext?.language,
+              level: session.level,
+              challengeMode: session.challengeMode,
+              topic: topic || lesson.topic || '',
+              byType
+            })
+          }).catch(() => {});
+        }
+      } catch {}
+    }
+    // Missed cached items become spaced-repetition review cards
+    if (account?.user && lesson) {
+      try {
+        const misses = collectReviewMisses(lesson, values, strictAccents, partialCredit);
+        if (misses.length > 0) {
+          const meta = { topic: topic || lesson.topic || '', language: languageContext?.language, level: languageContext?.level, challengeMode: !!languageContext?.challengeMode };
+          fetch('/api/review/cards', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ cards: misses.map(m => ({ ...m, ...meta })) })
+          }).catch(() => {});
+        }
+      } catch {}
+    }
+  };
+
+  const recheckAnswers = async () => {
+    generateRecommendation(await gradeOpenAnswers());
   };
 
   const checkSection = (key) => {
     setSectionSubmitted(prev => ({ ...prev, [key]: true }));
   };
 
-  const getScore = () => {
+  const getScore = (values = orchestratorValues) => {
     if (lesson) {
-      return scoreLesson(lesson, orchestratorValues, strictAccents);
+      return scoreLesson(lesson, values, strictAccents, partialCredit);
     }
     // fallback: legacy FIB only
     let totalBlanks = 0;
@@ -1263,21 +1457,22 @@ const AIPracticeApp = () => {
     }
   };
 
-  const generateRecommendation = async () => {
+  const generateRecommendation = async (values = orchestratorValues) => {
     setLoadingRecommendation(true);
-    const score = getScore();
+    const score = getScore(values);
     const percentage = score.total > 0 ? (score.correct / score.total) * 100 : 0;
     const wrongExercises = [];
     if (lesson) {
       const eq = (a, b) => normalizeText(a) === normalizeText(b);
+      const match = createAnswerMatcher({ strictAccents, partialCredit });
       const collect = (type, items) => {
         items.forEach((item, idx) => {
           const key = `lesson:${type}:${idx}`;
-          const val = orchestratorValues[key];
+          const val = values[key];
           let s = { correct: 0, total: 0 };
-          if (type === 'fib') s = scoreFIB(item, val || {}, eq);
+          if (type === 'fib') s = scoreFIB(item, val || {}, match);
           if (type === 'mcq') s = scoreMCQ(item, val);
-          if (type === 'cloze') s = scoreCloze(item, val || {}, eq);
+          if (type === 'cloze') s = scoreCloze(item, val || {}, match);
           if (type === 'clozeMix') s = scoreClozeMixed(item, val || {}, eq);
           if (s.correct < s.total) {
             wrongExercises.push({ type, index: idx, item, userAnswer: val });
@@ -1406,7 +1601,7 @@ const AIPracticeApp = () => {
               <li>To change the exercise topic, just reload your browser and start a new lesson.</li>
             </ul>
             <li>
-              <strong>Privacy:</strong> We do <span className="font-semibold text-green-700">not</span> save any individual visitor data (such as your IP address or your performance on exercises). However, the explanations, exercises, and illustrations generated by the AI <span className="font-semibold text-blue-700">are</span> saved and may be shown to other users who select the same combination of language, difficulty, and topic. This helps reduce AI costs and improve performance for everyone.
+              <strong>Privacy:</strong> Unless you sign in, we do <span className="font-semibold text-green-700">not</span> save any individual visitor data (such as your IP address or your performance on exercises). When you check your answers, an anonymous summary (language, level, topic and score per exercise type) is recorded so tutors can see which topics learners find hard. With an account, your preferences, scores and missed items (for review) are stored on the server. However, the explanations, exercises, and illustrations generated by the AI <span className="font-semibold text-blue-700">are</span> saved and may be shown to other users who select the same combination of language, difficulty, and topic. This helps reduce AI costs and improve performance for everyone.
             </li>
             <div className="mt-5 flex items-center justify-end gap-2">
               <button onClick={() => setIsHelpOpen(false)} className="px-3 py-2 text-sm rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50">Close</button>
@@ -1427,8 +1622,22 @@ const AIPracticeApp = () => {
           </div>
         </div>
       )}
-      {!languageContext ? (
-        <LanguageLevelSelector onStart={handleLanguageLevelStart} />
+      {account?.user && !reviewOpen && (
+        <div className="mb-4 flex justify-end">
+          <button
+            type="button"
+            onClick={() => setReviewOpen(true)}
+            className="inline-flex items-center gap-2 px-3 py-2 text-sm rounded-md border border-blue-300 text-blue-700 hover:bg-blue-50"
+            title="Replay items you missed earlier (spaced repetition)"
+          >
+            <RefreshCw size={16} /> Review due items
+          </button>
+        </div>
+      )}
+      {reviewOpen ? (
+        <ReviewSession strictAccents={strictAccents} partialCredit={partialCredit} onExit={() => setReviewOpen(false)} onFocusKey={(k) => setLastFocusedInput(k)} />
+      ) : !languageContext ? (
+        <LanguageLevelSelector onStart={handleLanguageLevelStart} initialPreferences={account?.progress?.preferences || null} />
       ) : (
         <>
           <div className="mb-8">
@@ -1501,6 +1710,18 @@ const AIPracticeApp = () => {
                         Strict accent checking (á ≠ a)
                       </label>
                     </div>
+                    <div className="flex items-center gap-3">
+                      <input
+                        type="checkbox"
+                        id="partialCredit"
+                        checked={partialCredit}
+                        onChange={(e) => setPartialCredit(e.target.checked)}
+                        className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                      />
+                      <label htmlFor="partialCredit" className="text-sm text-gray-700">
+                        Partial credit for typos and accent slips
+                      </label>
+                    </div>
                     <div className="flex items-center gap-3">
                       <input
                         type="checkbox"
@@ -1663,8 +1884,28 @@ const AIPracticeApp = () => {
                        'Keep studying! You\'ll get there!'}
                     </p>
                   </div>
+                  {difficultyNotice && (
+                    <div className={`p-4 rounded-lg border ${difficultyNotice.direction === 'up' ? 'bg-green-50 border-green-200' : 'bg-blue-50 border-blue-200'}`}>
+                      <div className="flex items-start gap-3">
+                        <GraduationCap className={difficultyNotice.direction === 'up' ? 'text-green-600 mt-1' : 'text-blue-600 mt-1'} size={20} />
+                        <div className="flex-1">
+                          <h3 className="font-semibold text-gray-900 mb-1">
+                            Difficulty {difficultyNotice.direction === 'up' ? 'increased' : 'reduced'}:{' '}
+                            {difficultyNotice.from.level}{difficultyNotice.from.challengeMode ? ' + Challenge' : ''} → {difficultyNotice.level}{difficultyNotice.challengeMode ? ' + Challenge' : ''}
+                          </h3>
+                          <p className="text-sm text-gray-700">{difficultyNotice.reason} This applies to the next exercises you generate.</p>
+                        </div>
+                        <button
+                          onClick={undoDifficultyChange}
+                          className="px-3 py-1 text-sm rounded-md border border-gray-300 text-gray-700 hover:bg-white"
+                        >
+                          Undo
+                        </button>
+                      </div>
+                    </div>
+                  )}
                   <button
-                    onClick={generateRecommendation}
+                    onClick={recheckAnswers}
                     disabled={loadingRecommendation}
                     className="w-full bg-green-600 text-white py-3 px-6 rounded-lg hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
                   >
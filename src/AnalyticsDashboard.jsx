@@ -0,0 +1,196 @@
+import React, { useEffect, useState } from 'react';
+import { BarChart3, RefreshCw } from 'lucide-react';
+
+const TYPE_LABELS = {
+  fib: 'Fill in the blanks',
+  mcq: 'Multiple choice',
+  cloze: 'Cloze passages',
+  clozeMix: 'Cloze (mixed options)',
+  dialogue: 'Guided dialogues',
+  writing: 'Writing prompts',
+  reading: 'Reading comprehension',
+  rewrite: 'Sentence rewriting',
+  error: 'Error bundles'
+};
+
+const RANGES = [
+  { value: 7, label: 'Last 7 days' },
+  { value: 30, label: 'Last 30 days' },
+  { value: 90, label: 'Last 90 days' },
+  { value: 0, label: 'All time' }
+];
+
+const LEVELS = ['', 'A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
+
+function accuracyColor(accuracy) {
+  if (accuracy === null || accuracy === undefined) return 'bg-gray-300';
+  if (accuracy < 50) return 'bg-red-500';
+  if (accuracy < 75) return 'bg-amber-500';
+  return 'bg-green-500';
+}
+
+function AccuracyTable({ title, rows, labelFor = (k) => k, limit }) {
+  const shown = Array.isArray(rows) ? (limit ? rows.slice(0, limit) : rows) : [];
+  return (
+    <div className="border rounded-lg p-4">
+      <h3 className="text-sm font-semibold text-gray-800 mb-3">{title}</h3>
+      {shown.length === 0 ? (
+        <p className="text-sm text-gray-500">No data</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="font-medium pb-1"></th>
+              <th className="font-medium pb-1 w-16 text-right">Sessions</th>
+              <th className="font-medium pb-1 w-16 text-right">Items</th>
+              <th className="font-medium pb-1 w-40 pl-3">Accuracy</th>
+            </tr>
+          </thead>
+          <tbody>
+            {shown.map(r => (
+              <tr key={r.key} className="border-t">
+                <td className="py-1 pr-2 text-gray-800">{labelFor(r.key)}</td>
+                <td className="py-1 text-right text-gray-600">{r.sessions}</td>
+                <td className="py-1 text-right text-gray-600">{r.total}</td>
+                <td className="py-1 pl-3">
+                  <div className="flex items-center gap-2">
+                    <div className="flex-1 h-2 bg-gray-100 rounded">
+                      <div className={`h-2 rounded ${accuracyColor(r.accuracy)}`} style={{ width: `${r.accuracy ?? 0}%` }} />
+                    </div>
+                    <span className="w-12 text-right text-gray-700">{r.accuracy ?? '-'}%</span>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Tutor dashboard: learner accuracy over time and by exercise type, grammar topic, CEFR level and language.
+ * Data comes from lesson outcomes posted on "Check answers" (/api/analytics/outcomes).
+ */
+export default function AnalyticsDashboard() {
+  const [days, setDays] = useState(30);
+  const [language, setLanguage] = useState('');
+  const [level, setLevel] = useState('');
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const load = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const params = new URLSearchParams({ days: String(days) });
+      if (language.trim()) params.set('language', language.trim());
+      if (level) params.set('level', level);
+      const res = await fetch(`/api/analytics/outcomes?${params}`);
+      const json = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(json?.error || 'Failed to load analytics');
+      setData(json);
+    } catch (e) {
+      setError(e.message || 'Failed to load analytics');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => { load(); }, [days, level]);
+
+  // Hardest topics first, ignoring topics with too few items to be meaningful
+  const strugglingTopics = (data?.byTopic || [])
+    .filter(r => r.total >= 5)
+    .sort((a, b) => (a.accuracy ?? 100) - (b.accuracy ?? 100));
+
+  return (
+    <div className="max-w-4xl mx-auto p-6 bg-white rounded-lg shadow-lg space-y-4">
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-gray-800 flex items-center gap-2">
+          <BarChart3 className="text-blue-600" /> Learner performance
+        </h1>
+        <button onClick={load} disabled={loading} className="inline-flex items-center gap-1 px-3 py-1 text-sm rounded border border-gray-300 hover:bg-gray-50">
+          <RefreshCw size={14} className={loading ? 'animate-spin' : ''} /> Refresh
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-end gap-3">
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">Period</label>
+          <select value={days} onChange={e => setDays(Number(e.target.value))} className="px-2 py-1 border rounded text-sm">
+            {RANGES.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">Level</label>
+          <select value={level} onChange={e => setLevel(e.target.value)} className="px-2 py-1 border rounded text-sm">
+            {LEVELS.map(l => <option key={l} value={l}>{l || 'All levels'}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">Language</label>
+          <input
+            value={language}
+            onChange={e => setLanguage(e.target.value)}
+            onKeyDown={e => { if (e.key === 'Enter') load(); }}
+            onBlur={load}
+            placeholder="All languages"
+            className="px-2 py-1 border rounded text-sm w-40"
+          />
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {data && (
+        <>
+          <div className="grid grid-cols-3 gap-3">
+            <div className="border rounded-lg p-3">
+              <div className="text-xs text-gray-500">Sessions</div>
+              <div className="text-2xl font-semibold text-gray-800">{data.totals.sessions}</div>
+            </div>
+            <div className="border rounded-lg p-3">
+              <div className="text-xs text-gray-500">Items answered</div>
+              <div className="text-2xl font-semibold text-gray-800">{data.totals.total}</div>
+            </div>
+            <div className="border rounded-lg p-3">
+              <div className="text-xs text-gray-500">Accuracy</div>
+              <div className="text-2xl font-semibold text-gray-800">{data.totals.accuracy ?? '-'}%</div>
+            </div>
+          </div>
+
+          <div className="border rounded-lg p-4">
+            <h3 className="text-sm font-semibold text-gray-800 mb-3">Accuracy over time</h3>
+            {data.overTime.length === 0 ? (
+              <p className="text-sm text-gray-500">No data</p>
+            ) : (
+              <div className="flex items-end gap-1 h-32">
+                {data.overTime.map(d => (
+                  <div key={d.key} className="flex-1 flex flex-col items-center justify-end h-full" title={`${d.key}: ${d.accuracy}% of ${d.total} items (${d.sessions} sessions)`}>
+                    <div className={`w-full rounded-t ${accuracyColor(d.accuracy)}`} style={{ height: `${Math.max(2, d.accuracy ?? 0)}%` }} />
+                  </div>
+                ))}
+              </div>
+            )}
+            {data.overTime.length > 0 && (
+              <div className="flex justify-between text-xs text-gray-500 mt-1">
+                <span>{data.overTime[0].key}</span>
+                <span>{data.overTime[data.overTime.length - 1].key}</span>
+              </div>
+            )}
+          </div>
+
+          <AccuracyTable title="By exercise type" rows={data.byType} labelFor={(k) => TYPE_LABELS[k] || k} />
+          <AccuracyTable title="Hardest grammar topics (5+ items)" rows={strugglingTopics} limit={15} />
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <AccuracyTable title="By CEFR level" rows={data.byLevel} />
+            <AccuracyTable title="By language" rows={data.byLanguage} />
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
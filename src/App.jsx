@@ -1,11 +1,18 @@
 import React, { useState, useEffect } from 'react';
 import AIPracticeApp from './AIPracticeApp.jsx';
 import SettingsPanel from './SettingsPanel.jsx';
-import { Settings as SettingsIcon } from 'lucide-react';
+import AccountMenu from './components/AccountMenu.jsx';
+import QueueNotice from './components/QueueNotice.jsx';
+import useAccount from './hooks/useAccount.js';
+import AnalyticsDashboard from './AnalyticsDashboard.jsx';
+import CacheAdmin from './CacheAdmin.jsx';
+import { Settings as SettingsIcon, BarChart3, Database } from 'lucide-react';
 
 export default function App() {
   const [settingsOpen, setSettingsOpen] = useState(false);
   const [isProduction, setIsProduction] = useState(false);
+  const [panel, setPanel] = useState(null); // 'analytics' | 'admin' | null
+  const account = useAccount();
 
   useEffect(() => {
     // Check if we're in production environment
@@ -22,13 +29,40 @@ export default function App() {
     checkProduction();
   }, []);
 
+  // Tutor dashboard and cache admin toggles, shown only to accounts allowed to use them.
+  // The practice app stays mounted underneath so an open lesson is not lost.
+  const panelButtons = [
+    account.canViewAnalytics && { id: 'analytics', label: 'learner analytics', Icon: BarChart3 },
+    account.canAdminCache && { id: 'admin', label: 'cached content admin', Icon: Database }
+  ].filter(Boolean);
+  const panelToggles = (firstRightRem) => panelButtons.map(({ id, label, Icon }, i) => (
+    <button
+      key={id}
+      aria-label={panel === id ? `Hide ${label}` : `Show ${label}`}
+      onClick={() => setPanel((v) => (v === id ? null : id))}
+      className="fixed top-4 z-50 rounded-full p-3 bg-white shadow-lg border hover:bg-gray-50"
+      style={{ right: `${firstRightRem + i * 4}rem` }}
+      title={panel === id ? `Hide ${label}` : `Show ${label}`}
+    >
+      <Icon className={panel === id ? 'text-blue-600' : 'text-gray-700'} size={20} />
+    </button>
+  ));
+  const activePanel = panelButtons.some(b => b.id === panel) ? panel : null;
+  const panelView = activePanel === 'analytics' ? <AnalyticsDashboard /> : activePanel === 'admin' ? <CacheAdmin /> : null;
+
   // Don't render settings button in production
   if (isProduction) {
     return (
       <div className="min-h-screen bg-gray-50">
+        <AccountMenu account={account} />
+        <QueueNotice />
+        {panelToggles(1)}
         <div className="py-6">
           <div className="max-w-5xl mx-auto">
-            <AIPracticeApp />
+            {panelView}
+            <div className={panelView ? 'hidden' : ''}>
+              <AIPracticeApp account={account} />
+            </div>
           </div>
         </div>
       </div>
@@ -37,6 +71,8 @@ export default function App() {
 
   return (
     <div className="min-h-screen bg-gray-50">
+      <AccountMenu account={account} />
+      <QueueNotice />
       <button
         aria-label={settingsOpen ? 'Hide settings' : 'Show settings'}
         onClick={() => setSettingsOpen((v) => !v)}
@@ -45,10 +81,14 @@ export default function App() {
       >
         <SettingsIcon className={settingsOpen ? 'text-blue-600' : 'text-gray-700'} size={20} />
       </button>
+      {panelToggles(5)}
       <div className="py-6">
         <div className="max-w-5xl mx-auto grid grid-cols-1 lg:grid-cols-3 gap-6">
           <div className={settingsOpen ? 'lg:col-span-2' : 'lg:col-span-3'}>
-            <AIPracticeApp />
+            {panelView}
+            <div className={panelView ? 'hidden' : ''}>
+              <AIPracticeApp account={account} />
+            </div>
           </div>
           {settingsOpen && (
             <div>
@@ -0,0 +1,422 @@
+import React, { useEffect, useState } from 'react';
+import { Database, RefreshCw, Trash2, Pin, PinOff, Eye, EyeOff, Download, Upload, Check, X } from 'lucide-react';
+
+const KINDS = [
+  { value: 'exercises', label: 'Exercises' },
+  { value: 'explanations', label: 'Explanations' },
+  { value: 'base_texts', label: 'Base texts' }
+];
+
+const PAGE_SIZE = 50;
+
+function formatDate(iso) {
+  if (!iso) return '-';
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? '-' : d.toLocaleString();
+}
+
+function FacetSelect({ label, value, onChange, options }) {
+  return (
+    <div>
+      <label className="block text-xs text-gray-600 mb-1">{label}</label>
+      <select value={value} onChange={e => onChange(e.target.value)} className="px-2 py-1 border rounded text-sm max-w-[12rem]">
+        <option value="">All</option>
+        {(options || []).map(o => <option key={o} value={o}>{o}</option>)}
+      </select>
+    </div>
+  );
+}
+
+/**
+ * Admin page for cached content: filter by language, level, type, topic and model, inspect full records,
+ * pin items so eviction keeps them, delete bad content, export/import bundles, and approve or reject answers accepted
+ * on appeal before they are added to the shared item. Backed by /api/admin/cache/:kind, /api/admin/cache-bundle and
+ * /api/admin/appeals.
+ */
+export default function CacheAdmin() {
+  const [kind, setKind] = useState('exercises');
+  const [filters, setFilters] = useState({ language: '', level: '', type: '', model: '', topic: '', pinned: '' });
+  const [offset, setOffset] = useState(0);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [openKey, setOpenKey] = useState(null);
+  const [detail, setDetail] = useState(null);
+  const [bundleBusy, setBundleBusy] = useState(false);
+  const [importSummary, setImportSummary] = useState(null);
+  const [appeals, setAppeals] = useState([]);
+
+  const setFilter = (name, value) => {
+    setFilters(prev => ({ ...prev, [name]: value }));
+    setOffset(0);
+  };
+
+  const load = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const params = new URLSearchParams({ offset: String(offset), limit: String(PAGE_SIZE) });
+      for (const [k, v] of Object.entries(filters)) {
+        if (String(v).trim()) params.set(k, String(v).trim());
+      }
+      const res = await fetch(`/api/admin/cache/${kind}?${params}`);
+      const json = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(json?.error || 'Failed to load cache entries');
+      setData(json);
+    } catch (e) {
+      setError(e.message || 'Failed to load cache entries');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadAppeals = async () => {
+    try {
+      const res = await fetch('/api/admin/appeals');
+      const json = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(json?.error || 'Failed to load pending appeals');
+      setAppeals(json.items || []);
+    } catch (e) {
+      setError(e.message || 'Failed to load pending appeals');
+    }
+  };
+
+  useEffect(() => { loadAppeals(); }, []);
+
+  // Approve adds the answer to the item's accepted answers for every learner; reject drops it
+  const resolveAppeal = async (appeal, approve) => {
+    try {
+      const res = await fetch(`/api/admin/appeals/${encodeURIComponent(appeal.id)}${approve ? '/approve' : ''}`, { method: approve ? 'POST' : 'DELETE' });
+      const json = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(json?.error || 'Failed to resolve appeal');
+      setAppeals(prev => prev.filter(a => a.id !== appeal.id));
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  useEffect(() => { load(); }, [kind, offset, filters.language, filters.level, filters.type, filters.model, filters.pinned]);
+
+  const switchKind = (next) => {
+    setKind(next);
+    setFilters({ language: '', level: '', type: '', model: '', topic: '', pinned: '' });
+    setOffset(0);
+    setOpenKey(null);
+    setDetail(null);
+  };
+
+  const entryUrl = (key) => `/api/admin/cache/${kind}/${encodeURIComponent(key)}`;
+
+  const toggleDetail = async (key) => {
+    if (openKey === key) {
+      setOpenKey(null);
+      setDetail(null);
+      return;
+    }
+    setOpenKey(key);
+    setDetail(null);
+    try {
+      const res = await fetch(entryUrl(key));
+      const json = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(json?.error || 'Failed to load entry');
+      setDetail(json);
+    } catch (e) {
+      setDetail({ error: e.message });
+    }
+  };
+
+  const togglePin = async (row) => {
+    try {
+      const res = await fetch(`${entryUrl(row.key)}/pin`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ pinned: !row.pinned })
+      });
+      const json = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(json?.error || 'Failed to update entry');
+      setData(prev => prev ? { ...prev, items: prev.items.map(r => r.key === row.key ? { ...r, pinned: json.pinned } : r) } : prev);
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const remove = async (row) => {
+    if (!window.confirm(`Delete this ${kind === 'base_texts' ? 'base text' : kind.replace(/s$/, '')} from the cache? Learners will no longer be served it.`)) return;
+    try {
+      const res = await fetch(entryUrl(row.key), { method: 'DELETE' });
+      const json = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(json?.error || 'Failed to delete entry');
+      if (openKey === row.key) { setOpenKey(null); setDetail(null); }
+      setData(prev => prev ? { ...prev, total: prev.total - 1, items: prev.items.filter(r => r.key !== row.key) } : prev);
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  // Download everything matching the current tab and filters (all pages) as a bundle
+  const exportFiltered = async () => {
+    setBundleBusy(true);
+    setError('');
+    try {
+      const f = {};
+      for (const [k, v] of Object.entries(filters)) {
+        if (k !== 'pinned' && String(v).trim()) f[k] = String(v).trim();
+      }
+      if (filters.pinned) f.pinned = filters.pinned === 'true';
+      const res = await fetch('/api/admin/cache-bundle/export', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ kinds: [kind], filters: f })
+      });
+      if (!res.ok) {
+        const json = await res.json().catch(() => ({}));
+        throw new Error(json?.error || 'Failed to export bundle');
+      }
+      const blob = await res.blob();
+      const name = (res.headers.get('Content-Disposition') || '').match(/filename="([^"]+)"/)?.[1] || 'cache-bundle.json.gz';
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = name;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (e) {
+      setError(e.message || 'Failed to export bundle');
+    } finally {
+      setBundleBusy(false);
+    }
+  };
+
+  const importBundle = async (file) => {
+    if (!file) return;
+    setBundleBusy(true);
+    setError('');
+    setImportSummary(null);
+    try {
+      const res = await fetch('/api/admin/cache-bundle/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/gzip' },
+        body: file
+      });
+      const json = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error([json?.error, json?.details].filter(Boolean).join(': ') || 'Failed to import bundle');
+      setImportSummary(json.summary);
+      load();
+    } catch (e) {
+      setError(e.message || 'Failed to import bundle');
+    } finally {
+      setBundleBusy(false);
+    }
+  };
+
+  const facets = data?.facets || {};
+
+  return (
+    <div className="max-w-5xl mx-auto p-6 bg-white rounded-lg shadow-lg space-y-4">
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-gray-800 flex items-center gap-2">
+          <Database className="text-blue-600" /> Cached content
+        </h1>
+        <div className="flex items-center gap-2">
+          <button onClick={exportFiltered} disabled={bundleBusy} className="inline-flex items-center gap-1 px-3 py-1 text-sm rounded border border-gray-300 hover:bg-gray-50 disabled:opacity-50" title="Download the filtered entries and their images as a bundle">
+            <Download size={14} /> Export filtered
+          </button>
+          <label className={`inline-flex items-center gap-1 px-3 py-1 text-sm rounded border border-gray-300 hover:bg-gray-50 cursor-pointer ${bundleBusy ? 'opacity-50 pointer-events-none' : ''}`} title="Add content from a bundle exported by another deployment">
+            <Upload size={14} /> Import bundle
+            <input type="file" accept=".gz,application/gzip" className="hidden" onChange={e => { importBundle(e.target.files?.[0]); e.target.value = ''; }} />
+          </label>
+          <button onClick={() => { load(); loadAppeals(); }} disabled={loading} className="inline-flex items-center gap-1 px-3 py-1 text-sm rounded border border-gray-300 hover:bg-gray-50">
+            <RefreshCw size={14} className={loading ? 'animate-spin' : ''} /> Refresh
+          </button>
+        </div>
+      </div>
+
+      {importSummary && (
+        <div className="text-sm bg-green-50 border border-green-200 rounded p-2 text-green-800 flex items-start justify-between gap-2">
+          <span>
+            Imported {importSummary.exercises.imported} exercises, {importSummary.explanations.imported} explanations, {importSummary.baseTexts.imported} base texts and {importSummary.images.written} images.
+            {' '}Skipped {importSummary.exercises.duplicate + importSummary.explanations.duplicate + importSummary.baseTexts.duplicate} duplicates
+            {' '}and {importSummary.exercises.outdated + importSummary.explanations.outdated + importSummary.baseTexts.outdated} entries with an outdated schema.
+          </span>
+          <button onClick={() => setImportSummary(null)} className="text-green-700 hover:text-green-900">×</button>
+        </div>
+      )}
+
+      {appeals.length > 0 && (
+        <div className="border border-amber-200 bg-amber-50 rounded p-3 space-y-2">
+          <h2 className="text-sm font-semibold text-amber-900">Pending answer appeals ({appeals.length})</h2>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="font-medium pb-1">Expected</th>
+                <th className="font-medium pb-1">Learner's answer</th>
+                <th className="font-medium pb-1">Judge's explanation</th>
+                <th className="font-medium pb-1">From</th>
+                <th className="font-medium pb-1"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {appeals.map(a => (
+                <tr key={a.id} className="border-t border-amber-200 align-top">
+                  <td className="py-1 pr-2 text-gray-800">{a.expected}</td>
+                  <td className="py-1 pr-2 text-gray-800 font-medium break-all">{a.answer}</td>
+                  <td className="py-1 pr-2 text-gray-600 text-xs">{a.explanation}</td>
+                  <td className="py-1 pr-2 text-gray-500 text-xs whitespace-nowrap" title={`${a.type}, blank ${a.part}, item ${a.exerciseSha}`}>{a.username} · {formatDate(a.createdAt)}</td>
+                  <td className="py-1 pl-2">
+                    <div className="flex items-center gap-1 justify-end">
+                      <button onClick={() => resolveAppeal(a, true)} className="p-1 rounded hover:bg-green-100 text-green-700" title="Approve for every learner">
+                        <Check size={14} />
+                      </button>
+                      <button onClick={() => resolveAppeal(a, false)} className="p-1 rounded hover:bg-red-100 text-red-600" title="Reject">
+                        <X size={14} />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="flex gap-2 border-b">
+        {KINDS.map(k => (
+          <button
+            key={k.value}
+            onClick={() => switchKind(k.value)}
+            className={`px-3 py-2 text-sm -mb-px border-b-2 ${kind === k.value ? 'border-blue-600 text-blue-700 font-medium' : 'border-transparent text-gray-600 hover:text-gray-800'}`}
+          >
+            {k.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-end gap-3">
+        <FacetSelect label="Language" value={filters.language} onChange={v => setFilter('language', v)} options={facets.language} />
+        <FacetSelect label="Level" value={filters.level} onChange={v => setFilter('level', v)} options={facets.level} />
+        {kind === 'exercises' && (
+          <FacetSelect label="Type" value={filters.type} onChange={v => setFilter('type', v)} options={facets.type} />
+        )}
+        <FacetSelect label="Model" value={filters.model} onChange={v => setFilter('model', v)} options={facets.model} />
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">Topic</label>
+          <input
+            value={filters.topic}
+            onChange={e => setFilter('topic', e.target.value)}
+            onKeyDown={e => { if (e.key === 'Enter') load(); }}
+            onBlur={load}
+            placeholder="Contains..."
+            className="px-2 py-1 border rounded text-sm w-44"
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">Pinned</label>
+          <select value={filters.pinned} onChange={e => setFilter('pinned', e.target.value)} className="px-2 py-1 border rounded text-sm">
+            <option value="">Any</option>
+            <option value="true">Pinned</option>
+            <option value="false">Not pinned</option>
+          </select>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {data && (
+        <>
+          <p className="text-sm text-gray-600">{data.total} {data.total === 1 ? 'entry' : 'entries'}</p>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="font-medium pb-1">Topic</th>
+                  {kind === 'exercises' && <th className="font-medium pb-1">Type</th>}
+                  <th className="font-medium pb-1">Lang / level</th>
+                  <th className="font-medium pb-1">Model</th>
+                  <th className="font-medium pb-1 text-right">Hits</th>
+                  <th className="font-medium pb-1 text-right">👍 / 👎</th>
+                  <th className="font-medium pb-1">Last used</th>
+                  <th className="font-medium pb-1"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {data.items.map(row => (
+                  <React.Fragment key={row.key}>
+                    <tr className={`border-t ${row.dislikes > row.likes ? 'bg-red-50' : ''}`}>
+                      <td className="py-1 pr-2 text-gray-800">
+                        {row.pinned && <Pin size={12} className="inline mr-1 text-amber-600" />}
+                        {row.topic || '-'}
+                      </td>
+                      {kind === 'exercises' && <td className="py-1 pr-2 text-gray-600">{row.type}</td>}
+                      <td className="py-1 pr-2 text-gray-600">{row.language} / {row.level}{row.challengeMode ? ' +' : ''}</td>
+                      <td className="py-1 pr-2 text-gray-600 truncate max-w-[10rem]" title={row.model || ''}>{row.model || '-'}</td>
+                      <td className="py-1 text-right text-gray-600">{row.hits}</td>
+                      <td className="py-1 text-right text-gray-600">{row.likes} / {row.dislikes}</td>
+                      <td className="py-1 pl-2 text-gray-500 whitespace-nowrap">{formatDate(row.lastAccessAt)}</td>
+                      <td className="py-1 pl-2">
+                        <div className="flex items-center gap-1 justify-end">
+                          <button onClick={() => toggleDetail(row.key)} className="p-1 rounded hover:bg-gray-100" title={openKey === row.key ? 'Hide record' : 'View record'}>
+                            {openKey === row.key ? <EyeOff size={14} /> : <Eye size={14} />}
+                          </button>
+                          <button onClick={() => togglePin(row)} className="p-1 rounded hover:bg-gray-100" title={row.pinned ? 'Unpin' : 'Pin (never evicted)'}>
+                            {row.pinned ? <PinOff size={14} /> : <Pin size={14} />}
+                          </button>
+                          <button onClick={() => remove(row)} className="p-1 rounded hover:bg-red-100 text-red-600" title="Delete">
+                            <Trash2 size={14} />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                    {openKey === row.key && (
+                      <tr>
+                        <td colSpan={kind === 'exercises' ? 8 : 7} className="pb-3">
+                          {!detail ? (
+                            <p className="text-xs text-gray-500 p-2">Loading...</p>
+                          ) : detail.error ? (
+                            <p className="text-xs text-red-600 p-2">{detail.error}</p>
+                          ) : (
+                            <div className="bg-gray-50 border rounded p-3 space-y-2">
+                              <div className="text-xs text-gray-600 break-all">
+                                <span className="font-medium">Key:</span> {row.key}
+                                {detail.entry.groupId && <> · <span className="font-medium">Group:</span> {detail.entry.groupId}</>}
+                                {detail.entry.baseTextId && <> · <span className="font-medium">Base text:</span> {detail.entry.baseTextId}</>}
+                                {' '}· <span className="font-medium">Created:</span> {formatDate(detail.entry.createdAt)}
+                                {' '}· <span className="font-medium">Schema:</span> v{detail.entry.schemaVersion ?? '?'}
+                              </div>
+                              <pre className="text-xs bg-white border rounded p-2 max-h-96 overflow-auto whitespace-pre-wrap">
+                                {JSON.stringify(detail.record?.content ?? detail.record, null, 2)}
+                              </pre>
+                            </div>
+                          )}
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {data.items.length === 0 && <p className="text-sm text-gray-500">No entries</p>}
+          <div className="flex items-center justify-between text-sm">
+            <button
+              onClick={() => setOffset(Math.max(0, offset - PAGE_SIZE))}
+              disabled={offset === 0 || loading}
+              className="px-3 py-1 rounded border border-gray-300 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-gray-500">
+              {data.total === 0 ? 0 : offset + 1}-{Math.min(offset + PAGE_SIZE, data.total)} of {data.total}
+            </span>
+            <button
+              onClick={() => setOffset(offset + PAGE_SIZE)}
+              disabled={offset + PAGE_SIZE >= data.total || loading}
+              className="px-3 py-1 rounded border border-gray-300 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
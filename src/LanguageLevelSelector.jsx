@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { Globe, GraduationCap, ArrowRight, Languages, BookOpen } from 'lucide-react';
 
 const CEFR_LEVELS = [
@@ -18,14 +18,38 @@ const POPULAR_LANGUAGES = [
   { code: 'hu', name: 'Hungarian', flag: '🇭🇺' }
 ];
 
-export default function LanguageLevelSelector({ onStart, isLoading = false }) {
+export default function LanguageLevelSelector({ onStart, isLoading = false, initialPreferences = null }) {
   const [selectedLanguage, setSelectedLanguage] = useState('es');
   const [selectedLevel, setSelectedLevel] = useState('B1');
   const [challengeMode, setChallengeMode] = useState(false);
   const [customLanguage, setCustomLanguage] = useState('');
   const [topic, setTopic] = useState('');
   const [strictAccents, setStrictAccents] = useState(true);
+  const [partialCredit, setPartialCredit] = useState(true);
   const [showAccentBar, setShowAccentBar] = useState(false);
+  const [adaptiveDifficulty, setAdaptiveDifficulty] = useState(true);
+
+  // Prefill from the signed-in user's saved preferences (they may arrive after mount)
+  useEffect(() => {
+    const prefs = initialPreferences;
+    if (!prefs) return;
+    if (typeof prefs.language === 'string' && prefs.language.trim()) {
+      const popular = POPULAR_LANGUAGES.find(l => l.name.toLowerCase() === prefs.language.trim().toLowerCase());
+      if (popular) {
+        setSelectedLanguage(popular.code);
+        setCustomLanguage('');
+      } else {
+        setSelectedLanguage('custom');
+        setCustomLanguage(prefs.language);
+      }
+    }
+    if (CEFR_LEVELS.some(l => l.value === prefs.level)) setSelectedLevel(prefs.level);
+    if (typeof prefs.challengeMode === 'boolean') setChallengeMode(prefs.challengeMode);
+    if (typeof prefs.strictAccents === 'boolean') setStrictAccents(prefs.strictAccents);
+    if (typeof prefs.partialCredit === 'boolean') setPartialCredit(prefs.partialCredit);
+    if (typeof prefs.showAccentBar === 'boolean') setShowAccentBar(prefs.showAccentBar);
+    if (typeof prefs.adaptiveDifficulty === 'boolean') setAdaptiveDifficulty(prefs.adaptiveDifficulty);
+  }, [initialPreferences]);
 
   const handleLanguageSelect = (languageCode) => {
     setSelectedLanguage(languageCode);
@@ -48,7 +72,9 @@ export default function LanguageLevelSelector({ onStart, isLoading = false }) {
       challengeMode,
       topic: topic.trim(),
       strictAccents,
-      showAccentBar
+      partialCredit,
+      showAccentBar,
+      adaptiveDifficulty
     });
   };
 
@@ -182,6 +208,21 @@ export default function LanguageLevelSelector({ onStart, isLoading = false }) {
             <p className="text-xs text-amber-700 mt-1 ml-7">
               When enabled, exercises will be slightly more challenging than your selected level to help you grow
             </p>
+            <div className="flex items-center gap-3 mt-3">
+              <input
+                type="checkbox"
+                id="adaptiveDifficulty"
+                checked={adaptiveDifficulty}
+                onChange={(e) => setAdaptiveDifficulty(e.target.checked)}
+                className="h-4 w-4 text-amber-600 focus:ring-amber-500 border-amber-300 rounded"
+              />
+              <label htmlFor="adaptiveDifficulty" className="text-sm font-medium text-amber-800">
+                Adaptive difficulty
+              </label>
+            </div>
+            <p className="text-xs text-amber-700 mt-1 ml-7">
+              Adjusts the level and Challenge Mode for new exercises based on your recent scores on this topic
+            </p>
           </div>
         </div>
       </div>
@@ -202,6 +243,18 @@ export default function LanguageLevelSelector({ onStart, isLoading = false }) {
               Strict accent checking (á ≠ a)
             </label>
           </div>
+          <div className="flex items-center gap-3">
+            <input
+              type="checkbox"
+              id="partialCredit"
+              checked={partialCredit}
+              onChange={(e) => setPartialCredit(e.target.checked)}
+              className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+            />
+            <label htmlFor="partialCredit" className="text-sm text-gray-700">
+              Partial credit for typos and accent slips
+            </label>
+          </div>
           <div className="flex items-center gap-3">
             <input
               type="checkbox"
@@ -9,6 +9,10 @@ export default function SettingsPanel() {
     provider: 'openrouter',
     openrouter: { model: '', apiKey: '', appUrl: '' },
     ollama: { model: '', host: '' },
+    openaiCompatible: { baseUrl: '', apiKey: '', model: '', structured: true },
+    anthropic: { apiKey: '', model: '' },
+    mock: { latencyMs: 0, truncateRate: 0, errorRate: 0, rateLimitRate: 0, seed: '' },
+    fallbackChain: '',
     runware: { 
       model: '', 
       apiKey: '', 
@@ -32,6 +36,9 @@ export default function SettingsPanel() {
   const [showKeys, setShowKeys] = useState(false);
   const [rateInfo, setRateInfo] = useState(null);
   const [ollamaModels, setOllamaModels] = useState([]);
+  const [compatModels, setCompatModels] = useState([]);
+  const [anthropicModels, setAnthropicModels] = useState([]);
+  const [anthropicHasKey, setAnthropicHasKey] = useState(false);
   const [openrouterModels, setOpenrouterModels] = useState([]);
   const [runwareModels, setRunwareModels] = useState([]);
   const [falaiModels, setFalaiModels] = useState([]);
@@ -49,6 +56,21 @@ export default function SettingsPanel() {
           provider: data.provider,
           openrouter: { model: data.openrouter?.model || '', apiKey: '', appUrl: data.openrouter?.appUrl || '' },
           ollama: { model: data.ollama?.model || '', host: data.ollama?.host || '' },
+          openaiCompatible: {
+            baseUrl: data.openaiCompatible?.baseUrl || '',
+            apiKey: '',
+            model: data.openaiCompatible?.model || '',
+            structured: data.openaiCompatible?.structured !== false
+          },
+          anthropic: { apiKey: '', model: data.anthropic?.model || '' },
+          mock: {
+            latencyMs: data.mock?.latencyMs || 0,
+            truncateRate: data.mock?.truncateRate || 0,
+            errorRate: data.mock?.errorRate || 0,
+            rateLimitRate: data.mock?.rateLimitRate || 0,
+            seed: data.mock?.seed || ''
+          },
+          fallbackChain: (data.fallbackChain || []).map(e => (e.model ? `${e.provider}:${e.model}` : e.provider)).join(', '),
           runware: { 
             model: data.runware?.model || '', 
             apiKey: '', 
@@ -69,6 +91,7 @@ export default function SettingsPanel() {
           imageProvider: data.imageProvider || 'runware'
         }));
         
+        setAnthropicHasKey(!!data.anthropic?.hasKey);
         // Auto-load models if we're using OpenRouter and have an API key
         if (data.provider === 'openrouter' && data.openrouter?.hasKey) {
           setTimeout(() => loadOpenRouterModels(), 100);
@@ -137,6 +160,28 @@ export default function SettingsPanel() {
     }
   };
 
+  const loadCompatModels = async () => {
+    try {
+      const res = await fetch('/api/openai-compatible/models');
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to load models');
+      setCompatModels(data.models || []);
+    } catch (e) {
+      setError(e.message || 'Failed to load models');
+    }
+  };
+
+  const loadAnthropicModels = async () => {
+    try {
+      const res = await fetch('/api/anthropic/models');
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to load Anthropic models');
+      setAnthropicModels(data.models || []);
+    } catch (e) {
+      setError(e.message || 'Failed to load Anthropic models');
+    }
+  };
+
   const loadRunwareModels = async () => {
     setLoadingModels(true);
     setError('');
@@ -235,8 +280,20 @@ export default function SettingsPanel() {
           >
             <option value="openrouter">OpenRouter</option>
             <option value="ollama">Ollama</option>
+            <option value="anthropic">Anthropic</option>
+            <option value="openai_compatible">OpenAI-compatible (vLLM, LM Studio, ...)</option>
+            <option value="mock">Mock (offline fixtures)</option>
           </select>
         </div>
+        <div>
+          <label className="block text-sm mb-1">Fallback chain</label>
+          <Input
+            value={config.fallbackChain}
+            onChange={e => setConfig({ ...config, fallbackChain: e.target.value })}
+            placeholder="openrouter:openai/gpt-4o-mini, ollama"
+          />
+          <p className="text-xs text-gray-500 mt-1">Tried in order when the provider above is rate limited or unavailable (provider or provider:model).</p>
+        </div>
         <div className="flex items-center gap-2">
           <input id="showKeys" type="checkbox" checked={showKeys} onChange={e => setShowKeys(e.target.checked)} />
           <label htmlFor="showKeys" className="text-sm">Show API keys in form</label>
@@ -373,6 +430,142 @@ export default function SettingsPanel() {
         </div>
       </div>
 
+      <div>
+        <h3 className="font-medium mb-2">Anthropic</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          {showKeys && (
+            <div>
+              <label className="block text-xs mb-1">API Key</label>
+              <Input
+                type="password"
+                value={config.anthropic.apiKey}
+                onChange={e => setConfig({ ...config, anthropic: { ...config.anthropic, apiKey: e.target.value } })}
+                placeholder={anthropicHasKey ? 'Key set (leave empty to keep)' : 'Enter Anthropic API key'}
+              />
+            </div>
+          )}
+          <div>
+            <div className="flex items-center justify-between">
+              <label className="block text-xs mb-1">Model</label>
+              <button type="button" onClick={loadAnthropicModels} className="text-xs text-blue-600 underline">List models</button>
+            </div>
+            <div className="flex gap-2">
+              <Input
+                value={config.anthropic.model}
+                onChange={e => setConfig({ ...config, anthropic: { ...config.anthropic, model: e.target.value } })}
+                placeholder="claude-3-5-sonnet-20240620"
+              />
+              {anthropicModels.length > 0 && (
+                <select
+                  className="px-2 py-2 border rounded"
+                  value={config.anthropic.model}
+                  onChange={e => setConfig({ ...config, anthropic: { ...config.anthropic, model: e.target.value } })}
+                >
+                  <option value="">Select...</option>
+                  {anthropicModels.map((m) => (
+                    <option key={m.id} value={m.id}>{m.name}</option>
+                  ))}
+                </select>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div>
+        <h3 className="font-medium mb-2">OpenAI-compatible endpoint</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          <div>
+            <label className="block text-xs mb-1">Base URL</label>
+            <Input
+              value={config.openaiCompatible.baseUrl}
+              onChange={e => setConfig({ ...config, openaiCompatible: { ...config.openaiCompatible, baseUrl: e.target.value } })}
+              placeholder="http://127.0.0.1:8000/v1"
+            />
+          </div>
+          {showKeys && (
+            <div>
+              <label className="block text-xs mb-1">API Key (optional)</label>
+              <Input
+                type="password"
+                value={config.openaiCompatible.apiKey}
+                onChange={e => setConfig({ ...config, openaiCompatible: { ...config.openaiCompatible, apiKey: e.target.value } })}
+                placeholder="Leave empty if the server does not require one"
+              />
+            </div>
+          )}
+          <div>
+            <div className="flex items-center justify-between">
+              <label className="block text-xs mb-1">Model</label>
+              <button type="button" onClick={loadCompatModels} className="text-xs text-blue-600 underline">List models</button>
+            </div>
+            <div className="flex gap-2">
+              <Input value={config.openaiCompatible.model} onChange={e => setConfig({ ...config, openaiCompatible: { ...config.openaiCompatible, model: e.target.value } })} />
+              {compatModels.length > 0 && (
+                <select
+                  className="px-2 py-2 border rounded"
+                  value={config.openaiCompatible.model}
+                  onChange={e => setConfig({ ...config, openaiCompatible: { ...config.openaiCompatible, model: e.target.value } })}
+                >
+                  <option value="">Select...</option>
+                  {compatModels.map((m) => (
+                    <option key={m} value={m}>{m}</option>
+                  ))}
+                </select>
+              )}
+            </div>
+          </div>
+          <div className="flex items-center gap-2">
+            <input
+              id="compatStructured"
+              type="checkbox"
+              checked={config.openaiCompatible.structured}
+              onChange={e => setConfig({ ...config, openaiCompatible: { ...config.openaiCompatible, structured: e.target.checked } })}
+            />
+            <label htmlFor="compatStructured" className="text-sm">Server supports JSON Schema structured outputs</label>
+          </div>
+        </div>
+      </div>
+
+      {config.provider === 'mock' && (
+        <div>
+          <h3 className="font-medium mb-2">Mock provider</h3>
+          <p className="text-xs text-gray-500 mb-2">Answers from server/mockFixtures or the request schema without network access. Rates are per-call probabilities (0–1).</p>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+            <div>
+              <label className="block text-xs mb-1">Latency (ms)</label>
+              <Input
+                type="number"
+                min="0"
+                step="100"
+                value={config.mock.latencyMs}
+                onChange={e => setConfig({ ...config, mock: { ...config.mock, latencyMs: Number(e.target.value) } })}
+              />
+            </div>
+            {[['truncateRate', 'Truncate rate'], ['errorRate', 'Error rate'], ['rateLimitRate', 'Rate-limit rate']].map(([key, label]) => (
+              <div key={key}>
+                <label className="block text-xs mb-1">{label}</label>
+                <Input
+                  type="number"
+                  min="0"
+                  max="1"
+                  step="0.05"
+                  value={config.mock[key]}
+                  onChange={e => setConfig({ ...config, mock: { ...config.mock, [key]: Number(e.target.value) } })}
+                />
+              </div>
+            ))}
+            <div>
+              <label className="block text-xs mb-1">Seed</label>
+              <Input
+                value={config.mock.seed}
+                onChange={e => setConfig({ ...config, mock: { ...config.mock, seed: e.target.value } })}
+              />
+            </div>
+          </div>
+        </div>
+      )}
+
       <div className="grid grid-cols-1 gap-3">
         <div>
           <h3 className="font-medium mb-3">Image Generation</h3>
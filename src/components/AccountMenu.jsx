@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+import { User, LogOut } from 'lucide-react';
+
+/**
+ * Small sign-in / sign-up widget. Accounts are optional: without one, progress stays in this browser's cookies.
+ * Expects the object returned by useAccount().
+ */
+export default function AccountMenu({ account }) {
+  const [open, setOpen] = useState(false);
+  const [mode, setMode] = useState('login');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  if (!account || account.loading) return null;
+  const { user, error, login, register, logout } = account;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      if (mode === 'login') await login(username.trim(), password);
+      else await register(username.trim(), password);
+      setPassword('');
+      setOpen(false);
+    } catch {
+      // error message is exposed by useAccount
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (user) {
+    return (
+      <div className="fixed top-4 left-4 z-50 flex items-center gap-2 rounded-full bg-white shadow-lg border px-3 py-2 text-sm">
+        <User size={16} className="text-blue-600" />
+        <span className="text-gray-700">{user.username}</span>
+        <button onClick={logout} className="ml-1 text-gray-500 hover:text-gray-800" title="Sign out" aria-label="Sign out">
+          <LogOut size={16} />
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="fixed top-4 left-4 z-50">
+      <button
+        onClick={() => setOpen(v => !v)}
+        className="flex items-center gap-2 rounded-full bg-white shadow-lg border px-3 py-2 text-sm text-gray-700 hover:bg-gray-50"
+        title="Sign in to keep your progress across devices"
+      >
+        <User size={16} />
+        Sign in
+      </button>
+      {open && (
+        <form onSubmit={handleSubmit} className="mt-2 w-64 rounded-lg bg-white shadow-lg border p-4 space-y-3">
+          <div className="flex gap-2 text-sm">
+            <button type="button" onClick={() => setMode('login')} className={mode === 'login' ? 'font-semibold text-blue-600' : 'text-gray-500'}>Sign in</button>
+            <span className="text-gray-300">|</span>
+            <button type="button" onClick={() => setMode('register')} className={mode === 'register' ? 'font-semibold text-blue-600' : 'text-gray-500'}>Create account</button>
+          </div>
+          <input
+            type="text"
+            autoComplete="username"
+            placeholder="Username"
+            value={username}
+            onChange={e => setUsername(e.target.value)}
+            className="w-full px-2 py-1 border rounded text-sm"
+          />
+          <input
+            type="password"
+            autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+            placeholder="Password"
+            value={password}
+            onChange={e => setPassword(e.target.value)}
+            className="w-full px-2 py-1 border rounded text-sm"
+          />
+          {error && <div className="text-xs text-red-600">{error}</div>}
+          <button
+            type="submit"
+            disabled={busy || !username.trim() || !password}
+            className="w-full rounded bg-blue-600 text-white text-sm py-1.5 disabled:opacity-50"
+          >
+            {busy ? 'Please wait...' : (mode === 'login' ? 'Sign in' : 'Create account')}
+          </button>
+          <p className="text-xs text-gray-500">Progress, preferences and seen exercises are saved to your account.</p>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,23 @@
+import React, { useEffect, useState } from 'react';
+import { Hourglass } from 'lucide-react';
+import { subscribeQueueStatus } from '../exercises/utils.js';
+
+/**
+ * Toast shown while exercise requests wait for a free LLM slot on the server.
+ */
+export default function QueueNotice() {
+  const [status, setStatus] = useState({ position: 0, waiting: 0 });
+
+  useEffect(() => subscribeQueueStatus(setStatus), []);
+
+  if (!status.position) return null;
+  return (
+    <div role="status" className="fixed bottom-4 left-1/2 -translate-x-1/2 z-50 flex items-center gap-2 rounded-full bg-white shadow-lg border px-4 py-2 text-sm text-gray-700">
+      <Hourglass size={16} className="text-blue-600" />
+      <span>
+        Waiting for the model · position {status.position} in queue
+        {status.waiting > 1 ? ` (${status.waiting} requests waiting)` : ''}
+      </span>
+    </div>
+  );
+}
@@ -0,0 +1,26 @@
+import React from 'react';
+import { answerDiff, roundPoints } from './answerMatcher.js';
+
+const LABELS = { accent: 'Accent slip', typo: 'Typo' };
+
+/**
+ * Shows what separates a near-miss answer (accent slip or typo) from the expected answer:
+ * extra characters struck through, missing ones highlighted.
+ * result: from matchAcceptedAnswer; renders nothing for exact and wrong answers
+ */
+export default function AnswerMatchNote({ result, given }) {
+  if (!result || !LABELS[result.kind]) return null;
+  const credit = result.credit > 0 && result.credit < 1 ? ` (${roundPoints(result.credit)} point)` : '';
+  return (
+    <span className="ml-1 text-xs text-amber-700">
+      {LABELS[result.kind]}{credit}:{' '}
+      <span className="font-mono">
+        {answerDiff(given, result.expected).map((part, i) => (
+          part.added ? <span key={i} className="bg-green-100 text-green-800 underline">{part.value}</span>
+            : part.removed ? <span key={i} className="bg-red-100 text-red-700 line-through">{part.value}</span>
+              : <span key={i}>{part.value}</span>
+        ))}
+      </span>
+    </span>
+  );
+}
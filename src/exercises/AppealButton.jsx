@@ -0,0 +1,60 @@
+import React, { useState } from 'react';
+import { newRequestId } from './utils.js';
+
+/**
+ * Ask the server's judge whether an answer marked wrong is also correct (POST /api/appeal)
+ * @param {{exerciseSha?: string, type: 'fib'|'cloze'|'rewrite', item: object, part?: number, answer: string}} params
+ * @returns {Promise<{accepted: boolean, explanation: string, stored: boolean, pending: boolean}>} `pending` when the answer
+ *   was queued for an admin to add to the shared item
+ */
+export async function appealAnswer(params) {
+  const response = await fetch('/api/appeal', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Request-Id': newRequestId() },
+    body: JSON.stringify(params)
+  });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.message || data.error || `Appeal failed: ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * "I think my answer is also correct" button for an incorrect text answer.
+ * `part` is the blank index in the stored item (see appealTarget on the server).
+ * `onAccepted(part, answer)` is called when the judge accepts the answer, so the item's answer key
+ * can be extended and the answer re-scored.
+ */
+export default function AppealButton({ type, item, part = 0, answer, onAccepted }) {
+  const [state, setState] = useState({ status: 'idle' });
+  const given = String(answer || '').trim();
+  if (!given) return null;
+  // A changed answer can be appealed again
+  const current = state.answer === given ? state : { status: 'idle' };
+
+  const appeal = async () => {
+    setState({ status: 'pending', answer: given });
+    try {
+      const result = await appealAnswer({ exerciseSha: item?.exerciseSha, type, item, part, answer: given });
+      const explanation = result.pending ? `${result.explanation} Your answer will be reviewed before it counts for other learners.` : result.explanation;
+      setState({ status: result.accepted ? 'accepted' : 'rejected', answer: given, explanation });
+      if (result.accepted) onAccepted?.(part, given);
+    } catch (e) {
+      setState({ status: 'error', answer: given, explanation: e?.message || 'Appeal failed' });
+    }
+  };
+
+  if (current.status === 'idle') {
+    return (
+      <button type="button" onClick={appeal} className="ml-1 text-xs text-blue-600 hover:text-blue-800 underline">
+        I think my answer is also correct
+      </button>
+    );
+  }
+  if (current.status === 'pending') {
+    return <span className="ml-1 text-xs text-gray-500">Checking your answer...</span>;
+  }
+  const style = current.status === 'rejected' ? 'text-gray-700' : current.status === 'error' ? 'text-red-600' : 'text-green-700';
+  return <span className={`ml-1 text-xs ${style}`}>{current.status === 'rejected' ? 'Not accepted: ' : ''}{current.explanation}</span>;
+}
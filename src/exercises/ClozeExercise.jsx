@@ -1,14 +1,20 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { normalizeText, countBlanks, splitByBlanks, sanitizeClozeItem } from './utils.js';
+import { countBlanks, splitByBlanks, sanitizeClozeItem, logToServer } from './utils.js';
+import { createAnswerMatcher, matchAcceptedAnswer } from './answerMatcher.js';
+import AppealButton from './AppealButton.jsx';
+import AnswerMatchNote from './AnswerMatchNote.jsx';
 import useImageGeneration from '../hooks/useImageGeneration.js';
-import { generateUnifiedCloze, generateUnifiedClozeStepwise, convertToTraditionalCloze, filterBlanksByDifficulty } from './ClozeUnified.jsx';
+import { generateUnifiedCloze, generateUnifiedClozeStepwise, convertToTraditionalCloze, filterBlanksForLevel } from './ClozeUnified.jsx';
 
 /**
  * Cloze passage with free-text blanks
- * item: { title?, studentInstructions?, passage, blanks: [{ index, answer, hint?, rationale? }], difficulty }
+ * item: { title?, studentInstructions?, passage, blanks: [{ index, source_index?, answer, hint?, rationale? }], difficulty,
+ *         accepted_answers?: Record<string, string[]> } // alternatives accepted on appeal, keyed by source_index
  * value: Record<string,string>
+ * onAppealAccepted: optional (part, answer) => void; shows an appeal button on wrong answers
+ * partialCredit: accent slips and typos earn partial credit
  */
-export default function ClozeExercise({ item, value, onChange, checked, strictAccents = true, idPrefix, onFocusKey }) {
+export default function ClozeExercise({ item, value, onChange, checked, strictAccents = true, partialCredit = true, idPrefix, onFocusKey, onAppealAccepted }) {
   const [showHints, setShowHints] = useState(false);
   const [showRationale, setShowRationale] = useState({});
   const [sanitizedItem, setSanitizedItem] = useState(item);
@@ -28,15 +34,7 @@ export default function ClozeExercise({ item, value, onChange, checked, strictAc
       
       // Log warnings to server if there are issues
       if (sanitization.warnings.length > 0) {
-        fetch('/api/log', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            level: 'warn',
-            message: 'Cloze passage validation warnings',
-            data: { item, warnings: sanitization.warnings }
-          })
-        }).catch(console.error); // Don't let logging errors break the UI
+        logToServer('warn', 'Cloze passage validation warnings', { item, warnings: sanitization.warnings });
       }
     }
   }, [item]);
@@ -218,6 +216,7 @@ export default function ClozeExercise({ item, value, onChange, checked, strictAc
   const parts = splitByBlanks(sanitizedItem?.passage || '');
   const blanks = Array.isArray(sanitizedItem?.blanks) ? sanitizedItem.blanks : [];
   const nodes = [];
+  const match = createAnswerMatcher({ strictAccents, partialCredit });
   
   for (let i = 0; i < parts.length; i++) {
     nodes.push(<span key={`t-${i}`}>{parts[i]}</span>);
@@ -225,7 +224,10 @@ export default function ClozeExercise({ item, value, onChange, checked, strictAc
       const blank = blanks.find(b => b.index === i) || { answer: '', hint: '', rationale: '' };
       const key = String(i);
       const val = value?.[key] || '';
-      const isCorrect = checked && blank.answer && normalizeText(val, strictAccents) === normalizeText(blank.answer, strictAccents);
+      const part = blank.source_index ?? i;
+      const result = checked ? matchAcceptedAnswer(val, blank.answer, sanitizedItem, part, match) : null;
+      const isCorrect = result?.credit === 1;
+      const isPartial = result?.credit > 0 && !isCorrect;
       
       nodes.push(
         <span key={`b-${i}`} className="inline-block">
@@ -237,7 +239,7 @@ export default function ClozeExercise({ item, value, onChange, checked, strictAc
             onChange={(e) => onChange(key, e.target.value)}
             onFocus={() => onFocusKey && onFocusKey(`${idPrefix}:${i}`)}
             className={`mx-1 px-2 py-0.5 border rounded-md inline-block w-32 ${
-              isCorrect ? 'border-green-500 bg-green-50' : checked ? 'border-red-500 bg-red-50' : 'border-gray-300'
+              isCorrect ? 'border-green-500 bg-green-50' : isPartial ? 'border-amber-500 bg-amber-50' : checked ? 'border-red-500 bg-red-50' : 'border-gray-300'
             }`}
             placeholder="..."
           />
@@ -262,7 +264,11 @@ export default function ClozeExercise({ item, value, onChange, checked, strictAc
       if (checked) {
         nodes.push(
           <span key={`f-${i}`} className={`ml-1 text-xs ${isCorrect ? 'text-green-700' : 'text-red-700'}`}>
-            {isCorrect ? '✓' : `(${blank.answer || ''})`}
+            {isCorrect ? '✓' : isPartial ? '' : `(${blank.answer || ''})`}
+            <AnswerMatchNote result={result} given={val} />
+            {!isCorrect && !isPartial && val && blank.answer && onAppealAccepted && (
+              <AppealButton type="cloze" item={sanitizedItem} part={part} answer={val} onAccepted={onAppealAccepted} />
+            )}
             {!isCorrect && blank.rationale && (
               <button
                 type="button"
@@ -382,13 +388,19 @@ export default function ClozeExercise({ item, value, onChange, checked, strictAc
   );
 }
 
-export function scoreCloze(item, value, eq) {
+/**
+ * Score a cloze passage; accent slips and typos add partial credit per blank
+ * @param {object} item
+ * @param {Record<string,string>} value
+ * @param {ReturnType<typeof createAnswerMatcher>} match
+ */
+export function scoreCloze(item, value, match) {
   const total = countBlanks(item?.passage || '');
   let correct = 0;
   const blanks = Array.isArray(item?.blanks) ? item.blanks : [];
   for (let i = 0; i < total; i++) {
     const blank = blanks.find(b => b.index === i) || { answer: '' };
-    if (eq(String(value?.[String(i)] || ''), String(blank.answer || ''))) correct++;
+    correct += matchAcceptedAnswer(value?.[String(i)], String(blank.answer || ''), item, blank.source_index ?? i, match).credit;
   }
   return { correct, total };
 }
@@ -416,21 +428,7 @@ export async function generateCloze(topic, languageContext = { language: 'es', l
   const unifiedItem = unifiedResult.items[0];
   
   // Apply difficulty filtering based on challenge mode and level
-  const targetDifficulties = languageContext.challengeMode 
-    ? ['easy', 'medium', 'hard'] 
-    : ['easy', 'medium'];
-  // Dynamically aim for up to 75% sentence coverage, at least baseline (8), capped at 12 and total candidates
-  const segs = Array.isArray(unifiedItem.segments) ? unifiedItem.segments : [];
-  const isFlat = segs.length > 0 && !('type' in (segs[0] || {}));
-  const candidateCount = Number(unifiedItem.total_blanks || (isFlat
-    ? segs.filter(s => Array.isArray(s.options) && s.options.some(o => o.correct)).length
-    : segs.filter(s => s.type === 'blank').length));
-  const sentenceCount = isFlat ? segs.length : Math.max(candidateCount, segs.length || candidateCount);
-  const baseline = languageContext.challengeMode ? 12 : 8;
-  const coverageAim = Math.ceil(sentenceCount * 0.75);
-  const dynamicMax = Math.max(1, Math.min(12, Math.max(baseline, Math.min(candidateCount, coverageAim))))
-  
-  const filteredItem = filterBlanksByDifficulty(unifiedItem, targetDifficulties, dynamicMax);
+  const filteredItem = filterBlanksForLevel(unifiedItem, languageContext.challengeMode);
   
   // Convert to traditional cloze format for UI display
   const traditionalItem = convertToTraditionalCloze(filteredItem);
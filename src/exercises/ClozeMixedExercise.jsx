@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
-import { normalizeText, splitByBlanks, sanitizeClozeItem } from './utils.js';
-import { generateUnifiedCloze, generateUnifiedClozeStepwise, convertToClozeMixed, filterBlanksByDifficulty } from './ClozeUnified.jsx';
+import { normalizeText, splitByBlanks, sanitizeClozeItem, logToServer } from './utils.js';
+import { generateUnifiedCloze, generateUnifiedClozeStepwise, convertToClozeMixed, filterBlanksForLevel } from './ClozeUnified.jsx';
 
 /**
  * Cloze with mixed options per blank (dropdowns)
@@ -22,15 +22,7 @@ export default function ClozeMixedExercise({ item, value, onChange, checked, str
       
       // Log warnings to server if there are issues
       if (sanitization.warnings.length > 0) {
-        fetch('/api/log', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            level: 'warn',
-            message: 'ClozeMixed passage validation warnings',
-            data: { item, warnings: sanitization.warnings }
-          })
-        }).catch(console.error); // Don't let logging errors break the UI
+        logToServer('warn', 'ClozeMixed passage validation warnings', { item, warnings: sanitization.warnings });
       }
     }
   }, [item]);
@@ -178,21 +170,7 @@ export async function generateClozeMixed(topic, languageContext = { language: 'e
   const unifiedItem = unifiedResult.items[0];
   
   // Apply difficulty filtering based on challenge mode and level
-  const targetDifficulties = languageContext.challengeMode 
-    ? ['easy', 'medium', 'hard'] 
-    : ['easy', 'medium'];
-  // Dynamically aim for up to 75% sentence coverage, at least baseline (8), capped at 12 and total candidates
-  const segs = Array.isArray(unifiedItem.segments) ? unifiedItem.segments : [];
-  const isFlat = segs.length > 0 && !('type' in (segs[0] || {}));
-  const candidateCount = Number(unifiedItem.total_blanks || (isFlat
-    ? segs.filter(s => Array.isArray(s.options) && s.options.some(o => o.correct)).length
-    : segs.filter(s => s.type === 'blank').length));
-  const sentenceCount = isFlat ? segs.length : Math.max(candidateCount, segs.length || candidateCount);
-  const baseline = languageContext.challengeMode ? 12 : 8;
-  const coverageAim = Math.ceil(sentenceCount * 0.75);
-  const dynamicMax = Math.max(1, Math.min(12, Math.max(baseline, Math.min(candidateCount, coverageAim))))
-  
-  const filteredItem = filterBlanksByDifficulty(unifiedItem, targetDifficulties, dynamicMax);
+  const filteredItem = filterBlanksForLevel(unifiedItem, languageContext.challengeMode);
   
   // Convert to ClozeMixed format for UI display
   const clozeMixedItem = convertToClozeMixed(filteredItem);
@@ -6,64 +6,13 @@
  * and explanations, then let the UI components decide how to present them (text input vs dropdowns).
  */
 
-import { pickRandomTopicSuggestion, formatTopicSuggestionForPrompt } from './utils.js';
-
-// Stepwise generation schemas (lightweight; do NOT persist steps to disk)
-const STEP1_REWRITE_SCHEMA = {
-  type: 'object',
-  additionalProperties: false,
-  properties: {
-    rewritten_passage: { type: 'string' }
-  },
-  required: ['rewritten_passage']
-};
-
-const STEP2_PRESENCE_SCHEMA = {
-  type: 'object',
-  additionalProperties: false,
-  properties: {
-    present: { type: 'boolean' }
-  },
-  required: ['present']
-};
-
-const STEP3_SEGMENT_SCHEMA = {
-  type: 'object',
-  additionalProperties: false,
-  properties: {
-    full_sentence: { type: 'string' },
-    preceding_text: { type: 'string' },
-    succeeding_text: { type: 'string' },
-    hint: { type: 'string' },
-    options: {
-      type: 'array',
-      minItems: 3,
-      maxItems: 5,
-      items: {
-        type: 'object',
-        additionalProperties: false,
-        properties: {
-          text: { type: 'string' },
-          correct: { type: 'boolean' },
-          explanation: { type: 'string' }
-        },
-        required: ['text', 'correct']
-      }
-    },
-    difficulty_level: { type: 'string', enum: ['easy', 'medium', 'hard'] },
-    grammar_focus: { type: 'string' }
-  },
-  required: ['full_sentence', 'preceding_text', 'succeeding_text', 'options']
-};
-
-async function llmGenerate({ system, user, jsonSchema, metadata }) {
-  const resp = await fetch('/api/generate', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    // Use a non-persistent schemaName so steps stay in-memory only on the server
-    body: JSON.stringify({ system, user, jsonSchema, schemaName: 'cloze_step', metadata })
-  });
-  if (!resp.ok) throw new Error(`LLM call failed: ${resp.status}`);
+import { requestExercises, chapterReference, logToServer } from './utils.js';
+
+// Stepwise generation steps are registry types on the server (cloze_rewrite, cloze_presence,
+// cloze_segment); they use a non-persistent schemaName so steps stay in-memory only
+async function llmGenerate(step, params) {
+  const resp = await requestExercises(step, params);
+  if (!resp.ok) throw new Error(`LLM call failed: ${resp.status} (request ${resp.headers.get('X-Request-Id') || 'unknown'})`);
   return await resp.json();
 }
 
@@ -159,38 +108,15 @@ export async function generateUnifiedClozeStepwise(topic, languageContext) {
   if (!chapter || !chapter.passage) throw new Error('No base text chapter provided for stepwise cloze generation');
 
   // Step 1: Rewrite full passage (cached) — sentence splitting handled locally
-  const step1System = 'You are a language teaching expert. You rewrite passages to include a target grammar structure while preserving coherence. Return strict JSON.';
-  const step1User = [
-    `Task: Rewrite the passage to include the target grammar.`,
-    `Target Language: ${languageName}`,
-    `Target Level: ${level}${challengeMode ? ' (slightly challenging)' : ''}`,
-    `Target Grammar: ${topic}`,
-    `Original Passage:`,
-    chapter.passage,
-    '',
-    'Requirements:',
-    '- Keep the same language as the original.',
-    '- Maintain narrative coherence; adapt content to include multiple instances of the target grammar.',
-    '- Return JSON with a single field: rewritten_passage (string).',
-  ].join('\n');
-  const step1 = await llmGenerate({ system: step1System, user: step1User, jsonSchema: STEP1_REWRITE_SCHEMA, metadata: { language: languageName, level, challengeMode, topic } });
+  const stepContext = { topic, language: languageName, level, challengeMode };
+  const step1 = await llmGenerate('cloze_rewrite', { ...stepContext, ...chapterReference(baseText, chapter) });
   const rewritten = String(step1.rewritten_passage || chapter.passage || '');
   const sentences = compactSentences(splitIntoSentences(rewritten));
 
   // Step 2: Presence check per sentence (cached), sequential to respect RPM limits
-  const presenceSystem = 'You are a strict boolean classifier and language expert. Return JSON { "present": true|false } only.';
   const presenceResults = [];
   for (let idx = 0; idx < sentences.length; idx++) {
-    const s = sentences[idx];
-    const user = [
-      `Target Grammar: ${topic}`,
-      `Sentence Index: ${idx}`,
-      `Sentence:`,
-      s,
-      '',
-      'Question: Does this sentence contain at least one clear instance of the target grammar (a single contiguous span you could choose)? Respond strictly with {"present": true} or {"present": false}.',
-    ].join('\n');
-    const pr = await llmGenerate({ system: presenceSystem, user, jsonSchema: STEP2_PRESENCE_SCHEMA, metadata: { language: languageName, level, challengeMode, topic } }).catch(() => ({ present: false }));
+    const pr = await llmGenerate('cloze_presence', { ...stepContext, sentence: sentences[idx], sentenceIndex: idx }).catch(() => ({ present: false }));
     presenceResults.push(pr);
   }
 
@@ -215,17 +141,11 @@ export async function generateUnifiedClozeStepwise(topic, languageContext) {
     return chosen;
   }
   const selectedForBlank = pickEvenlySpaced(candidateIdx, targetBlanks);
-  try {
-    if (selectedForBlank.size) {
-      fetch('/api/log', {
-        method: 'POST', headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ level: 'debug', message: 'Cloze selection', data: { candidateCount: candidateIdx.length, targetBlanks, selected: Array.from(selectedForBlank) } })
-      }).catch(() => {});
-    }
-  } catch {}
+  if (selectedForBlank.size) {
+    logToServer('debug', 'Cloze selection', { candidateCount: candidateIdx.length, targetBlanks, selected: Array.from(selectedForBlank) });
+  }
 
   // Step 3: Segment sentences with target grammar into prefix/blank/suffix (cached per sentence)
-const segmentSystem = 'You are a language pedagogy expert. You segment a single sentence for a cloze blank. Return strict JSON matching the schema. Ensure full_sentence = preceding_text + (one correct option text) + succeeding_text. Provide options with exactly one correct=true; include short explanations.';
   const segmented = [];
   for (let i = 0; i < sentences.length; i++) {
     const s = sentences[i];
@@ -234,18 +154,7 @@ const segmentSystem = 'You are a language pedagogy expert. You segment a single
       segmented.push({ preceding_text: s, succeeding_text: '', full_sentence: s, hint: '', options: [], difficulty_level: null, grammar_focus: null });
       continue;
     }
-    const user = [
-      `Target Grammar: ${topic}`,
-      `Sentence:`,
-      s,
-      '',
-      'Instructions:',
-      '- Choose a single contiguous span within the sentence as the correct option that best captures the target grammar instance.',
-      '- Return preceding_text and succeeding_text so that full_sentence = preceding_text + correct_option.text + succeeding_text.',
-      '- Provide 3-4 total options with exactly one marked correct=true; give a short explanation for each option.',
-      '- Include a helpful hint, difficulty_level (easy|medium|hard), and grammar_focus.',
-    ].join('\n');
-    const seg = await llmGenerate({ system: segmentSystem, user, jsonSchema: STEP3_SEGMENT_SCHEMA, metadata: { language: languageName, level, challengeMode, topic } }).catch(() => null);
+    const seg = await llmGenerate('cloze_segment', { ...stepContext, sentence: s }).catch(() => null);
     if (!seg) {
       segmented.push({ preceding_text: s, succeeding_text: '', full_sentence: s, hint: '', options: [], difficulty_level: null, grammar_focus: null });
       continue;
@@ -257,13 +166,7 @@ const segmentSystem = 'You are a language pedagogy expert. You segment a single
   // Minimal structural repair and warnings (flat)
   const { segments, warnings } = validateAndRepairFlatSegments(segmented);
   if (warnings && warnings.length) {
-    try {
-      fetch('/api/log', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ level: 'warn', message: 'Unified cloze flat segment validation warnings', data: { warnings } })
-      }).catch(() => {});
-    } catch {}
+    logToServer('warn', 'Unified cloze flat segment validation warnings', { warnings });
   }
 
   // Compute metadata
@@ -303,89 +206,6 @@ const segmentSystem = 'You are a language pedagogy expert. You segment a single
   return { items: [item] };
 }
 
-/**
- * Schema for unified cloze generation using segments approach
- */
-export const UNIFIED_CLOZE_SCHEMA = {
-  type: 'object',
-  additionalProperties: false,
-  properties: {
-    items: {
-      type: 'array',
-      minItems: 1,
-      maxItems: 1,
-      items: {
-        type: 'object',
-        additionalProperties: false,
-        properties: {
-          title: { type: 'string', maxLength: 80 },
-          student_instructions: { type: 'string' },
-          base_text_id: { type: ['string', 'null'] },
-          chapter_number: { type: ['number', 'null'] },
-          segments: {
-            type: 'array',
-            minItems: 1,
-            items: {
-              type: 'object',
-              additionalProperties: false,
-              properties: {
-                type: { type: 'string', enum: ['text', 'blank'] },
-                // Text segment properties
-                content: { type: ['string', 'null'] },
-                // Blank segment properties
-                solution: { type: ['string', 'null'] },
-                hint: { type: ['string', 'null'] },
-                distractors: {
-                  type: ['array', 'null'],
-                  minItems: 3,
-                  maxItems: 4,
-                  items: { type: 'string' }
-                },
-                explanation: {
-                  type: 'object',
-                  additionalProperties: false,
-                  properties: {
-                    solution: { type: 'string' },
-                    distractor_explanations: {
-                      type: 'array',
-                      items: {
-                        type: 'object',
-                        additionalProperties: false,
-                        properties: {
-                          distractor: { type: 'string' },
-                          explanation: { type: 'string' }
-                        },
-                        required: ['distractor', 'explanation']
-                      }
-                    }
-                  }
-                },
-                difficulty_level: {
-                  type: ['string', 'null'],
-                  enum: ['easy', 'medium', 'hard'],
-                  description: 'Relative difficulty of this blank within the exercise'
-                },
-                grammar_focus: {
-                  type: ['string', 'null'],
-                  description: 'The specific grammar point this blank tests (e.g., ser vs estar, preterite vs imperfect)'
-                }
-              },
-              required: ['type']
-            }
-          },
-          difficulty: { type: 'string' },
-          total_blanks: { type: 'number' },
-          suggested_blanks_easy: { type: 'number' },
-          suggested_blanks_medium: { type: 'number' },
-          suggested_blanks_hard: { type: 'number' }
-        },
-        required: ['title', 'student_instructions', 'segments', 'total_blanks', 'suggested_blanks_easy', 'suggested_blanks_medium', 'suggested_blanks_hard']
-      }
-    }
-  },
-  required: ['items']
-};
-
 /**
  * Generate unified cloze exercises from base text chapters
  */
@@ -400,103 +220,13 @@ export async function generateUnifiedCloze(topic, count = 1, languageContext) {
     throw new Error('No base text chapter provided for unified cloze generation');
   }
 
-  const system = `You are a sophisticated language learning exercise creator. Given a text passage and a grammar topic, create a comprehensive cloze exercise that maximizes learning opportunities while maintaining narrative coherence.
-
-Your task:
-1. Create a grammatically correct and narratively coherent passage that maintains the story essence
-2. Adapt the text strategically to include multiple instances of the target grammar topic
-3. Create alternating segments of text and strategic blanks
-4. For each blank, provide the solution, helpful hints, plausible distractors, and detailed explanations
-5. Ensure the resulting passage flows naturally and makes sense as a complete story
-6. Prioritize pedagogical value over exact text preservation
-`;
-
-  const user = `Task: Create a comprehensive cloze exercise based on a provided passage.
-Target Language: ${languageName}
-Target Level: ${level}${challengeMode ? ' (slightly challenging)' : ''}
-Target Grammar: ${topic}
-Source: ${baseText?.title || 'Unknown'}
-
-Create the exercise based on this passage:
-
-**Chapter: ${chapter.title}**
-
-**Original Passage:**
-${chapter.passage}
-
-**CRITICAL: You must create SEPARATE segments for text and blanks. Do NOT put underscores or blanks in text segments.**
-
-**Segment Format Requirements:**
-1. **Text segments**: contain only regular text with NO blanks or underscores
-2. **Blank segments**: separate objects with solution, hint, distractors, etc.
-3. **Alternating structure**: text → blank → text → blank → text (etc.)
-
-**Example of CORRECT segment structure:**
-For sentence "María vive en Madrid"
-- Segment 1: {"type": "text", "content": "María "}
-- Segment 2: {"type": "blank", "solution": "vive", "hint": "lives", "distractors": ["vivía", "vivirá", "vivió"], ...}  
-- Segment 3: {"type": "text", "content": " en Madrid"}
-
-**WRONG - DO NOT DO THIS:**
-- {"type": "text", "content": "María _____ en Madrid"}
-
-**Requirements:**
-1. Adapt the passage to include multiple "${topic}" opportunities
-2. Create 6-8 strategic blank segments (not text with underscores!)
-3. Each blank segment must have: solution, hint, distractors (3-4), explanation, difficulty_level, grammar_focus
-4. Text segments contain only plain text without any blanks
-5. Maintain story coherence and narrative flow
-
-Create alternating text and blank segments that reconstruct the adapted passage when combined.
-
-Notice that the original passage does not contain the grammar topic, therefore rewrite it to include it.
-
-**Example rewritten passage:**
-"Hoy compro los boletos en línea."
-
-
-**Example segment structure:**
-Text: "Hoy" → Blank: solution="compro" → Text: "los boletos en línea."
-
-The totality of the alternating text and blank segments should reconstruct the original passage or its rewritten version in its entirety.
-
-Return comprehensive analysis with all segments and metadata.`;
-
-  // Some OpenRouter models (e.g., Meta Llama free tiers) reject deep JSON Schemas.
-  // Probe current settings and disable structured schema for known-limited models.
-  let sendSchema = true;
-  try {
-    const s = await fetch('/api/settings');
-    if (s.ok) {
-      const cfg = await s.json();
-      const provider = String(cfg?.provider || '').toLowerCase();
-      const modelId = String(cfg?.openrouter?.model || cfg?.ollama?.model || '');
-      if (provider === 'openrouter') {
-        if (/meta-llama\//i.test(modelId) || /maverick/i.test(modelId) || /:free$/i.test(modelId)) {
-          sendSchema = false; // avoid json_schema depth limits
-        }
-      }
-    }
-  } catch {}
-
-  const response = await fetch('/api/generate', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      system,
-      user,
-      jsonSchema: sendSchema ? UNIFIED_CLOZE_SCHEMA : undefined,
-      schemaName: 'unified_cloze',
-      metadata: { 
-        language: languageName, 
-        level, 
-        challengeMode, 
-        topic,
-        baseTextId: baseText?.id,
-        chapterNumber: chapter?.number,
-        chapterTitle: chapter?.title
-      }
-    })
+  // The server drops the structured schema for models that reject deep JSON Schemas
+  const response = await requestExercises('unified_cloze', {
+    topic,
+    language: languageName,
+    level,
+    challengeMode,
+    ...chapterReference(baseText, chapter)
   });
 
   if (!response.ok) {
@@ -539,6 +269,7 @@ export function convertToTraditionalCloze(unifiedItem) {
         }
         blanks.push({
           index: blankIndex,
+          source_index: segment.source_index ?? blankIndex,
           answer: segment.solution,
           hint: segment.hint,
           rationale: segment.explanation?.solution || '',
@@ -562,6 +293,7 @@ export function convertToTraditionalCloze(unifiedItem) {
         }
         blanks.push({
           index: blankIndex,
+          source_index: seg.source_index ?? blankIndex,
           answer: String(correct.text || ''),
           hint: seg.hint || '',
           rationale: correct.explanation || '',
@@ -586,6 +318,7 @@ export function convertToTraditionalCloze(unifiedItem) {
     base_text_id: unifiedItem.base_text_id,
     chapter_number: unifiedItem.chapter_number,
     exerciseSha: unifiedItem.exerciseSha,
+    accepted_answers: unifiedItem.accepted_answers,
     total_blanks_available: unifiedItem.total_blanks,
     metadata: {
       suggested_blanks_easy: unifiedItem.suggested_blanks_easy,
@@ -678,6 +411,7 @@ export function convertToClozeMixed(unifiedItem) {
     base_text_id: unifiedItem.base_text_id,
     chapter_number: unifiedItem.chapter_number,
     exerciseSha: unifiedItem.exerciseSha,
+    accepted_answers: unifiedItem.accepted_answers,
     total_blanks_available: unifiedItem.total_blanks,
     metadata: {
       suggested_blanks_easy: unifiedItem.suggested_blanks_easy,
@@ -694,6 +428,8 @@ export function filterBlanksByDifficulty(unifiedItem, targetDifficulties = ['eas
   const segments = unifiedItem.segments || [];
   const filteredSegments = [];
   let blankCount = 0;
+  // Position of each kept blank among all blanks of the item (the key for accepted_answers, see POST /api/appeal)
+  let sourceIndex = 0;
 
   const isFlat = segments.length > 0 && !('type' in (segments[0] || {}));
 
@@ -703,12 +439,13 @@ export function filterBlanksByDifficulty(unifiedItem, targetDifficulties = ['eas
         filteredSegments.push(segment);
       } else if (segment.type === 'blank') {
         if (targetDifficulties.includes(segment.difficulty_level) && blankCount < maxBlanks) {
-          filteredSegments.push(segment);
+          filteredSegments.push({ ...segment, source_index: sourceIndex });
           blankCount++;
         } else {
           // Convert blank back to text with the solution
           filteredSegments.push({ type: 'text', content: segment.solution });
         }
+        sourceIndex++;
       }
     });
   } else {
@@ -716,7 +453,7 @@ export function filterBlanksByDifficulty(unifiedItem, targetDifficulties = ['eas
       const hasOptions = Array.isArray(seg.options) && seg.options.length > 0;
       const difficulty = seg.difficulty_level || 'medium';
       if (hasOptions && targetDifficulties.includes(difficulty) && blankCount < maxBlanks) {
-        filteredSegments.push(seg);
+        filteredSegments.push({ ...seg, source_index: sourceIndex });
         blankCount++;
       } else if (hasOptions) {
         // Merge correct option into text and drop options
@@ -729,6 +466,7 @@ export function filterBlanksByDifficulty(unifiedItem, targetDifficulties = ['eas
       } else {
         filteredSegments.push(seg);
       }
+      if (hasOptions) sourceIndex++;
     }
   }
 
@@ -742,6 +480,27 @@ export function filterBlanksByDifficulty(unifiedItem, targetDifficulties = ['eas
   };
 }
 
+/**
+ * Pick the blanks shown for a level: easy/medium (plus hard in challenge mode), aiming for up to 75%
+ * sentence coverage with a baseline of 8 (12 in challenge mode), capped at 12 and the available candidates.
+ * Deterministic, so a cached unified item can be re-rendered with the same blank numbering (e.g. for review).
+ */
+export function filterBlanksForLevel(unifiedItem, challengeMode = false) {
+  const targetDifficulties = challengeMode
+    ? ['easy', 'medium', 'hard']
+    : ['easy', 'medium'];
+  const segs = Array.isArray(unifiedItem?.segments) ? unifiedItem.segments : [];
+  const isFlat = segs.length > 0 && !('type' in (segs[0] || {}));
+  const candidateCount = Number(unifiedItem?.total_blanks || (isFlat
+    ? segs.filter(s => Array.isArray(s.options) && s.options.some(o => o.correct)).length
+    : segs.filter(s => s.type === 'blank').length));
+  const sentenceCount = isFlat ? segs.length : Math.max(candidateCount, segs.length || candidateCount);
+  const baseline = challengeMode ? 12 : 8;
+  const coverageAim = Math.ceil(sentenceCount * 0.75);
+  const dynamicMax = Math.max(1, Math.min(12, Math.max(baseline, Math.min(candidateCount, coverageAim))));
+  return filterBlanksByDifficulty(unifiedItem, targetDifficulties, dynamicMax);
+}
+
 /**
  * Utility function to shuffle array (Fisher-Yates algorithm)
  */
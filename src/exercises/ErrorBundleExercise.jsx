@@ -1,5 +1,7 @@
 import React from 'react';
-import { normalizeText } from './utils.js';
+import { requestExercises, chapterReference } from './utils.js';
+import { createAnswerMatcher } from './answerMatcher.js';
+import AnswerMatchNote from './AnswerMatchNote.jsx';
 
 /**
  * Error Bundle exercise renderer (Select-or-Fix)
@@ -9,10 +11,11 @@ import { normalizeText } from './utils.js';
  * - onChange: (value:number|string) => void
  * - checked: boolean
  * - strictAccents: boolean
+ * - partialCredit: boolean (accent slips and typos in a correction earn partial credit)
  * - idPrefix: string
  * - mode: 'select' | 'fix'
  */
-export default function ErrorBundleExercise({ item, value, onChange, checked, strictAccents, idPrefix, onFocusKey, mode = 'select' }) {
+export default function ErrorBundleExercise({ item, value, onChange, checked, strictAccents = true, partialCredit = true, idPrefix, onFocusKey, mode = 'select' }) {
   const sentences = Array.isArray(item?.sentences) ? item.sentences : [];
   const correctIndex = sentences.findIndex(s => s && s.correct);
 
@@ -79,6 +82,7 @@ export default function ErrorBundleExercise({ item, value, onChange, checked, st
   // Correction mode
   const currentValue = typeof value === 'string' ? value : '';
   const target = sentences[incorrectIndex] || {};
+  const result = checked && target.fix ? matchCorrection(currentValue, target.fix, createAnswerMatcher({ strictAccents, partialCredit })) : null;
   return (
     <div className="border rounded p-3">
       <p className="font-medium text-gray-800 mb-2">Fix the sentence. Provide a minimal correction.</p>
@@ -92,13 +96,18 @@ export default function ErrorBundleExercise({ item, value, onChange, checked, st
         }}
         data-key={`${idPrefix}`}
         placeholder="Type the minimal fix"
-        className="w-full border rounded px-2 py-1 text-sm"
+        className={`w-full border rounded px-2 py-1 text-sm ${
+          !result ? '' : result.credit === 1 ? 'border-green-500 bg-green-50' : result.credit > 0 ? 'border-amber-500 bg-amber-50' : 'border-red-500 bg-red-50'
+        }`}
       />
       {checked && (
         <div className="mt-2 space-y-1">
           {target?.fix && (
             <p className="text-xs text-green-700">Expected minimal fix: {target.fix}</p>
           )}
+          {result && (
+            <p><AnswerMatchNote result={result} given={currentValue} /></p>
+          )}
           {target?.rationale && (
             <p className="text-xs text-gray-600">Rationale: {target.rationale}</p>
           )}
@@ -108,13 +117,27 @@ export default function ErrorBundleExercise({ item, value, onChange, checked, st
   );
 }
 
+// Punctuation and quotes do not count against a correction
+const stripPunctuation = (text) => String(text || '')
+  .replace(/[\u2018\u2019\u201C\u201D]/g, "'")
+  .replace(/[^\p{L}\p{N}\s']/gu, ' ');
+
+// Match a typed correction against the expected fix, ignoring punctuation
+function matchCorrection(candidate, expected, match) {
+  return { ...match(stripPunctuation(candidate), stripPunctuation(expected)), expected: String(expected || '') };
+}
+
 /**
  * Score a single Error Bundle item.
  * - If value is a number: selection mode
- * - If value is a string: correction mode
- * Returns { correct: 0|1, total: 1 }
+ * - If value is a string: correction mode; accent slips and typos earn partial credit
+ * Returns { correct: number, total: 1 }
+ * @param {object} item
+ * @param {number|string|null} value
+ * @param {ReturnType<typeof createAnswerMatcher>} match
+ * @param {number} [idxSeed=0] - Picks the sentence to fix, as in the renderer
  */
-export function scoreErrorBundle(item, value, eq, strictAccents = true, idxSeed = 0) {
+export function scoreErrorBundle(item, value, match, idxSeed = 0) {
   const sentences = Array.isArray(item?.sentences) ? item.sentences : [];
   if (typeof value === 'number') {
     const isCorrect = sentences[value]?.correct === true;
@@ -127,63 +150,13 @@ export function scoreErrorBundle(item, value, eq, strictAccents = true, idxSeed
     if (wrongIndices.length === 0) return 0;
     return wrongIndices[seed % wrongIndices.length];
   };
-  const wrongIdx = pickIncorrectIndex(idxSeed);
-  const target = sentences[wrongIdx] || {};
-  const expected = target?.fix || '';
+  const expected = sentences[pickIncorrectIndex(idxSeed)]?.fix || '';
   const candidate = typeof value === 'string' ? value : '';
-
-  // Quick exact compare (with app-level accent policy)
-  if (eq && eq(candidate, expected)) {
-    return { correct: 1, total: 1 };
-  }
-
-  // Normalize: lowercase, optional diacritics removal, strip punctuation, collapse spaces
-  const normalizeForCorrection = (text) => {
-    const base = normalizeText(text || '', strictAccents);
-    return base
-      // remove punctuation and quotes
-      .replace(/[\u2018\u2019\u201C\u201D]/g, "'")
-      .replace(/[^\p{L}\p{N}\s']/gu, ' ')
-      .replace(/\s+/g, ' ')
-      .trim();
-  };
-
-  const a = normalizeForCorrection(candidate);
-  const b = normalizeForCorrection(expected);
-
-  // Levenshtein distance with small tolerance
-  const levenshtein = (s1, s2) => {
-    const n = s1.length, m = s2.length;
-    if (n === 0) return m;
-    if (m === 0) return n;
-    const dp = new Array(m + 1);
-    for (let j = 0; j <= m; j++) dp[j] = j;
-    for (let i = 1; i <= n; i++) {
-      let prev = i - 1; // dp[i-1][j-1]
-      dp[0] = i;
-      for (let j = 1; j <= m; j++) {
-        const temp = dp[j];
-        const cost = s1[i - 1] === s2[j - 1] ? 0 : 1;
-        dp[j] = Math.min(
-          dp[j] + 1,      // deletion
-          dp[j - 1] + 1,  // insertion
-          prev + cost     // substitution
-        );
-        prev = temp;
-      }
-    }
-    return dp[m];
-  };
-
-  const distance = levenshtein(a, b);
-  const len = Math.max(a.length, b.length);
-  const threshold = len <= 10 ? 1 : 2;
-  const isCloseEnough = distance <= threshold;
-  return { correct: isCloseEnough ? 1 : 0, total: 1 };
+  return { correct: matchCorrection(candidate, expected, match).credit, total: 1 };
 }
 
 /**
- * Generate Error Bundle exercises using the generic LLM endpoint
+ * Generate Error Bundle exercises via the server exercise registry
  * @param {string} topic
  * @param {number} count
  * @param {{ language: string, level: string, challengeMode: boolean, baseText?: object, chapter?: object }} languageContext
@@ -197,96 +170,13 @@ export async function generateErrorBundles(topic, count = 5, languageContext = {
   const baseText = languageContext.baseText;
   const chapter = languageContext.chapter;
 
-  const system = `You are a language pedagogy generator. Produce compact, CEFR-appropriate error bundles.
-Each item contains FOUR sentences about the given topic with EXACTLY ONE correct.
-For each incorrect sentence, include a minimal corrected version ("fix") and a short rationale.
-
-Constraints:
-- Sentence length per CEFR level: A1 4–8, A2 6–12, B1 10–16, B2 12–20, C1 14–24, C2 16–30; when difficulty is higher, use the upper bound
-- Each item: exactly 4 sentences, exactly 1 correct; three incorrect each with ONE clear, topic-aligned error
-- Provide concise rationales (≤120 chars) and MINIMAL fixes (change only what’s necessary)
-- Optionally include a shared_context (≤80 chars) to make items cohere and reduce repetition
-- Return STRICT JSON only, matching the schema (no extra text)`;
-
-  const userPayload = {
-    language: String(languageName || ''),
-    level: String(level || ''),
-    challenge: challenge,
+  const response = await requestExercises('error_bundle', {
     topic: String(topic || ''),
-    count: safeCount
-  };
-
-  // Add base text context if available
-  if (baseText && chapter) {
-    userPayload.baseText = {
-      title: baseText.title || '',
-      chapter: {
-        title: chapter.title || '',
-        content: chapter.content || '',
-        summary: chapter.summary || ''
-      }
-    };
-  }
-
-  const schema = {
-    type: 'object',
-    required: ['items'],
-    additionalProperties: false,
-    properties: {
-      shared_context: { type: 'string' },
-      items: {
-        type: 'array', minItems: 2, maxItems: 12,
-        items: {
-          type: 'object', additionalProperties: false, required: ['sentences'],
-          properties: {
-            tags: { type: 'array', items: { type: 'string' } },
-            sentences: {
-              type: 'array', minItems: 4, maxItems: 4,
-              items: {
-                type: 'object', additionalProperties: false,
-                required: ['text', 'correct', 'rationale'],
-                properties: {
-                  text: { type: 'string' },
-                  correct: { type: 'boolean' },
-                  rationale: { type: 'string', maxLength: 120 },
-                  fix: { type: 'string' }
-                }
-              }
-            }
-          }
-        }
-      }
-    }
-  };
-
-  const response = await fetch('/api/generate', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      system,
-      user: JSON.stringify({
-        ...userPayload,
-        constraints: {
-          topic_must_match: true,
-          use_base_text: !!(baseText && chapter),
-          base_text_title: baseText?.title || undefined,
-          base_text_chapter_title: chapter?.title || undefined,
-          notes: 'Use natural sentences; keep age-appropriate and classroom-safe.'
-        }
-      }),
-      jsonSchema: schema,
-      schemaName: 'error_bundle_list',
-      metadata: {
-        language: languageName,
-        level,
-        challengeMode: challenge,
-        topic,
-        exerciseType: 'error_bundle',
-        baseTextId: baseText?.id,
-        chapterNumber: chapter?.number,
-        chapterTitle: chapter?.title
-      }
-    })
+    language: languageName,
+    level,
+    challengeMode: challenge,
+    count: safeCount,
+    ...(baseText && chapter ? chapterReference(baseText, chapter) : {})
   });
 
   if (!response.ok) {
@@ -2,6 +2,7 @@ import React, { useState } from 'react';
 import { ThumbsUp, ThumbsDown } from 'lucide-react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
+import { requestExercises, newRequestId } from './utils.js';
 
 /**
  * Explanation component for lessons
@@ -107,7 +108,7 @@ export default function ExplanationComponent({ explanation }) {
 }
 
 /**
- * Generate explanation using the generic LLM endpoint
+ * Generate explanation via the server exercise registry
  * @param {string} topic - The topic to explain
  * @param {Object} languageContext - Language and level context { language, level, challengeMode }
  * @returns {Promise<{title: string, content_markdown: string}>} Generated explanation
@@ -117,16 +118,6 @@ export async function generateExplanation(topic, languageContext = { language: '
   const level = languageContext.level;
   const challengeMode = languageContext.challengeMode;
   
-  const system = `You are a language pedagogy expert. Provide a concise, insightful explanation of a grammar concept with examples.
-
-Requirements:
-- Write in the target language and match the target level
-- Where relevant, add sections on common mistakes (and fixes), cultural context, regional differences, usage tips, and etymology
-- Return clean markdown: start with a top-level heading (#) for the title, then the explanation
-- Keep length roughly 200–600 words
-- If necessary for clarity, include brief English translations in parentheses
-- Return ONLY content; do not echo instructions`;
-
   const normalizeTopic = (input) => {
     if (typeof input === 'string') return input.trim();
     if (input && typeof input.topic === 'string') return input.topic.trim();
@@ -135,35 +126,11 @@ Requirements:
   };
   const safeTopic = normalizeTopic(topic);
 
-  const user = `Task: Explain the grammar concept.
-Concept: ${safeTopic}
-Target Language: ${languageName}
-Target Level: ${level}${challengeMode ? ' (slightly challenging)' : ''}`;
-
-  const schema = {
-    type: 'object', additionalProperties: false,
-    properties: {
-      title: { type: 'string', description: 'Short title of the concept' },
-      content_markdown: { type: 'string', description: 'Well-structured markdown with headings and examples' }
-    },
-    required: ['title', 'content_markdown']
-  };
-
-  const response = await fetch('/api/generate', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      system,
-      user,
-      jsonSchema: schema,
-      schemaName: 'explanation',
-      metadata: {
-        language: languageName,
-        level,
-        challengeMode,
-        topic: safeTopic
-      }
-    })
+  const response = await requestExercises('explanation', {
+    topic: safeTopic,
+    language: languageName,
+    level,
+    challengeMode
   });
 
   if (!response.ok) {
@@ -177,7 +144,7 @@ Target Level: ${level}${challengeMode ? ' (slightly challenging)' : ''}`;
  * Stream explanation using SSE for quicker feedback
  * @param {string} topic
  * @param {{language:string, level:string, challengeMode:boolean}} languageContext
- * @param {(partial: { type: 'prefill'|'delta'|'final'|'error', explanation?: any, text?: string, title?: string, error?: string }) => void} onUpdate
+ * @param {(partial: { type: 'queued'|'prefill'|'delta'|'final'|'error', position?: number, explanation?: any, text?: string, title?: string, error?: string }) => void} onUpdate - 'queued' carries the LLM queue position while waiting
  * @returns {Promise<{title:string, content_markdown:string, _cacheKey?:string}>}
  */
 export async function generateExplanationStream(topic, languageContext = { language: 'es', level: 'B1', challengeMode: false }, onUpdate = () => {}) {
@@ -189,7 +156,7 @@ export async function generateExplanationStream(topic, languageContext = { langu
   };
   const resp = await fetch('/api/explanations/stream', {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: { 'Content-Type': 'application/json', 'X-Request-Id': newRequestId() },
     body: JSON.stringify(body)
   });
   // If server fell back to JSON (non-stream), just return it
@@ -205,6 +172,7 @@ export async function generateExplanationStream(topic, languageContext = { langu
   const decoder = new TextDecoder();
   let buffer = '';
   let final = null;
+  let streamError = null;
   for (;;) {
     const { done, value } = await reader.read();
     if (done) break;
@@ -220,9 +188,10 @@ export async function generateExplanationStream(topic, languageContext = { langu
         if (payload.type === 'final' && payload.explanation) {
           final = payload.explanation;
         }
+        if (payload.type === 'error') streamError = payload.message || payload.error;
       } catch {}
     }
   }
-  if (!final) throw new Error('Stream ended without final explanation');
+  if (!final) throw new Error(streamError || 'Stream ended without final explanation');
   return final;
 }
@@ -1,18 +1,25 @@
 import React from 'react';
 import { Check } from 'lucide-react';
-import { normalizeText, countBlanks, splitByBlanks } from './utils.js';
+import { countBlanks, splitByBlanks, requestExercises, chapterReference } from './utils.js';
+import { createAnswerMatcher, matchAcceptedAnswer } from './answerMatcher.js';
+import AppealButton from './AppealButton.jsx';
+import AnswerMatchNote from './AnswerMatchNote.jsx';
 
 /**
  * Fill-in-the-blank exercise component (renderer-only)
  * Props:
- * - item: { sentence: string, answers: string[], hint?: string, hints?: string[], context?: string }
+ * - item: { sentence: string, answers: string[], hint?: string, hints?: string[], context?: string,
+ *           accepted_answers?: Record<string, string[]> } // alternatives accepted on appeal, keyed by blank index
  * - value: Record<string,string> (user answers map keyed by local blank index as string)
  * - onChange: (key:string, value:string) => void
  * - checked: boolean
  * - strictAccents: boolean
+ * - partialCredit: boolean (accent slips and typos earn partial credit)
  * - idPrefix: string (unique namespace)
+ * - onAppealAccepted: optional (part, answer) => void; shows an appeal button on wrong answers
  */
-export default function FIBExercise({ item, value, onChange, checked, strictAccents = true, idPrefix, onFocusKey }) {
+export default function FIBExercise({ item, value, onChange, checked, strictAccents = true, partialCredit = true, idPrefix, onFocusKey, onAppealAccepted }) {
+  const match = createAnswerMatcher({ strictAccents, partialCredit });
   const blanks = countBlanks(item?.sentence || '');
   const parts = splitByBlanks(item?.sentence || '');
   const answers = Array.isArray(item?.answers) ? item.answers : [];
@@ -24,8 +31,10 @@ export default function FIBExercise({ item, value, onChange, checked, strictAcce
       const answer = answers[i] || answers[0] || '';
       const key = String(i);
       const userVal = value?.[key] || '';
-      const isCorrect = checked && answer && normalizeText(userVal, strictAccents) === normalizeText(answer, strictAccents);
-      const isWrong = checked && userVal && answer && !isCorrect;
+      const result = checked ? matchAcceptedAnswer(userVal, answer, item, i, match) : null;
+      const isCorrect = result?.credit === 1;
+      const isPartial = result?.credit > 0 && !isCorrect;
+      const isWrong = checked && userVal && answer && !isCorrect && !isPartial;
       segments.push(
         <input
           key={`i-${i}`}
@@ -35,7 +44,7 @@ export default function FIBExercise({ item, value, onChange, checked, strictAcce
           onChange={(e) => onChange(key, e.target.value)}
           onFocus={() => onFocusKey && onFocusKey(`${idPrefix}:${i}`)}
           className={`mx-1 px-2 py-0.5 border rounded-md inline-block w-32 ${
-            isCorrect ? 'border-green-500 bg-green-50' : isWrong ? 'border-red-500 bg-red-50' : 'border-gray-300'
+            isCorrect ? 'border-green-500 bg-green-50' : isPartial ? 'border-amber-500 bg-amber-50' : isWrong ? 'border-red-500 bg-red-50' : 'border-gray-300'
           }`}
           placeholder="..."
         />
@@ -45,9 +54,13 @@ export default function FIBExercise({ item, value, onChange, checked, strictAcce
           <span key={`f-${i}`} className="ml-1">
             {isCorrect ? (
               <Check className="text-green-600 inline" size={16} />
-            ) : (
+            ) : !isPartial && (
               <span className="text-sm text-red-600">({answer})</span>
             )}
+            <AnswerMatchNote result={result} given={userVal} />
+            {isWrong && onAppealAccepted && (
+              <AppealButton type="fib" item={item} part={i} answer={userVal} onAccepted={onAppealAccepted} />
+            )}
           </span>
         );
       }
@@ -65,21 +78,21 @@ export default function FIBExercise({ item, value, onChange, checked, strictAcce
  * Pure function: compute score for a FIB item
  * @param {object} item
  * @param {Record<string,string>} value
- * @param {(a:string,b:string)=>boolean} eq
+ * @param {ReturnType<typeof createAnswerMatcher>} match
  */
-export function scoreFIB(item, value, eq) {
+export function scoreFIB(item, value, match) {
   const blanks = countBlanks(item?.sentence || '');
   const answers = Array.isArray(item?.answers) ? item.answers : [];
   let correct = 0;
   for (let i = 0; i < blanks; i++) {
     const answer = answers[i] || answers[0] || '';
-    if (eq(String(value?.[String(i)] || ''), String(answer))) correct++;
+    correct += matchAcceptedAnswer(value?.[String(i)], String(answer), item, i, match).credit;
   }
   return { correct, total: blanks };
 }
 
 /**
- * Generate FIB exercises from base text chapters
+ * Generate FIB exercises from base text chapters (prompt is built server-side from the chapter reference)
  * @param {string} topic - The topic to generate exercises about
  * @param {number} count - Number of exercises to generate (1-20)
  * @param {Object} languageContext - Language and level context { language, level, challengeMode, chapter, baseText }
@@ -96,70 +109,13 @@ export async function generateFIB(topic, count = 5, languageContext) {
     throw new Error('No base text chapter provided for FIB generation');
   }
   
-  const system = `You are creating fill-in-the-blank exercises using an existing text passage.
-
-Requirements:
-- Extract meaningful sentences from the given passage (or minimally adapt when needed)
-- Create blanks that test the target grammar topic using exactly 5 underscores (_____)
-- Provide a basic hint after each blank in parentheses
-- Also provide up to 3 progressive hints in a "hints" array (general → specific → very specific)
-- Optional: include a brief "context" note when helpful
-- Make exercises progressively harder
-- Return ONLY fields that match the provided JSON schema (no extra text)`;
-
-  const user = `Task: Create exactly ${count} fill-in-the-blank exercises.
-Target Language: ${languageName}
-Target Level: ${level}${challengeMode ? ' (slightly challenging)' : ''}
-Grammar Focus: ${topic}
-Source: ${baseText?.title || 'Unknown'} — Chapter: ${chapter.title}
-
-Passage:
-${chapter.passage}
-
-Important:
-- Aim to use ${count} different sentences or minimal variations from the passage
-- Maintain story coherence and keep difficulty appropriate for the target level`;
-
-  const schema = {
-    type: 'object', additionalProperties: false,
-    properties: {
-      items: {
-        type: 'array', items: {
-          type: 'object', additionalProperties: false,
-          properties: {
-            sentence: { type: 'string' },
-            answers: { type: 'array', items: { type: 'string' } },
-            hint: { type: 'string' },
-            hints: { type: 'array', items: { type: 'string' } },
-            context: { type: 'string' },
-            difficulty: { type: 'string' }
-          },
-          required: ['sentence','answers','difficulty']
-        }
-      }
-    },
-    required: ['items']
-  };
-
-  const response = await fetch('/api/generate', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      system,
-      user,
-      jsonSchema: schema,
-      schemaName: 'fib_list',
-      metadata: { 
-        language: languageName, 
-        level, 
-        challengeMode, 
-        topic,
-        count: Number(count) || 1,
-        baseTextId: baseText?.id,
-        chapterNumber: chapter?.number,
-        chapterTitle: chapter?.title
-      }
-    })
+  const response = await requestExercises('fib', {
+    topic,
+    language: languageName,
+    level,
+    challengeMode,
+    count: Number(count) || 1,
+    ...chapterReference(baseText, chapter)
   });
 
   if (!response.ok) {
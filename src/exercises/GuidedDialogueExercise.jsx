@@ -1,5 +1,27 @@
 import React, { useState } from 'react';
-import { pickRandomTopicSuggestion, formatTopicSuggestionForPrompt } from './utils.js';
+import { requestExercises, newRequestId } from './utils.js';
+
+const CRITERIA_LABELS = {
+  appropriateness: 'Fits the context',
+  grammar: 'Grammar',
+  target_structure: 'Target structure'
+};
+
+/**
+ * Indexes of the turns the learner writes: every turn of the hidden speaker except the first,
+ * which stays visible for context
+ * @param {object} item
+ * @returns {number[]}
+ */
+export function learnerTurnIndexes(item) {
+  const turns = Array.isArray(item?.turns) ? item.turns : [];
+  // Decide which speaker to hide: prefer explicit, then suggestion, then second distinct speaker
+  const distinctSpeakers = Array.from(new Set(turns.map(t => t.speaker).filter(Boolean)));
+  const hiddenSpeaker = item?.hide_speaker || item?.suggested_hide_speaker || (distinctSpeakers[1] || distinctSpeakers[0] || '');
+  if (!hiddenSpeaker) return [];
+  const firstHidden = turns.findIndex(turn => turn.speaker === hiddenSpeaker);
+  return turns.flatMap((turn, idx) => (turn.speaker === hiddenSpeaker && idx !== firstHidden ? [idx] : []));
+}
 
 /**
  * Guided Dialogue exercise
@@ -18,18 +40,13 @@ import { pickRandomTopicSuggestion, formatTopicSuggestionForPrompt } from './uti
  *   hints?: string[], // Legacy: general hints (kept for compatibility)
  *   difficulty?: string
  * }
- * value: Record<string,string> keyed by turn index (string)
+ * value: Record<string,string> keyed by turn index (string); `grade:<index>` holds the grade of that turn
+ * ({ status: 'pending'|'done'|'error', answer, ...one entry of POST /api/grade/dialogue `turns` })
  */
 export default function GuidedDialogueExercise({ item, value, onChange, checked, strictAccents = true, idPrefix, onFocusKey }) {
   const [showHints, setShowHints] = useState({});
   const turns = Array.isArray(item?.turns) ? item.turns : [];
-
-  // Decide which speaker to hide: prefer explicit, then suggestion, then second distinct speaker
-  const distinctSpeakers = Array.from(new Set(turns.map(t => t.speaker).filter(Boolean)));
-  const hiddenSpeaker = item?.hide_speaker || item?.suggested_hide_speaker || (distinctSpeakers[1] || distinctSpeakers[0] || '');
-
-  // Always show at least the first turn of the hidden speaker for context
-  const showFirstHiddenTurn = turns.findIndex(turn => turn.speaker === hiddenSpeaker) !== -1;
+  const learnerTurns = new Set(learnerTurnIndexes(item));
 
   return (
     <div className="border rounded p-3">
@@ -50,8 +67,9 @@ export default function GuidedDialogueExercise({ item, value, onChange, checked,
 
       <div className="space-y-2">
         {turns.map((turn, idx) => {
-          const isHiddenTurn = hiddenSpeaker && turn.speaker === hiddenSpeaker;
-          const shouldShowTurn = !isHiddenTurn || (showFirstHiddenTurn && idx === turns.findIndex(t => t.speaker === hiddenSpeaker));
+          const shouldShowTurn = !learnerTurns.has(idx);
+          const answer = String(value?.[String(idx)] || '');
+          const grade = value?.[`grade:${idx}`];
 
           return (
             <div key={idx} className="flex items-start gap-2">
@@ -63,15 +81,16 @@ export default function GuidedDialogueExercise({ item, value, onChange, checked,
                   <input
                     data-key={`${idPrefix}:${idx}`}
                     type="text"
-                    value={String(value?.[String(idx)] || '')}
+                    value={answer}
                     onChange={(e) => onChange(String(idx), e.target.value)}
                     onFocus={() => onFocusKey && onFocusKey(`${idPrefix}:${idx}`)}
                     className={`w-full max-w-xl px-2 py-1 border rounded ${checked ? 'bg-gray-50' : ''}`}
                     placeholder="Write the missing line..."
                   />
+                  {checked && grade && <TurnGrade grade={grade} stale={grade.answer !== answer.trim()} />}
                   {checked && (
                     <div className="mt-1 px-2 py-1 border rounded bg-green-50 text-green-800 text-xs">
-                      Suggested answer: {turn.text}
+                      {grade?.status === 'done' ? 'Original line' : 'Suggested answer'}: {turn.text}
                     </div>
                   )}
                   {!checked && turn.hint && (
@@ -112,9 +131,57 @@ export default function GuidedDialogueExercise({ item, value, onChange, checked,
   );
 }
 
-// Open-ended: do not count toward automatic score
-export function scoreGuidedDialogue(item, value, eq) {
-  return { correct: 0, total: 0 };
+function TurnGrade({ grade, stale }) {
+  if (grade.status === 'pending') {
+    return <div className="mt-1 text-xs text-gray-500">Grading your line...</div>;
+  }
+  if (grade.status === 'error') {
+    return <div className="mt-1 text-xs text-red-600">Could not grade this line: {grade.error}</div>;
+  }
+  return (
+    <div className={`mt-1 px-2 py-1 border rounded text-xs space-y-1 ${stale ? 'opacity-60' : ''}`}>
+      <div className="flex flex-wrap gap-x-3 gap-y-1">
+        <span className="font-medium">Score: {grade.points}/{grade.max_points}</span>
+        {Object.entries(CRITERIA_LABELS).map(([name, label]) => grade.scores?.[name] !== undefined && (
+          <span key={name} className="text-gray-600">{label}: {grade.scores[name]}/{grade.max_points}</span>
+        ))}
+        {stale && <span className="text-gray-500">(line changed since grading)</span>}
+      </div>
+      {grade.feedback && <p className="text-gray-700">{grade.feedback}</p>}
+      {grade.suggested_reply && <p className="text-green-800">Natural reply: {grade.suggested_reply}</p>}
+    </div>
+  );
+}
+
+// Open-ended: learner lines count with their points once graded (and only for the text that was graded)
+export function scoreGuidedDialogue(item, value) {
+  let correct = 0, total = 0;
+  learnerTurnIndexes(item).forEach((idx) => {
+    const grade = value?.[`grade:${idx}`];
+    const text = String(value?.[String(idx)] || '').trim();
+    if (grade?.status !== 'done' || !text || grade.answer !== text) return;
+    correct += Number(grade.points) || 0;
+    total += Number(grade.max_points) || 0;
+  });
+  return { correct, total };
+}
+
+/**
+ * Grade the learner's lines of one dialogue (POST /api/grade/dialogue)
+ * @param {{conversationContext?: string, turns: Array<{speaker: string, text: string}>, answers: Array<{index: number, text: string}>, language: string, level: string, challengeMode?: boolean, topic?: string}} params
+ * @returns {Promise<{turns: Array<{index: number, scores: object, feedback: string, suggested_reply: string, points: number, max_points: number}>}>}
+ */
+export async function gradeDialogueAnswers(params) {
+  const response = await fetch('/api/grade/dialogue', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Request-Id': newRequestId() },
+    body: JSON.stringify(params)
+  });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.message || data.error || `Failed to grade dialogue: ${response.status}`);
+  }
+  return response.json();
 }
 
 /**
@@ -129,153 +196,21 @@ export async function generateGuidedDialogues(topic, count = 2, languageContext
 
   console.log('generateGuidedDialogues received inspirationContext:', inspirationContext);
 
-  let system, user, baseTextContext;
-
-  if (inspirationContext) {
-    // Generate dialogues inspired by provided context
-    system = `You are a language pedagogy assistant that generates guided dialogues in the target language.
-
-Requirements:
-- Two consistent speakers across the whole dialogue (e.g., "A" and "B" or names); 6–12 turns total
-- Provide a conversationContext string (overall situation/setting)
-- Provide detailed studentInstructions that include the context
-- For EACH turn, provide an individual hint (not generic)
-- Provide suggested_hide_speaker indicating which speaker to hide
-- Use natural, real-world sentences (avoid synthetic phrasing)
-- Keep content age-appropriate and culturally relevant
-- Return ONLY fields that match the provided JSON schema (no extra text)`;
-
-    const chapterInfo = inspirationContext.chapter_passage
-      ? `**Chapter Content:**
-${inspirationContext.chapter_passage}
-
-**Source Material:** "${inspirationContext.chapter_title}" (Chapter ${inspirationContext.chapter_number})`
-      : `**Source Material:** "${inspirationContext.chapter_title}" (Chapter ${inspirationContext.chapter_number})`;
-
-    console.log('Generated chapterInfo for LLM prompt:', chapterInfo);
-    console.log('Has chapter passage:', !!inspirationContext.chapter_passage);
-
-    user = `Task: Create exactly ${count} guided dialogues inspired by a previously used chapter.
-Target Language: ${languageName}
-Target Level: ${level}${challengeMode ? ' (slightly challenging)' : ''}
-
-${chapterInfo}
-**Previously Used For:** ${inspirationContext.exercise_type.replace('_', ' ')}
-
-Requirements:
-- Create dialogues that take inspiration from the themes, vocabulary, and situations in the chapter content above
-- Two consistent speakers across the whole dialogue (e.g., "A" and "B" or names); 6-12 turns total
-- Do NOT include blanks; produce the full conversation text for every turn
-- Provide a conversationContext string that explains the overall situation/setting of the dialogue
-- Provide detailed studentInstructions that include the conversation context so students understand what's happening
-- For EACH turn in the dialogue, provide an individual hint that helps reconstruct that specific turn (not general hints)
-- Provide suggested_hide_speaker indicating which speaker's lines would be best to hide pedagogically
-- Ensure vocabulary and grammar match ${level}${challengeMode ? ' with some challenging elements' : ''}
-- Choose real world sentences, not synthetic ones
-- Keep content age-appropriate and culturally relevant
-
-== EXAMPLES ==
-If the chapter was about "Luisa and Juan in a restaurant", create a dialogue about "a discussion at a restaurant" or "ordering food" or "restaurant conversation". Each turn should have its own specific hint like "Ask about the menu" or "Express a preference for vegetarian food" or "Make a recommendation".
-
-An example of a dialogue with hints if the topic was "indirect object pronouns", the difficulty was B1 and the challenge mode was false:
-
-- Conversation Context: "Luisa and Juan are at a restaurant discussing their orders. The first speaker is Luisa, the second speaker is Juan."
-- Student Instructions: "Complete the missing lines in the conversation, using indirect object pronouns where appropriate."
-- Turns:
-  - "A: ¿Le puedes pedir al camarero una mesa junto a la ventana?" (hint: "Luisa asks Juan to request a table by the window for them")
-  - "B: Claro, le voy a pedir una mesa allí." (hint: "Juan agrees and says he will ask the waiter for a table there")
-  - "A: ¿Te gustaría que te recomiende algún plato?" (hint: "Luisa offers to recommend a dish to Juan")
-  - "B: Sí, me encantaría que me recomiendes algo típico." (hint: "Juan says he would love a recommendation for something typical")
-  - "A: El camarero nos trae el menú." (hint: "Luisa mentions that the waiter is bringing the menu")
-
-== END EXAMPLES ==
-
-`;
-
-    baseTextContext = inspirationContext;
-  } else {
-    // Fall back to original logic with topic roulette
-    system = `You are a language pedagogy assistant that generates guided dialogues in the target language.
-
-Requirements:
-- Two consistent speakers across the whole dialogue (e.g., "A" and "B" or names); 6–12 turns total
-- Provide a conversationContext string (overall situation/setting)
-- Provide detailed studentInstructions that include the context
-- For EACH turn, provide an individual hint (not generic)
-- Provide suggested_hide_speaker indicating which speaker to hide
-- Use natural, real-world sentences (avoid synthetic phrasing)
-- Keep content age-appropriate and culturally relevant
-- Return ONLY fields that match the provided JSON schema (no extra text)`;
-
-    const suggestion = pickRandomTopicSuggestion({ ensureNotEqualTo: topic });
-    const topicLine = formatTopicSuggestionForPrompt(suggestion, { prefix: 'Unless the topic relates to specific vocabulary, you may use the following topic suggestion for variety' });
-
-    user = `Task: Create exactly ${count} guided dialogues about: ${topic}.
-Target Language: ${languageName}
-Target Level: ${level}${challengeMode ? ' (slightly challenging)' : ''}
-
-${topicLine}
-
-Example: For a topic like "ordering food", each turn should have a specific hint like "Greet the waiter" or "Ask about daily specials" or "Request the bill".`;
-  }
-
-
-
-  const schema = {
-    type: 'object', additionalProperties: false,
-    properties: {
-      items: {
-        type: 'array', items: {
-          type: 'object', additionalProperties: false,
-          properties: {
-            title: { type: 'string' },
-            studentInstructions: { type: 'string' },
-            conversationContext: { type: 'string' },
-            context: { type: 'string' }, // Legacy field for compatibility
-            turns: {
-              type: 'array', minItems: 6, maxItems: 12, items: {
-                type: 'object', additionalProperties: false,
-                properties: {
-                  speaker: { type: 'string' },
-                  text: { type: 'string' },
-                  hint: { type: 'string' }
-                },
-                required: ['speaker','text']
-              }
-            },
-            suggested_hide_speaker: { type: 'string' },
-            hints: { type: 'array', items: { type: 'string' } }, // Legacy field for compatibility
-            difficulty: { type: 'string' }
-          },
-          required: ['studentInstructions','conversationContext','turns']
-        }
-      }
-    },
-    required: ['items']
-  };
-
-  const response = await fetch('/api/generate', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      system,
-      user,
-      jsonSchema: schema,
-      schemaName: 'guided_dialogues_list',
-      metadata: {
-        language: languageName,
-        level,
-        challengeMode,
-        topic,
-        ...(baseTextContext && {
-          inspiredByChapter: baseTextContext.chapter_title,
-          inspiredByChapterNumber: baseTextContext.chapter_number,
-          inspiredByExercise: baseTextContext.exercise_type,
-          inspiredByBaseText: baseTextContext.base_text_id,
-          inspiredByChapterContent: !!baseTextContext.chapter_passage
-        })
+  // The server loads the chapter passage for inspiration from its base text cache
+  const response = await requestExercises('guided_dialogues', {
+    topic,
+    language: languageName,
+    level,
+    challengeMode,
+    count: Number(count) || 1,
+    ...(inspirationContext ? {
+      inspiration: {
+        baseTextId: inspirationContext.base_text_id,
+        chapterNumber: inspirationContext.chapter_number,
+        chapterTitle: inspirationContext.chapter_title,
+        exerciseType: inspirationContext.exercise_type
       }
-    })
+    } : {})
   });
 
   if (!response.ok) {
@@ -1,5 +1,5 @@
 import React from 'react';
-import { pickRandomTopicSuggestion, formatTopicSuggestionForPrompt } from './utils.js';
+import { requestExercises } from './utils.js';
 
 /**
  * Multiple-choice exercise renderer
@@ -71,7 +71,7 @@ export function scoreMCQ(item, value) {
 }
 
 /**
- * Generate MCQ exercises using the generic LLM endpoint
+ * Generate MCQ exercises via the server exercise registry
  * @param {string} topic - The topic to generate exercises about
  * @param {number} count - Number of exercises to generate (1-20)
  * @param {Object} languageContext - Language and level context { language, level, challengeMode }
@@ -82,66 +82,12 @@ export async function generateMCQ(topic, count = 5, languageContext = { language
   const level = languageContext.level;
   const challengeMode = languageContext.challengeMode;
   
-  const system = `You are a language pedagogy assistant that generates multiple-choice questions in the target language.
-
-Requirements:
-- Each item has exactly 4 options with exactly one correct answer
-- Provide a short rationale for each option (why correct/incorrect)
-- Use natural, real-world sentences (avoid synthetic phrasing)
-- Keep content age-appropriate and culturally relevant
-- Return ONLY fields that match the provided JSON schema (no extra text)`;
-
-  const suggestion = pickRandomTopicSuggestion({ ensureNotEqualTo: topic });
-  const topicLine = formatTopicSuggestionForPrompt(suggestion, { prefix: 'Unless the topic relates to specific vocabulary, you may use the following topic suggestion for variety' });
-
-  const user = `Task: Create exactly ${count} multiple-choice questions.
-Target Language: ${languageName}
-Target Level: ${level}${challengeMode ? ' (slightly challenging)' : ''}
-Topic: ${topic}
-
-Notes:
-- Include plausible distractors
-- Ensure vocabulary and grammar complexity matches the target level
-${topicLine}`;
-
-  const schema = {
-    type: 'object', additionalProperties: false,
-    properties: {
-      items: {
-        type: 'array', items: {
-          type: 'object', additionalProperties: false,
-          properties: {
-            question: { type: 'string' },
-            options: { type: 'array', minItems: 4, maxItems: 4, items: {
-              type: 'object', additionalProperties: false,
-              properties: { text: { type: 'string' }, correct: { type: 'boolean' }, rationale: { type: 'string' } },
-              required: ['text','correct','rationale']
-            }},
-            explanation: { type: 'string' },
-            difficulty: { type: 'string' }
-          },
-          required: ['question','options','difficulty']
-        }
-      }
-    },
-    required: ['items']
-  };
-
-  const response = await fetch('/api/generate', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      system,
-      user,
-      jsonSchema: schema,
-      schemaName: 'mcq_list',
-      metadata: {
-        language: languageName,
-        level,
-        challengeMode,
-        topic
-      }
-    })
+  const response = await requestExercises('mcq', {
+    topic,
+    language: languageName,
+    level,
+    challengeMode,
+    count: Number(count) || 1
   });
 
   if (!response.ok) {
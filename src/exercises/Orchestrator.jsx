@@ -1,17 +1,19 @@
-import React, { useMemo, useState } from 'react';
-import { ThumbsUp, ThumbsDown } from 'lucide-react';
+import React, { useEffect, useMemo, useState } from 'react';
+import { ThumbsUp, ThumbsDown, RefreshCw } from 'lucide-react';
 import FIBExercise, { scoreFIB, generateFIB } from './FIBExercise.jsx';
 import MCQExercise, { scoreMCQ, generateMCQ } from './MCQExercise.jsx';
 import ClozeExercise, { scoreCloze, generateCloze } from './ClozeExercise.jsx';
 import ClozeMixedExercise, { scoreClozeMixed, generateClozeMixed } from './ClozeMixedExercise.jsx';
-import GuidedDialogueExercise, { scoreGuidedDialogue, generateGuidedDialogues } from './GuidedDialogueExercise.jsx';
-import WritingPromptExercise, { scoreWritingPrompt, generateWritingPrompts } from './WritingPromptExercise.jsx';
-import ReadingExercise, { scoreReading, generateReading } from './ReadingExercise.jsx';
+import GuidedDialogueExercise, { scoreGuidedDialogue, generateGuidedDialogues, gradeDialogueAnswers, learnerTurnIndexes } from './GuidedDialogueExercise.jsx';
+import WritingPromptExercise, { scoreWritingPrompt, generateWritingPrompts, gradeWritingAnswer } from './WritingPromptExercise.jsx';
+import ReadingExercise, { scoreReading, generateReading, gradeReadingAnswers, readingOpenQuestions } from './ReadingExercise.jsx';
 import ExplanationComponent, { generateExplanation } from './ExplanationComponent.jsx';
-import { normalizeText } from './utils.js';
+import { normalizeText, countBlanks } from './utils.js';
+import { createAnswerMatcher, matchAcceptedAnswer, roundPoints } from './answerMatcher.js';
 import ErrorBundleExercise, { scoreErrorBundle, generateErrorBundles } from './ErrorBundleExercise.jsx';
 import { BaseTextChapterTracker, EXERCISE_CATEGORIES, createChapterContext } from './baseTextOrchestrator.js';
 import RewritingExercise, { scoreRewriting, generateRewriting } from './RewritingExercise.jsx';
+import { convertToTraditionalCloze, convertToClozeMixed, filterBlanksForLevel } from './ClozeUnified.jsx';
 
 /**
  * Lesson Orchestrator: renders a collection of exercise items with standardized API.
@@ -21,10 +23,13 @@ import RewritingExercise, { scoreRewriting, generateRewriting } from './Rewritin
  * - onChange: (key:string, value:any) => void
  * - checked: boolean (global checked state)
  * - strictAccents: boolean
+ * - partialCredit: boolean (accent slips and typos in typed answers earn partial credit)
  * - idBase: string (namespace prefix)
  * - renderGenerationControls: optional function to render exercise generation controls
+ * - onAcceptAnswer: optional (type, idx, part, answer) => void, called when an appeal against the answer key
+ *   of a fib/cloze/rewrite item is accepted (see withAcceptedAnswer); without it no appeal buttons are shown
  */
-export default function Orchestrator({ lesson, values, onChange, checked, strictAccents = true, idBase = 'lesson', onFocusKey, renderGenerationControls }) {
+export default function Orchestrator({ lesson, values, onChange, checked, strictAccents = true, partialCredit = true, idBase = 'lesson', onFocusKey, renderGenerationControls, onAcceptAnswer }) {
   const [ratedGroups, setRatedGroups] = useState({});
   // Create a flat timeline of all exercises in creation order
   const exerciseTimeline = useMemo(() => {
@@ -73,6 +78,7 @@ export default function Orchestrator({ lesson, values, onChange, checked, strict
     const { type, item, idx, displayName } = exerciseData;
     const keyPrefix = `${idBase}:${type}:${idx}`;
     const val = values?.[keyPrefix] ?? (type === 'mcq' ? null : {});
+    const onAppealAccepted = onAcceptAnswer ? (part, answer) => onAcceptAnswer(type, idx, part, answer) : undefined;
     const setVal = (subKey, subVal) => {
       const newValue = type === 'mcq' ? subKey : { ...(val || {}), [String(subKey)]: subVal };
       onChange(keyPrefix, newValue);
@@ -102,11 +108,11 @@ export default function Orchestrator({ lesson, values, onChange, checked, strict
     const exerciseComponent = () => {
       switch (type) {
         case 'fib':
-          return <FIBExercise item={item} value={val || {}} onChange={setVal} checked={checked} strictAccents={strictAccents} idPrefix={keyPrefix} onFocusKey={onFocusKey} />;
+          return <FIBExercise item={item} value={val || {}} onChange={setVal} checked={checked} strictAccents={strictAccents} partialCredit={partialCredit} idPrefix={keyPrefix} onFocusKey={onFocusKey} onAppealAccepted={onAppealAccepted} />;
         case 'mcq':
           return <MCQExercise item={item} value={typeof val === 'number' ? val : null} onChange={(i) => onChange(keyPrefix, i)} checked={checked} idPrefix={keyPrefix} />;
         case 'cloze':
-          return <ClozeExercise item={item} value={val || {}} onChange={setVal} checked={checked} strictAccents={strictAccents} idPrefix={keyPrefix} onFocusKey={onFocusKey} />;
+          return <ClozeExercise item={item} value={val || {}} onChange={setVal} checked={checked} strictAccents={strictAccents} partialCredit={partialCredit} idPrefix={keyPrefix} onFocusKey={onFocusKey} onAppealAccepted={onAppealAccepted} />;
         case 'clozeMix':
           return <ClozeMixedExercise item={item} value={val || {}} onChange={setVal} checked={checked} strictAccents={strictAccents} idPrefix={keyPrefix} />;
         case 'dialogue':
@@ -126,9 +132,11 @@ export default function Orchestrator({ lesson, values, onChange, checked, strict
               onChange={(v) => onChange(keyPrefix, v)}
               checked={checked}
               strictAccents={strictAccents}
+              partialCredit={partialCredit}
               idPrefix={keyPrefix}
               onFocusKey={onFocusKey}
               showInstruction={showInstruction}
+              onAppealAccepted={onAppealAccepted}
             />
           );
         }
@@ -147,6 +155,7 @@ export default function Orchestrator({ lesson, values, onChange, checked, strict
               onChange={(v) => onChange(keyPrefix, v)}
               checked={checked}
               strictAccents={strictAccents}
+              partialCredit={partialCredit}
               idPrefix={keyPrefix}
               onFocusKey={onFocusKey}
               mode={isFix ? 'fix' : 'select'}
@@ -200,75 +209,419 @@ export default function Orchestrator({ lesson, values, onChange, checked, strict
 }
 
 /**
- * Compute aggregated score for all sections in a lesson using orchestrator values.
+ * Compute per-type scores for a lesson using orchestrator values.
+ * Keys are the Orchestrator type keys (fib, mcq, cloze, clozeMix, dialogue, writing, reading, rewrite, error);
+ * types without items are omitted.
  * @param {object} lesson
  * @param {Record<string,any>} values
  * @param {boolean} strictAccents
+ * @param {boolean} [partialCredit=true] - Accent slips and typos in typed answers earn partial credit,
+ *   so `correct` may be fractional
+ * @returns {Record<string, {correct: number, total: number}>}
  */
-export function scoreLesson(lesson, values, strictAccents = true) {
+export function scoreLessonByType(lesson, values, strictAccents = true, partialCredit = true) {
   const eq = (a, b) => normalizeText(a, strictAccents) === normalizeText(b, strictAccents);
-  let correct = 0, total = 0;
-  const add = (s) => { correct += s.correct; total += s.total; };
+  const match = createAnswerMatcher({ strictAccents, partialCredit });
+  const byType = {};
+  const add = (type, s) => {
+    const prev = byType[type] || { correct: 0, total: 0 };
+    byType[type] = { correct: roundPoints(prev.correct + s.correct), total: prev.total + s.total };
+  };
   if (Array.isArray(lesson?.fill_in_blanks)) {
     lesson.fill_in_blanks.forEach((item, idx) => {
       const key = `lesson:fib:${idx}`;
-      add(scoreFIB(item, values?.[key] || {}, eq));
+      add('fib', scoreFIB(item, values?.[key] || {}, match));
     });
   }
   if (Array.isArray(lesson?.multiple_choice)) {
     lesson.multiple_choice.forEach((item, idx) => {
       const key = `lesson:mcq:${idx}`;
-      add(scoreMCQ(item, values?.[key]));
+      add('mcq', scoreMCQ(item, values?.[key]));
     });
   }
   if (Array.isArray(lesson?.cloze_passages)) {
     lesson.cloze_passages.forEach((item, idx) => {
       const key = `lesson:cloze:${idx}`;
-      add(scoreCloze(item, values?.[key] || {}, eq));
+      add('cloze', scoreCloze(item, values?.[key] || {}, match));
     });
   }
   if (Array.isArray(lesson?.cloze_with_mixed_options)) {
     lesson.cloze_with_mixed_options.forEach((item, idx) => {
       const key = `lesson:clozeMix:${idx}`;
-      add(scoreClozeMixed(item, values?.[key] || {}, eq));
+      add('clozeMix', scoreClozeMixed(item, values?.[key] || {}, eq));
     });
   }
   if (Array.isArray(lesson?.guided_dialogues)) {
     lesson.guided_dialogues.forEach((item, idx) => {
       const key = `lesson:dialogue:${idx}`;
-      add(scoreGuidedDialogue(item, values?.[key] || {}, eq));
+      add('dialogue', scoreGuidedDialogue(item, values?.[key] || {}));
     });
   }
   if (Array.isArray(lesson?.writing_prompts)) {
     lesson.writing_prompts.forEach((item, idx) => {
       const key = `lesson:writing:${idx}`;
-      add(scoreWritingPrompt(item, values?.[key] || {}, eq));
+      add('writing', scoreWritingPrompt(item, values?.[key] || {}));
     });
   }
   if (Array.isArray(lesson?.reading_comprehension)) {
     lesson.reading_comprehension.forEach((item, idx) => {
       const key = `lesson:reading:${idx}`;
-      add(scoreReading(item, values?.[key] || {}));
+      add('reading', scoreReading(item, values?.[key] || {}));
     });
   }
   if (Array.isArray(lesson?.rewriting)) {
     lesson.rewriting.forEach((item, idx) => {
       const key = `lesson:rewrite:${idx}`;
-      add(scoreRewriting(item, values?.[key] || '', eq));
+      add('rewrite', scoreRewriting(item, values?.[key] || '', match));
     });
   }
   if (Array.isArray(lesson?.error_bundles)) {
-    const total = lesson.error_bundles.length;
-    const fixCount = Math.floor(total * 0.4);
     lesson.error_bundles.forEach((item, idx) => {
       const key = `lesson:error:${idx}`;
-      const val = values?.[key];
-      const isFix = idx >= total - fixCount;
       // Use idx as seed for stable incorrect selection
-      add(scoreErrorBundle(item, val, eq, strictAccents, idx));
+      add('error', scoreErrorBundle(item, values?.[key], match, idx));
     });
   }
-  return { correct, total };
+  return byType;
+}
+
+/**
+ * Compute aggregated score for all sections in a lesson using orchestrator values.
+ * @param {object} lesson
+ * @param {Record<string,any>} values
+ * @param {boolean} strictAccents
+ * @param {boolean} [partialCredit=true]
+ */
+export function scoreLesson(lesson, values, strictAccents = true, partialCredit = true) {
+  let correct = 0, total = 0;
+  for (const s of Object.values(scoreLessonByType(lesson, values, strictAccents, partialCredit))) {
+    correct += s.correct;
+    total += s.total;
+  }
+  return { correct: roundPoints(correct), total };
+}
+
+/**
+ * Grade the lesson's open-ended answers (writing prompts, the learner's dialogue lines and open reading
+ * questions) that have no
+ * grade for their current text yet. `onGrade(itemKey, gradeKey, grade)` is called with the pending grade
+ * and again with the result, so the caller can show progress; the returned values include all grades once
+ * they have settled.
+ * @param {object} lesson
+ * @param {Record<string,any>} values
+ * @param {{language: string, level: string, challengeMode?: boolean, topic?: string}} context
+ * @param {(itemKey: string, gradeKey: string, grade: object) => void} [onGrade]
+ * @returns {Promise<Record<string,any>>}
+ */
+export async function gradeLessonAnswers(lesson, values, context, onGrade = () => {}) {
+  const merged = { ...(values || {}) };
+  const jobs = [];
+  const settle = (itemKey, gradeKey, grade) => {
+    merged[itemKey] = { ...(merged[itemKey] || {}), [gradeKey]: grade };
+    onGrade(itemKey, gradeKey, grade);
+  };
+  // Answers (by their key in the item value) without a grade for the current text
+  const ungraded = (itemKey, keys) => keys
+    .map(key => ({ key: String(key), text: String(merged[itemKey]?.[key] || '').trim() }))
+    .filter(({ key, text }) => {
+      const previous = merged[itemKey]?.[`grade:${key}`];
+      return text && !(previous?.status === 'done' && previous.answer === text);
+    });
+  const fail = (itemKey, answers, e) => answers.forEach(a => settle(itemKey, `grade:${a.key}`, { status: 'error', answer: a.text, error: e?.message || 'Grading failed' }));
+
+  (Array.isArray(lesson?.writing_prompts) ? lesson.writing_prompts : []).forEach((item, idx) => {
+    const itemKey = `lesson:writing:${idx}`;
+    for (const a of ungraded(itemKey, (item?.prompts || []).map((p, i) => i))) {
+      settle(itemKey, `grade:${a.key}`, { status: 'pending', answer: a.text });
+      jobs.push(
+        gradeWritingAnswer({ ...context, question: item.prompts[Number(a.key)]?.question || '', answer: a.text })
+          .then(grade => settle(itemKey, `grade:${a.key}`, { ...grade, status: 'done', answer: a.text }))
+          .catch(e => fail(itemKey, [a], e))
+      );
+    }
+  });
+
+  // One request per dialogue for all of its ungraded lines
+  (Array.isArray(lesson?.guided_dialogues) ? lesson.guided_dialogues : []).forEach((item, idx) => {
+    const itemKey = `lesson:dialogue:${idx}`;
+    const answers = ungraded(itemKey, learnerTurnIndexes(item));
+    if (answers.length === 0) return;
+    answers.forEach(a => settle(itemKey, `grade:${a.key}`, { status: 'pending', answer: a.text }));
+    const turns = (item.turns || []).map(t => ({ speaker: t.speaker, text: t.text }));
+    jobs.push(
+      gradeDialogueAnswers({ ...context, conversationContext: item.conversationContext || item.context || '', turns, answers: answers.map(a => ({ index: Number(a.key), text: a.text })) })
+        .then(({ turns: graded }) => {
+          const byIndex = new Map((graded || []).map(g => [String(g.index), g]));
+          answers.forEach(a => {
+            const grade = byIndex.get(a.key);
+            settle(itemKey, `grade:${a.key}`, grade ? { ...grade, status: 'done', answer: a.text } : { status: 'error', answer: a.text, error: 'No grade returned' });
+          });
+        })
+        .catch(e => fail(itemKey, answers, e))
+    );
+  });
+
+  // One request per reading for all of its ungraded open answers, checked against the chapter passage
+  (Array.isArray(lesson?.reading_comprehension) ? lesson.reading_comprehension : []).forEach((item, idx) => {
+    const itemKey = `lesson:reading:${idx}`;
+    const questions = readingOpenQuestions(item);
+    const answers = ungraded(itemKey, questions.map(q => q.key));
+    if (answers.length === 0) return;
+    answers.forEach(a => settle(itemKey, `grade:${a.key}`, { status: 'pending', answer: a.text }));
+    const byKey = new Map(questions.map(q => [q.key, q]));
+    jobs.push(
+      gradeReadingAnswers({
+        language: context.language,
+        level: context.level,
+        challengeMode: context.challengeMode,
+        baseTextId: item.base_text_info?.base_text_id || item.base_text_id || undefined,
+        chapterNumber: item.base_text_info?.chapter_number || item.chapter_number || undefined,
+        exerciseSha: item.exerciseSha,
+        questions: answers.map(a => {
+          const { kind, question, model_answer } = byKey.get(a.key);
+          return { kind, question, model_answer, answer: a.text };
+        })
+      })
+        .then(({ answers: graded }) => answers.forEach((a, n) => {
+          const grade = graded?.[n];
+          settle(itemKey, `grade:${a.key}`, grade ? { ...grade, status: 'done', answer: a.text } : { status: 'error', answer: a.text, error: 'No grade returned' });
+        }))
+        .catch(e => fail(itemKey, answers, e))
+    );
+  });
+
+  await Promise.all(jobs);
+  return merged;
+}
+
+// Review kinds (Orchestrator type keys) -> lesson array they render from
+const REVIEW_LESSON_KEYS = {
+  fib: 'fill_in_blanks',
+  mcq: 'multiple_choice',
+  cloze: 'cloze_passages',
+  clozeMix: 'cloze_with_mixed_options',
+  error: 'error_bundles',
+  rewrite: 'rewriting'
+};
+
+/**
+ * Lesson with an alternative answer accepted on appeal added to one item's answer key
+ * (`accepted_answers[part]`); other sections and items keep their identity.
+ * @param {object} lesson
+ * @param {'fib'|'cloze'|'rewrite'} type - Orchestrator type key
+ * @param {number} idx - Item index within its section
+ * @param {number} part - Blank index in the stored item (cloze: `source_index`); 0 for rewriting
+ * @param {string} answer
+ * @returns {object}
+ */
+export function withAcceptedAnswer(lesson, type, idx, part, answer) {
+  const section = REVIEW_LESSON_KEYS[type];
+  const items = Array.isArray(lesson?.[section]) ? lesson[section] : null;
+  if (!items?.[idx] || !Number.isInteger(part) || !answer) return lesson;
+  const item = items[idx];
+  const key = String(part);
+  const known = Array.isArray(item.accepted_answers?.[key]) ? item.accepted_answers[key] : [];
+  if (known.includes(answer)) return lesson;
+  const updated = { ...item, accepted_answers: { ...(item.accepted_answers || {}), [key]: [...known, answer] } };
+  return { ...lesson, [section]: items.map((it, i) => (i === idx ? updated : it)) };
+}
+
+/**
+ * Per-card credit (0..1) for an item. Blank-based kinds are judged per blank (`part`), the others as a whole;
+ * typed answers with an accent slip or typo get partial credit.
+ */
+function reviewPartCredit(kind, item, val, part, strictAccents, partialCredit, idx) {
+  const match = createAnswerMatcher({ strictAccents, partialCredit });
+  switch (kind) {
+    case 'fib': {
+      const answers = Array.isArray(item?.answers) ? item.answers : [];
+      return matchAcceptedAnswer(val?.[String(part)], String(answers[part] || answers[0] || ''), item, part, match).credit;
+    }
+    case 'cloze': {
+      const blank = (item?.blanks || []).find(b => b.index === part) || { answer: '' };
+      return matchAcceptedAnswer(val?.[String(part)], String(blank.answer || ''), item, blank.source_index ?? part, match).credit;
+    }
+    case 'clozeMix': {
+      const blank = (item?.blanks || []).find(b => b.index === part);
+      const eq = (a, b) => normalizeText(a, strictAccents) === normalizeText(b, strictAccents);
+      return blank && eq(String(val?.[String(part)] || ''), String(blank.options?.[blank.correct_index] || '')) ? 1 : 0;
+    }
+    case 'mcq':
+      return scoreMCQ(item, val).correct;
+    case 'error':
+      return scoreErrorBundle(item, val, match, idx).correct;
+    case 'rewrite':
+      return scoreRewriting(item, val || '', match).correct;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Collect missed items of a checked lesson as review cards ({ kind, exerciseSha, part }).
+ * Only items the learner attempted and that came from the cache (have an exerciseSha) are included;
+ * near misses with partial credit count as missed.
+ * @param {object} lesson
+ * @param {Record<string,any>} values
+ * @param {boolean} strictAccents
+ * @param {boolean} [partialCredit=true]
+ * @returns {Array<{kind: string, exerciseSha: string, part: number|null}>}
+ */
+export function collectReviewMisses(lesson, values, strictAccents = true, partialCredit = true) {
+  const misses = [];
+  for (const [kind, lessonKey] of Object.entries(REVIEW_LESSON_KEYS)) {
+    const items = Array.isArray(lesson?.[lessonKey]) ? lesson[lessonKey] : [];
+    items.forEach((item, idx) => {
+      const val = values?.[`lesson:${kind}:${idx}`];
+      const exerciseSha = item?.exerciseSha;
+      if (!exerciseSha || val === undefined || val === null || val === '') return;
+      if (kind === 'fib' || kind === 'cloze' || kind === 'clozeMix') {
+        const parts = kind === 'clozeMix'
+          ? (item?.blanks || []).map(b => b.index)
+          : Array.from({ length: countBlanks(kind === 'fib' ? item?.sentence : item?.passage) }, (_, i) => i);
+        parts.forEach(part => {
+          if (reviewPartCredit(kind, item, val, part, strictAccents, partialCredit, idx) < 1) misses.push({ kind, exerciseSha, part });
+        });
+      } else if (reviewPartCredit(kind, item, val, null, strictAccents, partialCredit, idx) < 1) {
+        misses.push({ kind, exerciseSha, part: null });
+      }
+    });
+  }
+  return misses;
+}
+
+/**
+ * Build a lesson from due review cards: one item per exercise, with the cards it grades.
+ * Cloze cards arrive as cached unified items and are re-rendered with the same blank selection.
+ */
+function buildReviewLesson(cards) {
+  const lesson = Object.fromEntries(Object.values(REVIEW_LESSON_KEYS).map(k => [k, []]));
+  const entries = [];
+  const byItem = new Map();
+  for (const card of cards) {
+    const lessonKey = REVIEW_LESSON_KEYS[card.kind];
+    if (!lessonKey || !card.item) continue;
+    const itemKey = `${card.kind}:${card.exerciseSha}`;
+    if (!byItem.has(itemKey)) {
+      let item = card.item;
+      if (card.kind === 'cloze') item = convertToTraditionalCloze(filterBlanksForLevel(item, card.challengeMode));
+      if (card.kind === 'clozeMix') item = convertToClozeMixed(filterBlanksForLevel(item, card.challengeMode));
+      const entry = { kind: card.kind, idx: lesson[lessonKey].length, cards: [] };
+      lesson[lessonKey].push(item);
+      entries.push(entry);
+      byItem.set(itemKey, entry);
+    }
+    byItem.get(itemKey).cards.push({ id: card.id, part: card.part });
+  }
+  return { lesson, entries };
+}
+
+/**
+ * Review mode: replays due review cards (missed items from earlier lessons) through the Orchestrator
+ * and grades each card with SM-2 quality 4 (correct), 3 (near miss with partial credit) or 1 (missed).
+ * Requires a signed-in user; cards live in the per-user store.
+ */
+export function ReviewSession({ strictAccents = true, partialCredit = true, onExit, onFocusKey }) {
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [cards, setCards] = useState([]);
+  const [totalDue, setTotalDue] = useState(0);
+  const [values, setValues] = useState({});
+  const [checked, setChecked] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const load = async () => {
+    setLoading(true);
+    setError('');
+    setChecked(false);
+    setResult(null);
+    setValues({});
+    try {
+      const res = await fetch('/api/review/due?limit=20');
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data?.error || 'Failed to load review cards');
+      setCards(Array.isArray(data.cards) ? data.cards : []);
+      setTotalDue(Number(data.totalDue) || 0);
+    } catch (e) {
+      setError(e.message || 'Failed to load review cards');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => { load(); }, []);
+
+  const { lesson, entries } = useMemo(() => buildReviewLesson(cards), [cards]);
+
+  const checkReview = async () => {
+    setChecked(true);
+    const results = [];
+    for (const entry of entries) {
+      const item = lesson[REVIEW_LESSON_KEYS[entry.kind]][entry.idx];
+      const val = values[`review:${entry.kind}:${entry.idx}`];
+      for (const c of entry.cards) {
+        const credit = reviewPartCredit(entry.kind, item, val, c.part, strictAccents, partialCredit, entry.idx);
+        results.push({ id: c.id, quality: credit >= 1 ? 4 : credit > 0 ? 3 : 1 });
+      }
+    }
+    const correct = results.filter(r => r.quality >= 3).length;
+    setResult({ correct, total: results.length });
+    try {
+      await fetch('/api/review/grade', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ results })
+      });
+    } catch {}
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-2xl font-bold text-gray-800">Review</h2>
+        <button onClick={onExit} className="px-3 py-2 text-sm rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50">Back</button>
+      </div>
+      {loading && (
+        <div className="text-center text-gray-600 py-8">
+          <RefreshCw className="animate-spin mx-auto" size={20} />
+          <p className="text-sm mt-2">Loading due cards...</p>
+        </div>
+      )}
+      {!loading && error && <div className="p-3 rounded bg-red-50 text-red-700 text-sm">{error}</div>}
+      {!loading && !error && entries.length === 0 && (
+        <div className="p-4 rounded-lg bg-gray-50 text-gray-700 text-sm">
+          Nothing is due right now. Items you miss in a lesson come back here for review, starting the next day.
+        </div>
+      )}
+      {!loading && !error && entries.length > 0 && (
+        <>
+          <p className="text-sm text-gray-600">{cards.length} of {totalDue} due card{totalDue === 1 ? '' : 's'}</p>
+          <Orchestrator
+            lesson={lesson}
+            values={values}
+            onChange={(key, value) => setValues(prev => ({ ...prev, [key]: value }))}
+            checked={checked}
+            strictAccents={strictAccents}
+            partialCredit={partialCredit}
+            idBase="review"
+            onFocusKey={onFocusKey}
+          />
+          {!checked ? (
+            <button onClick={checkReview} className="w-full bg-green-600 text-white py-3 px-6 rounded-lg hover:bg-green-700">Check review</button>
+          ) : (
+            <div className="space-y-3">
+              {result && (
+                <div className="p-4 rounded-lg bg-blue-50 text-blue-800 text-sm">
+                  {result.correct} of {result.total} recalled. Missed cards come back tomorrow; recalled ones move further out.
+                </div>
+              )}
+              <button onClick={load} className="w-full bg-blue-600 text-white py-3 px-6 rounded-lg hover:bg-blue-700">Load more due cards</button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
 }
 
 /**
@@ -1,6 +1,6 @@
 import React, { useEffect, useRef, useState } from 'react';
 import useImageGeneration from '../hooks/useImageGeneration.js';
-import { pickRandomTopicSuggestion, formatTopicSuggestionForPrompt } from './utils.js';
+import { requestExercises, chapterReference, newRequestId } from './utils.js';
 
 /**
  * Reading Comprehension exercise
@@ -12,13 +12,17 @@ import { pickRandomTopicSuggestion, formatTopicSuggestionForPrompt } from './uti
  *   glossary: Array<{ term: string, pos: 'noun'|'verb'|'adj'|'adv'|'expr', definition: string, translation: string|null, example: string }>,
  *   true_false: Array<{ statement: string, answer: boolean }>,
  *   comprehension_questions: Array<{ question: string, model_answer: string }>,
- *   productive_prompts: Array<string>,
+ *   productive_prompts: Array<string | { prompt: string, model_answer: string }>,
+ *   opinion_questions?: Array<string | { question: string, model_answers?: { agree?, disagree?, neutral? } }>,
  *   difficulty?: string
  * }
  * value: Record<string, any>
  *   - keys: tf:{index} => boolean | null
  *           qa:{index} => string
  *           pp:{index} => string
+ *           op:{index} => string
+ *           grade:{answer key} => grade of an open answer ({ status: 'pending'|'done'|'error', answer,
+ *                                 ...one entry of POST /api/grade/reading `answers` })
  */
 export default function ReadingExercise({ item, value, onChange, checked, idPrefix, onFocusKey }) {
   const [imageGenerationEnabled, setImageGenerationEnabled] = useState(false);
@@ -314,6 +318,7 @@ export default function ReadingExercise({ item, value, onChange, checked, idPref
                   onFocus={() => onFocusKey && onFocusKey(`${idPrefix}:qa:${qi}`)}
                   disabled={!!checked}
                 />
+                {checked && <AnswerGrade grade={value?.[`grade:qa:${qi}`]} answer={value?.[`qa:${qi}`]} />}
                 {checked && q.model_answer && (
                   <div className="text-xs text-green-700 mt-1">Model answer: {q.model_answer}</div>
                 )}
@@ -340,6 +345,7 @@ export default function ReadingExercise({ item, value, onChange, checked, idPref
                   onFocus={() => onFocusKey && onFocusKey(`${idPrefix}:pp:${pi}`)}
                   disabled={!!checked}
                 />
+                {checked && <AnswerGrade grade={value?.[`grade:pp:${pi}`]} answer={value?.[`pp:${pi}`]} />}
                 {checked && p.model_answer && (
                   <div className="text-xs text-green-700 mt-1">Model answer: {p.model_answer}</div>
                 )}
@@ -366,6 +372,7 @@ export default function ReadingExercise({ item, value, onChange, checked, idPref
                   onFocus={() => onFocusKey && onFocusKey(`${idPrefix}:op:${qi}`)}
                   disabled={!!checked}
                 />
+                {checked && <AnswerGrade grade={value?.[`grade:op:${qi}`]} answer={value?.[`op:${qi}`]} />}
                 {checked && q.model_answers && (q.model_answers.agree || q.model_answers.disagree || q.model_answers.neutral) && (
                   <div className="text-xs text-green-700 mt-1 space-y-0.5">
                     {q.model_answers.agree && (<div><span className="font-semibold">Agree:</span> {q.model_answers.agree}</div>)}
@@ -382,15 +389,83 @@ export default function ReadingExercise({ item, value, onChange, checked, idPref
   );
 }
 
-// Score only the True/False items
+const VERDICT_STYLES = {
+  correct: 'text-green-700',
+  partial: 'text-amber-700',
+  incorrect: 'text-red-700'
+};
+
+function AnswerGrade({ grade, answer }) {
+  if (!grade) return null;
+  if (grade.status === 'pending') {
+    return <div className="text-xs text-gray-500 mt-1">Checking your answer against the text...</div>;
+  }
+  if (grade.status === 'error') {
+    return <div className="text-xs text-red-600 mt-1">Could not check this answer: {grade.error}</div>;
+  }
+  const stale = grade.answer !== String(answer || '').trim();
+  return (
+    <div className={`text-xs mt-1 space-y-1 ${stale ? 'opacity-60' : ''}`}>
+      <div>
+        <span className={`font-semibold capitalize ${VERDICT_STYLES[grade.verdict] || ''}`}>{grade.verdict}</span>
+        {grade.feedback && <span className="text-gray-700"> — {grade.feedback}</span>}
+      </div>
+      {Array.isArray(grade.evidence) && grade.evidence.map((quote, i) => (
+        <blockquote key={i} className="border-l-2 border-gray-300 pl-2 italic text-gray-600">{quote}</blockquote>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Open questions of a reading item with their answer keys in the value
+ * @param {object} item
+ * @returns {Array<{key: string, kind: 'comprehension'|'productive'|'opinion', question: string, model_answer: string}>}
+ */
+export function readingOpenQuestions(item) {
+  const list = (field) => (Array.isArray(item?.[field]) ? item[field] : []);
+  const text = (q, ...fields) => (q && typeof q === 'object' ? String(fields.map(f => q[f]).find(Boolean) || '') : String(q || ''));
+  return [
+    ...list('comprehension_questions').map((q, i) => ({ key: `qa:${i}`, kind: 'comprehension', question: text(q, 'question'), model_answer: text(q, 'model_answer') })),
+    ...list('productive_prompts').map((p, i) => ({ key: `pp:${i}`, kind: 'productive', question: text(p, 'prompt', 'question'), model_answer: p && typeof p === 'object' ? String(p.model_answer || '') : '' })),
+    ...list('opinion_questions').map((q, i) => ({ key: `op:${i}`, kind: 'opinion', question: text(q, 'question'), model_answer: '' }))
+  ];
+}
+
+// True/False items, plus open answers once graded (and only for the text that was graded)
 export function scoreReading(item, value) {
   const tfItems = Array.isArray(item?.true_false) ? item.true_false : [];
-  let correct = 0;
+  let correct = 0, total = tfItems.length;
   for (let i = 0; i < tfItems.length; i++) {
     const chosen = value?.[`tf:${i}`];
     if (typeof chosen === 'boolean' && chosen === tfItems[i].answer) correct++;
   }
-  return { correct, total: tfItems.length };
+  for (const { key } of readingOpenQuestions(item)) {
+    const grade = value?.[`grade:${key}`];
+    const text = String(value?.[key] || '').trim();
+    if (grade?.status !== 'done' || !text || grade.answer !== text) continue;
+    correct += Number(grade.points) || 0;
+    total += Number(grade.max_points) || 0;
+  }
+  return { correct, total };
+}
+
+/**
+ * Check open reading answers against the passage (POST /api/grade/reading)
+ * @param {{baseTextId?: string, chapterNumber?: number, exerciseSha?: string, questions: Array<{kind: string, question: string, model_answer?: string, answer: string}>, language: string, level: string, challengeMode?: boolean}} params
+ * @returns {Promise<{answers: Array<{verdict: 'correct'|'partial'|'incorrect', evidence: string[], feedback: string, points: number, max_points: number}>}>}
+ */
+export async function gradeReadingAnswers(params) {
+  const response = await fetch('/api/grade/reading', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Request-Id': newRequestId() },
+    body: JSON.stringify(params)
+  });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.message || data.error || `Failed to check answers: ${response.status}`);
+  }
+  return response.json();
 }
 
 /**
@@ -433,131 +508,12 @@ async function generateSingleReading(topic, passageNumber = null, languageContex
   const level = languageContext.level;
   const challengeMode = languageContext.challengeMode;
 
-  // Derive length ranges by level (A1–C2 supported)
-  const levelToLength = (lvl) => {
-    switch (String(lvl).toUpperCase()) {
-      case 'A1': return challengeMode ? '80-120 words' : '60-100 words';
-      case 'A2': return challengeMode ? '120-180 words' : '100-150 words';
-      case 'B1': return challengeMode ? '200-260 words' : '150-250 words';
-      case 'B2': return challengeMode ? '300-360 words' : '250-350 words';
-      case 'C1': return challengeMode ? '400-480 words' : '350-450 words';
-      case 'C2': return challengeMode ? '500-580 words' : '450-550 words';
-      default: return challengeMode ? '180-260 words' : '140-220 words';
-    }
-  };
-
-  const lengthTarget = levelToLength(level);
-  const maxNewWords = challengeMode ? 8 : 5;
-  const passageContext = passageNumber ? ` (Set ${passageNumber})` : '';
-
-  const system = `You are a language pedagogy assistant that generates reading comprehension passages with supporting materials.
-
-Requirements:
-- Title: ≤ 60 characters
-- Use natural, real-world language
-- Provide an image_prompt (short, descriptive, no text overlays)
-- Glossary: 3–8 terms (term, part of speech, definition, optional translation, example sentence in target language)
-- True/False: 3–5 statements answerable directly from the passage
-- Comprehension questions: 2–4 with concise model answers
-- Productive prompts: 1–2 with short model answers
-- Opinion questions: exactly 3 with model answers for agree/disagree/neutral
-- Keep content age-appropriate and culturally relevant
-- Return ONLY fields that match the provided JSON schema (no extra text)`;
-
-  const suggestion = pickRandomTopicSuggestion({ ensureNotEqualTo: topic });
-  const topicLine = formatTopicSuggestionForPrompt(suggestion, { prefix: 'Unless the topic relates to specific vocabulary, you may use the following topic suggestion for variety' });
-
-  const user = `Task: Create exactly 1 reading comprehension set${passageContext}.
-Target Language: ${languageName}
-Target Level: ${level}${challengeMode ? ' (slightly challenging; allow more complex syntax and subordinate clauses)' : ''}
-Topic: ${topic}
-Passage length target: ${lengthTarget}
-Max new vocabulary terms: ${maxNewWords}
-
-${topicLine}
-
-Return STRICT JSON only per schema.`;
-
-  const schema = {
-    type: 'object', additionalProperties: false,
-    properties: {
-      items: {
-        type: 'array', minItems: 1, maxItems: 1, items: {
-          type: 'object', additionalProperties: false,
-          properties: {
-            title: { type: 'string', maxLength: 60 },
-            passage: { type: 'string' },
-            image_prompt: { type: 'string' },
-            glossary: {
-              type: 'array', minItems: 3, maxItems: 8, items: {
-                type: 'object', additionalProperties: false,
-                properties: {
-                  term: { type: 'string' },
-                  pos: { type: 'string', enum: ['noun','verb','adj','adv','expr'] },
-                  definition: { type: 'string' },
-                  translation: { type: ['string','null'] },
-                  example: { type: 'string' }
-                },
-                required: ['term','pos','definition','translation','example']
-              }
-            },
-            true_false: {
-              type: 'array', minItems: 3, maxItems: 5, items: {
-                type: 'object', additionalProperties: false,
-                properties: { statement: { type: 'string' }, answer: { type: 'boolean' } },
-                required: ['statement','answer']
-              }
-            },
-            comprehension_questions: {
-              type: 'array', minItems: 2, maxItems: 4, items: {
-                type: 'object', additionalProperties: false,
-                properties: { question: { type: 'string' }, model_answer: { type: 'string' } },
-                required: ['question','model_answer']
-              }
-            },
-            productive_prompts: { 
-              type: 'array', minItems: 1, maxItems: 2, items: { 
-                type: 'object', additionalProperties: false,
-                properties: { prompt: { type: 'string' }, model_answer: { type: 'string' } },
-                required: ['prompt','model_answer']
-              }
-            },
-            opinion_questions: { 
-              type: 'array', minItems: 3, maxItems: 3, items: {
-                type: 'object', additionalProperties: false,
-                properties: {
-                  question: { type: 'string' },
-                  model_answers: { 
-                    type: 'object', additionalProperties: false,
-                    properties: {
-                      agree: { type: 'string' },
-                      disagree: { type: 'string' },
-                      neutral: { type: 'string' }
-                    }
-                  }
-                },
-                required: ['question']
-              }
-            },
-            difficulty: { type: 'string' }
-          },
-          required: ['title','passage','image_prompt','glossary','true_false','comprehension_questions','productive_prompts','opinion_questions']
-        }
-      }
-    },
-    required: ['items']
-  };
-
-  const response = await fetch('/api/generate', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      system,
-      user,
-      jsonSchema: schema,
-      schemaName: 'reading_list',
-      metadata: { language: languageName, level, challengeMode, topic }
-    })
+  const response = await requestExercises('reading', {
+    topic,
+    language: languageName,
+    level,
+    challengeMode,
+    ...(passageNumber ? { passageNumber } : {})
   });
 
   if (!response.ok) {
@@ -581,130 +537,12 @@ async function generateReadingFromBaseText(topic, count = 1, languageContext) {
     throw new Error('No base text chapter provided for reading comprehension');
   }
 
-  const system = `You are creating reading comprehension exercises based on a provided text passage.
-
-Requirements:
-- Create an appropriate title (≤ 60 characters) reflecting the chapter content
-- Generate an image_prompt that captures the scene/mood of the specific chapter
-- Identify 4–6 key vocabulary terms from the passage (POS, definition, translation, example)
-- Extract 4–5 TRUE/FALSE statements verifiable directly from the text
-- Create 3–4 comprehension questions with concise model answers
-- Provide 1–2 productive prompts with short model answers
-- Create exactly 3 opinion questions with agree/disagree/neutral model answers
-- Use ONLY the provided passage; do not invent facts
-- Return ONLY fields that match the provided JSON schema (no extra text)`;
-
-  const user = `Task: Create exactly 1 reading comprehension set based on a provided passage.
-Target Language: ${languageName}
-Target Level: ${level}${challengeMode ? ' (slightly challenging analysis)' : ''}
-Topic: ${topic}
-
-Source: ${baseText?.title || 'Unknown'}
-
-**Chapter: ${chapter.title}**
-**Passage:**
-${chapter.passage}
-
-Return STRICT JSON only per schema.`;
-
-  const schema = {
-    type: 'object', additionalProperties: false,
-    properties: {
-      items: {
-        type: 'array', minItems: 1, maxItems: 1, items: {
-          type: 'object', additionalProperties: false,
-          properties: {
-            title: { type: 'string', maxLength: 60 },
-            passage: { type: 'string' },
-            image_prompt: { type: 'string' },
-            glossary: {
-              type: 'array', minItems: 4, maxItems: 6, items: {
-                type: 'object', additionalProperties: false,
-                properties: {
-                  term: { type: 'string' },
-                  pos: { type: 'string', enum: ['noun','verb','adj','adv','expr'] },
-                  definition: { type: 'string' },
-                  translation: { type: ['string','null'] },
-                  example: { type: 'string' }
-                },
-                required: ['term','pos','definition','translation','example']
-              }
-            },
-            true_false: {
-              type: 'array', minItems: 4, maxItems: 5, items: {
-                type: 'object', additionalProperties: false,
-                properties: { statement: { type: 'string' }, answer: { type: 'boolean' } },
-                required: ['statement','answer']
-              }
-            },
-            comprehension_questions: {
-              type: 'array', minItems: 3, maxItems: 4, items: {
-                type: 'object', additionalProperties: false,
-                properties: { question: { type: 'string' }, model_answer: { type: 'string' } },
-                required: ['question','model_answer']
-              }
-            },
-            productive_prompts: { 
-              type: 'array', minItems: 1, maxItems: 2, items: { 
-                type: 'object', additionalProperties: false,
-                properties: { prompt: { type: 'string' }, model_answer: { type: 'string' } },
-                required: ['prompt','model_answer']
-              }
-            },
-            opinion_questions: { 
-              type: 'array', minItems: 3, maxItems: 3, items: {
-                type: 'object', additionalProperties: false,
-                properties: {
-                  question: { type: 'string' },
-                  model_answers: { 
-                    type: 'object', additionalProperties: false,
-                    properties: {
-                      agree: { type: 'string' },
-                      disagree: { type: 'string' },
-                      neutral: { type: 'string' }
-                    },
-                    required: ['agree', 'disagree', 'neutral']
-                  }
-                },
-                required: ['question', 'model_answers']
-              }
-            },
-            difficulty: { type: 'string' },
-            base_text_info: {
-              type: 'object',
-              additionalProperties: false,
-              properties: {
-                base_text_id: { type: 'string' },
-                chapter_number: { type: 'number' },
-                chapter_title: { type: 'string' }
-              }
-            }
-          },
-          required: ['title','passage','image_prompt','glossary','true_false','comprehension_questions','productive_prompts','opinion_questions']
-        }
-      }
-    },
-    required: ['items']
-  };
-
-  const response = await fetch('/api/generate', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      system,
-      user,
-      jsonSchema: schema,
-      schemaName: 'reading_from_base_text',
-      metadata: { 
-        language: languageName, 
-        level, 
-        challengeMode, 
-        topic,
-        baseTextId: baseText?.id,
-        chapterNumber: chapter?.number,
-        chapterTitle: chapter?.title
-      }
-    })
+  const response = await requestExercises('reading', {
+    topic,
+    language: languageName,
+    level,
+    challengeMode,
+    ...chapterReference(baseText, chapter)
   });
 
   if (!response.ok) {
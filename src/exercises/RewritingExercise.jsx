@@ -1,6 +1,9 @@
 import React, { useState } from 'react';
 import { Check } from 'lucide-react';
-import { normalizeText } from './utils.js';
+import { requestExercises, chapterReference } from './utils.js';
+import { createAnswerMatcher, matchAcceptedAnswer } from './answerMatcher.js';
+import AppealButton from './AppealButton.jsx';
+import AnswerMatchNote from './AnswerMatchNote.jsx';
 
 /**
  * Sentence Rewriting exercise
@@ -14,16 +17,21 @@ import { normalizeText } from './utils.js';
  *   rationale?: string,
  *   context?: string,
  *   difficulty?: string,
- *   base_text_info?: { base_text_id, chapter_number, chapter_title }
+ *   base_text_info?: { base_text_id, chapter_number, chapter_title },
+ *   accepted_answers?: Record<string, string[]> // alternatives accepted on appeal, keyed by part (always "0")
  * }
  * value: string (user's rewritten sentence)
+ * onAppealAccepted: optional (part, answer) => void; shows an appeal button on a wrong answer
+ * partialCredit: accent slips and typos earn partial credit
  */
-export default function RewritingExercise({ item, value, onChange, checked, strictAccents = true, idPrefix, onFocusKey, showInstruction = true }) {
+export default function RewritingExercise({ item, value, onChange, checked, strictAccents = true, partialCredit = true, idPrefix, onFocusKey, showInstruction = true, onAppealAccepted }) {
   const [showHint, setShowHint] = useState(false);
   const userVal = typeof value === 'string' ? value : '';
   const expected = String(item?.answer || '');
-  const isCorrect = checked && expected && normalizeText(userVal, strictAccents) === normalizeText(expected, strictAccents);
-  const isWrong = checked && userVal && expected && !isCorrect;
+  const result = checked ? matchAcceptedAnswer(userVal, expected, item, 0, createAnswerMatcher({ strictAccents, partialCredit })) : null;
+  const isCorrect = result?.credit === 1;
+  const isPartial = result?.credit > 0 && !isCorrect;
+  const isWrong = checked && userVal && expected && !isCorrect && !isPartial;
 
   return (
     <div className="border rounded p-3">
@@ -42,7 +50,7 @@ export default function RewritingExercise({ item, value, onChange, checked, stri
         <input
           data-key={`${idPrefix}`}
           type="text"
-          className={`w-full px-2 py-1 border rounded ${isCorrect ? 'border-green-500 bg-green-50' : isWrong ? 'border-red-500 bg-red-50' : 'border-gray-300'}`}
+          className={`w-full px-2 py-1 border rounded ${isCorrect ? 'border-green-500 bg-green-50' : isPartial ? 'border-amber-500 bg-amber-50' : isWrong ? 'border-red-500 bg-red-50' : 'border-gray-300'}`}
           placeholder="Rewrite here..."
           value={userVal}
           onChange={(e) => onChange(e.target.value)}
@@ -53,7 +61,11 @@ export default function RewritingExercise({ item, value, onChange, checked, stri
             {isCorrect ? (
               <span className="text-green-700 inline-flex items-center gap-1"><Check size={14} /> Correct</span>
             ) : (
-              <span className="text-red-700">Answer: {expected}</span>
+              <span className={isPartial ? 'text-amber-700' : 'text-red-700'}>Answer: {expected}</span>
+            )}
+            <AnswerMatchNote result={result} given={userVal} />
+            {isWrong && onAppealAccepted && (
+              <AppealButton type="rewrite" item={item} part={0} answer={userVal} onAccepted={onAppealAccepted} />
             )}
           </div>
         )}
@@ -91,12 +103,13 @@ export default function RewritingExercise({ item, value, onChange, checked, stri
 }
 
 /**
- * Score a rewriting item: 1 if normalized equality, else 0.
+ * Score a rewriting item: 1 if it equals the answer or an alternative accepted on appeal (normalized),
+ * partial credit for an accent slip or typo, else 0.
  */
-export function scoreRewriting(item, value, eq) {
+export function scoreRewriting(item, value, match) {
   const expected = String(item?.answer || '');
   const given = String(value || '');
-  const correct = expected && eq(given, expected) ? 1 : 0;
+  const correct = matchAcceptedAnswer(given, expected, item, 0, match).credit;
   return { correct, total: 1 };
 }
 
@@ -118,63 +131,13 @@ export async function generateRewriting(topic, count = 5, languageContext) {
     throw new Error('No base text chapter provided for Rewriting generation');
   }
 
-  const system = `You are a language pedagogy expert creating sentence rewriting exercises based on a given passage.
-
-Requirements:
-- Each item asks the learner to rewrite a sentence according to a specific grammar focus
-- Keep answers concise and grammatical; avoid ambiguous prompts
-- Provide a short hint and a concise rationale for the correct rewrite
-- Use natural sentences aligned with the passage context
-- Return ONLY fields that match the provided JSON schema (no extra text)`;
-
-  const user = `Task: Create exactly ${count} sentence rewriting exercises.
-Target Language: ${languageName}
-Target Level: ${level}${challengeMode ? ' (slightly challenging)' : ''}
-Grammar Focus: ${topic}
-Source: ${baseText?.title || 'Unknown'} — Chapter: ${chapter.title}
-
-Passage:
-${chapter.passage}`;
-
-  const schema = {
-    type: 'object', additionalProperties: false,
-    properties: {
-      items: {
-        type: 'array', items: {
-          type: 'object', additionalProperties: false,
-          properties: {
-            original: { type: 'string' },
-            instruction: { type: 'string' },
-            answer: { type: 'string' },
-            hint: { type: 'string' },
-            rationale: { type: 'string' },
-          },
-          required: ['original','instruction','answer']
-        }
-      }
-    },
-    required: ['items']
-  };
-
-  const response = await fetch('/api/generate', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      system,
-      user,
-      jsonSchema: schema,
-      schemaName: 'rewriting_list',
-      metadata: {
-        language: languageName,
-        level,
-        challengeMode,
-        topic,
-        count: Number(count) || 1,
-        baseTextId: baseText?.id,
-        chapterNumber: chapter?.number,
-        chapterTitle: chapter?.title
-      }
-    })
+  const response = await requestExercises('rewriting', {
+    topic,
+    language: languageName,
+    level,
+    challengeMode,
+    count: Number(count) || 1,
+    ...chapterReference(baseText, chapter)
   });
 
   if (!response.ok) {
@@ -1,5 +1,12 @@
 import React, { useState } from 'react';
-import { pickRandomTopicSuggestion, formatTopicSuggestionForPrompt } from './utils.js';
+import { requestExercises, newRequestId } from './utils.js';
+
+const RUBRIC_LABELS = {
+  task_fulfilment: 'Task',
+  grammar: 'Grammar',
+  vocabulary: 'Vocabulary',
+  coherence: 'Coherence'
+};
 
 /**
  * Writing Prompt exercise (open-ended)
@@ -11,7 +18,8 @@ import { pickRandomTopicSuggestion, formatTopicSuggestionForPrompt } from './uti
  *   example_answers?: Array<string>,
  *   difficulty?: string
  * }
- * value: Record<string,string> where keys are prompt indices as strings
+ * value: Record<string,string> where keys are prompt indices as strings; `grade:<index>` holds the
+ * rubric grade of that answer ({ status: 'pending'|'done'|'error', answer, ...POST /api/grade/writing response })
  */
 export default function WritingPromptExercise({ item, value, onChange, checked, idPrefix, onFocusKey }) {
   const [expandedExample, setExpandedExample] = useState({});
@@ -30,6 +38,7 @@ export default function WritingPromptExercise({ item, value, onChange, checked,
           const key = String(idx);
           const text = String(value?.[key] || '');
           const example = Array.isArray(item?.example_answers) ? item.example_answers[idx] : null;
+          const grade = value?.[`grade:${idx}`];
           return (
             <div key={idx} className="space-y-1">
               <div className="font-medium text-gray-800">{idx + 1}. {p.question}</div>
@@ -41,6 +50,7 @@ export default function WritingPromptExercise({ item, value, onChange, checked,
                 onChange={(e) => onChange(key, e.target.value)}
                 onFocus={() => onFocusKey && onFocusKey(`${idPrefix}:${idx}`)}
               />
+              {checked && grade && <WritingGrade grade={grade} stale={grade.answer !== text.trim()} />}
               {checked && example && (
                 <div className="text-xs text-green-700">
                   Example answer: <button type="button" className="underline" onClick={() => setExpandedExample(prev => ({ ...prev, [idx]: !prev[idx] }))}>{expandedExample[idx] ? 'Hide' : 'Show'}</button>
@@ -57,9 +67,72 @@ export default function WritingPromptExercise({ item, value, onChange, checked,
   );
 }
 
-// Open-ended: do not count toward automatic score
-export function scoreWritingPrompt(item, value, eq) {
-  return { correct: 0, total: 0 };
+function WritingGrade({ grade, stale }) {
+  if (grade.status === 'pending') {
+    return <div className="text-xs text-gray-500">Grading your answer...</div>;
+  }
+  if (grade.status === 'error') {
+    return <div className="text-xs text-red-600">Could not grade this answer: {grade.error}</div>;
+  }
+  return (
+    <div className={`text-sm border rounded px-2 py-2 space-y-2 ${stale ? 'opacity-60' : ''}`}>
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-medium">Score: {grade.points}/{grade.max_points}</span>
+        {grade.level_estimate && <span className="text-xs bg-blue-100 text-blue-800 rounded px-1.5 py-0.5">Level estimate: {grade.level_estimate}</span>}
+        {stale && <span className="text-xs text-gray-500">(answer changed since grading)</span>}
+      </div>
+      <div className="grid grid-cols-2 gap-x-4 gap-y-1 text-xs">
+        {Object.entries(RUBRIC_LABELS).map(([name, label]) => grade.rubric?.[name] && (
+          <div key={name}>
+            <span className="font-medium">{label}: {grade.rubric[name].score}/{grade.max_points}</span>
+            {grade.rubric[name].comment && <span className="text-gray-600"> — {grade.rubric[name].comment}</span>}
+          </div>
+        ))}
+      </div>
+      {Array.isArray(grade.corrections) && grade.corrections.length > 0 && (
+        <ul className="text-xs space-y-1">
+          {grade.corrections.map((c, i) => (
+            <li key={i}>
+              <span className="line-through text-red-600">{c.original}</span> → <span className="text-green-700 font-medium">{c.corrected}</span>
+              {c.explanation && <span className="text-gray-600"> ({c.explanation})</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+      {grade.feedback && <p className="text-xs text-gray-700">{grade.feedback}</p>}
+    </div>
+  );
+}
+
+// Open-ended: answers count with their rubric points once graded (and only for the text that was graded)
+export function scoreWritingPrompt(item, value) {
+  let correct = 0, total = 0;
+  (item?.prompts || []).forEach((p, idx) => {
+    const grade = value?.[`grade:${idx}`];
+    const text = String(value?.[String(idx)] || '').trim();
+    if (grade?.status !== 'done' || !text || grade.answer !== text) return;
+    correct += Number(grade.points) || 0;
+    total += Number(grade.max_points) || 0;
+  });
+  return { correct, total };
+}
+
+/**
+ * Grade one writing prompt answer against the rubric (POST /api/grade/writing)
+ * @param {{question: string, answer: string, language: string, level: string, challengeMode?: boolean, topic?: string}} params
+ * @returns {Promise<{rubric: object, corrections: Array, level_estimate: string, feedback: string, points: number, max_points: number}>}
+ */
+export async function gradeWritingAnswer(params) {
+  const response = await fetch('/api/grade/writing', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Request-Id': newRequestId() },
+    body: JSON.stringify(params)
+  });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.message || data.error || `Failed to grade answer: ${response.status}`);
+  }
+  return response.json();
 }
 
 /**
@@ -70,66 +143,12 @@ export async function generateWritingPrompts(topic, count = 2, languageContext =
   const level = languageContext.level;
   const challengeMode = languageContext.challengeMode;
 
-  const system = `You are a language pedagogy assistant that generates open-ended writing prompts.
-
-Requirements:
-- For each set, include 3–5 prompts that elicit the target grammar or vocabulary
-- Provide a concise studentInstructions string
-- Provide example_answers with short model responses (one per prompt)
-- Use natural, real-world themes (avoid synthetic prompts)
-- Keep content age-appropriate and culturally relevant
-- Return ONLY fields that match the provided JSON schema (no extra text)`;
-
-  const suggestion = pickRandomTopicSuggestion({ ensureNotEqualTo: topic });
-  const topicLine = formatTopicSuggestionForPrompt(suggestion, { prefix: 'Unless the topic relates to specific vocabulary, you may use the following topic suggestion for variety' });
-
-  const user = `Task: Create exactly ${count} writing prompt sets.
-Target Language: ${languageName}
-Target Level: ${level}${challengeMode ? ' (slightly challenging)' : ''}
-Topic: ${topic}
-
-${topicLine}
-Notes: Ensure vocabulary and grammar complexity match the target level.`;
-
-  const schema = {
-    type: 'object', additionalProperties: false,
-    properties: {
-      items: {
-        type: 'array', items: {
-          type: 'object', additionalProperties: false,
-          properties: {
-            title: { type: 'string' },
-            studentInstructions: { type: 'string' },
-            prompts: { type: 'array', minItems: 3, maxItems: 5, items: {
-              type: 'object', additionalProperties: false,
-              properties: { question: { type: 'string' } },
-              required: ['question']
-            }},
-            example_answers: { type: 'array', items: { type: 'string' } },
-            difficulty: { type: 'string' }
-          },
-          required: ['studentInstructions','prompts']
-        }
-      }
-    },
-    required: ['items']
-  };
-
-  const response = await fetch('/api/generate', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      system,
-      user,
-      jsonSchema: schema,
-      schemaName: 'writing_prompts_list',
-      metadata: {
-        language: languageName,
-        level,
-        challengeMode,
-        topic
-      }
-    })
+  const response = await requestExercises('writing_prompts', {
+    topic,
+    language: languageName,
+    level,
+    challengeMode,
+    count: Number(count) || 1
   });
 
   if (!response.ok) {
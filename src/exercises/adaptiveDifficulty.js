@@ -0,0 +1,107 @@
+/**
+ * Adaptive Difficulty
+ *
+ * Tracks rolling accuracy per topic from lesson scores and decides whether the next generation
+ * should use a different CEFR level or challenge mode. Steps are one notch at a time:
+ * B1 -> B1 + challenge -> B2 when raising, and the reverse when lowering.
+ */
+
+export const CEFR_ORDER = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
+
+export const ADAPTIVE_DEFAULTS = {
+  window: 3,        // most recent lesson checks considered per topic and setting
+  minItems: 8,      // scored items needed before any change
+  raiseAt: 0.85,    // rolling accuracy at or above this makes the next lesson harder
+  lowerAt: 0.5      // rolling accuracy below this makes the next lesson easier
+};
+
+const topicKey = (topic) => String(topic || '').trim().toLowerCase();
+
+/**
+ * Record (or update) one lesson check. Attempts are keyed by sessionId so re-checking the same
+ * lesson replaces its previous score instead of counting twice.
+ * @param {object} history - { [topicKey]: Array<attempt> }
+ * @param {object} attempt - { sessionId, topic, level, challengeMode, correct, total, at? }
+ * @returns {object} New history
+ */
+export function recordAttempt(history, attempt) {
+  const key = topicKey(attempt?.topic);
+  if (!key || !(attempt?.total > 0)) return history || {};
+  const entry = {
+    sessionId: attempt.sessionId || null,
+    level: attempt.level,
+    challengeMode: !!attempt.challengeMode,
+    correct: Number(attempt.correct) || 0,
+    total: Number(attempt.total) || 0,
+    at: attempt.at || new Date().toISOString()
+  };
+  const prev = Array.isArray(history?.[key]) ? history[key] : [];
+  const sameSetting = (a) => a.sessionId && a.sessionId === entry.sessionId && a.level === entry.level && a.challengeMode === entry.challengeMode;
+  const next = [...prev.filter(a => !sameSetting(a)), entry].slice(-20);
+  return { ...(history || {}), [key]: next };
+}
+
+/**
+ * Build history from stored score entries (e.g. the signed-in user's /api/me/progress scores)
+ * @param {Array<object>} scores
+ * @returns {object}
+ */
+export function historyFromScores(scores) {
+  let history = {};
+  for (const s of Array.isArray(scores) ? scores : []) {
+    history = recordAttempt(history, s);
+  }
+  return history;
+}
+
+/**
+ * Rolling accuracy for a topic at one level/challenge setting
+ * @returns {{ correct: number, total: number, checks: number, accuracy: number|null }}
+ */
+export function rollingAccuracy(history, topic, { level, challengeMode }, options = ADAPTIVE_DEFAULTS) {
+  const attempts = (history?.[topicKey(topic)] || [])
+    .filter(a => a.level === level && !!a.challengeMode === !!challengeMode)
+    .slice(-options.window);
+  const correct = attempts.reduce((n, a) => n + a.correct, 0);
+  const total = attempts.reduce((n, a) => n + a.total, 0);
+  return { correct, total, checks: attempts.length, accuracy: total > 0 ? correct / total : null };
+}
+
+/**
+ * Decide the difficulty for the next lesson on this topic
+ * @param {object} history
+ * @param {string} topic
+ * @param {{ level: string, challengeMode: boolean }} current
+ * @param {object} [options]
+ * @returns {null | { level: string, challengeMode: boolean, direction: 'up'|'down', reason: string }}
+ */
+export function decideAdjustment(history, topic, current, options = ADAPTIVE_DEFAULTS) {
+  const levelIdx = CEFR_ORDER.indexOf(current?.level);
+  if (levelIdx === -1) return null; // custom levels are left alone
+  const stats = rollingAccuracy(history, topic, current, options);
+  if (stats.accuracy === null || stats.total < options.minItems) return null;
+
+  const pct = Math.round(stats.accuracy * 100);
+  const basis = `${pct}% (${stats.correct}/${stats.total}) over your last ${stats.checks === 1 ? 'check' : `${stats.checks} checks`} on “${topic}” at ${current.level}${current.challengeMode ? ' with Challenge Mode' : ''}`;
+
+  if (stats.accuracy >= options.raiseAt) {
+    if (!current.challengeMode) {
+      return { level: current.level, challengeMode: true, direction: 'up', reason: `You scored ${basis}, so Challenge Mode is now on.` };
+    }
+    if (levelIdx < CEFR_ORDER.length - 1) {
+      const level = CEFR_ORDER[levelIdx + 1];
+      return { level, challengeMode: false, direction: 'up', reason: `You scored ${basis}, so new exercises move up to ${level}.` };
+    }
+    return null;
+  }
+  if (stats.accuracy < options.lowerAt) {
+    if (current.challengeMode) {
+      return { level: current.level, challengeMode: false, direction: 'down', reason: `You scored ${basis}, so Challenge Mode is now off.` };
+    }
+    if (levelIdx > 0) {
+      const level = CEFR_ORDER[levelIdx - 1];
+      return { level, challengeMode: true, direction: 'down', reason: `You scored ${basis}, so new exercises move down to ${level} (with Challenge Mode).` };
+    }
+  }
+  return null;
+}
@@ -0,0 +1,128 @@
+import { diffChars } from 'diff';
+
+// Answer matching for typed answers (FIB, cloze, rewriting, error-bundle corrections).
+// An answer is classified as
+// - exact: same text ignoring case and surrounding/repeated whitespace
+// - accent: differs only in accents/diacritics (full credit when accents are not strict)
+// - typo: a few character edits away from the expected answer (see typoAllowance), none of them in a word ending
+// - wrong
+// Accent slips and typos earn partial credit unless partial credit is turned off, in which case
+// scoring is binary again.
+
+export const MATCH_KINDS = ['exact', 'accent', 'typo', 'wrong'];
+
+const clean = (text) => String(text ?? '').toLowerCase().replace(/\s+/g, ' ').trim();
+const foldAccents = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').normalize('NFC');
+
+// Characters at the end of a word where inflection lives (hablo/hable, comemos/comimos, bonitos/bonitas)
+const WORD_ENDING_LENGTH = 4;
+
+/**
+ * Character edits tolerated as a typo for an expected answer (cleaned, accents folded).
+ * Short answers (a single word under 6 characters, several words under 10) get no tolerance:
+ * one letter changes the word there.
+ * @param {string} expected
+ */
+export function typoAllowance(expected) {
+  const text = String(expected || '');
+  if (text.length < (text.includes(' ') ? 10 : 6)) return 0;
+  return text.length <= 10 ? 1 : 2;
+}
+
+// Whether the answer keeps the word endings of the expected one, i.e. all edits are in word stems.
+// A different ending is usually a grammar error (person, tense, gender, number), not a typo.
+function keepsWordEndings(given, expected) {
+  const givenWords = given.split(' ');
+  const expectedWords = expected.split(' ');
+  if (givenWords.length !== expectedWords.length) return false;
+  return expectedWords.every((word, i) => word === givenWords[i]
+    || (word.length > WORD_ENDING_LENGTH && givenWords[i].endsWith(word.slice(-WORD_ENDING_LENGTH))));
+}
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and swaps of adjacent characters
+ * (optimal string alignment), so "hbalamos" is one edit from "hablamos"
+ * @param {string} a
+ * @param {string} b
+ */
+export function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/**
+ * Create an answer matcher
+ * @param {object} [options]
+ * @param {boolean} [options.strictAccents=true] - When false, accent-only differences get full credit
+ * @param {boolean} [options.partialCredit=true] - When false, accent slips (if strict) and typos score 0
+ * @param {number} [options.accentCredit=0.5] - Credit for an accent-only error
+ * @param {number} [options.typoCredit=0.5] - Credit for a minor typo
+ * @returns {(given: string, expected: string) => {kind: 'exact'|'accent'|'typo'|'wrong', credit: number, distance: number}}
+ */
+export function createAnswerMatcher({ strictAccents = true, partialCredit = true, accentCredit = 0.5, typoCredit = 0.5 } = {}) {
+  return (given, expected) => {
+    const g = clean(given);
+    const e = clean(expected);
+    if (!g || !e) return { kind: 'wrong', credit: 0, distance: Math.max(g.length, e.length) };
+    if (g === e) return { kind: 'exact', credit: 1, distance: 0 };
+    const gf = foldAccents(g);
+    const ef = foldAccents(e);
+    if (gf === ef) {
+      return { kind: 'accent', credit: strictAccents ? (partialCredit ? accentCredit : 0) : 1, distance: 0 };
+    }
+    const distance = editDistance(gf, ef);
+    if (partialCredit && distance <= typoAllowance(ef) && keepsWordEndings(gf, ef)) return { kind: 'typo', credit: typoCredit, distance };
+    return { kind: 'wrong', credit: 0, distance };
+  };
+}
+
+/**
+ * Best match of an answer against the expected answer and the alternatives accepted on appeal
+ * (`item.accepted_answers`, keyed by blank index; see POST /api/appeal)
+ * @param {string} given
+ * @param {string} expected
+ * @param {object} item
+ * @param {number} part - Blank index in the stored item (cloze: `source_index`); 0 for rewriting
+ * @param {ReturnType<typeof createAnswerMatcher>} match
+ * @returns {{kind: string, credit: number, distance: number, expected: string}} `expected` is the answer matched against
+ */
+export function matchAcceptedAnswer(given, expected, item, part, match) {
+  if (!expected) return { kind: 'wrong', credit: 0, distance: 0, expected: '' };
+  const alternatives = item?.accepted_answers?.[String(part)];
+  let best = null;
+  for (const candidate of [expected, ...(Array.isArray(alternatives) ? alternatives : [])]) {
+    const result = match(String(given || ''), String(candidate));
+    if (!best || result.credit > best.credit || (result.credit === best.credit && result.distance < best.distance)) {
+      best = { ...result, expected: String(candidate) };
+    }
+    if (best.kind === 'exact') break;
+  }
+  return best;
+}
+
+/**
+ * Character diff from the learner's answer to the expected one, ignoring case.
+ * `removed` parts are in the answer but not expected, `added` parts are missing from it.
+ * @param {string} given
+ * @param {string} expected
+ * @returns {Array<{value: string, added?: boolean, removed?: boolean}>}
+ */
+export function answerDiff(given, expected) {
+  return diffChars(String(given || '').trim(), String(expected || '').trim(), { ignoreCase: true });
+}
+
+/**
+ * Round a score that may include partial credit for display and storage
+ * @param {number} points
+ */
+export function roundPoints(points) {
+  return Math.round(Number(points || 0) * 100) / 100;
+}
@@ -183,6 +183,111 @@ export function sanitizeClozeItem(item) {
 }
 
 
+// Queue positions of pending exercise requests, by ticket (see GET /api/queue/:ticket)
+const queuePositions = new Map();
+const queueListeners = new Set();
+
+function publishQueueStatus() {
+  const positions = Array.from(queuePositions.values()).filter(p => p > 0);
+  const status = { position: positions.length ? Math.min(...positions) : 0, waiting: positions.length };
+  queueListeners.forEach(listener => listener(status));
+}
+
+/**
+ * Listen for the server-side LLM queue position of pending exercise requests
+ * @param {(status: { position: number, waiting: number }) => void} listener - position 0 when nothing is queued
+ * @returns {() => void} Unsubscribe
+ */
+export function subscribeQueueStatus(listener) {
+  queueListeners.add(listener);
+  return () => queueListeners.delete(listener);
+}
+
+function newQueueTicket() {
+  if (globalThis.crypto?.randomUUID) return globalThis.crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Id for the X-Request-Id header; the server logs everything it does for the request under it
+ * @returns {string}
+ */
+export function newRequestId() {
+  return newQueueTicket();
+}
+
+/**
+ * Send a log entry to the server (POST /api/log); never throws
+ * @param {'debug'|'info'|'warn'|'error'} level
+ * @param {string} message
+ * @param {*} [data]
+ * @param {string} [requestId] - Request the entry is about, so it is logged under that id
+ */
+export function logToServer(level, message, data, requestId) {
+  try {
+    fetch('/api/log', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(requestId ? { 'X-Request-Id': requestId } : {}) },
+      body: JSON.stringify({ level, message, data })
+    }).catch(() => {});
+  } catch {}
+}
+
+/**
+ * Request exercises of a registered type. Prompts and schemas are built on the server
+ * (server/exercisePrompts.js); only parameters are sent.
+ * While the request waits for an LLM slot its queue position is polled and published to subscribeQueueStatus.
+ * The response's X-Request-Id header identifies the request in the server logs.
+ * @param {string} type - Registry type, e.g. 'fib', 'mcq', 'unified_cloze'
+ * @param {Object} params - { topic, language, level, challengeMode, count, baseTextId?, chapterNumber?, chapterTitle?, ... }
+ * @returns {Promise<Response>}
+ */
+export function requestExercises(type, params) {
+  const ticket = newQueueTicket();
+  const requestId = newRequestId();
+  let done = false;
+  let timer = null;
+  const poll = async () => {
+    try {
+      const res = await fetch(`/api/queue/${encodeURIComponent(ticket)}`);
+      const status = res.ok ? await res.json() : null;
+      if (done) return;
+      queuePositions.set(ticket, status?.state === 'queued' ? status.position : 0);
+      publishQueueStatus();
+    } catch {}
+    if (!done) timer = setTimeout(poll, 2000);
+  };
+  // Cache hits answer well before the first poll
+  timer = setTimeout(poll, 1500);
+
+  return fetch(`/api/exercises/${encodeURIComponent(type)}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Queue-Ticket': ticket, 'X-Request-Id': requestId },
+    body: JSON.stringify(params)
+  }).finally(() => {
+    done = true;
+    clearTimeout(timer);
+    if (queuePositions.delete(ticket)) publishQueueStatus();
+  });
+}
+
+/**
+ * Base text chapter reference for server-side prompt building.
+ * Chapters from the orchestrator carry `number`; raw chapters are located in baseText.chapters.
+ * @param {Object} baseText
+ * @param {Object} chapter
+ * @returns {{ baseTextId?: string, chapterNumber?: number, chapterTitle?: string }}
+ */
+export function chapterReference(baseText, chapter) {
+  if (!baseText?.id || !chapter) return {};
+  let chapterNumber = chapter.number;
+  if (!chapterNumber && Array.isArray(baseText.chapters)) {
+    const index = baseText.chapters.findIndex(ch => ch === chapter || ch?.title === chapter.title);
+    if (index !== -1) chapterNumber = index + 1;
+  }
+  return { baseTextId: baseText.id, chapterNumber, chapterTitle: chapter.title };
+}
+
 // Topic roulette functionality - imported from shared module for consistency
 export { TOPIC_ROULETTE_CATEGORIES, pickRandomTopicSuggestion, formatTopicSuggestionForPrompt } from '../../shared/topicRoulette.js';
 
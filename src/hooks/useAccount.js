@@ -0,0 +1,112 @@
+import { useCallback, useEffect, useState } from 'react';
+
+/**
+ * useAccount: optional local account backed by the server session cookie.
+ * Returns { user, progress, canViewAnalytics, canAdminCache, loading, error, login, register, logout, refresh, savePreferences, saveOnboarding, recordScore }.
+ * When no one is signed in, user is null and the save helpers are no-ops so callers can fall back to cookies.
+ */
+export default function useAccount() {
+  const [user, setUser] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [canViewAnalytics, setCanViewAnalytics] = useState(false);
+  const [canAdminCache, setCanAdminCache] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const refresh = useCallback(async () => {
+    try {
+      const meRes = await fetch('/api/auth/me');
+      const me = await meRes.json().catch(() => ({}));
+      setCanViewAnalytics(!!me?.canViewAnalytics);
+      setCanAdminCache(!!me?.canAdminCache);
+      if (!me?.user) {
+        setUser(null);
+        setProgress(null);
+        return null;
+      }
+      setUser(me.user);
+      const progRes = await fetch('/api/me/progress');
+      if (progRes.ok) setProgress(await progRes.json());
+      return me.user;
+    } catch {
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => { refresh(); }, [refresh]);
+
+  const authRequest = useCallback(async (path, username, password) => {
+    setError('');
+    const res = await fetch(path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password })
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      const msg = data?.error || 'Request failed';
+      setError(msg);
+      throw new Error(msg);
+    }
+    await refresh();
+    return data.user;
+  }, [refresh]);
+
+  const login = useCallback((username, password) => authRequest('/api/auth/login', username, password), [authRequest]);
+  const register = useCallback((username, password) => authRequest('/api/auth/register', username, password), [authRequest]);
+
+  const logout = useCallback(async () => {
+    try { await fetch('/api/auth/logout', { method: 'POST' }); } catch {}
+    setUser(null);
+    setProgress(null);
+    await refresh();
+  }, [refresh]);
+
+  const savePreferences = useCallback(async (preferences) => {
+    if (!user) return;
+    try {
+      const res = await fetch('/api/me/preferences', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ preferences })
+      });
+      if (res.ok) {
+        const data = await res.json();
+        setProgress(prev => prev ? { ...prev, preferences: data.preferences } : prev);
+      }
+    } catch {}
+  }, [user]);
+
+  const saveOnboarding = useCallback(async (version) => {
+    if (!user) return;
+    setProgress(prev => prev ? { ...prev, onboardingVersion: String(version) } : prev);
+    try {
+      await fetch('/api/me/onboarding', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ version: String(version) })
+      });
+    } catch {}
+  }, [user]);
+
+  const recordScore = useCallback(async (entry) => {
+    if (!user) return;
+    try {
+      const res = await fetch('/api/me/scores', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(entry)
+      });
+      if (res.ok) {
+        const data = await res.json();
+        // Mirror the server: a re-check of the same session replaces its earlier entry
+        const same = (s) => data.entry.sessionId && s.sessionId === data.entry.sessionId && s.level === data.entry.level && !!s.challengeMode === !!data.entry.challengeMode;
+        setProgress(prev => prev ? { ...prev, scores: [...(prev.scores || []).filter(s => !same(s)), data.entry] } : prev);
+      }
+    } catch {}
+  }, [user]);
+
+  return { user, progress, canViewAnalytics, canAdminCache, loading, error, login, register, logout, refresh, savePreferences, saveOnboarding, recordScore };
+}
@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAnswerMatcher, matchAcceptedAnswer, answerDiff, editDistance } from '../src/exercises/answerMatcher.js';
+
+describe('createAnswerMatcher', () => {
+  it('classifies exact answers, accent slips, typos and wrong answers', () => {
+    const match = createAnswerMatcher();
+    assert.deepEqual(match('  Hablamos ', 'hablamos'), { kind: 'exact', credit: 1, distance: 0 });
+    assert.deepEqual(match('esta', 'está'), { kind: 'accent', credit: 0.5, distance: 0 });
+    assert.deepEqual(match('hbalamos', 'hablamos'), { kind: 'typo', credit: 0.5, distance: 1 });
+    assert.deepEqual(match('hblamos', 'hablamos'), { kind: 'typo', credit: 0.5, distance: 1 });
+    assert.deepEqual(match('la bilbioteca', 'la biblioteca'), { kind: 'typo', credit: 0.5, distance: 1 });
+    assert.equal(match('comemos', 'hablamos').kind, 'wrong');
+    assert.equal(match('', 'hablamos').kind, 'wrong');
+  });
+
+  it('gives no typo tolerance to short answers', () => {
+    const match = createAnswerMatcher();
+    assert.equal(match('la', 'el').kind, 'wrong');
+    assert.equal(match('los', 'las').kind, 'wrong');
+    assert.equal(match('lass', 'las').kind, 'wrong');
+    assert.equal(match('cassa', 'casa').kind, 'wrong');
+    assert.equal(match('me voi', 'me voy').kind, 'wrong');
+  });
+
+  it('scores inflection errors as wrong, not as typos', () => {
+    const match = createAnswerMatcher();
+    for (const [given, expected] of [
+      ['hable', 'hablo'],
+      ['comimos', 'comemos'],
+      ['hablamso', 'hablamos'],
+      ['bonita', 'bonito'],
+      ['bonitas', 'bonitos'],
+      ['cantaba', 'cantaban'],
+      ['nosotros comimos', 'nosotros comemos'],
+      ['la casa blanco', 'la casa blanca']
+    ]) {
+      assert.deepEqual([given, match(given, expected).credit], [given, 0]);
+    }
+  });
+
+  it('gives full credit for accent slips when accents are not strict', () => {
+    const match = createAnswerMatcher({ strictAccents: false });
+    assert.deepEqual(match('cancion', 'canción'), { kind: 'accent', credit: 1, distance: 0 });
+  });
+
+  it('scores near misses as wrong when partial credit is off', () => {
+    const match = createAnswerMatcher({ partialCredit: false });
+    assert.equal(match('esta', 'está').credit, 0);
+    assert.deepEqual(match('hblamos', 'hablamos'), { kind: 'wrong', credit: 0, distance: 1 });
+    assert.equal(createAnswerMatcher({ strictAccents: false, partialCredit: false })('esta', 'está').credit, 1);
+  });
+});
+
+describe('editDistance', () => {
+  it('counts a swap of adjacent characters as one edit', () => {
+    assert.equal(editDistance('', 'abc'), 3);
+    assert.equal(editDistance('kitten', 'sitting'), 3);
+    assert.equal(editDistance('tenog', 'tengo'), 1);
+  });
+});
+
+describe('matchAcceptedAnswer', () => {
+  it('keeps the best match across the alternatives accepted on appeal for the blank', () => {
+    const match = createAnswerMatcher();
+    const item = { accepted_answers: { 1: ['me marcho'] } };
+    assert.deepEqual(matchAcceptedAnswer('me marcho', 'me voy', item, 1, match), { kind: 'exact', credit: 1, distance: 0, expected: 'me marcho' });
+    assert.equal(matchAcceptedAnswer('me marcho', 'me voy', item, 0, match).kind, 'wrong');
+    assert.equal(matchAcceptedAnswer('me marcho', 'me voy', {}, 1, match).kind, 'wrong');
+    assert.equal(matchAcceptedAnswer('anything', '', item, 1, match).credit, 0);
+  });
+});
+
+describe('answerDiff', () => {
+  it('marks extra and missing characters, ignoring case', () => {
+    const parts = answerDiff('Esta', 'está');
+    assert.equal(parts.filter(p => !p.added && !p.removed).map(p => p.value).join(''), 'est');
+    assert.equal(parts.find(p => p.removed).value, 'a');
+    assert.equal(parts.find(p => p.added).value, 'á');
+  });
+});
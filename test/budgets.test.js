@@ -0,0 +1,155 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import { budgetLimitsFromEnv, createBudgetTracker } from '../server/budgets.js';
+import { makeTempDir, startServer } from './helpers.js';
+
+describe('budgetLimitsFromEnv', () => {
+  it('reads BUDGET_<SCOPE>_<PERIOD>_<UNIT> and treats unset or 0 as unlimited', () => {
+    const limits = budgetLimitsFromEnv({ BUDGET_USER_DAILY_TOKENS: '5000', BUDGET_GLOBAL_MONTHLY_USD: '12.5', BUDGET_IP_DAILY_USD: '0' });
+    assert.equal(limits.user.daily.tokens, 5000);
+    assert.equal(limits.global.monthly.usd, 12.5);
+    assert.equal(limits.ip.daily.usd, null);
+    assert.equal(limits.user.monthly.tokens, null);
+  });
+});
+
+describe('createBudgetTracker', () => {
+  let dir;
+  let clock;
+  const now = () => clock;
+
+  beforeEach(async () => {
+    dir = await makeTempDir();
+    clock = new Date('2026-03-31T23:00:00.000Z');
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('refuses a user over its daily token limit without affecting other users', async () => {
+    const limits = budgetLimitsFromEnv({ BUDGET_USER_DAILY_TOKENS: '100' });
+    const budgets = createBudgetTracker(dir, { limits, now });
+    const alice = { userId: 'alice', ip: '10.0.0.1' };
+    const bob = { userId: 'bob', ip: '10.0.0.1' };
+    await budgets.record(alice, { promptTokens: 60, completionTokens: 30 });
+    assert.equal(await budgets.check(alice), null);
+    await budgets.record(alice, { promptTokens: 10 });
+    await assert.rejects(budgets.assertWithin(alice), (err) => {
+      assert.equal(err.name, 'BudgetExceededError');
+      assert.equal(err.httpStatus, 429);
+      assert.deepEqual(err.budget, { scope: 'user', period: 'daily', unit: 'tokens', limit: 100, used: 100, resets_at: '2026-04-01T00:00:00.000Z' });
+      return true;
+    });
+    await budgets.assertWithin(bob);
+  });
+
+  it('counts every caller against the global and IP budgets', async () => {
+    const limits = budgetLimitsFromEnv({ BUDGET_GLOBAL_MONTHLY_USD: '1', BUDGET_IP_DAILY_TOKENS: '50' });
+    const budgets = createBudgetTracker(dir, { limits, now });
+    await budgets.record({ ip: '10.0.0.1' }, { promptTokens: 50 });
+    assert.equal((await budgets.check({ ip: '10.0.0.1' })).scope, 'ip');
+    assert.equal(await budgets.check({ ip: '10.0.0.2' }), null);
+    await budgets.record({ ip: '10.0.0.2' }, { usd: 1.2 });
+    assert.deepEqual(await budgets.check({ ip: '10.0.0.3' }), {
+      scope: 'global', period: 'monthly', unit: 'usd', limit: 1, used: 1.2, resets_at: '2026-04-01T00:00:00.000Z'
+    });
+  });
+
+  it('starts new counters when the day and month change', async () => {
+    const limits = budgetLimitsFromEnv({ BUDGET_GLOBAL_DAILY_TOKENS: '10' });
+    const budgets = createBudgetTracker(dir, { limits, now });
+    await budgets.record({}, { completionTokens: 10 });
+    assert.ok(await budgets.check({}));
+    clock = new Date('2026-04-01T00:00:01.000Z');
+    assert.equal(await budgets.check({}), null);
+    const { scopes } = await budgets.report({});
+    assert.deepEqual(scopes.global.daily.tokens, { limit: 10, used: 0, remaining: 10 });
+    assert.equal(scopes.global.monthly.tokens.used, 0);
+  });
+
+  it('reports remaining budget per scope and keeps counters across restarts', async () => {
+    const limits = budgetLimitsFromEnv({ BUDGET_USER_MONTHLY_TOKENS: '1000', BUDGET_GLOBAL_DAILY_USD: '2' });
+    const budgets = createBudgetTracker(dir, { limits, now });
+    await budgets.record({ userId: 'alice', ip: '10.0.0.1' }, { promptTokens: 200, completionTokens: 50, usd: 0.5 });
+    await budgets.flush();
+
+    const reloaded = createBudgetTracker(dir, { limits, now });
+    const report = await reloaded.report({ userId: 'alice', ip: '10.0.0.1' });
+    assert.deepEqual(Object.keys(report.scopes), ['global', 'user', 'ip']);
+    assert.deepEqual(report.scopes.user.monthly.tokens, { limit: 1000, used: 250, remaining: 750 });
+    assert.deepEqual(report.scopes.global.daily.usd, { limit: 2, used: 0.5, remaining: 1.5 });
+    assert.deepEqual(report.scopes.ip.daily.tokens, { limit: null, used: 250, remaining: null });
+    assert.equal(report.resets_at.monthly, '2026-04-01T00:00:00.000Z');
+  });
+});
+
+describe('budget enforcement on POST /api/exercises/:type', () => {
+  let cacheDir;
+  let server;
+
+  before(async () => {
+    cacheDir = await makeTempDir();
+    server = await startServer({ cacheDir, env: { BUDGET_IP_DAILY_TOKENS: '1' } });
+  });
+
+  after(async () => {
+    await server?.stop();
+    await fs.rm(cacheDir, { recursive: true, force: true });
+  });
+
+  const request = (topic) => fetch(`${server.baseUrl}/api/exercises/mcq`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ topic, language: 'Spanish', level: 'A1', challengeMode: false, count: 2 })
+  });
+
+  it('refuses LLM calls once the budget is used up but still serves the cache', async () => {
+    assert.equal((await request('present tense')).status, 200);
+
+    const refused = await request('past tense');
+    assert.equal(refused.status, 429);
+    const body = await refused.json();
+    assert.equal(body.error, 'budget_exceeded');
+    assert.equal(body.budget.scope, 'ip');
+    assert.ok(Number(refused.headers.get('retry-after')) > 0);
+
+    // Items generated before the limit was reached are still served
+    assert.equal((await request('present tense')).status, 200);
+
+    const report = await (await fetch(`${server.baseUrl}/api/budget`)).json();
+    assert.equal(report.scopes.ip.daily.tokens.remaining, 0);
+    assert.ok(report.scopes.global.daily.tokens.used > 0);
+  });
+});
+
+describe('IP budgets behind a reverse proxy', () => {
+  let cacheDir;
+  let server;
+
+  before(async () => {
+    cacheDir = await makeTempDir();
+    server = await startServer({ cacheDir, env: { BUDGET_IP_DAILY_TOKENS: '1', TRUST_PROXY: 'loopback' } });
+  });
+
+  after(async () => {
+    await server?.stop();
+    await fs.rm(cacheDir, { recursive: true, force: true });
+  });
+
+  const request = (topic, clientIp) => fetch(`${server.baseUrl}/api/exercises/mcq`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-forwarded-for': clientIp },
+    body: JSON.stringify({ topic, language: 'Spanish', level: 'A1', challengeMode: false, count: 2 })
+  });
+
+  it('keeps a separate budget for each forwarded client address', async () => {
+    assert.equal((await request('present tense', '203.0.113.1')).status, 200);
+    assert.equal((await request('past tense', '203.0.113.1')).status, 429);
+    assert.equal((await request('past tense', '203.0.113.2')).status, 200);
+
+    const report = await (await fetch(`${server.baseUrl}/api/budget`, { headers: { 'x-forwarded-for': '203.0.113.3' } })).json();
+    assert.equal(report.scopes.ip.daily.tokens.used, 0);
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import { makeTempDir, startServer, registerUser } from './helpers.js';
+
+describe('cache admin access', () => {
+  let cacheDir;
+  let server;
+
+  before(async () => {
+    cacheDir = await makeTempDir();
+    server = await startServer({ cacheDir, env: { ADMIN_USERS: '' } });
+  });
+
+  after(async () => {
+    await server?.stop();
+    await fs.rm(cacheDir, { recursive: true, force: true });
+  });
+
+  it('denies every signed-in account when ADMIN_USERS is unset, also outside production', async () => {
+    const cookie = await registerUser(server.baseUrl, 'mallory');
+    const list = await fetch(`${server.baseUrl}/api/admin/cache/exercises`, { headers: { cookie } });
+    assert.equal(list.status, 403);
+    const me = await (await fetch(`${server.baseUrl}/api/auth/me`, { headers: { cookie } })).json();
+    assert.equal(me.canAdminCache, false);
+  });
+});
+
+describe('cache admin access with ADMIN_USERS', () => {
+  let cacheDir;
+  let server;
+
+  before(async () => {
+    cacheDir = await makeTempDir();
+    server = await startServer({ cacheDir, env: { ADMIN_USERS: 'Alice' } });
+  });
+
+  after(async () => {
+    await server?.stop();
+    await fs.rm(cacheDir, { recursive: true, force: true });
+  });
+
+  it('allows only the listed accounts', async () => {
+    const alice = await registerUser(server.baseUrl, 'alice');
+    const bob = await registerUser(server.baseUrl, 'bob');
+    assert.equal((await fetch(`${server.baseUrl}/api/admin/cache/exercises`, { headers: { cookie: alice } })).status, 200);
+    assert.equal((await fetch(`${server.baseUrl}/api/admin/cache/exercises`, { headers: { cookie: bob } })).status, 403);
+  });
+});
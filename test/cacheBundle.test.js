@@ -0,0 +1,120 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { exportCacheBundle, importCacheBundle, encodeCacheBundle, decodeCacheBundle, assertCacheBundle } from '../server/cacheBundle.js';
+import { setExplanation, getExplanation, setBaseText, getBaseText, readExerciseItem, updateExerciseRecord } from '../server/cacheStore.js';
+import { schemaVersions } from '../shared/schemaVersions.js';
+import { makeTempDir, openLayout, seedExercises } from './helpers.js';
+
+const q = (text) => ({ question: text, options: ['a', 'b'], answer: 0 });
+
+async function exists(file) {
+  return fs.access(file).then(() => true, () => false);
+}
+
+// Export everything from `from` and read it back the way the import route does
+async function roundTrip(from) {
+  const bundle = await decodeCacheBundle(await encodeCacheBundle(await exportCacheBundle(from, {}, schemaVersions)));
+  assertCacheBundle(bundle);
+  return bundle;
+}
+
+describe('cache bundles', () => {
+  let sourceDir;
+  let targetDir;
+  let source;
+  let target;
+  let shas;
+
+  beforeEach(async () => {
+    sourceDir = await makeTempDir();
+    targetDir = await makeTempDir();
+    source = await openLayout(sourceDir);
+    target = await openLayout(targetDir);
+    ({ addedShas: shas } = await seedExercises(source, [q('¿Dónde está?'), q('¿Qué es?')], { schemaVersion: schemaVersions.mcq }));
+    const image = path.join(source.imagesDir, `${shas[0]}.png`);
+    await fs.writeFile(image, 'png-bytes');
+    await updateExerciseRecord(source, shas[0], rec => ({ ...rec, localImagePath: image, localImageUrl: `/cache/images/${shas[0]}.png` }));
+    await setExplanation(source, 'exp:ser-estar', { language: 'Spanish', level: 'A1', schemaVersion: schemaVersions.explanation }, { title: 'Ser y estar' });
+    const cover = path.join(source.imagesDir, 'cover-1.jpg');
+    await fs.writeFile(cover, 'jpg-bytes');
+    await setBaseText(source, 'bt:story', { baseTextId: 'story', language: 'Spanish', schemaVersion: schemaVersions.base_text }, { title: 'Cuento', images: { cover: { filename: 'cover-1.jpg', localPath: cover }, chapters: {} } });
+  });
+
+  afterEach(async () => {
+    await source.store.close();
+    await target.store.close();
+    await fs.rm(sourceDir, { recursive: true, force: true });
+    await fs.rm(targetDir, { recursive: true, force: true });
+  });
+
+  it('imports exported content and images into another cache', async () => {
+    const bundle = await roundTrip(source);
+    assert.equal(bundle.exercises.length, 2);
+    assert.equal(JSON.stringify(bundle).includes(sourceDir), false);
+
+    const summary = await importCacheBundle(target, bundle, schemaVersions);
+    assert.deepEqual(summary.exercises, { imported: 2, duplicate: 0, outdated: 0 });
+    assert.deepEqual(summary.explanations, { imported: 1, duplicate: 0, outdated: 0 });
+    assert.deepEqual(summary.baseTexts, { imported: 1, duplicate: 0, outdated: 0 });
+    assert.deepEqual(summary.images, { written: 2, existing: 0 });
+
+    const rec = await readExerciseItem(target, shas[0]);
+    assert.equal(rec.content.question, '¿Dónde está?');
+    assert.equal(rec.localImagePath, path.join(target.imagesDir, `${shas[0]}.png`));
+    assert.equal(await fs.readFile(rec.localImagePath, 'utf8'), 'png-bytes');
+    assert.equal((await getExplanation(target, 'exp:ser-estar')).content.title, 'Ser y estar');
+    const baseText = await getBaseText(target, 'bt:story');
+    assert.equal(baseText.content.images.cover.localPath, path.join(target.imagesDir, 'cover-1.jpg'));
+    assert.equal(await fs.readFile(baseText.content.images.cover.localPath, 'utf8'), 'jpg-bytes');
+  });
+
+  it('skips entries that are already cached', async () => {
+    const bundle = await roundTrip(source);
+    await importCacheBundle(target, bundle, schemaVersions);
+    const again = await importCacheBundle(target, bundle, schemaVersions);
+    assert.deepEqual(again.exercises, { imported: 0, duplicate: 2, outdated: 0 });
+    assert.deepEqual(again.explanations, { imported: 0, duplicate: 1, outdated: 0 });
+    assert.deepEqual(again.baseTexts, { imported: 0, duplicate: 1, outdated: 0 });
+    assert.deepEqual(again.images, { written: 0, existing: 0 });
+    assert.deepEqual(await target.store.get('exercise_buckets', Object.keys(await target.store.all('exercise_buckets'))[0]), shas);
+  });
+
+  it('skips entries whose schema version differs from the importing deployment', async () => {
+    const bundle = await roundTrip(source);
+    const newer = { ...schemaVersions, mcq: schemaVersions.mcq + 1, explanation: schemaVersions.explanation + 1 };
+    const summary = await importCacheBundle(target, bundle, newer);
+    assert.deepEqual(summary.exercises, { imported: 0, duplicate: 0, outdated: 2 });
+    assert.deepEqual(summary.explanations, { imported: 0, duplicate: 0, outdated: 1 });
+    assert.equal(summary.baseTexts.imported, 1);
+    assert.equal(await target.store.get('exercises', shas[0]), null);
+  });
+
+  it('never writes or references images outside the images directory', async () => {
+    const bundle = await roundTrip(source);
+    const outside = path.join(targetDir, 'victim.txt');
+    await fs.writeFile(outside, 'keep me');
+    bundle.exercises[0].record = { ...bundle.exercises[0].record, image: '../victim.txt', localImagePath: outside };
+    bundle.baseTexts[0].record.content.images.cover = { filename: '../../victim.txt', localPath: outside };
+    bundle.images.push({ filename: '../victim.txt', data: Buffer.from('overwritten').toString('base64') });
+
+    const summary = await importCacheBundle(target, bundle, schemaVersions);
+    assert.equal(summary.exercises.imported, 2);
+    assert.deepEqual(summary.images, { written: 0, existing: 0 });
+    assert.equal(await fs.readFile(outside, 'utf8'), 'keep me');
+
+    const rec = await readExerciseItem(target, bundle.exercises[0].sha);
+    assert.equal(rec.localImagePath, undefined);
+    assert.equal(rec.image, undefined);
+    const cover = (await getBaseText(target, 'bt:story')).content.images.cover;
+    assert.equal(cover.localPath, undefined);
+    assert.equal(cover.filename, undefined);
+    assert.equal(await exists(path.join(target.imagesDir, `${shas[0]}.png`)), false);
+  });
+
+  it('rejects files that are not bundles', () => {
+    assert.throws(() => assertCacheBundle({ format: 'other' }), /Not a cache bundle/);
+    assert.throws(() => assertCacheBundle({ format: 'language-ai-cache-bundle', version: 2 }), /Unsupported bundle version/);
+  });
+});
@@ -0,0 +1,237 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import {
+  pickUnseenWeighted,
+  selectUnseenCrossModelGrouped,
+  addExercisesToPool,
+  purgeOutdatedSchemas,
+  rateExerciseGroup,
+  setCacheEntryPinned,
+  setExplanation,
+  getExplanation,
+  updateExerciseRecord,
+  addPendingAppeal,
+  listPendingAppeals,
+  resolvePendingAppeal,
+  deleteCacheEntry
+} from '../server/cacheStore.js';
+import { schemaVersions } from '../shared/schemaVersions.js';
+import { makeTempDir, openLayout, seedExercises } from './helpers.js';
+
+const prefix = (sha) => sha.slice(0, 12);
+const q = (text) => ({ question: text, options: [], difficulty: 'easy' });
+
+// Force an exercise's last access time so LRU order does not depend on timing
+async function touchAt(layout, sha, iso) {
+  await layout.store.transaction(async (tx) => {
+    tx.put('exercises', sha, { ...(await tx.get('exercises', sha)), lastAccessAt: iso });
+  });
+}
+
+async function exists(file) {
+  return fs.access(file).then(() => true, () => false);
+}
+
+describe('pickUnseenWeighted', () => {
+  const idx = {
+    items: {
+      aaaaaaaaaaaa1: { likes: 3, dislikes: 0, meta: { model: 'model-a' } },
+      bbbbbbbbbbbb2: { likes: 0, dislikes: 3, meta: { model: 'model-a' } },
+      cccccccccccc3: { groupId: 'g1', meta: { model: 'model-a' } }
+    },
+    groups: { g1: { likes: 1, dislikes: 1, meta: { model: 'model-a' } } }
+  };
+
+  afterEach(() => mock.restoreAll());
+
+  it('skips items whose 12-char prefix was seen', () => {
+    const picked = pickUnseenWeighted(Object.keys(idx.items), new Set(['aaaaaaaaaaaa']), idx, 5, 'model-a');
+    assert.deepEqual(picked, ['bbbbbbbbbbbb2', 'cccccccccccc3']);
+  });
+
+  it('returns every unseen item when there are no more than requested', () => {
+    const random = mock.method(Math, 'random', () => 0);
+    assert.deepEqual(pickUnseenWeighted(['aaaaaaaaaaaa1', 'bbbbbbbbbbbb2'], new Set(), idx, 2), ['aaaaaaaaaaaa1', 'bbbbbbbbbbbb2']);
+    assert.equal(random.mock.callCount(), 0);
+  });
+
+  it('weights by like ratio with a 0.25 floor', () => {
+    // Weights 1 and 0.25: the first item owns 80% of the range
+    const shas = ['aaaaaaaaaaaa1', 'bbbbbbbbbbbb2'];
+    mock.method(Math, 'random', () => 0.79);
+    assert.deepEqual(pickUnseenWeighted(shas, new Set(), idx, 1, 'model-a'), ['aaaaaaaaaaaa1']);
+    mock.restoreAll();
+    mock.method(Math, 'random', () => 0.81);
+    assert.deepEqual(pickUnseenWeighted(shas, new Set(), idx, 1, 'model-a'), ['bbbbbbbbbbbb2']);
+  });
+
+  it('falls back to group ratings for items without their own counts', () => {
+    const shas = ['aaaaaaaaaaaa1', 'cccccccccccc3'];
+    const split = 1 / (1 + 0.5);
+    mock.method(Math, 'random', () => split - 0.01);
+    assert.deepEqual(pickUnseenWeighted(shas, new Set(), idx, 1, 'model-a'), ['aaaaaaaaaaaa1']);
+    mock.restoreAll();
+    mock.method(Math, 'random', () => split + 0.01);
+    assert.deepEqual(pickUnseenWeighted(shas, new Set(), idx, 1, 'model-a'), ['cccccccccccc3']);
+  });
+});
+
+for (const backend of ['json', 'sqlite']) {
+  describe(`cache store (${backend})`, () => {
+    let dir;
+    let layout;
+
+    beforeEach(async () => {
+      dir = await makeTempDir();
+      layout = await openLayout(dir, backend);
+    });
+
+    afterEach(async () => {
+      mock.restoreAll();
+      await layout.store.close();
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    describe('selectUnseenCrossModelGrouped', () => {
+      const family = { type: 'mcq', language: 'Spanish', level: 'A1', challengeMode: false, schemaVersion: 2 };
+
+      it('combines pools of every model, keeps group order and skips seen items', async () => {
+        const a = await seedExercises(layout, [q('a1'), q('a2'), q('a3')], { model: 'model-a' });
+        const b = await seedExercises(layout, [q('b1'), q('b2')], { model: 'model-b' });
+        await seedExercises(layout, [q('other topic')], { model: 'model-a', topic: 'past tense' });
+
+        const seen = new Set([prefix(a.addedShas[0])]);
+        const { items, shas } = await selectUnseenCrossModelGrouped(layout, family, seen, 4, 'model-a', 'Present Tense');
+        assert.equal(shas.length, 4);
+        assert.deepEqual(new Set(shas), new Set([...a.addedShas.slice(1), ...b.addedShas]));
+        assert.ok(shas.indexOf(a.addedShas[1]) < shas.indexOf(a.addedShas[2]));
+        assert.ok(shas.indexOf(b.addedShas[0]) < shas.indexOf(b.addedShas[1]));
+        assert.deepEqual(items.map(r => r.exerciseSha), shas);
+      });
+
+      it('samples groups by rating', async () => {
+        const liked = await seedExercises(layout, [q('l1'), q('l2')], { model: 'model-a' });
+        const disliked = await seedExercises(layout, [q('d1'), q('d2')], { model: 'model-a' });
+        await rateExerciseGroup(layout, liked.groupId, true);
+        await rateExerciseGroup(layout, disliked.groupId, false);
+
+        // Weights 1 and 0.25; the first pick takes the whole group when it covers the count
+        mock.method(Math, 'random', () => 0.5);
+        assert.deepEqual((await selectUnseenCrossModelGrouped(layout, family, new Set(), 2, 'model-a', 'present tense')).shas, liked.addedShas);
+        mock.restoreAll();
+        mock.method(Math, 'random', () => 0.95);
+        assert.deepEqual((await selectUnseenCrossModelGrouped(layout, family, new Set(), 2, 'model-a', 'present tense')).shas, disliked.addedShas);
+      });
+
+      it('ignores pools of other schema versions', async () => {
+        await seedExercises(layout, [q('old')], { model: 'model-a', schemaVersion: 1 });
+        const { shas } = await selectUnseenCrossModelGrouped(layout, family, new Set(), 3, 'model-a', 'present tense');
+        assert.deepEqual(shas, []);
+      });
+    });
+
+    describe('bucket eviction', () => {
+      it('evicts the least recently used items over the cap and deletes their images', async () => {
+        const first = await seedExercises(layout, [q('e1'), q('e2')], { limit: 2 });
+        const [oldest, newer] = first.addedShas;
+        await touchAt(layout, oldest, '2020-01-01T00:00:00.000Z');
+        await touchAt(layout, newer, '2021-01-01T00:00:00.000Z');
+        const image = path.join(layout.imagesDir, `${oldest}.png`);
+        await fs.writeFile(image, 'png');
+        await updateExerciseRecord(layout, oldest, rec => ({ ...rec, localImagePath: image }));
+
+        const second = await seedExercises(layout, [q('e3')], { limit: 2 });
+        assert.deepEqual(await layout.store.get('exercise_buckets', first.bucketKey), [newer, second.addedShas[0]]);
+        assert.deepEqual(await layout.store.get('exercise_pools', first.poolKey), [newer, second.addedShas[0]]);
+        assert.equal(await layout.store.get('exercises', oldest), null);
+        assert.equal(await layout.store.get('exercise_records', oldest), null);
+        assert.equal(await exists(image), false);
+      });
+
+      it('never evicts pinned items', async () => {
+        const first = await seedExercises(layout, [q('p1'), q('p2')], { limit: 2 });
+        const [oldest, newer] = first.addedShas;
+        await touchAt(layout, oldest, '2020-01-01T00:00:00.000Z');
+        await touchAt(layout, newer, '2021-01-01T00:00:00.000Z');
+        await setCacheEntryPinned(layout, 'exercises', oldest, true);
+
+        const second = await seedExercises(layout, [q('p3')], { limit: 2 });
+        assert.deepEqual(await layout.store.get('exercise_buckets', first.bucketKey), [oldest, second.addedShas[0]]);
+        assert.equal(await layout.store.get('exercises', newer), null);
+      });
+
+      it('caps buckets per topic, not per pool', async () => {
+        const bucketKey = 'mcq:Spanish:A1:false:present tense';
+        const meta = { type: 'mcq', language: 'Spanish', level: 'A1', challengeMode: false, grammarTopic: 'present tense', schemaVersion: 2, bucketKey };
+        await addExercisesToPool(layout, { ...meta, poolKey: 'mcq:Spanish:A1:false:model-a:2:000000000000', model: 'model-a' }, [q('x1'), q('x2')], 3);
+        await addExercisesToPool(layout, { ...meta, poolKey: 'mcq:Spanish:A1:false:model-b:2:000000000000', model: 'model-b' }, [q('y1'), q('y2')], 3);
+        assert.equal((await layout.store.get('exercise_buckets', bucketKey)).length, 3);
+        assert.equal(await layout.store.count('exercises'), 3);
+      });
+    });
+
+    describe('purgeOutdatedSchemas', () => {
+      it('removes exercises and explanations of other schema versions with their images', async () => {
+        const outdated = await seedExercises(layout, [q('old')], { schemaVersion: schemaVersions.mcq - 1 });
+        const current = await seedExercises(layout, [q('new')], { schemaVersion: schemaVersions.mcq });
+        const [oldSha] = outdated.addedShas;
+        const image = path.join(layout.imagesDir, `${oldSha}.png`);
+        await fs.writeFile(image, 'png');
+        await updateExerciseRecord(layout, oldSha, rec => ({ ...rec, localImagePath: image }));
+        await setExplanation(layout, 'exp:old', { schemaVersion: schemaVersions.explanation + 1 }, { title: 'old' });
+        await setExplanation(layout, 'exp:current', { schemaVersion: schemaVersions.explanation }, { title: 'current' });
+
+        await purgeOutdatedSchemas(layout, schemaVersions);
+
+        assert.equal(await layout.store.get('exercises', oldSha), null);
+        assert.equal(await layout.store.get('exercise_records', oldSha), null);
+        assert.deepEqual(await layout.store.get('exercise_pools', outdated.poolKey), []);
+        assert.deepEqual(await layout.store.get('exercise_buckets', current.bucketKey), current.addedShas);
+        assert.ok(await layout.store.get('exercises', current.addedShas[0]));
+        assert.equal(await exists(image), false);
+        assert.equal(await getExplanation(layout, 'exp:old'), null);
+        assert.ok(await getExplanation(layout, 'exp:current'));
+      });
+    });
+
+    describe('pending appeals', () => {
+      const fib = { sentence: 'Ayer yo _____ al cine.', answers: ['fui'] };
+      const appealFor = (exerciseSha, answer, part = 0) => ({ exerciseSha, type: 'fib', part, expected: 'fui', answer, explanation: 'Fine.', userId: 'u1', username: 'ana' });
+
+      it('queues each answer once per blank and caps the queue per blank', async () => {
+        const { addedShas: [sha] } = await seedExercises(layout, [fib], { type: 'fib' });
+        assert.equal(await addPendingAppeal(layout, appealFor(sha, 'iba'), 2), 'queued');
+        assert.equal(await addPendingAppeal(layout, appealFor(sha, 'IBA'), 2), 'duplicate');
+        assert.equal(await addPendingAppeal(layout, appealFor(sha, 'anduve'), 2), 'queued');
+        assert.equal(await addPendingAppeal(layout, appealFor(sha, 'estuve'), 2), 'full');
+        assert.equal(await addPendingAppeal(layout, appealFor(sha, 'estuve', 1), 2), 'queued');
+        assert.deepEqual((await listPendingAppeals(layout)).map(a => `${a.part}:${a.answer}`).sort(), ['0:anduve', '0:iba', '1:estuve']);
+        assert.equal((await layout.store.get('exercise_records', sha)).accepted_answers, undefined);
+      });
+
+      it('adds approved answers to the record up to the per-blank limit and drops rejected ones', async () => {
+        const { addedShas: [sha] } = await seedExercises(layout, [fib], { type: 'fib' });
+        for (const answer of ['iba', 'anduve', 'estuve']) await addPendingAppeal(layout, appealFor(sha, answer));
+        const pending = await listPendingAppeals(layout);
+        const [iba, anduve, estuve] = ['iba', 'anduve', 'estuve'].map(answer => pending.find(a => a.answer === answer));
+
+        assert.equal(await resolvePendingAppeal(layout, iba.id, true, 1), 'approved');
+        assert.equal(await resolvePendingAppeal(layout, anduve.id, true, 1), 'full');
+        assert.equal(await resolvePendingAppeal(layout, estuve.id, false), 'rejected');
+        assert.equal(await resolvePendingAppeal(layout, estuve.id, false), 'missing');
+
+        assert.deepEqual((await layout.store.get('exercise_records', sha)).accepted_answers, { 0: ['iba'] });
+        assert.deepEqual((await listPendingAppeals(layout)).map(a => a.answer), ['anduve']);
+      });
+
+      it('drops pending appeals with their exercise', async () => {
+        const { addedShas: [sha] } = await seedExercises(layout, [fib], { type: 'fib' });
+        await addPendingAppeal(layout, appealFor(sha, 'iba'));
+        await deleteCacheEntry(layout, 'exercises', sha);
+        assert.deepEqual(await listPendingAppeals(layout), []);
+      });
+    });
+  });
+}
@@ -0,0 +1,57 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { createDebugStore } from '../server/debugStore.js';
+import { makeTempDir } from './helpers.js';
+
+describe('createDebugStore', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await makeTempDir();
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('keeps the newest records in memory when no file is set', () => {
+    const store = createDebugStore({ capacity: 2, context: () => ({ requestId: 'r1' }) });
+    const first = store.add({ provider: 'openrouter', status: 400 });
+    const second = store.add({ provider: 'openrouter', status: 429 });
+    const third = store.add({ source: 'frontend', message: 'warn' });
+    assert.equal(store.get(first), null);
+    assert.deepEqual(store.list().map(r => r.id), [third, second]);
+    assert.equal(store.get(third).requestId, 'r1');
+  });
+
+  it('reloads persisted records after a restart', async () => {
+    const file = path.join(dir, 'debug', 'debug_log.jsonl');
+    const store = createDebugStore({ file });
+    await store.load();
+    const id = store.add({ provider: 'anthropic', status: 500, responseText: 'overloaded' });
+    await store.flush();
+
+    const restarted = createDebugStore({ file });
+    await restarted.load();
+    assert.equal(restarted.get(id).responseText, 'overloaded');
+  });
+
+  it('rotates the file once it exceeds maxBytes and keeps maxFiles old files', async () => {
+    const file = path.join(dir, 'debug_log.jsonl');
+    const store = createDebugStore({ file, maxBytes: 200, maxFiles: 2 });
+    await store.load();
+    for (let i = 0; i < 12; i++) store.add({ n: i, padding: 'x'.repeat(60) });
+    await store.flush();
+
+    const names = (await fs.readdir(dir)).sort();
+    assert.deepEqual(names, ['debug_log.jsonl', 'debug_log.jsonl.1', 'debug_log.jsonl.2']);
+    for (const name of names) assert.ok((await fs.stat(path.join(dir, name))).size <= 200);
+
+    // The newest records are read back from the current and the previous file
+    const restarted = createDebugStore({ file, capacity: 3 });
+    await restarted.load();
+    assert.deepEqual(restarted.list().map(r => r.n), [11, 10, 9]);
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { schemaVersions } from '../shared/schemaVersions.js';
+import { makeTempDir, openLayout, seedExercises, startServer } from './helpers.js';
+
+const SEEN_COOKIE = `seen_exercises_mcq_v${schemaVersions.mcq}`;
+const MAX_SEEN = 4;
+
+async function requestMcq(baseUrl, { cookie, topic = 'present tense', count = 3 } = {}) {
+  const res = await fetch(`${baseUrl}/api/exercises/mcq`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...(cookie ? { cookie } : {}) },
+    body: JSON.stringify({ topic, language: 'Spanish', level: 'A1', challengeMode: false, count })
+  });
+  const body = await res.json();
+  const match = String(res.headers.get('set-cookie') || '').match(new RegExp(`${SEEN_COOKIE}=([^;]*)`));
+  const seen = match ? decodeURIComponent(match[1]).split(',').filter(Boolean) : null;
+  return { status: res.status, body, shas: (body.items || []).map(it => it.exerciseSha), seen };
+}
+
+const generations = (server) => server.logs().filter(l => l.component === 'LLM mock' && l.msg.startsWith('ok in')).length;
+
+describe('POST /api/exercises/:type with the mock provider', () => {
+  let cacheDir;
+  let server;
+  let outdatedSha;
+  let outdatedImage;
+
+  before(async () => {
+    cacheDir = await makeTempDir();
+    // An item from an older MCQ schema in the same bucket must be purged before the server takes requests
+    const layout = await openLayout(cacheDir);
+    const { addedShas } = await seedExercises(layout, [{ question: 'outdated', options: [], difficulty: 'easy' }], { schemaVersion: schemaVersions.mcq - 1 });
+    outdatedSha = addedShas[0];
+    outdatedImage = path.join(layout.imagesDir, `${outdatedSha}.png`);
+    await fs.writeFile(outdatedImage, 'png');
+    await layout.store.transaction(async (tx) => {
+      tx.put('exercise_records', outdatedSha, { ...(await tx.get('exercise_records', outdatedSha)), localImagePath: outdatedImage });
+    });
+    await layout.store.close();
+
+    server = await startServer({ cacheDir, env: { COOKIE_MAX_SEEN_PER_TYPE: String(MAX_SEEN) } });
+  });
+
+  after(async () => {
+    await server?.stop();
+    await fs.rm(cacheDir, { recursive: true, force: true });
+  });
+
+  it('purges outdated schema versions on startup', async () => {
+    await assert.rejects(fs.access(outdatedImage));
+    const layout = await openLayout(cacheDir);
+    try {
+      assert.equal(await layout.store.get('exercises', outdatedSha), null);
+    } finally {
+      await layout.store.close();
+    }
+  });
+
+  let firstShas;
+  let firstSeen;
+
+  it('generates on a cold cache and records the served items in the seen cookie', async () => {
+    const before = generations(server);
+    const res = await requestMcq(server.baseUrl);
+    assert.equal(res.status, 200);
+    assert.equal(res.shas.length, 3);
+    assert.ok(!res.shas.includes(outdatedSha));
+    for (const item of res.body.items) {
+      assert.equal(item.options.filter(o => o.correct).length, 1);
+      assert.ok(item.exerciseGroupId);
+    }
+    assert.deepEqual(res.seen, res.shas.map(s => s.slice(0, 12)));
+    assert.equal(generations(server), before + 1);
+    firstShas = res.shas;
+    firstSeen = res.seen;
+  });
+
+  let allShas;
+
+  it('does not serve seen items again and caps the cookie', async () => {
+    const res = await requestMcq(server.baseUrl, { cookie: `${SEEN_COOKIE}=${encodeURIComponent(firstSeen.join(','))}` });
+    assert.equal(res.status, 200);
+    assert.equal(res.shas.length, 3);
+    assert.equal(res.shas.filter(s => firstShas.includes(s)).length, 0);
+    const merged = [...firstSeen, ...res.shas.map(s => s.slice(0, 12))];
+    assert.deepEqual(res.seen, merged.slice(-MAX_SEEN));
+    allShas = [...firstShas, ...res.shas];
+  });
+
+  it('serves a new visitor from the cache without calling the provider', async () => {
+    const before = generations(server);
+    const res = await requestMcq(server.baseUrl);
+    assert.equal(res.status, 200);
+    assert.equal(res.shas.length, 3);
+    assert.ok(res.shas.every(s => allShas.includes(s)));
+    assert.equal(generations(server), before);
+  });
+
+  it('generates only the shortfall when part of the pool is unseen', async () => {
+    const before = generations(server);
+    const seen = allShas.slice(0, 5).map(s => s.slice(0, 12));
+    const res = await requestMcq(server.baseUrl, { cookie: `${SEEN_COOKIE}=${encodeURIComponent(seen.join(','))}` });
+    assert.equal(res.status, 200);
+    assert.equal(res.shas.length, 3);
+    assert.equal(res.shas[0], allShas[5]);
+    assert.ok(res.shas.slice(1).every(s => !allShas.includes(s)));
+    assert.equal(generations(server), before + 1);
+  });
+
+  it('keeps topics apart', async () => {
+    const res = await requestMcq(server.baseUrl, { topic: 'past tense', count: 2 });
+    assert.equal(res.status, 200);
+    assert.ok(res.shas.every(s => !allShas.includes(s)));
+  });
+});
@@ -0,0 +1,119 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import net from 'node:net';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { ensureCacheLayout, makeBucketKey, addExercisesToPool } from '../server/cacheStore.js';
+
+const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+export async function makeTempDir(prefix = 'language-ai-test-') {
+  return fs.mkdtemp(path.join(os.tmpdir(), prefix));
+}
+
+export async function openLayout(cacheDir, backend = 'json') {
+  return ensureCacheLayout(cacheDir, { backend });
+}
+
+/**
+ * Add items to the pool and bucket of one Spanish A1 family, the way runGeneration does
+ * @returns {Promise<{ addedShas: string[], groupId: string, poolKey: string, bucketKey: string }>}
+ */
+export async function seedExercises(layout, items, { type = 'mcq', model = 'model-a', topic = 'present tense', schemaVersion = 2, limit = 100, groupId = null } = {}) {
+  const family = { type, language: 'Spanish', level: 'A1', challengeMode: false, grammarTopic: topic };
+  const poolKey = `${type}:Spanish:A1:false:${model}:${schemaVersion}:000000000000`;
+  const bucketKey = makeBucketKey(family);
+  const added = await addExercisesToPool(layout, { ...family, poolKey, bucketKey, model, schemaVersion }, items, limit, groupId);
+  return { ...added, poolKey, bucketKey };
+}
+
+async function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.unref();
+    srv.on('error', reject);
+    srv.listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Boot server/index.js against `cacheDir` with the mock provider
+ * @param {object} options
+ * @param {string} options.cacheDir
+ * @param {Record<string, string>} [options.env] - Extra environment (overrides the defaults below)
+ * @returns {Promise<{ baseUrl: string, output: () => string, logs: () => object[], stop: () => Promise<void> }>}
+ *   logs() = the structured log lines written so far
+ */
+export async function startServer({ cacheDir, env = {} }) {
+  const port = await freePort();
+  const fixturesDir = await makeTempDir('language-ai-fixtures-');
+  const child = spawn(process.execPath, [path.join(REPO_ROOT, 'server', 'index.js')], {
+    cwd: REPO_ROOT,
+    env: {
+      ...process.env,
+      NODE_ENV: 'test',
+      PORT: String(port),
+      CACHE_DIR: cacheDir,
+      CACHE_BACKEND: 'json',
+      PROVIDER: 'mock',
+      LLM_FALLBACK_CHAIN: '',
+      MOCK_SEED: 'test',
+      MOCK_FIXTURES_DIR: fixturesDir,
+      MOCK_LATENCY_MS: '0',
+      MOCK_TRUNCATE_RATE: '0',
+      MOCK_ERROR_RATE: '0',
+      MOCK_RATE_LIMIT_RATE: '0',
+      RUNWARE_ENABLED: 'false',
+      FALAI_ENABLED: 'false',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let log = '';
+  child.stdout.on('data', (d) => { log += d; });
+  child.stderr.on('data', (d) => { log += d; });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  const deadline = Date.now() + 15000;
+  while (!log.includes('Server listening')) {
+    if (child.exitCode !== null) throw new Error(`Server exited early:\n${log}`);
+    if (Date.now() > deadline) {
+      child.kill();
+      throw new Error(`Server did not start within 15s:\n${log}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+
+  return {
+    baseUrl: `http://127.0.0.1:${port}`,
+    output: () => log,
+    logs: () => log.split('\n').flatMap((line) => {
+      try { return line.startsWith('{') ? [JSON.parse(line)] : []; } catch { return []; }
+    }),
+    async stop() {
+      if (child.exitCode === null) child.kill();
+      await exited;
+      await fs.rm(fixturesDir, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * Register an account on a running server and return the session cookie for later requests
+ * @param {string} baseUrl
+ * @param {string} username
+ * @returns {Promise<string>} Cookie header value
+ */
+export async function registerUser(baseUrl, username) {
+  const res = await fetch(`${baseUrl}/api/auth/register`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ username, password: 'correct-horse-battery' })
+  });
+  if (res.status !== 201) throw new Error(`Registration failed: ${res.status}`);
+  return String(res.headers.get('set-cookie') || '').split(';')[0];
+}
@@ -0,0 +1,116 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createInflight, createStreamHub } from '../server/inflight.js';
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// A producer whose emits and completion are driven by the test
+function controlledProducer() {
+  const state = { calls: 0, emit: null, signal: null, finish: null };
+  const start = (emit, signal) => {
+    state.calls++;
+    state.emit = emit;
+    state.signal = signal;
+    return new Promise(resolve => { state.finish = resolve; });
+  };
+  return { state, start };
+}
+
+describe('createInflight', () => {
+  it('shares one task between callers with the same key', async () => {
+    const inflight = createInflight();
+    let calls = 0;
+    let release;
+    const start = () => { calls++; return new Promise(resolve => { release = resolve; }); };
+    const first = inflight.join('k', start);
+    const second = inflight.join('k', start);
+    const other = inflight.join('other', async () => 'other');
+    assert.equal(first.joined, false);
+    assert.equal(second.joined, true);
+    assert.equal(other.joined, false);
+    await tick();
+    release('shared');
+    assert.deepEqual(await Promise.all([first.promise, second.promise, other.promise]), ['shared', 'shared', 'other']);
+    assert.equal(calls, 1);
+    assert.equal(inflight.size, 0);
+  });
+
+  it('starts afresh once the task has settled, also after a failure', async () => {
+    const inflight = createInflight();
+    await assert.rejects(inflight.join('k', async () => { throw new Error('upstream'); }).promise, /upstream/);
+    const again = inflight.join('k', async () => 'ok');
+    assert.equal(again.joined, false);
+    assert.equal(await again.promise, 'ok');
+  });
+
+  it('aborts the task only once every caller has aborted', async () => {
+    const inflight = createInflight();
+    let taskSignal;
+    const start = (signal) => { taskSignal = signal; return new Promise(() => {}); };
+    const first = new AbortController();
+    const second = new AbortController();
+    inflight.join('k', start, first.signal);
+    inflight.join('k', start, second.signal);
+    await tick();
+    first.abort();
+    assert.equal(taskSignal.aborted, false);
+    second.abort();
+    assert.equal(taskSignal.aborted, true);
+    // A new caller does not join the abandoned task
+    assert.equal(inflight.join('k', async () => 'fresh').joined, false);
+  });
+
+  it('keeps the task running while a caller without a signal waits', async () => {
+    const inflight = createInflight();
+    let taskSignal;
+    const first = new AbortController();
+    inflight.join('k', (signal) => { taskSignal = signal; return new Promise(() => {}); }, first.signal);
+    inflight.join('k', async () => 'unused');
+    await tick();
+    first.abort();
+    assert.equal(taskSignal.aborted, false);
+  });
+});
+
+describe('createStreamHub', () => {
+  it('replays earlier events to late subscribers, then streams live ones', async () => {
+    const hub = createStreamHub();
+    const { state, start } = controlledProducer();
+    const a = [];
+    const b = [];
+    const first = hub.subscribe('k', start, e => a.push(e));
+    await tick();
+    state.emit({ type: 'queued', position: 1 }, { replay: false });
+    state.emit({ type: 'delta', text: 'Hola' });
+    const second = hub.subscribe('k', start, e => b.push(e));
+    state.emit({ type: 'delta', text: ' mundo' });
+    state.finish('done');
+    assert.equal(await first.done, 'done');
+    assert.equal(second.joined, true);
+    assert.equal(state.calls, 1);
+    assert.deepEqual(a.map(e => e.text || e.type), ['queued', 'Hola', ' mundo']);
+    assert.deepEqual(b.map(e => e.text || e.type), ['Hola', ' mundo']);
+    assert.equal(hub.size, 0);
+  });
+
+  it('keeps streaming while a subscriber remains and aborts once all have left', async () => {
+    const hub = createStreamHub();
+    const { state, start } = controlledProducer();
+    const first = hub.subscribe('k', start, () => {});
+    const second = hub.subscribe('k', start, () => {});
+    await tick();
+    first.leave();
+    assert.equal(state.signal.aborted, false);
+    second.leave();
+    assert.equal(state.signal.aborted, true);
+    // A new request does not join the abandoned stream
+    const next = controlledProducer();
+    const third = hub.subscribe('k', next.start, () => {});
+    assert.equal(third.joined, false);
+    await tick();
+    state.finish();
+    next.state.finish();
+    await Promise.all([first.done, third.done]);
+    assert.equal(hub.size, 0);
+  });
+});
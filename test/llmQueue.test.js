@@ -0,0 +1,168 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import { createLLMQueue, isQueueError } from '../server/llmQueue.js';
+import { makeTempDir, startServer } from './helpers.js';
+
+// A task that stays running until release() is called
+function deferredTask(log, name) {
+  let release;
+  const done = new Promise(resolve => { release = resolve; });
+  return { task: async () => { log.push(name); await done; return name; }, release: () => release() };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('createLLMQueue', () => {
+  it('caps concurrency per provider', async () => {
+    const queue = createLLMQueue({ limitFor: p => (p === 'ollama' ? 1 : 2) });
+    const log = [];
+    const a = deferredTask(log, 'a');
+    const b = deferredTask(log, 'b');
+    const c = deferredTask(log, 'c');
+    const pa = queue.run('ollama', a.task);
+    const pb = queue.run('ollama', b.task);
+    const pc = queue.run('openai', c.task);
+    await tick();
+    assert.deepEqual(log, ['a', 'c']);
+    assert.deepEqual(queue.snapshot().ollama, { limit: 1, running: 1, queued: 1, byPriority: { interactive: 1 } });
+    a.release();
+    assert.equal(await pa, 'a');
+    await tick();
+    assert.deepEqual(log, ['a', 'c', 'b']);
+    b.release();
+    c.release();
+    assert.deepEqual(await Promise.all([pb, pc]), ['b', 'c']);
+  });
+
+  it('runs waiting jobs by priority, then in arrival order', async () => {
+    const queue = createLLMQueue({ limitFor: () => 1 });
+    const log = [];
+    const first = deferredTask(log, 'first');
+    const running = queue.run('mock', first.task);
+    const waiting = [
+      queue.run('mock', async () => log.push('bulk'), { priority: 'bulk' }),
+      queue.run('mock', async () => log.push('interactive-1')),
+      queue.run('mock', async () => log.push('explanation'), { priority: 'explanation' }),
+      queue.run('mock', async () => log.push('interactive-2'))
+    ];
+    first.release();
+    await Promise.all([running, ...waiting]);
+    assert.deepEqual(log, ['first', 'explanation', 'interactive-1', 'interactive-2', 'bulk']);
+  });
+
+  it('reports positions by ticket and through onPosition', async () => {
+    const queue = createLLMQueue({ limitFor: () => 1 });
+    const log = [];
+    const first = deferredTask(log, 'first');
+    const running = queue.run('mock', first.task, { ticket: 't1' });
+    const positions = [];
+    const second = queue.run('mock', async () => 'second', { ticket: 't2', onPosition: p => positions.push(p) });
+    const third = queue.run('mock', async () => 'third', { ticket: 't3', priority: 'explanation' });
+    await tick();
+    assert.equal(queue.status('t1').state, 'running');
+    assert.deepEqual(queue.status('t2'), { state: 'queued', position: 2, provider: 'mock', priority: 'interactive' });
+    assert.equal(queue.status('t3').position, 1);
+    first.release();
+    await Promise.all([running, second, third]);
+    assert.deepEqual(positions, [1, 2, 1, 0]);
+    assert.equal(queue.status('t2'), null);
+  });
+
+  it('drops a waiting job when its signal aborts', async () => {
+    const queue = createLLMQueue({ limitFor: () => 1 });
+    const log = [];
+    const first = deferredTask(log, 'first');
+    const running = queue.run('mock', first.task);
+    const controller = new AbortController();
+    const cancelled = queue.run('mock', async () => log.push('cancelled'), { signal: controller.signal, ticket: 'gone' });
+    controller.abort();
+    await assert.rejects(cancelled, err => err.name === 'CancelledError' && err.httpStatus === 499 && isQueueError(err));
+    assert.equal(queue.status('gone'), null);
+    first.release();
+    await running;
+    assert.deepEqual(log, ['first']);
+  });
+
+  it('refuses new jobs once the queue is full', async () => {
+    const queue = createLLMQueue({ limitFor: () => 1, maxQueued: 1 });
+    const log = [];
+    const first = deferredTask(log, 'first');
+    const running = queue.run('mock', first.task);
+    const waiting = queue.run('mock', async () => 'waiting');
+    await assert.rejects(queue.run('other', async () => 'refused'), err => err.name === 'QueueFullError' && err.httpStatus === 503);
+    first.release();
+    assert.deepEqual(await Promise.all([running, waiting]), ['first', 'waiting']);
+  });
+
+  it('frees the slot when a task fails', async () => {
+    const queue = createLLMQueue({ limitFor: () => 1 });
+    await assert.rejects(queue.run('mock', async () => { throw new Error('upstream'); }), /upstream/);
+    assert.equal(await queue.run('mock', async () => 'next'), 'next');
+    await tick();
+    assert.equal(queue.snapshot().mock.running, 0);
+  });
+});
+
+describe('cancelling a running LLM call', () => {
+  let cacheDir;
+  let server;
+
+  before(async () => {
+    cacheDir = await makeTempDir();
+    server = await startServer({ cacheDir, env: { LOG_LEVEL: 'info', LOG_FORMAT: 'json', MOCK_LATENCY_MS: '5000' } });
+  });
+
+  after(async () => {
+    await server?.stop();
+    await fs.rm(cacheDir, { recursive: true, force: true });
+  });
+
+  it('aborts the provider call when the client disconnects', async () => {
+    const controller = new AbortController();
+    const pending = fetch(`${server.baseUrl}/api/exercises/mcq`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ topic: 'present tense', language: 'Spanish', level: 'A1', challengeMode: false, count: 2 }),
+      signal: controller.signal
+    }).catch(() => null);
+    // Wait until the call has left the queue and reached the provider
+    const deadline = Date.now() + 3000;
+    while (!server.logs().some(l => l.component === 'LLM mock') && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    const startedAt = Date.now();
+    controller.abort();
+    await pending;
+
+    while (!server.logs().some(l => l.component === 'LLM' && /call aborted/.test(l.msg)) && Date.now() < startedAt + 2000) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.ok(server.logs().some(l => l.component === 'LLM' && /call aborted/.test(l.msg)));
+    assert.ok(Date.now() - startedAt < 2000, 'the call ended well before the mock latency');
+    assert.ok(!server.logs().some(l => l.component === 'LLM mock' && l.msg.startsWith('ok in')));
+  });
+
+  it('keeps a shared generation running while another request still waits for it', async () => {
+    const body = JSON.stringify({ topic: 'past tense', language: 'Spanish', level: 'A1', challengeMode: false, count: 2 });
+    const request = (signal) => fetch(`${server.baseUrl}/api/exercises/mcq`, { method: 'POST', headers: { 'content-type': 'application/json' }, body, signal });
+    const calls = () => server.logs().filter(l => l.component === 'LLM mock').length;
+    const before = calls();
+    const controller = new AbortController();
+    const first = request(controller.signal).catch(() => null);
+    const deadline = Date.now() + 3000;
+    while (calls() === before && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    const second = request();
+    await new Promise(resolve => setTimeout(resolve, 200));
+    controller.abort();
+    await first;
+
+    const res = await second;
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).items.length, 2);
+    assert.ok(server.logs().some(l => l.component === 'INFLIGHT' && /joined a generation/.test(l.msg)));
+    assert.equal(server.logs().filter(l => l.component === 'LLM mock' && l.msg.startsWith('ok in')).length, 1);
+  });
+});
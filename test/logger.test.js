@@ -0,0 +1,100 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import { createLogger, withLogContext } from '../server/logger.js';
+import { makeTempDir, startServer } from './helpers.js';
+
+// Logger writing parsed JSON lines into `lines`
+function capture(options = {}) {
+  const lines = [];
+  const log = createLogger({ format: 'json', ...options, write: (line) => lines.push(JSON.parse(line)) });
+  return { log, lines };
+}
+
+describe('createLogger', () => {
+  it('turns the [COMPONENT] prefix, trailing objects and errors into fields', () => {
+    const { log, lines } = capture({ level: 'debug' });
+    log.info('[CACHE] Initialized at', '/data', { backend: 'json' });
+    log.error('[BASE-TEXT]', Object.assign(new Error('disk full'), { httpStatus: 507 }));
+    assert.deepEqual({ ...lines[0], time: undefined }, { time: undefined, level: 'info', component: 'CACHE', msg: 'Initialized at /data', backend: 'json' });
+    assert.equal(lines[1].msg, 'disk full');
+    assert.equal(lines[1].err.httpStatus, 507);
+    assert.match(lines[1].err.stack, /disk full/);
+  });
+
+  it('drops lines below the configured level', () => {
+    const { log, lines } = capture({ level: 'warn' });
+    log.debug('[X] one');
+    log.info('[X] two');
+    log.warn('[X] three');
+    assert.deepEqual(lines.map(l => l.msg), ['three']);
+    assert.equal(log.isLevelEnabled('debug'), false);
+  });
+
+  it('adds the request context, also across awaits, without letting fields replace the message', async () => {
+    const { log, lines } = capture();
+    await withLogContext({ requestId: 'req-1' }, async () => {
+      await new Promise(resolve => setTimeout(resolve, 1));
+      log.child({ worker: 2 }).info('[LLM mock] ok', { msg: 'overridden?' });
+    });
+    log.info('outside');
+    assert.equal(lines[0].requestId, 'req-1');
+    assert.equal(lines[0].worker, 2);
+    assert.equal(lines[0].msg, 'ok');
+    assert.equal(lines[1].requestId, undefined);
+  });
+});
+
+describe('request ids on the server', () => {
+  let cacheDir;
+  let server;
+
+  before(async () => {
+    cacheDir = await makeTempDir();
+    server = await startServer({ cacheDir, env: { LOG_LEVEL: 'info', LOG_FORMAT: 'json' } });
+  });
+
+  after(async () => {
+    await server?.stop();
+    await fs.rm(cacheDir, { recursive: true, force: true });
+  });
+
+  it("logs the LLM call and cache update under the client's X-Request-Id", async () => {
+    const requestId = 'client-req-0001';
+    const res = await fetch(`${server.baseUrl}/api/exercises/mcq`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', 'x-request-id': requestId },
+      body: JSON.stringify({ topic: 'present tense', language: 'Spanish', level: 'A1', challengeMode: false, count: 2 })
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('x-request-id'), requestId);
+
+    // The access log line is written once the response has been flushed
+    const deadline = Date.now() + 2000;
+    while (!server.logs().some(l => l.component === 'HTTP' && l.requestId === requestId) && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    const mine = server.logs().filter(l => l.requestId === requestId);
+    assert.ok(mine.some(l => l.component === 'LLM mock' && l.msg.startsWith('ok in')));
+    assert.ok(mine.some(l => l.component === 'CACHE' && l.generated === 2));
+    assert.ok(mine.some(l => l.component === 'HTTP' && l.status === 200));
+  });
+
+  it('generates an id when the client sends none or an invalid one', async () => {
+    const res = await fetch(`${server.baseUrl}/api/queue`, { headers: { 'x-request-id': 'bad id' } });
+    assert.match(res.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+  });
+
+  it('keeps frontend log entries in the debug store under the request id', async () => {
+    const res = await fetch(`${server.baseUrl}/api/log`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', 'x-request-id': 'client-req-0002' },
+      body: JSON.stringify({ level: 'warn', message: 'Cloze passage validation warnings', data: { warnings: ['blank mismatch'] } })
+    });
+    const { id } = await res.json();
+    const record = await (await fetch(`${server.baseUrl}/api/debug/${id}`)).json();
+    assert.equal(record.requestId, 'client-req-0002');
+    assert.equal(record.source, 'frontend');
+    assert.ok(server.logs().some(l => l.component === 'FRONTEND' && l.level === 'warn' && l.requestId === 'client-req-0002'));
+  });
+});
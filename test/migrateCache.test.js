@@ -0,0 +1,65 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import { setExplanation, getExplanation, readExerciseItem, rateExerciseGroup } from '../server/cacheStore.js';
+import { makeTempDir, openLayout, seedExercises } from './helpers.js';
+
+const MIGRATE = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'server', 'migrateCache.js');
+const run = promisify(execFile);
+
+// Run the migration script in the cache directory so no .env or cache settings of the checkout leak in
+function migrate(dir, ...args) {
+  const { CACHE_DIR, CACHE_SQLITE_PATH, ...env } = process.env;
+  return run(process.execPath, [MIGRATE, '--from', dir, ...args], { cwd: dir, env, timeout: 30_000 });
+}
+
+describe('migrateCache', () => {
+  let dir;
+  let seeded;
+
+  before(async () => {
+    dir = await makeTempDir();
+    const layout = await openLayout(dir);
+    seeded = await seedExercises(layout, [
+      { question: '¿Dónde está?', options: ['aquí', 'allí'], answer: 0 },
+      { question: '¿Qué es?', options: ['un libro', 'una mesa'], answer: 1 }
+    ], { groupId: 'group-1' });
+    await rateExerciseGroup(layout, 'group-1', true);
+    await setExplanation(layout, 'exp:ser-estar', { language: 'Spanish', level: 'A1', schemaVersion: 1 }, { title: 'Ser y estar' });
+    await layout.store.close();
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('copies every table of a JSON cache into SQLite', async () => {
+    const { stdout } = await migrate(dir);
+    assert.match(stdout, /exercise_records: 2\/2/);
+    assert.match(stdout, /Done/);
+
+    const sqlite = await openLayout(dir, 'sqlite');
+    try {
+      assert.equal(sqlite.store.kind, 'sqlite');
+      const [first, second] = seeded.addedShas;
+      assert.equal((await readExerciseItem(sqlite, first)).content.question, '¿Dónde está?');
+      assert.equal((await readExerciseItem(sqlite, second)).content.question, '¿Qué es?');
+      assert.deepEqual(await sqlite.store.get('exercise_pools', seeded.poolKey), seeded.addedShas);
+      assert.deepEqual(await sqlite.store.get('exercise_buckets', seeded.bucketKey), seeded.addedShas);
+      assert.equal((await sqlite.store.get('exercise_groups', 'group-1')).likes, 1);
+      assert.equal((await getExplanation(sqlite, 'exp:ser-estar')).content.title, 'Ser y estar');
+    } finally {
+      await sqlite.store.close();
+    }
+  });
+
+  it('refuses to overwrite a database that already has data unless forced', async () => {
+    await assert.rejects(migrate(dir), (err) => /already contains cache data/.test(err.stderr) && err.code === 1);
+    const { stdout } = await migrate(dir, '--force');
+    assert.match(stdout, /Done/);
+  });
+});
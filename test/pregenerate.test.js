@@ -0,0 +1,118 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { expandPregenerationMatrix } from '../server/pregenerate.js';
+import { makeTempDir, startServer, registerUser } from './helpers.js';
+
+const MATRIX = { languages: ['Spanish'], levels: ['A1', 'A2', 'B1'], topics: ['present tense'], types: ['mcq'], target: 4 };
+
+describe('expandPregenerationMatrix', () => {
+  it('expands languages × levels × modes × topics × types into cells', () => {
+    const { cells, target } = expandPregenerationMatrix({ ...MATRIX, levels: ['a1', 'A2'], topics: { Spanish: ['ser', 'estar'] }, challengeMode: [false, true] }, ['mcq']);
+    assert.equal(target, 4);
+    assert.equal(cells.length, 8);
+    assert.equal(cells[0].id, 'mcq|Spanish|A1|0|ser');
+  });
+
+  it('rejects unknown levels, types that cannot be pre-generated and languages without topics', () => {
+    assert.throws(() => expandPregenerationMatrix({ ...MATRIX, levels: ['D1'] }, ['mcq']), /Unknown CEFR level/);
+    assert.throws(() => expandPregenerationMatrix({ ...MATRIX, types: ['reading'] }, ['mcq']), /cannot be pre-generated/);
+    assert.throws(() => expandPregenerationMatrix({ ...MATRIX, topics: { French: ['x'] } }, ['mcq']), /no topics for Spanish/);
+  });
+});
+
+describe('pre-generation with the mock provider', () => {
+  let cacheDir;
+  let server;
+  let cookie;
+  const env = { ADMIN_USERS: 'pregen-admin', MOCK_LATENCY_MS: '300' };
+
+  before(async () => {
+    cacheDir = await makeTempDir();
+    server = await startServer({ cacheDir, env });
+    cookie = await registerUser(server.baseUrl, 'pregen-admin');
+  });
+
+  after(async () => {
+    await server?.stop();
+    await fs.rm(cacheDir, { recursive: true, force: true });
+  });
+
+  const api = async (method, body) => {
+    const res = await fetch(`${server.baseUrl}/api/admin/pregenerate`, {
+      method,
+      headers: { cookie, ...(body ? { 'content-type': 'application/json' } : {}) },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: res.status, body: await res.json() };
+  };
+  const untilIdle = async () => {
+    const deadline = Date.now() + 20000;
+    for (;;) {
+      const { body } = await api('GET');
+      if (!body.running) return body;
+      if (Date.now() > deadline) throw new Error('Pre-generation did not finish within 20s');
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  };
+  const generations = () => server.logs().filter(l => l.component === 'LLM mock' && l.msg.startsWith('ok in')).length;
+  const pregenLogs = () => server.logs().filter(l => l.component === 'PREGEN');
+
+  let doneBeforeStop;
+
+  it('stops after the batches in progress and reports progress per batch', async () => {
+    const started = await api('POST', { matrix: MATRIX, concurrency: 1 });
+    assert.equal(started.status, 202);
+    assert.equal(started.body.total, 3);
+    assert.equal(started.body.pending, 3);
+    assert.equal((await api('POST', { matrix: MATRIX })).status, 409);
+
+    assert.equal((await api('DELETE')).body.stopping, true);
+    const stopped = await untilIdle();
+    doneBeforeStop = stopped.done;
+    assert.ok(doneBeforeStop >= 1 && doneBeforeStop < 3, `expected a partial run, got ${doneBeforeStop}/3 cells done`);
+    assert.equal(stopped.pending, 3 - doneBeforeStop);
+    assert.equal(stopped.generated, doneBeforeStop * 4);
+    for (const cell of stopped.cells.filter(c => c.status === 'done')) {
+      assert.equal(cell.size, 4);
+      assert.equal(cell.batches, 1);
+    }
+
+    const progress = pregenLogs().filter(l => / cells, \d+ items \| /.test(l.msg));
+    assert.equal(progress.length, doneBeforeStop);
+    assert.match(progress[0].msg, /^1\/3 cells, 4 items \| mcq\|Spanish\|A[12]\|0\|present tense: 4\/4$/);
+    assert.ok(pregenLogs().some(l => l.msg.startsWith(`Finished: ${doneBeforeStop} done, 0 failed, ${3 - doneBeforeStop} pending`)));
+  });
+
+  it('resumes the same matrix after a restart, generating only the missing cells', async () => {
+    await server.stop();
+    server = await startServer({ cacheDir, env });
+    const saved = await api('GET');
+    assert.equal(saved.body.running, false);
+    assert.equal(saved.body.done, doneBeforeStop);
+
+    const calls = generations();
+    assert.equal((await api('POST', { matrix: MATRIX, concurrency: 1 })).status, 202);
+    const finished = await untilIdle();
+    assert.equal(finished.done, 3);
+    assert.equal(finished.generated, 12);
+    assert.equal(generations(), calls + 3 - doneBeforeStop);
+    assert.ok(pregenLogs().some(l => l.msg === `Resuming: ${doneBeforeStop}/3 cells already done`));
+
+    const state = JSON.parse(await fs.readFile(path.join(cacheDir, 'pregenerate', 'state.json'), 'utf8'));
+    assert.ok(state.finishedAt);
+    assert.deepEqual(Object.values(state.cells).map(c => c.status), ['done', 'done', 'done']);
+  });
+
+  it('starts over when asked to restart', async () => {
+    const calls = generations();
+    const restarted = await api('POST', { matrix: MATRIX, concurrency: 1, restart: true });
+    assert.equal(restarted.body.done, 0);
+    const finished = await untilIdle();
+    // Buckets are already full, so every cell is done without calling the model
+    assert.equal(finished.done, 3);
+    assert.equal(finished.generated, 0);
+    assert.equal(generations(), calls);
+  });
+});
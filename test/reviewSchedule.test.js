@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyReview, createCard, isDue, makeCardId } from '../server/reviewSchedule.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-01-10T12:00:00Z');
+
+describe('createCard', () => {
+  it('counts the miss as a failed first review due tomorrow', () => {
+    const card = createCard({ kind: 'fib', exerciseSha: 'a'.repeat(64), part: 2, topic: 'preterite', language: 'Spanish', level: 'A2' }, NOW);
+    assert.equal(card.id, makeCardId('fib', 'a'.repeat(64), 2));
+    assert.equal(card.id, `fib:${'a'.repeat(64)}:2`);
+    assert.equal(card.challengeMode, false);
+    assert.equal(card.interval, 1);
+    assert.equal(card.repetitions, 0);
+    assert.equal(card.lapses, 1);
+    assert.equal(card.ease, 1.96);
+    assert.equal(card.due, new Date(NOW + DAY_MS).toISOString());
+  });
+
+  it('omits the part from ids of whole-item cards', () => {
+    assert.equal(createCard({ kind: 'mcq', exerciseSha: 'b'.repeat(64) }, NOW).id, `mcq:${'b'.repeat(64)}`);
+  });
+});
+
+describe('applyReview', () => {
+  it('grows the interval 1, 6, then by the ease factor on good answers', () => {
+    let card = createCard({ kind: 'mcq', exerciseSha: 'c'.repeat(64) }, NOW);
+    const intervals = [];
+    for (let i = 0; i < 4; i++) {
+      card = applyReview(card, 5, NOW);
+      intervals.push(card.interval);
+    }
+    assert.deepEqual(intervals, [1, 6, 13, 29]);
+    assert.equal(card.repetitions, 4);
+    assert.equal(card.ease, 2.36);
+    assert.equal(card.due, new Date(NOW + 29 * DAY_MS).toISOString());
+  });
+
+  it('resets repetitions and interval after a lapse', () => {
+    let card = { ease: 2.5, interval: 15, repetitions: 3, lapses: 0 };
+    card = applyReview(card, 2, NOW);
+    assert.equal(card.interval, 1);
+    assert.equal(card.repetitions, 0);
+    assert.equal(card.lapses, 1);
+    assert.equal(card.ease, 2.18);
+
+    card = applyReview(card, 4, NOW);
+    assert.equal(card.interval, 1);
+    assert.equal(card.repetitions, 1);
+  });
+
+  it('never lowers the ease below 1.3', () => {
+    let card = createCard({ kind: 'fib', exerciseSha: 'd'.repeat(64), part: 0 }, NOW);
+    for (let i = 0; i < 5; i++) card = applyReview(card, 0, NOW);
+    assert.equal(card.ease, 1.3);
+    assert.equal(card.lapses, 6);
+  });
+
+  it('clamps and rounds the quality and fills in missing card fields', () => {
+    const card = applyReview({}, 7.4, NOW);
+    assert.equal(card.lastQuality, 5);
+    assert.equal(card.repetitions, 1);
+    assert.equal(card.ease, 2.6);
+    assert.equal(applyReview({}, 'bad', NOW).lastQuality, 0);
+  });
+});
+
+describe('isDue', () => {
+  it('is due once the due time has passed', () => {
+    const card = createCard({ kind: 'mcq', exerciseSha: 'e'.repeat(64) }, NOW);
+    assert.equal(isDue(card, NOW), false);
+    assert.equal(isDue(card, NOW + DAY_MS), true);
+    assert.equal(isDue(card, NOW + 2 * DAY_MS), true);
+  });
+
+  it('is never due without a valid due date', () => {
+    assert.equal(isDue({}, NOW), false);
+    assert.equal(isDue({ due: 'soon' }, NOW), false);
+    assert.equal(isDue(null, NOW), false);
+  });
+});
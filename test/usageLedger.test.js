@@ -0,0 +1,106 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import { appendUsage, loadUsage, aggregateUsage } from '../server/usageLedger.js';
+import { makeTempDir, startServer, registerUser } from './helpers.js';
+
+describe('aggregateUsage', () => {
+  const entries = [
+    { kind: 'llm', at: '2026-03-01T10:00:00.000Z', id: 'a', provider: 'openrouter', model: 'm1', type: 'mcq', promptTokens: 300, completionTokens: 100, usd: 0, ok: true, latencyMs: 800 },
+    { kind: 'cost', at: '2026-03-01T10:00:05.000Z', id: 'a', usd: 0.004 },
+    { kind: 'items', at: '2026-03-01T10:00:01.000Z', type: 'mcq', cached: 0, generated: 4, shared: 0 },
+    { kind: 'items', at: '2026-03-02T09:00:00.000Z', type: 'mcq', cached: 6, generated: 0, shared: 2 },
+    { kind: 'llm', at: '2026-03-02T09:30:00.000Z', id: 'b', provider: 'anthropic', model: 'm2', type: 'explanation', promptTokens: 50, completionTokens: 0, usd: 0.001, ok: false, latencyMs: 200 },
+    { kind: 'image', at: '2026-03-02T11:00:00.000Z', provider: 'falai', model: 'fast-sdxl', usd: 0.002, ok: true, latencyMs: 1200 }
+  ];
+
+  it('merges late prices and groups by day, model and type', () => {
+    const { totals, byDay, byModel, byType } = aggregateUsage(entries);
+    assert.equal(totals.calls, 2);
+    assert.equal(totals.failed, 1);
+    assert.equal(totals.images, 1);
+    assert.equal(totals.usd, 0.007);
+    assert.deepEqual(byDay.map(r => [r.key, r.usd]), [['2026-03-01', 0.004], ['2026-03-02', 0.003]]);
+    assert.deepEqual(byModel.map(r => [r.key, r.avgLatencyMs]), [['openrouter:m1', 800], ['falai:fast-sdxl', 1200], ['anthropic:m2', 200]]);
+    assert.deepEqual(byType.map(r => r.key), ['mcq', 'image', 'explanation']);
+  });
+
+  it('prices cached and shared items at the average cost per generated item', () => {
+    const { totals, byType } = aggregateUsage(entries);
+    const mcq = byType.find(r => r.key === 'mcq');
+    assert.equal(mcq.hitRate, 50);
+    assert.equal(mcq.usdPerItem, 0.001);
+    assert.equal(mcq.savedUsd, 0.008);
+    assert.equal(mcq.savedTokens, 800);
+    assert.equal(totals.savedUsd, 0.008);
+    // No generated items to price savings by
+    assert.equal(byType.find(r => r.key === 'explanation').savedUsd, undefined);
+  });
+
+  it('filters by type and by age', () => {
+    assert.equal(aggregateUsage(entries, { type: 'image' }).totals.usd, 0.002);
+    assert.equal(aggregateUsage(entries, { days: 1 }).totals.calls, 0);
+  });
+});
+
+describe('usage ledger on the server', () => {
+  let cacheDir;
+  let server;
+
+  before(async () => {
+    cacheDir = await makeTempDir();
+    server = await startServer({ cacheDir, env: { ANALYTICS_USERS: 'tutor' } });
+  });
+
+  after(async () => {
+    await server?.stop();
+    await fs.rm(cacheDir, { recursive: true, force: true });
+  });
+
+  const request = () => fetch(`${server.baseUrl}/api/exercises/mcq`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ topic: 'present tense', language: 'Spanish', level: 'A1', challengeMode: false, count: 2 })
+  });
+
+  it('records LLM calls and cache hits and reports them from /api/usage', async () => {
+    assert.equal((await request()).status, 200);
+    // The seen cookie is not sent back, so the second request is served from the pool
+    assert.equal((await request()).status, 200);
+
+    assert.equal((await fetch(`${server.baseUrl}/api/usage`)).status, 403);
+    const cookie = await registerUser(server.baseUrl, 'tutor');
+    const deadline = Date.now() + 5000;
+    let usage;
+    do {
+      await new Promise(resolve => setTimeout(resolve, 50));
+      usage = await (await fetch(`${server.baseUrl}/api/usage`, { headers: { cookie } })).json();
+    } while ((usage.byType.find(r => r.key === 'mcq')?.cached ?? 0) < 2 && Date.now() < deadline);
+
+    const mcq = usage.byType.find(r => r.key === 'mcq');
+    assert.equal(mcq.calls, 1);
+    assert.equal(mcq.generated, 2);
+    assert.equal(mcq.cached, 2);
+    assert.ok(mcq.promptTokens > 0);
+    assert.equal(usage.byModel[0].key.split(':')[0], 'mock');
+
+    const entries = await loadUsage(cacheDir);
+    const call = entries.find(e => e.kind === 'llm');
+    assert.equal(call.ok, true);
+    assert.equal(call.estimated, true);
+    assert.ok(call.latencyMs >= 0);
+  });
+
+  it('appends lines that survive a reload', async () => {
+    const dir = await makeTempDir();
+    try {
+      await appendUsage(dir, { kind: 'image', provider: 'runware', model: 'runware:100@1', usd: 0.0013, ok: true, latencyMs: 900 });
+      await appendUsage(dir, { kind: 'image', provider: 'runware', model: 'runware:100@1', usd: 0.0013, ok: true, latencyMs: 1100 });
+      const loaded = await loadUsage(dir);
+      assert.equal(loaded.length, 2);
+      assert.equal(aggregateUsage(loaded).byModel[0].avgLatencyMs, 1000);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { hashPassword, verifyPassword, validateCredentials, sanitizePreferences, createUserStore } from '../server/userStore.js';
+import { makeTempDir } from './helpers.js';
+
+describe('hashPassword / verifyPassword', () => {
+  it('verifies the right password and rejects others', async () => {
+    const stored = await hashPassword('correct-horse-battery');
+    assert.match(stored, /^scrypt\$[a-f0-9]{32}\$[a-f0-9]{128}$/);
+    assert.equal(await verifyPassword('correct-horse-battery', stored), true);
+    assert.equal(await verifyPassword('correct-horse-batterY', stored), false);
+  });
+
+  it('salts every hash', async () => {
+    assert.notEqual(await hashPassword('same-password'), await hashPassword('same-password'));
+  });
+
+  it('rejects malformed or missing hashes', async () => {
+    assert.equal(await verifyPassword('x', ''), false);
+    assert.equal(await verifyPassword('x', undefined), false);
+    assert.equal(await verifyPassword('x', 'bcrypt$aa$bb'), false);
+    assert.equal(await verifyPassword('x', 'scrypt$aa'), false);
+  });
+});
+
+describe('validateCredentials', () => {
+  it('accepts valid usernames and passwords', () => {
+    assert.equal(validateCredentials('ana.garcia_1', 'long-enough'), null);
+  });
+
+  it('rejects bad usernames and passwords', () => {
+    assert.match(validateCredentials('ab', 'long-enough'), /Username/);
+    assert.match(validateCredentials('ana garcia', 'long-enough'), /Username/);
+    assert.match(validateCredentials('a'.repeat(33), 'long-enough'), /Username/);
+    assert.match(validateCredentials('ana', 'short'), /at least 8/);
+    assert.match(validateCredentials('ana', 'x'.repeat(201)), /too long/);
+  });
+});
+
+describe('sanitizePreferences', () => {
+  it('keeps known keys with primitive values and drops everything else', () => {
+    const out = sanitizePreferences({ language: 'Spanish', strictAccents: true, level: 'B1'.repeat(40), isAdmin: true, partialCredit: { a: 1 } });
+    assert.deepEqual(out, { language: 'Spanish', strictAccents: true, level: 'B1'.repeat(30) });
+  });
+
+  it('keeps valid exercise counts, clamped to 50', () => {
+    const out = sanitizePreferences({ exerciseCounts: { fib: '5', mcq: 80, 'bad key': 3, cloze: 0, rewrite: 'x' } });
+    assert.deepEqual(out, { exerciseCounts: { fib: 5, mcq: 50 } });
+  });
+
+  it('returns an empty object for non-objects', () => {
+    assert.deepEqual(sanitizePreferences(null), {});
+    assert.deepEqual(sanitizePreferences('language'), {});
+  });
+});
+
+describe('createUserStore', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await makeTempDir();
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('creates accounts, authenticates them and refuses taken usernames', async () => {
+    const store = createUserStore(dir);
+    const user = await store.createUser('Ana', 'correct-horse-battery');
+    assert.deepEqual(Object.keys(user).sort(), ['createdAt', 'id', 'username']);
+    await assert.rejects(store.createUser('ana', 'another-password'), { code: 'USER_EXISTS' });
+    assert.deepEqual(await store.authenticate('ANA', 'correct-horse-battery'), user);
+    assert.equal(await store.authenticate('ana', 'wrong-password'), null);
+    assert.equal(await store.authenticate('nobody', 'correct-horse-battery'), null);
+  });
+
+  it('resolves sessions until they expire or are deleted', async () => {
+    const store = createUserStore(dir, { sessionTtlMs: 60_000 });
+    const user = await store.createUser('ana', 'correct-horse-battery');
+    const { token } = await store.createSession(user.id);
+    const other = await store.createSession(user.id);
+    assert.deepEqual(await store.getSessionUser(token), user);
+    assert.equal(await store.getSessionUser('not-a-token'), null);
+
+    await store.deleteSession(other.token);
+    assert.equal(await store.getSessionUser(other.token), null);
+
+    const now = Date.now();
+    mock.method(Date, 'now', () => now + 61_000);
+    assert.equal(await store.getSessionUser(token), null);
+  });
+
+  it('stores only token hashes and reloads accounts and sessions from disk', async () => {
+    const store = createUserStore(dir);
+    const user = await store.createUser('ana', 'correct-horse-battery');
+    const { token } = await store.createSession(user.id);
+    const raw = await fs.readFile(path.join(dir, 'users', 'sessions.json'), 'utf8');
+    assert.equal(raw.includes(token), false);
+
+    const reopened = createUserStore(dir);
+    assert.deepEqual(await reopened.getSessionUser(token), user);
+  });
+
+  it('drops expired sessions when a new one is written', async () => {
+    const store = createUserStore(dir, { sessionTtlMs: 60_000 });
+    const user = await store.createUser('ana', 'correct-horse-battery');
+    await store.createSession(user.id);
+    const now = Date.now();
+    mock.method(Date, 'now', () => now + 61_000);
+    await store.createSession(user.id);
+    const { sessions } = JSON.parse(await fs.readFile(path.join(dir, 'users', 'sessions.json'), 'utf8'));
+    assert.equal(Object.keys(sessions).length, 1);
+  });
+
+  it('replaces a score entry of the same session, level and challenge mode', async () => {
+    const store = createUserStore(dir);
+    const user = await store.createUser('ana', 'correct-horse-battery');
+    await store.addScore(user.id, { sessionId: 's1', level: 'A1', challengeMode: false, score: 3 });
+    await store.addScore(user.id, { sessionId: 's1', level: 'A2', challengeMode: false, score: 4 });
+    await store.addScore(user.id, { sessionId: 's1', level: 'A1', score: 5 });
+    const scores = await store.addScore(user.id, { level: 'A1', score: 1 });
+    assert.deepEqual(scores.map(s => s.score), [4, 5, 1]);
+  });
+});